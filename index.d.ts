@@ -22,6 +22,8 @@ import { policies } from './lib/policies';
 import { types } from './lib/types';
 import { metrics } from './lib/metrics';
 import { tracker } from './lib/tracker';
+import { throttling } from './lib/throttling';
+import { compression } from './lib/compression';
 import { metadata } from './lib/metadata';
 import { datastax } from './lib/datastax/';
 import Long = types.Long;
@@ -32,7 +34,7 @@ import graph = datastax.graph;
 export { concurrent } from './lib/concurrent';
 export { mapping } from './lib/mapping';
 export { geometry } from './lib/geometry';
-export { auth, datastax, metadata, metrics, policies, tracker, types };
+export { auth, compression, datastax, metadata, metrics, policies, throttling, tracker, types };
 
 export const version: number;
 
@@ -96,6 +98,8 @@ export class Client extends events.EventEmitter {
 
   stream(query: string, params?: ArrayOrObject, options?: QueryOptions, callback?: EmptyCallback): events.EventEmitter;
 
+  iterate(query: string, params?: ArrayOrObject, options?: QueryOptions): types.ResultIterable;
+
   batch(
     queries: Array<string|{query: string, params?: ArrayOrObject}>,
     options?: QueryOptions): Promise<types.ResultSet>;
@@ -111,11 +115,39 @@ export class Client extends events.EventEmitter {
 
   shutdown(): Promise<void>;
 
+  shutdown(options: ShutdownOptions): Promise<ShutdownResult>;
+
+  shutdown(options: ShutdownOptions, callback: ValueCallback<ShutdownResult>): void;
+
   shutdown(callback: EmptyCallback): void;
 
   getReplicas(keyspace: string, token: Buffer): Host[];
 
   getState(): metadata.ClientState;
+
+  on(event: 'schemaChange', listener: (change: metadata.SchemaChangeEvent) => void): this;
+
+  on(event: 'topology', listener: (change: TopologyEvent) => void): this;
+
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export interface ShutdownOptions {
+  drainTimeout?: number;
+}
+
+export interface ShutdownResult {
+  abandonedRequests: number;
+}
+
+export interface TopologyEvent {
+  type: 'add' | 'remove' | 'up' | 'down' | 'distance' | 'poolSize' | 'reconnection' | 'protocolVersion';
+  address: string;
+  datacenter: string | null;
+  rack: string | null;
+  previous: string | number | null;
+  current: string | number | null;
+  reason: string;
 }
 
 export interface HostMap extends events.EventEmitter {
@@ -145,7 +177,17 @@ export interface Host extends events.EventEmitter {
   isUp(): boolean;
 }
 
+export interface AbortSignalLike {
+  readonly aborted: boolean;
+
+  addEventListener(type: 'abort', listener: () => void): void;
+
+  removeEventListener(type: 'abort', listener: () => void): void;
+}
+
 export interface ExecutionOptions {
+  getAbortSignal(): AbortSignalLike | undefined;
+
   getCaptureStackTrace(): boolean;
 
   getConsistency(): types.consistencies;
@@ -194,6 +236,7 @@ export interface ExecutionOptions {
 export interface ClientOptions {
   contactPoints?: string[];
   localDataCenter?: string;
+  localRack?: string;
   keyspace?: string;
   authProvider?: auth.AuthProvider;
   credentials?: {
@@ -227,12 +270,18 @@ export interface ClientOptions {
   pooling?: {
     coreConnectionsPerHost?: { [key: number]: number; };
     heartBeatInterval?: number;
+    inFlightThreshold?: number;
+    maxConnectionsPerHost?: { [key: number]: number; };
     maxRequestsPerConnection?: number;
+    minConnectionsPerHost?: { [key: number]: number; };
+    scaleDownDelay?: number;
     warmup?: boolean;
   };
   prepareOnAllHosts?: boolean;
+  preparedStatementsWarmup?: metadata.PreparedStatementInfo[];
   profiles?: ExecutionProfile[];
   protocolOptions?: {
+    compression?: 'lz4' | 'snappy' | compression.Compressor;
     maxSchemaAgreementWaitSeconds?: number;
     maxVersion?: number;
     noCompact?: boolean;
@@ -243,6 +292,7 @@ export interface ClientOptions {
   refreshSchemaDelay?: number;
   rePrepareOnUp?: boolean;
   requestTracker?: tracker.RequestTracker;
+  requestThrottler?: throttling.RequestThrottler;
   socketOptions?: {
     coalescingThreshold?: number;
     connectTimeout?: number;
@@ -256,6 +306,7 @@ export interface ClientOptions {
 }
 
 export interface QueryOptions {
+  abortSignal?: AbortSignalLike;
   autoPage?: boolean;
   captureStackTrace?: boolean;
   consistency?: number;
@@ -337,6 +388,12 @@ export class ExecutionProfile {
 }
 
 export namespace errors {
+  class AbortError extends DriverError {
+    reason?: any;
+
+    constructor(message?: string, reason?: any);
+  }
+
   class ArgumentError extends DriverError {
     constructor(message: string);
   }
@@ -349,6 +406,10 @@ export namespace errors {
     constructor(address: string, maxRequestsPerConnection: number, connectionLength: number);
   }
 
+  class ClientShutdownError extends DriverError {
+    constructor(message?: string);
+  }
+
   abstract class DriverError extends Error {
     info: string;
 
@@ -375,6 +436,16 @@ export namespace errors {
     constructor(message: string, host?: string);
   }
 
+  class OptimisticLockError extends DriverError {
+    currentRow: any | null;
+
+    constructor(message: string, currentRow: any | null);
+  }
+
+  class RequestThrottlingError extends DriverError {
+    constructor(message: string);
+  }
+
   class ResponseError extends DriverError {
     code: number;
 
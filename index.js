@@ -24,7 +24,9 @@ exports.policies = require('./lib/policies');
 exports.auth = require('./lib/auth');
 exports.mapping = require('./lib/mapping');
 exports.tracker = require('./lib/tracker');
+exports.throttling = require('./lib/throttling');
 exports.metrics = require('./lib/metrics');
+exports.compression = require('./lib/compression');
 exports.concurrent = require('./lib/concurrent');
 
 const token = require('./lib/token');
@@ -20,8 +20,10 @@ const policies = require('./policies');
 const types = require('./types');
 const utils = require('./utils');
 const tracker = require('./tracker');
+const throttling = require('./throttling');
 const metrics = require('./metrics');
 const auth = require('./auth');
+const compression = require('./compression');
 
 /** Core connections per host for protocol versions 1 and 2 */
 const coreConnectionsPerHostV2 = {
@@ -69,7 +71,8 @@ function defaultOptions () {
       port: 9042,
       maxSchemaAgreementWaitSeconds: 10,
       maxVersion: 0,
-      noCompact: false
+      noCompact: false,
+      compression: null
     },
     pooling: {
       heartBeatInterval: 30000,
@@ -86,6 +89,7 @@ function defaultOptions () {
     },
     authProvider: null,
     requestTracker: null,
+    requestThrottler: null,
     metrics: new metrics.DefaultMetrics(),
     maxPrepared: 500,
     refreshSchemaDelay: 1000,
@@ -144,6 +148,10 @@ function extend(baseOptions, userOptions) {
     throw new TypeError('requestTracker must be an instance of RequestTracker');
   }
 
+  if (options.requestThrottler !== null && !(options.requestThrottler instanceof throttling.RequestThrottler)) {
+    throw new TypeError('requestThrottler must be an instance of RequestThrottler');
+  }
+
   if (!(options.metrics instanceof metrics.ClientMetrics)) {
     throw new TypeError('metrics must be an instance of ClientMetrics');
   }
@@ -152,6 +160,8 @@ function extend(baseOptions, userOptions) {
 
   validateProtocolOptions(options.protocolOptions);
 
+  validatePoolingOptions(options.pooling);
+
   validateSocketOptions(options.socketOptions);
 
   validateAuthenticationOptions(options);
@@ -164,10 +174,16 @@ function extend(baseOptions, userOptions) {
     throw new TypeError('profiles must be an Array of ExecutionProfile instances');
   }
 
+  if (options.localRack !== undefined && options.localRack !== null && typeof options.localRack !== 'string') {
+    throw new TypeError('localRack must be a String');
+  }
+
   validateApplicationInfo(options);
 
   validateMonitorReporting(options);
 
+  validatePreparedStatementsWarmup(options.preparedStatementsWarmup);
+
   return options;
 }
 
@@ -232,6 +248,39 @@ function validateProtocolOptions(protocolOptions) {
   if (version && (typeof version !== 'number' || !types.protocolVersion.isSupported(version))) {
     throw new TypeError(util.format('protocolOptions.maxVersion provided (%s) is invalid', version));
   }
+  if (protocolOptions.compression) {
+    protocolOptions.compression = compression.getCompressor(protocolOptions.compression);
+  }
+}
+
+/**
+ * Validates the pooling options.
+ * @param {ClientOptions.pooling} pooling
+ * @private
+ */
+function validatePoolingOptions(pooling) {
+  if (!pooling) {
+    throw new TypeError('pooling not defined in options');
+  }
+  ['minConnectionsPerHost', 'maxConnectionsPerHost'].forEach(key => {
+    if (pooling[key] !== undefined && (pooling[key] === null || typeof pooling[key] !== 'object')) {
+      throw new TypeError(`pooling.${key} must be an associative array containing the amount of connections per ` +
+        'host distance');
+    }
+  });
+  if (pooling.minConnectionsPerHost && pooling.maxConnectionsPerHost) {
+    Object.keys(pooling.maxConnectionsPerHost).forEach(distance => {
+      if (pooling.minConnectionsPerHost[distance] > pooling.maxConnectionsPerHost[distance]) {
+        throw new TypeError('pooling.minConnectionsPerHost must be lower than or equal to ' +
+          'pooling.maxConnectionsPerHost for each distance');
+      }
+    });
+  }
+  ['inFlightThreshold', 'scaleDownDelay'].forEach(key => {
+    if (pooling[key] !== undefined && (typeof pooling[key] !== 'number' || pooling[key] < 0)) {
+      throw new TypeError(`pooling.${key} must be a positive Number`);
+    }
+  });
 }
 
 /**
@@ -326,6 +375,30 @@ function validateMonitorReporting(options) {
   }
 }
 
+/**
+ * Validates the statements to prepare when connecting, as exported by Metadata#exportPrepared().
+ * @private
+ */
+function validatePreparedStatementsWarmup(items) {
+  if (items === undefined || items === null) {
+    return;
+  }
+
+  if (!Array.isArray(items)) {
+    throw new TypeError('preparedStatementsWarmup must be an Array');
+  }
+
+  items.forEach((item, i) => {
+    if (item === null || typeof item !== 'object' || typeof item.query !== 'string') {
+      throw new TypeError(`preparedStatementsWarmup item at index ${i} must be an object containing the query`);
+    }
+
+    if (item.keyspace !== undefined && item.keyspace !== null && typeof item.keyspace !== 'string') {
+      throw new TypeError(`The keyspace of preparedStatementsWarmup item at index ${i} must be a String`);
+    }
+  });
+}
+
 /**
  * Sets the default options that depend on the protocol version and other metadata.
  * @param {Client} client
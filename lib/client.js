@@ -64,6 +64,11 @@ const warmupLimit = 32;
  *   If using DCAwareRoundRobinPolicy (default), this option is required and only hosts from this data center are
  *   connected to and used in query plans.
  * </p>
+ * @property {String} [localRack] The rack of the local data center in which the application is running.
+ * <p>
+ *   When set, the default load-balancing policy tries the replicas and nodes in this rack before the rest of the nodes
+ *   of the local data center. It's also used by the <code>RackAwareRoundRobinPolicy</code>.
+ * </p>
  * @property {String} [keyspace] The logged keyspace for all the connections created within the {@link Client} instance.
  * @property {Object} [credentials] An object containing the username and password for plain-text authentication.
  * It configures the authentication provider to be used against Apache Cassandra's PasswordAuthenticator or DSE's
@@ -103,10 +108,15 @@ const warmupLimit = 32;
  * @property {Boolean} [rePrepareOnUp] Determines if the driver should re-prepare all cached prepared queries on a
  * host when it marks it back up.
  * Default: <code>true</code>.
- * @property {Number} [maxPrepared] Determines the maximum amount of different prepared queries before evicting items
- * from the internal cache. Reaching a high threshold hints that the queries are not being reused, like when
- * hard-coding parameter values inside the queries.
+ * @property {Number} [maxPrepared] Determines the maximum amount of different prepared queries before evicting the
+ * least recently used items from the internal cache. Reaching a high threshold hints that the queries are not being
+ * reused, like when hard-coding parameter values inside the queries.
  * Default: <code>500</code>.
+ * @property {Array<PreparedStatementInfo>} [preparedStatementsWarmup] The statements to prepare when connecting,
+ * usually obtained using [Metadata#exportPrepared()]{@link module:metadata~Metadata#exportPrepared} on a previous
+ * Client instance. The statements are prepared in parallel, up to a fixed amount at a time, as part of the
+ * <code>connect()</code> flow. Failing to prepare a statement doesn't cause the connection attempt to fail, the
+ * statement will be prepared again when executed.
  * @property {Object} [policies]
  * @property {LoadBalancingPolicy} [policies.loadBalancing] The load balancing policy instance to be used to determine
  * the coordinator per query.
@@ -133,6 +143,17 @@ const warmupLimit = 32;
  * driver issues a request on an active connection to avoid idle time disconnections. Default: 30000.
  * @property {Object} [pooling.coreConnectionsPerHost] Associative array containing amount of connections per host
  * distance.
+ * @property {Object} [pooling.minConnectionsPerHost] Associative array containing the minimum amount of connections
+ * per host distance, when the pool grows on demand. When set, it's used instead of
+ * <code>coreConnectionsPerHost</code>.
+ * @property {Object} [pooling.maxConnectionsPerHost] Associative array containing the maximum amount of connections
+ * per host distance. When set, the pool grows on demand according to the amount of in-flight requests and shrinks
+ * when it's idle.
+ * @property {Number} [pooling.inFlightThreshold] The average amount of in-flight requests per connection above which
+ * the pool grows, when <code>maxConnectionsPerHost</code> is set. Default: half of
+ * <code>maxRequestsPerConnection</code>.
+ * @property {Number} [pooling.scaleDownDelay] The amount of time in milliseconds the pool has to be idle before closing
+ * a connection opened on demand. Default: 60000.
  * @property {Number} [pooling.maxRequestsPerConnection] The maximum number of requests per connection. The default
  * value is:
  * <ul>
@@ -149,6 +170,11 @@ const warmupLimit = 32;
  * @property {Number} [protocolOptions.maxVersion] When set, it limits the maximum protocol version used to connect to
  * the nodes.
  * Useful for using the driver against a cluster that contains nodes with different major/minor versions of Cassandra.
+ * @property {String|Compressor} [protocolOptions.compression] The compression algorithm to use for the messages
+ * exchanged with the nodes: <code>'lz4'</code>, <code>'snappy'</code> or a {@link module:compression~Compressor}
+ * instance. The <code>lz4</code> and <code>snappy</code> packages must be installed separately to use the built-in
+ * compressors. Starting with protocol v5, only LZ4 compression is supported. Default: <code>null</code> (no
+ * compression).
  * @property {Boolean} [protocolOptions.noCompact] When set to true, enables the NO_COMPACT startup option.
  * <p>
  * When this option is supplied <code>SELECT</code>, <code>UPDATE</code>, <code>DELETE</code>, and <code>BATCH</code>
@@ -189,6 +215,10 @@ const warmupLimit = 32;
  * @property {AuthProvider} [authProvider] Provider to be used to authenticate to an auth-enabled cluster.
  * @property {RequestTracker} [requestTracker] The instance of RequestTracker used to monitor or log requests executed
  * with this instance.
+ * @property {RequestThrottler} [requestThrottler] The instance of RequestThrottler used to limit the amount of
+ * requests executed with this instance, for example, a
+ * [ConcurrencyLimitingThrottler]{@link module:throttling~ConcurrencyLimitingThrottler} or a
+ * [RateLimitingThrottler]{@link module:throttling~RateLimitingThrottler}. By default, requests are not throttled.
  * @property {Object} [sslOptions] Client-to-node ssl options. When set the driver will use the secure layer.
  * You can specify cert, ca, ... options named after the Node.js <code>tls.connect()</code> options.
  * <p>
@@ -246,6 +276,11 @@ const warmupLimit = 32;
 /**
  * Query options
  * @typedef {Object} QueryOptions
+ * @property {AbortSignal} [abortSignal] An <code>AbortSignal</code> that can be used to abort the execution.
+ * <p>
+ *   When the signal is aborted, pending and speculative executions are cancelled, no further pages are retrieved and
+ *   the execution fails with an [AbortError]{@link module:errors~AbortError}.
+ * </p>
  * @property {Boolean} [autoPage] Determines if the driver must retrieve the following result pages automatically.
  * <p>
  *   This setting is only considered by the [Client#eachRow()]{@link Client#eachRow} method. For more information,
@@ -405,11 +440,19 @@ function Client(options) {
     value: new ControlConnection(this.options, this.profileManager), writable: true }
   );
   Object.defineProperty(this, 'insightsClient', { value: new InsightsClient(this)});
+  this.controlConnection.on('schemaChange',
+    (event, previous) => promiseUtils.toBackground(this._emitSchemaChange(event, previous)));
+  this.controlConnection.on('protocolVersionChange', (endpoint, previous, current, reason) =>
+    this._emitTopology('protocolVersion', this.hosts.get(endpoint) || { address: endpoint }, previous, current,
+      reason));
 
   //Unlimited amount of listeners for internal event queues by default
   this.setMaxListeners(0);
   this.connected = false;
   this.isShuttingDown = false;
+  // The amount of requests and streams in progress, used to drain them on shutdown
+  this._pendingRequests = 0;
+  this._drainCallback = null;
   /**
    * Gets the name of the active keyspace.
    * @type {String}
@@ -467,6 +510,30 @@ util.inherits(Client, events.EventEmitter);
  * </ul>
  * @event Client#hostDown
  */
+/**
+ * Emitted when there is a change in the topology of the cluster or in the state of a host, as seen by the driver.
+ * <ul>
+ *   <li>{@link TopologyEvent} The information of the change.</li>
+ * </ul>
+ * <p>
+ *   It consolidates the host events (hostAdd, hostRemove, hostUp and hostDown) along with the changes in the distance
+ *   to the hosts, the size of the connection pools, the reconnection attempts and the protocol version downgrades
+ *   into a single stream.
+ * </p>
+ * @event Client#topology
+ */
+/**
+ * Emitted when there is a change in the schema, once the driver metadata was refreshed.
+ * <ul>
+ *   <li>[SchemaChangeEvent]{@link module:metadata~SchemaChangeEvent} The information of the change, including the
+ *   metadata of the schema element before and after the change.</li>
+ * </ul>
+ * <p>
+ *   Schema change events are only processed when metadata synchronization is enabled, see
+ *   <code>isMetadataSyncEnabled</code> in {@link ClientOptions}.
+ * </p>
+ * @event Client#schemaChange
+ */
 
 /**
  * Attempts to connect to one of the [contactPoints]{@link ClientOptions} and discovers the rest the nodes of the
@@ -521,6 +588,7 @@ Client.prototype._connect = async function () {
     clientOptions.setMetadataDependent(this);
 
     await this._warmup();
+    await this._warmupPrepared();
 
   } catch (err) {
     // We should close the pools (if any) and reset the state to allow successive calls to connect()
@@ -586,7 +654,7 @@ Client.prototype.execute = function (query, params, options, callback) {
 
   try {
     const execOptions = DefaultExecutionOptions.create(options, this);
-    return promiseUtils.optionalCallback(this._execute(query, params, execOptions), callback);
+    return promiseUtils.optionalCallback(this._trackRequest(this._execute(query, params, execOptions)), callback);
   }
   catch (err) {
     // There was an error when parsing the user options
@@ -634,10 +702,10 @@ Client.prototype.executeGraph = function (query, parameters, options, callback)
 
   if (typeof callback === 'function') {
     parameters = typeof parameters !== 'function' ? parameters : null;
-    return promiseUtils.toCallback(this._graphExecutor.send(query, parameters, options), callback);
+    return promiseUtils.toCallback(this._trackRequest(this._graphExecutor.send(query, parameters, options)), callback);
   }
 
-  return this._graphExecutor.send(query, parameters, options);
+  return this._trackRequest(this._graphExecutor.send(query, parameters, options));
 };
 
 /**
@@ -688,7 +756,8 @@ Client.prototype.eachRow = function (query, params, options, rowCallback, callba
 
   let rowLength = 0;
 
-  const nextPage = () => promiseUtils.toCallback(this._execute(query, params, execOptions), pageCallback);
+  const nextPage = () => promiseUtils.toCallback(
+    this._trackRequest(this._execute(query, params, execOptions, true)), pageCallback);
 
   function pageCallback (err, result) {
     if (err) {
@@ -713,7 +782,7 @@ Client.prototype.eachRow = function (query, params, options, rowCallback, callba
     callback(null, result);
   }
 
-  promiseUtils.toCallback(this._execute(query, params, execOptions), pageCallback);
+  promiseUtils.toCallback(this._trackRequest(this._execute(query, params, execOptions)), pageCallback);
 };
 
 /**
@@ -740,14 +809,18 @@ Client.prototype.stream = function (query, params, options, callback) {
   // we rely on the default stream implementation to keep memory
   // usage reasonable.
   const resultStream = new types.ResultStream({ objectMode: 1 });
+  const self = this;
   function onFinish(err, result) {
     if (err) {
       resultStream.emit('error', err);
     }
     if (result && result.nextPage ) {
+      // The stream is considered pending while waiting to be read, to be drained on shutdown
+      self._pendingRequests++;
       // allows for throttling as per the
       // default nodejs stream implementation
       resultStream._valve(function pageValve() {
+        self._onRequestCompleted();
         try {
           result.nextPage();
         }
@@ -778,6 +851,43 @@ Client.prototype.stream = function (query, params, options, callback) {
   return resultStream;
 };
 
+/**
+ * Executes the query and returns an [AsyncIterable]{@link module:types~ResultIterable} of rows, fetching the result
+ * pages lazily as the rows are consumed.
+ * <p>
+ *   The query is not executed until the iteration starts and the following pages are only requested once all the rows
+ *   from the previous page were yielded. Breaking out of the iteration stops fetching the following pages.
+ * </p>
+ * <p>
+ *   The current paging state is exposed in the [pageState]{@link module:types~ResultIterable#pageState} property of
+ *   the returned instance, which can be used in the <code>pageState</code> query option to resume the iteration from
+ *   a page boundary at a later time, even from another process.
+ * </p>
+ * @param {String} query The query to execute.
+ * @param {Array|Object} [params] Array of parameter values or an associative array (object) containing parameter names
+ * as keys and its value.
+ * @param {QueryOptions} [options] The query options.
+ * @returns {ResultIterable}
+ * @example <caption>Using for await...of statement</caption>
+ * const query = 'SELECT user_id, post_id, content FROM timeline WHERE user_id = ?';
+ * for await (const row of client.iterate(query, [ id ], { prepare: true, fetchSize: 1000 })) {
+ *   console.log(row['content']);
+ * }
+ * @example <caption>Resuming from a page boundary</caption>
+ * const iterable = client.iterate(query, [ id ], { prepare: true, fetchSize: 1000, pageState: previousPageState });
+ */
+Client.prototype.iterate = function (query, params, options) {
+  const execOptions = DefaultExecutionOptions.create(options, this);
+
+  return new types.ResultIterable(rawPageState => {
+    if (rawPageState !== null) {
+      execOptions.setPageState(rawPageState);
+    }
+
+    return this._trackRequest(this._execute(query, params, execOptions, rawPageState !== null));
+  });
+};
+
 /**
  * Executes batch of queries on an available connection to a host.
  * <p>It returns a <code>Promise</code> when a <code>callback</code> is not provided.</p>
@@ -792,7 +902,7 @@ Client.prototype.batch = function (queries, options, callback) {
     options = null;
   }
 
-  return promiseUtils.optionalCallback(this._batch(queries, options), callback);
+  return promiseUtils.optionalCallback(this._trackRequest(this._batch(queries, options)), callback);
 };
 
 /**
@@ -811,6 +921,10 @@ Client.prototype._batch = async function (queries, options) {
     throw new errors.ArgumentError('Queries array should not be empty');
   }
 
+  if (this.isShuttingDown) {
+    throw new errors.ClientShutdownError();
+  }
+
   await this._connect();
 
   const execOptions = DefaultExecutionOptions.create(options, this);
@@ -870,21 +984,70 @@ Client.prototype.log = utils.log;
 
 /**
  * Closes all connections to all hosts.
+ * <p>
+ *   Once the shutdown started, new requests are rejected with a
+ *   [ClientShutdownError]{@link module:errors~ClientShutdownError}.
+ * </p>
+ * <p>
+ *   When <code>drainTimeout</code> is provided, it waits for the requests in progress and the open
+ *   [ResultStream]{@link module:types~ResultStream} instances to complete, up to the provided amount of milliseconds,
+ *   before closing the connections. The requests that did not complete in time are abandoned.
+ * </p>
  * <p>It returns a <code>Promise</code> when a <code>callback</code> is not provided.</p>
+ * @param {Object} [options] The shutdown options.
+ * @param {Number} [options.drainTimeout] The maximum amount of time in milliseconds to wait for the requests in
+ * progress to complete before closing the connections.
  * @param {Function} [callback] Optional callback to be invoked when finished closing all connections.
+ * @returns {Promise<ShutdownResult|undefined>} When <code>options</code> are provided, it resolves a
+ * {@link ShutdownResult} containing the amount of abandoned requests, that is always zero when
+ * <code>drainTimeout</code> is not set.
+ * @example <caption>Shutting down gracefully on SIGTERM</caption>
+ * process.on('SIGTERM', async () => {
+ *   const result = await client.shutdown({ drainTimeout: 10000 });
+ *   console.log('Abandoned requests: %d', result.abandonedRequests);
+ * });
  */
-Client.prototype.shutdown = function (callback) {
-  return promiseUtils.optionalCallback(this._shutdown(), callback);
+Client.prototype.shutdown = function (options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  return promiseUtils.optionalCallback(this._shutdown(options), callback);
 };
 
-/** @private */
-Client.prototype._shutdown = async function () {
+/**
+ * The result of a shutdown, when draining the requests in progress.
+ * @typedef {Object} ShutdownResult
+ * @property {Number} abandonedRequests The amount of requests and result streams that did not complete before the
+ * drain timeout elapsed.
+ */
+
+/**
+ * @param {Object|null|undefined} options
+ * @private
+ */
+Client.prototype._shutdown = async function (options) {
+  const drainTimeout = options ? options.drainTimeout : undefined;
+
+  if (drainTimeout !== undefined && (typeof drainTimeout !== 'number' || drainTimeout < 0)) {
+    throw new errors.ArgumentError('drainTimeout must be a non-negative Number');
+  }
+
+  // The result is provided when the options are specified, even when the requests are not drained
+  const result = options ? { abandonedRequests: 0 } : undefined;
+
   this.log('info', 'Shutting down');
 
   if (!this.hosts || !this.connected) {
     // not initialized
     this.connected = false;
-    return;
+    return result;
+  }
+
+  if (this.isShuttingDown) {
+    // The requests are being drained by a previous call
+    return result;
   }
 
   if (this.connecting) {
@@ -893,8 +1056,18 @@ Client.prototype._shutdown = async function () {
     await promiseUtils.fromEvent(this, 'connected');
   }
 
-  this.connected = false;
   this.isShuttingDown = true;
+
+  if (drainTimeout !== undefined) {
+    this.log('info', `Waiting up to ${drainTimeout}ms for ${this._pendingRequests} request(s) in progress`);
+    result.abandonedRequests = await this._drain(drainTimeout);
+
+    if (result.abandonedRequests > 0) {
+      this.log('warning', `${result.abandonedRequests} request(s) did not complete before the drain timeout`);
+    }
+  }
+
+  this.connected = false;
   const hosts = this.hosts.values();
 
   this.insightsClient.shutdown();
@@ -907,8 +1080,69 @@ Client.prototype._shutdown = async function () {
     this.options.requestTracker.shutdown();
   }
 
+  if (this.options.requestThrottler) {
+    this.options.requestThrottler.shutdown();
+  }
+
   // go through all the host and shut down their pools
   await Promise.all(hosts.map(h => h.shutdown(false)));
+
+  return result;
+};
+
+/**
+ * Waits for the pending requests to complete, up to the provided timeout.
+ * @param {Number} timeout
+ * @returns {Promise<Number>} The amount of requests that did not complete in time.
+ * @private
+ */
+Client.prototype._drain = function (timeout) {
+  if (this._pendingRequests === 0) {
+    return Promise.resolve(0);
+  }
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      this._drainCallback = null;
+      resolve(this._pendingRequests);
+    }, timeout);
+
+    this._drainCallback = () => {
+      clearTimeout(timer);
+      this._drainCallback = null;
+      resolve(0);
+    };
+  });
+};
+
+/**
+ * Considers the request as pending until the provided promise settles.
+ * @param {Promise} promise
+ * @returns {Promise}
+ * @private
+ */
+Client.prototype._trackRequest = async function (promise) {
+  this._pendingRequests++;
+
+  try {
+    return await promise;
+  } finally {
+    this._onRequestCompleted();
+  }
+};
+
+/** @private */
+Client.prototype._onRequestCompleted = function () {
+  if (--this._pendingRequests > 0 || this._drainCallback === null) {
+    return;
+  }
+
+  // Allow the requests in progress to continue, i.e., fetching the following page, before considering it drained
+  setImmediate(() => {
+    if (this._pendingRequests === 0 && this._drainCallback !== null) {
+      this._drainCallback();
+    }
+  });
 };
 
 /**
@@ -981,10 +1215,16 @@ Client.prototype.handleSchemaAgreementAndRefresh = async function (connection, e
  * @param {string} query
  * @param {Array} params
  * @param {ExecutionOptions} execOptions
+ * @param {Boolean} [isNextPage] Determines whether the execution is used to retrieve the following page of a request
+ * that is in progress, in which case it's allowed while draining the requests on shutdown.
  * @returns {Promise<ResultSet>}
  * @private
  */
-Client.prototype._execute = async function (query, params, execOptions) {
+Client.prototype._execute = async function (query, params, execOptions, isNextPage) {
+  if (this.isShuttingDown && !isNextPage) {
+    throw new errors.ClientShutdownError();
+  }
+
   const version = this.controlConnection.protocolVersion;
 
   if (!execOptions.isPrepared() && params && !Array.isArray(params) &&
@@ -1017,37 +1257,119 @@ Client.prototype._execute = async function (query, params, execOptions) {
 };
 
 /**
- * Sets the listeners for the nodes.
+ * Retrieves the current metadata of the schema element and emits the schema change event, when there are
+ * listeners for it.
+ * @param {Object} event The event received from the server.
+ * @param {Object|null} previous The metadata before the change.
  * @private
  */
-Client.prototype._setHostListeners = function () {
-  function getHostUpListener(emitter, h) {
-    return () => emitter.emit('hostUp', h);
+Client.prototype._emitSchemaChange = async function (event, previous) {
+  const tableListeners = this.metadata.getTableListeners(event);
+
+  if (tableListeners.length === 0 && this.listenerCount('schemaChange') === 0) {
+    return;
   }
 
-  function getHostDownListener(emitter, h) {
-    return () => emitter.emit('hostDown', h);
+  let current = null;
+
+  if (event.schemaChangeType !== 'DROPPED') {
+    try {
+      current = await this.metadata.getSchemaObject(event);
+    } catch (err) {
+      this.log('warning', 'There was an error while retrieving the metadata after a schema change', err);
+    }
   }
 
+  const name = event.table || event.udt || event.functionName || event.aggregate || null;
+
+  const schemaChange = {
+    changeType: event.schemaChangeType,
+    target: event.target || (event.isKeyspace ? 'KEYSPACE' : 'TABLE'),
+    keyspace: event.keyspace,
+    name: event.isKeyspace ? null : name,
+    signature: event.signature || null,
+    previous,
+    current
+  };
+
+  // rawListeners() includes the wrappers of the listeners added with once(), it's not available on Node.js 8
+  const clientListeners = typeof this.rawListeners === 'function'
+    ? this.rawListeners('schemaChange')
+    : this.listeners('schemaChange');
+
+  // Invoke each listener separately, a listener that throws should not prevent the rest from being invoked
+  clientListeners.concat(tableListeners).forEach(listener => {
+    try {
+      listener.call(this, schemaChange);
+    } catch (err) {
+      this.log('warning', 'There was an error while invoking a schema change listener', err);
+    }
+  });
+};
+
+/**
+ * Sets the listeners for the nodes.
+ * @private
+ */
+Client.prototype._setHostListeners = function () {
   const self = this;
 
+  function addHostListeners(h) {
+    h.on('up', () => {
+      self.emit('hostUp', h);
+      self._emitTopology('up', h, 'DOWN', 'UP', 'A connection to the host was opened');
+    });
+    h.on('down', () => {
+      self.emit('hostDown', h);
+      self._emitTopology('down', h, 'UP', 'DOWN', 'There are no open connections to the host');
+    });
+    h.on('distanceChange', (previous, current) => self._emitTopology('distance', h, getDistanceName(previous),
+      getDistanceName(current), 'The load-balancing policy changed the distance to the host'));
+    h.on('poolResize', (previous, current, reason) => self._emitTopology('poolSize', h, previous, current, reason));
+    h.on('reconnectionScheduled', delay => self._emitTopology('reconnection', h, 'DOWN', 'DOWN',
+      `Reconnection attempt scheduled in ${delay}ms`));
+  }
+
   // Add status listeners when new nodes are added and emit hostAdd
   this.hosts.on('add', function hostAddedListener(h) {
-    h.on('up', getHostUpListener(self, h));
-    h.on('down', getHostDownListener(self, h));
+    addHostListeners(h);
     self.emit('hostAdd', h);
+    self._emitTopology('add', h, null, getHostState(h), 'The host was added to the cluster');
   });
 
   // Remove all listeners and emit hostRemove
   this.hosts.on('remove', function hostRemovedListener(h) {
     h.removeAllListeners();
     self.emit('hostRemove', h);
+    self._emitTopology('remove', h, getHostState(h), null, 'The host was removed from the cluster');
   });
 
   // Add status listeners for existing hosts
-  this.hosts.forEach(function (h) {
-    h.on('up', getHostUpListener(self, h));
-    h.on('down', getHostDownListener(self, h));
+  this.hosts.forEach(addHostListeners);
+};
+
+/**
+ * Emits the topology event when there are listeners for it.
+ * @param {String} type
+ * @param {Host|{address: String}} host
+ * @param {String|Number|null} previous
+ * @param {String|Number|null} current
+ * @param {String} reason
+ * @private
+ */
+Client.prototype._emitTopology = function (type, host, previous, current, reason) {
+  if (this.listenerCount('topology') === 0) {
+    return;
+  }
+
+  this.emit('topology', {
+    type,
+    address: host.address,
+    datacenter: host.datacenter || null,
+    rack: host.rack || null,
+    previous,
+    current,
+    reason
   });
 };
 
@@ -1081,6 +1403,33 @@ Client.prototype._warmup = function () {
   });
 };
 
+/**
+ * Prepares the statements provided in the <code>preparedStatementsWarmup</code> option, a fixed amount at a time.
+ * Failures are logged and don't cause the returned promise to be rejected.
+ * @returns {Promise}
+ * @private
+ */
+Client.prototype._warmupPrepared = function () {
+  const items = this.options.preparedStatementsWarmup;
+
+  if (!items || items.length === 0) {
+    return Promise.resolve();
+  }
+
+  const loadBalancing = this.profileManager.getDefaultLoadBalancing();
+  this.log('info', `Preparing ${items.length} statements on connect`);
+
+  return promiseUtils.times(items.length, warmupLimit, async (index) => {
+    const item = items[index];
+
+    try {
+      await PrepareHandler.getPrepared(this, loadBalancing, item.query, item.keyspace || this.keyspace);
+    } catch (err) {
+      this.log('warning', `Statement could not be prepared on connect: ${item.query}`, err);
+    }
+  });
+};
+
 /**
  * @returns {Encoder}
  * @private
@@ -1170,6 +1519,49 @@ Client.prototype._setRoutingInfo = async function (execOptions, params, meta) {
   }
 };
 
+/**
+ * Gets the name of the distance, as defined in [types.distance]{@link module:types~distance}.
+ * @param {Number} value
+ * @returns {String}
+ * @private
+ */
+function getDistanceName(value) {
+  return Object.keys(types.distance).find(name => types.distance[name] === value) || null;
+}
+
+/**
+ * @param {Host} h
+ * @returns {String}
+ * @private
+ */
+function getHostState(h) {
+  return h.isUp() ? 'UP' : 'DOWN';
+}
+
+/**
+ * Represents a change in the topology of the cluster or in the state of a host, as seen by the driver.
+ * @typedef {Object} TopologyEvent
+ * @property {String} type The type of change, one of the following values:
+ * <ul>
+ *   <li><code>'add'</code>: a host was added to the cluster, <code>current</code> contains its state.</li>
+ *   <li><code>'remove'</code>: a host was removed from the cluster, <code>previous</code> contains its state.</li>
+ *   <li><code>'up'</code> and <code>'down'</code>: the state of the host changed, either <code>'UP'</code> or
+ *   <code>'DOWN'</code>.</li>
+ *   <li><code>'distance'</code>: the load-balancing policy changed the distance to the host, either
+ *   <code>'local'</code>, <code>'remote'</code> or <code>'ignored'</code>.</li>
+ *   <li><code>'poolSize'</code>: the amount of open connections to the host changed.</li>
+ *   <li><code>'reconnection'</code>: a reconnection attempt to a host that is down was scheduled according to the
+ *   reconnection policy, the delay is included in the <code>reason</code>.</li>
+ *   <li><code>'protocolVersion'</code>: the protocol version was downgraded while connecting to the cluster.</li>
+ * </ul>
+ * @property {String} address The address of the host, including the port.
+ * @property {String|null} datacenter The name of the datacenter of the host, when known.
+ * @property {String|null} rack The name of the rack of the host, when known.
+ * @property {String|Number|null} previous The previous value.
+ * @property {String|Number|null} current The new value.
+ * @property {String} reason A description of the cause of the change.
+ */
+
 /**
  * Callback used by execution methods.
  * @callback ResultCallback
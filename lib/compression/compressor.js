@@ -0,0 +1,66 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Compresses and decompresses the bodies of the messages exchanged with the server.
+ * <p>
+ *   A <code>Compressor</code> instance can be set in the client options as
+ *   <code>protocolOptions.compression</code>. Extend this class to provide an alternative implementation of one of the
+ *   algorithms supported by Apache Cassandra (<code>'lz4'</code> and <code>'snappy'</code>), for example, a pure
+ *   JavaScript codec.
+ * </p>
+ * @alias module:compression~Compressor
+ */
+class Compressor {
+  /**
+   * Creates a new instance of the compressor.
+   * @param {String} algorithm The name of the compression algorithm, as expected by the server:
+   * <code>'lz4'</code> or <code>'snappy'</code>.
+   */
+  constructor(algorithm) {
+    /**
+     * The name of the compression algorithm.
+     * @type {String}
+     */
+    this.algorithm = algorithm;
+  }
+
+  /**
+   * Compresses the provided data.
+   * <p>
+   *   For LZ4, the result must be a raw LZ4 block, without the uncompressed length prefix.
+   * </p>
+   * @param {Buffer} buffer The data to compress.
+   * @returns {Buffer} The compressed data.
+   */
+  compress(buffer) {
+    throw new Error('compress() method must be implemented');
+  }
+
+  /**
+   * Decompresses the provided data.
+   * @param {Buffer} buffer The compressed data.
+   * @param {Number} [uncompressedLength] The length of the decompressed data, when known.
+   * @returns {Buffer} The decompressed data.
+   */
+  decompress(buffer, uncompressedLength) {
+    throw new Error('decompress() method must be implemented');
+  }
+}
+
+module.exports = Compressor;
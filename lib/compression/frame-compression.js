@@ -0,0 +1,65 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const utils = require('../utils');
+
+/**
+ * Compresses the body of a frame, using the format expected by protocol versions prior to v5.
+ * <p>
+ *   In the case of LZ4, the compressed body is prefixed by the uncompressed length as a 4-byte big-endian integer.
+ * </p>
+ * @param {Compressor} compressor
+ * @param {Buffer} body
+ * @returns {Buffer}
+ * @ignore
+ */
+function compressBody(compressor, body) {
+  const compressed = compressor.compress(body);
+
+  if (compressor.algorithm !== 'lz4') {
+    return compressed;
+  }
+
+  const result = utils.allocBufferUnsafe(4 + compressed.length);
+  result.writeInt32BE(body.length, 0);
+  compressed.copy(result, 4);
+  return result;
+}
+
+/**
+ * Decompresses the body of a frame, using the format expected by protocol versions prior to v5.
+ * @param {Compressor} compressor
+ * @param {Buffer} body
+ * @returns {Buffer}
+ * @ignore
+ */
+function decompressBody(compressor, body) {
+  if (compressor.algorithm !== 'lz4') {
+    return compressor.decompress(body);
+  }
+
+  const uncompressedLength = body.readInt32BE(0);
+
+  if (uncompressedLength === 0) {
+    return utils.allocBuffer(0);
+  }
+
+  return compressor.decompress(body.slice(4), uncompressedLength);
+}
+
+module.exports = { compressBody, decompressBody };
@@ -0,0 +1,42 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export namespace compression {
+  class Compressor {
+    readonly algorithm: string;
+
+    constructor(algorithm: string);
+
+    compress(buffer: Buffer): Buffer;
+
+    decompress(buffer: Buffer, uncompressedLength?: number): Buffer;
+  }
+
+  class Lz4Compressor extends Compressor {
+    constructor(lz4Module?: {
+      encodeBound(length: number): number;
+      encodeBlock(input: Buffer, output: Buffer): number;
+      decodeBlock(input: Buffer, output: Buffer): number;
+    });
+  }
+
+  class SnappyCompressor extends Compressor {
+    constructor(snappyModule?: {
+      compressSync(input: Buffer): Buffer;
+      uncompressSync(input: Buffer): Buffer;
+    });
+  }
+}
@@ -0,0 +1,57 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Compression module.
+ * <p>
+ *   Contains the classes used to compress the messages exchanged with the server, see
+ *   <code>protocolOptions.compression</code> in the client options.
+ * </p>
+ * @module compression
+ */
+
+const Compressor = require('./compressor');
+const Lz4Compressor = require('./lz4-compressor');
+const SnappyCompressor = require('./snappy-compressor');
+
+/**
+ * Gets a {@link Compressor} instance for the provided compression option value.
+ * @param {String|Compressor} value The name of the algorithm or a <code>Compressor</code> instance.
+ * @returns {Compressor}
+ * @ignore
+ */
+function getCompressor(value) {
+  if (value instanceof Compressor) {
+    return value;
+  }
+
+  switch (value) {
+    case 'lz4':
+      return new Lz4Compressor();
+    case 'snappy':
+      return new SnappyCompressor();
+    default:
+      throw new TypeError(`protocolOptions.compression provided (${value}) is invalid, valid values are 'lz4', ` +
+        `'snappy' or a Compressor instance`);
+  }
+}
+
+exports.Compressor = Compressor;
+exports.Lz4Compressor = Lz4Compressor;
+exports.SnappyCompressor = SnappyCompressor;
+exports.getCompressor = getCompressor;
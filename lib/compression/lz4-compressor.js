@@ -0,0 +1,84 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Compressor = require('./compressor');
+const utils = require('../utils');
+
+/**
+ * A {@link Compressor} that uses the LZ4 algorithm.
+ * <p>
+ *   By default, it uses the <a href="https://www.npmjs.com/package/lz4">lz4</a> package, that must be installed
+ *   separately. Alternatively, you can provide a module that exposes the same block API (<code>encodeBound()</code>,
+ *   <code>encodeBlock()</code> and <code>decodeBlock()</code>).
+ * </p>
+ * @extends {Compressor}
+ * @alias module:compression~Lz4Compressor
+ */
+class Lz4Compressor extends Compressor {
+  /**
+   * Creates a new instance of <code>Lz4Compressor</code>.
+   * @param {Object} [lz4Module] The module to use to compress and decompress the LZ4 blocks. When not provided, the
+   * <code>lz4</code> package is loaded.
+   */
+  constructor(lz4Module) {
+    super('lz4');
+    this._lz4 = lz4Module || loadModule();
+  }
+
+  /** @override */
+  compress(buffer) {
+    const output = utils.allocBufferUnsafe(this._lz4.encodeBound(buffer.length));
+    const length = this._lz4.encodeBlock(buffer, output);
+
+    if (length === 0 && buffer.length > 0) {
+      throw new Error('LZ4 compression failed');
+    }
+
+    return output.slice(0, length);
+  }
+
+  /** @override */
+  decompress(buffer, uncompressedLength) {
+    const output = utils.allocBufferUnsafe(uncompressedLength);
+    const length = this._lz4.decodeBlock(buffer, output);
+
+    if (length !== uncompressedLength) {
+      throw new Error(`LZ4 decompression failed, expected ${uncompressedLength} bytes but obtained ${length}`);
+    }
+
+    return output;
+  }
+}
+
+function loadModule() {
+  try {
+    // eslint-disable-next-line
+    return require('lz4');
+  }
+  catch (err) {
+    if (err.code === 'MODULE_NOT_FOUND') {
+      const newErr = new Error('You must install module "lz4" to use LZ4 compression: ' +
+        'https://www.npmjs.com/package/lz4');
+      newErr.code = err.code;
+      throw newErr;
+    }
+    throw err;
+  }
+}
+
+module.exports = Lz4Compressor;
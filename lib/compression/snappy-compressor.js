@@ -0,0 +1,73 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Compressor = require('./compressor');
+
+/**
+ * A {@link Compressor} that uses the Snappy algorithm.
+ * <p>
+ *   By default, it uses the <a href="https://www.npmjs.com/package/snappy">snappy</a> package, that must be installed
+ *   separately. Alternatively, you can provide a module that exposes the same synchronous API
+ *   (<code>compressSync()</code> and <code>uncompressSync()</code>).
+ * </p>
+ * <p>
+ *   Note that Snappy compression is not supported by protocol v5 and above, in that case the connections are not
+ *   compressed.
+ * </p>
+ * @extends {Compressor}
+ * @alias module:compression~SnappyCompressor
+ */
+class SnappyCompressor extends Compressor {
+  /**
+   * Creates a new instance of <code>SnappyCompressor</code>.
+   * @param {Object} [snappyModule] The module to use to compress and decompress the data. When not provided, the
+   * <code>snappy</code> package is loaded.
+   */
+  constructor(snappyModule) {
+    super('snappy');
+    this._snappy = snappyModule || loadModule();
+  }
+
+  /** @override */
+  compress(buffer) {
+    return this._snappy.compressSync(buffer);
+  }
+
+  /** @override */
+  decompress(buffer) {
+    return this._snappy.uncompressSync(buffer);
+  }
+}
+
+function loadModule() {
+  try {
+    // eslint-disable-next-line
+    return require('snappy');
+  }
+  catch (err) {
+    if (err.code === 'MODULE_NOT_FOUND') {
+      const newErr = new Error('You must install module "snappy" to use Snappy compression: ' +
+        'https://www.npmjs.com/package/snappy');
+      newErr.code = err.code;
+      throw newErr;
+    }
+    throw err;
+  }
+}
+
+module.exports = SnappyCompressor;
@@ -0,0 +1,383 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const errors = require('../errors');
+const utils = require('../utils');
+const promiseUtils = require('../promise-utils');
+const PrepareHandler = require('../prepare-handler');
+
+/**
+ * Groups the rows by partition into unlogged batches and executes them concurrently, routing each batch using the
+ * token of the partition.
+ * @ignore
+ */
+class BulkLoader {
+
+  /**
+   * @param {Client} client
+   * @param {String} query
+   * @param {Array<Array>|Stream} rows
+   * @param {Object} [options] The bulk load options.
+   * @private
+   */
+  constructor(client, query, rows, options) {
+    this._client = client;
+    this._query = query;
+    this._rows = rows;
+    options = options || utils.emptyObject;
+    this._concurrencyLevel = options.concurrencyLevel || 32;
+    this._maxBatchSize = options.maxBatchSize || 20;
+    this._maxBatchBytes = options.maxBatchBytes || 5120;
+    this._maxRetries = typeof options.maxRetries === 'number' ? options.maxRetries : 1;
+    this._retryDelay = options.retryDelay || 0;
+    this._raiseOnFirstError = options.raiseOnFirstError === true;
+    this._executionProfile = options.executionProfile;
+    // The amount of rows waiting to be grouped before sending the partial batches
+    this._maxBufferedRows = this._concurrencyLevel * this._maxBatchSize;
+    this._result = new BulkLoadResult(options);
+    this._meta = null;
+    this._encoder = null;
+
+    /**
+     * The rows of each partition that are not part of a batch yet, by routing key.
+     * @type {Map<String, {token, rows: Array, size: Number}>}
+     */
+    this._groups = new Map();
+    this._bufferedRows = 0;
+    this._batches = [];
+    this._inFlight = 0;
+    this._index = 0;
+    this._readEnded = false;
+    this._stopped = false;
+    this._resolveCallback = null;
+    this._rejectCallback = null;
+  }
+
+  async execute() {
+    await this._client.connect();
+
+    const profile = this._client.profileManager.getProfile(this._executionProfile);
+
+    if (!profile) {
+      throw new errors.ArgumentError(`Execution profile "${this._executionProfile}" not found`);
+    }
+
+    const info = await PrepareHandler.getPrepared(this._client, profile.loadBalancing, this._query,
+      this._client.keyspace);
+
+    if (!Array.isArray(info.meta.partitionKeys) || info.meta.partitionKeys.length === 0) {
+      throw new errors.NotSupportedError(
+        'The partition keys of the query could not be determined, bulk loading requires protocol version 4 or above');
+    }
+
+    this._meta = info.meta;
+    this._encoder = this._client._getEncoder();
+
+    return await new Promise((resolve, reject) => {
+      this._resolveCallback = resolve;
+      this._rejectCallback = reject;
+
+      if (Array.isArray(this._rows)) {
+        this._readArray();
+        return;
+      }
+
+      this._rows
+        .on('data', params => this._readStreamItem(params))
+        .on('error', err => this._setReadEnded(err))
+        .on('end', () => this._setReadEnded());
+    });
+  }
+
+  _readArray() {
+    while (!this._readEnded && !this._isSaturated()) {
+      if (this._index >= this._rows.length) {
+        return this._setReadEnded();
+      }
+
+      this._addRow(this._rows[this._index]);
+    }
+  }
+
+  _readStreamItem(params) {
+    if (this._readEnded) {
+      // Read ended abruptly because of incorrect format or error event being emitted.
+      return;
+    }
+
+    this._addRow(params);
+
+    if (this._isSaturated()) {
+      this._rows.pause();
+    }
+  }
+
+  /**
+   * Determines whether there are enough batches ready to be executed, in which case the rows should not be read.
+   * @private
+   */
+  _isSaturated() {
+    return this._batches.length >= this._concurrencyLevel;
+  }
+
+  _addRow(params) {
+    if (!Array.isArray(params)) {
+      return this._setReadEnded(new TypeError('Rows should be Arrays of parameters, streams should be in objectMode'));
+    }
+
+    const row = { index: this._index++, params };
+    let routingKey;
+    let size;
+
+    try {
+      routingKey = this._encoder.getRoutingKeyFromMeta(this._meta, this._meta.partitionKeys, params);
+      size = this._getSize(params);
+    } catch (err) {
+      return this._setErrors([ row ], err);
+    }
+
+    if (routingKey === null) {
+      return this._setErrors([ row ], new errors.ArgumentError('The values of the partition keys should be defined'));
+    }
+
+    const key = routingKey.toString('hex');
+    let group = this._groups.get(key);
+
+    if (group !== undefined && group.size + size > this._maxBatchBytes) {
+      this._setBatchReady(key, group);
+      group = undefined;
+    }
+
+    if (group === undefined) {
+      group = { token: this._client.metadata.newToken(routingKey), rows: [], size: 0 };
+      this._groups.set(key, group);
+    }
+
+    group.rows.push(row);
+    group.size += size;
+    this._bufferedRows++;
+
+    if (group.rows.length >= this._maxBatchSize) {
+      this._setBatchReady(key, group);
+    }
+
+    if (this._bufferedRows >= this._maxBufferedRows) {
+      // Avoid buffering an unbounded amount of rows when the partitions contain few rows
+      this._groups.forEach((g, k) => this._setBatchReady(k, g));
+    }
+
+    this._executeBatches();
+  }
+
+  /**
+   * Gets the size of the encoded parameters in bytes.
+   * @param {Array} params
+   * @private
+   */
+  _getSize(params) {
+    return params.reduce((total, value, i) => {
+      const columnInfo = this._meta.columns[i];
+      const encoded = this._encoder.encode(value, columnInfo ? columnInfo.type : null);
+      return total + (Buffer.isBuffer(encoded) ? encoded.length : 0);
+    }, 0);
+  }
+
+  _setBatchReady(key, group) {
+    this._groups.delete(key);
+    this._bufferedRows -= group.rows.length;
+    this._batches.push(group);
+  }
+
+  _executeBatches() {
+    while (!this._stopped && this._inFlight < this._concurrencyLevel && this._batches.length > 0) {
+      const batch = this._batches.shift();
+      this._inFlight++;
+
+      this._executeBatch(batch, 0)
+        .then(() => {
+          this._inFlight--;
+          this._onBatchCompleted();
+        });
+    }
+  }
+
+  /**
+   * Executes the batch, retrying it up to the maximum amount of retries. The returned promise is never rejected.
+   * @private
+   */
+  _executeBatch(batch, retries) {
+    const options = {
+      prepare: true,
+      logged: false,
+      routingKey: batch.token,
+      executionProfile: this._executionProfile
+    };
+
+    // A single row doesn't need a batch
+    const promise = batch.rows.length === 1
+      ? this._client.execute(this._query, batch.rows[0].params, options)
+      : this._client.batch(batch.rows.map(r => ({ query: this._query, params: r.params })), options);
+
+    return promise
+      .then(() => this._result.setLoaded(batch.rows.length))
+      .catch(err => {
+        if (retries < this._maxRetries && !this._stopped) {
+          return promiseUtils.delay(this._retryDelay).then(() => this._executeBatch(batch, retries + 1));
+        }
+
+        this._result.setBatchFailed();
+        this._setErrors(batch.rows, err);
+      });
+  }
+
+  _onBatchCompleted() {
+    if (this._stopped) {
+      return;
+    }
+
+    if (Array.isArray(this._rows)) {
+      this._readArray();
+    } else if (!this._readEnded && !this._isSaturated() && this._rows.isPaused()) {
+      this._rows.resume();
+    }
+
+    this._executeBatches();
+    this._resolveWhenCompleted();
+  }
+
+  /**
+   * Marks the read process as ended, sending the remaining rows.
+   * @param {Error} [err] The read error.
+   * @private
+   */
+  _setReadEnded(err) {
+    if (this._readEnded) {
+      return;
+    }
+
+    this._readEnded = true;
+
+    if (err) {
+      this._stop(err);
+      return;
+    }
+
+    this._groups.forEach((g, k) => this._setBatchReady(k, g));
+    this._executeBatches();
+    this._resolveWhenCompleted();
+  }
+
+  _resolveWhenCompleted() {
+    if (this._readEnded && !this._stopped && this._inFlight === 0 && this._batches.length === 0) {
+      this._resolveCallback(this._result);
+    }
+  }
+
+  _setErrors(rows, err) {
+    this._result.setErrors(rows, err);
+
+    if (this._raiseOnFirstError) {
+      this._stop(err);
+    }
+  }
+
+  _stop(err) {
+    if (this._stopped) {
+      return;
+    }
+
+    this._stopped = true;
+    this._readEnded = true;
+    this._rejectCallback(err);
+  }
+}
+
+/**
+ * Represents the result of a bulk load operation.
+ */
+class BulkLoadResult {
+
+  /**
+   * Creates a new instance of {@link BulkLoadResult}.
+   * @ignore
+   */
+  constructor(options) {
+    this._maxErrors = options.maxErrors || 100;
+
+    /**
+     * The amount of rows that were loaded successfully.
+     * @type {Number}
+     */
+    this.loadedRows = 0;
+
+    /**
+     * The amount of rows that could not be loaded.
+     * @type {Number}
+     */
+    this.failedRows = 0;
+
+    /**
+     * The amount of batches (or single row executions) that were executed successfully, without considering the
+     * retries.
+     * @type {Number}
+     */
+    this.totalBatches = 0;
+
+    /**
+     * The amount of batches (or single row executions) that failed after all the retries.
+     * @type {Number}
+     */
+    this.failedBatches = 0;
+
+    /**
+     * An Array containing the information of the rows that could not be loaded, up to <code>maxErrors</code> items:
+     * the index of the row in the input, the parameters and the error of the last execution attempt.
+     * @type {Array<{index: Number, params: Array, error: Error}>}
+     */
+    this.failures = [];
+  }
+
+  /** @ignore */
+  setLoaded(rowLength) {
+    this.totalBatches++;
+    this.loadedRows += rowLength;
+  }
+
+  /** @ignore */
+  setBatchFailed() {
+    this.failedBatches++;
+  }
+
+  /**
+   * Internal method to set the error of the rows.
+   * @ignore
+   */
+  setErrors(rows, error) {
+    this.failedRows += rows.length;
+
+    for (const row of rows) {
+      if (this.failures.length >= this._maxErrors) {
+        break;
+      }
+
+      this.failures.push({ index: row.index, params: row.params, error });
+    }
+  }
+}
+
+module.exports = { BulkLoader, BulkLoadResult };
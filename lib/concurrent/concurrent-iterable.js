@@ -0,0 +1,385 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { Stream } = require('stream');
+const errors = require('../errors');
+const utils = require('../utils');
+
+const asyncIteratorSymbol = Symbol.asyncIterator || '@@asyncIterator';
+
+/**
+ * Represents the results of executions made concurrently, that are yielded as each execution completes.
+ * <p>
+ *   Instances of this class are returned by [iterateConcurrent()]{@link module:concurrent~iterateConcurrent}, you
+ *   should not create instances of this class directly.
+ * </p>
+ * <p>
+ *   The parameters are only read while the amount of results that are in-flight or waiting to be yielded is lower
+ *   than <code>maxBufferedResults</code>, so memory usage remains constant regardless of the amount of items.
+ *   Breaking out of the <code>for await...of</code> loop stops reading the parameters.
+ * </p>
+ * @alias module:concurrent~ConcurrentIterable
+ * @example
+ * const iterable = iterateConcurrent(client, query, parameters, { preserveOrder: true });
+ * for await (const item of iterable) {
+ *   console.log(item.index, item.resultSet.rowLength);
+ * }
+ */
+class ConcurrentIterable {
+  /**
+   * Creates a new instance of {@link ConcurrentIterable}.
+   * @param {Client} client
+   * @param {String|null} query The query or null when the parameters contain the query.
+   * @param {Array|Stream|AsyncIterable} parameters
+   * @param {Object} [options]
+   * @ignore
+   */
+  constructor(client, query, parameters, options) {
+    this._client = client;
+    this._query = query;
+    this._parameters = parameters;
+    this._options = options || utils.emptyObject;
+    this._iterating = false;
+  }
+
+  /**
+   * Gets the async iterator for the execution results.
+   * <p>Each instance can only be iterated once.</p>
+   * @alias module:concurrent~ConcurrentIterable#@@asyncIterator
+   * @returns {AsyncIterator<ExecutionResult>}
+   */
+  [asyncIteratorSymbol]() {
+    if (this._iterating) {
+      throw new errors.DriverError('ConcurrentIterable instances can only be iterated once');
+    }
+
+    this._iterating = true;
+    return new ConcurrentIterator(this._client, this._query, this._parameters, this._options);
+  }
+}
+
+/**
+ * Executes the items read from the source concurrently and yields the results, optionally in the order of the source.
+ * @ignore
+ */
+class ConcurrentIterator {
+  /**
+   * @param {Client} client
+   * @param {String|null} query
+   * @param {Array|Stream|AsyncIterable} parameters
+   * @param {Object} options
+   */
+  constructor(client, query, parameters, options) {
+    this._client = client;
+    this._query = query;
+    this._source = getSourceIterator(parameters);
+    this._concurrencyLevel = options.concurrencyLevel || 100;
+    this._maxBufferedResults = Math.max(options.maxBufferedResults || this._concurrencyLevel * 2, 1);
+    this._preserveOrder = options.preserveOrder === true;
+    this._raiseOnFirstError = options.raiseOnFirstError !== false;
+    this._queryOptions = { prepare: true, executionProfile: options.executionProfile };
+
+    /**
+     * The results waiting to be yielded: by index when preserving the order, in order of completion otherwise.
+     * @type {Map<Number, ExecutionResult>|Array<ExecutionResult>}
+     */
+    this._results = this._preserveOrder ? new Map() : [];
+    this._waiting = [];
+    this._inFlight = 0;
+    this._readIndex = 0;
+    this._yielded = 0;
+    this._reading = false;
+    this._readEnded = false;
+    this._closed = false;
+    this._error = null;
+  }
+
+  next() {
+    return new Promise((resolve, reject) => {
+      this._waiting.push({ resolve, reject });
+      this._yieldResults();
+      this._read();
+    });
+  }
+
+  /**
+   * Invoked when the iteration is stopped, for example, using break within a for await...of loop.
+   */
+  return() {
+    this._close();
+    this._yieldResults();
+    return Promise.resolve({ done: true });
+  }
+
+  /**
+   * Reads from the source one item at a time, while the amount of results being processed is below the limits.
+   * @private
+   */
+  _read() {
+    if (this._reading || this._readEnded || this._closed || this._inFlight >= this._concurrencyLevel ||
+      this._readIndex - this._yielded >= this._maxBufferedResults) {
+      return;
+    }
+
+    this._reading = true;
+
+    this._source.next()
+      .then(item => {
+        this._reading = false;
+
+        if (this._closed) {
+          return;
+        }
+
+        if (item.done) {
+          this._readEnded = true;
+          this._yieldResults();
+          return;
+        }
+
+        this._executeOne(this._readIndex++, item.value);
+        this._read();
+      })
+      .catch(err => {
+        this._reading = false;
+        this._setError(err);
+      });
+  }
+
+  _executeOne(index, item) {
+    let query = this._query;
+    let params = item;
+
+    if (query === null) {
+      query = item && item.query;
+      params = item && item.params;
+    } else if (!Array.isArray(params)) {
+      return this._setError(new TypeError('parameters should be composed of Array instances'));
+    }
+
+    this._inFlight++;
+
+    this._client.execute(query, params, this._queryOptions)
+      .then(
+        rs => this._setResult(index, { index, params, resultSet: rs, error: null }),
+        err => {
+          if (this._raiseOnFirstError) {
+            this._inFlight--;
+            return this._setError(err);
+          }
+
+          this._setResult(index, { index, params, resultSet: null, error: err });
+        });
+  }
+
+  _setResult(index, result) {
+    this._inFlight--;
+
+    if (this._closed) {
+      return;
+    }
+
+    if (this._preserveOrder) {
+      this._results.set(index, result);
+    } else {
+      this._results.push(result);
+    }
+
+    this._yieldResults();
+    this._read();
+  }
+
+  /**
+   * Fulfills the pending next() calls with the results that are ready to be yielded.
+   * @private
+   */
+  _yieldResults() {
+    while (this._waiting.length > 0) {
+      if (this._error !== null) {
+        // The error is surfaced once, the following calls signal the end of the iteration
+        const err = this._error;
+        this._error = null;
+        this._waiting.shift().reject(err);
+        continue;
+      }
+
+      const result = this._closed ? undefined : this._takeResult();
+
+      if (result !== undefined) {
+        this._waiting.shift().resolve({ done: false, value: result });
+        continue;
+      }
+
+      if (this._closed || (this._readEnded && this._inFlight === 0)) {
+        this._waiting.shift().resolve({ done: true });
+        continue;
+      }
+
+      break;
+    }
+  }
+
+  _takeResult() {
+    let result;
+
+    if (this._preserveOrder) {
+      result = this._results.get(this._yielded);
+      this._results.delete(this._yielded);
+    } else {
+      result = this._results.shift();
+    }
+
+    if (result !== undefined) {
+      this._yielded++;
+    }
+
+    return result;
+  }
+
+  _setError(err) {
+    if (this._closed) {
+      return;
+    }
+
+    this._close();
+    this._error = err;
+    this._yieldResults();
+  }
+
+  _close() {
+    if (this._closed) {
+      return;
+    }
+
+    this._closed = true;
+    this._results = this._preserveOrder ? new Map() : [];
+
+    if (typeof this._source.return === 'function') {
+      // Release the resources of the source, i.e., destroy the stream
+      Promise.resolve()
+        .then(() => this._source.return())
+        .catch(utils.noop);
+    }
+  }
+}
+
+/**
+ * Gets an async iterator from an Array, a Stream or an AsyncIterable.
+ * @param {Array|Stream|AsyncIterable} parameters
+ * @returns {AsyncIterator}
+ * @private
+ */
+function getSourceIterator(parameters) {
+  if (Array.isArray(parameters)) {
+    const iterator = parameters[Symbol.iterator]();
+    return { next: () => Promise.resolve(iterator.next()) };
+  }
+
+  if (parameters instanceof Stream) {
+    return getStreamIterator(parameters);
+  }
+
+  return parameters[asyncIteratorSymbol]();
+}
+
+/**
+ * Gets an async iterator that reads the items of a readable stream one at a time.
+ * <p>
+ *   Readable streams don't implement the async iteration protocol on Node.js versions below 10, so the stream is
+ *   read in paused mode instead.
+ * </p>
+ * @param {Stream} stream
+ * @returns {AsyncIterator}
+ * @private
+ */
+function getStreamIterator(stream) {
+  let ended = false;
+  let error = null;
+  let pending = null;
+
+  function read() {
+    if (pending === null) {
+      return;
+    }
+
+    const { resolve, reject } = pending;
+
+    if (error !== null) {
+      pending = null;
+      return reject(error);
+    }
+
+    const item = stream.read();
+
+    if (item !== null) {
+      pending = null;
+      return resolve({ value: item, done: false });
+    }
+
+    if (ended) {
+      pending = null;
+      resolve({ value: undefined, done: true });
+    }
+  }
+
+  function onEnd() {
+    ended = true;
+    read();
+  }
+
+  function onError(err) {
+    error = err;
+    read();
+  }
+
+  stream
+    .on('readable', read)
+    .on('end', onEnd)
+    .on('error', onError);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+      read();
+    }),
+    return: () => {
+      stream
+        .removeListener('readable', read)
+        .removeListener('end', onEnd)
+        .removeListener('error', onError);
+
+      if (!ended && typeof stream.destroy === 'function') {
+        stream.destroy();
+      }
+
+      return Promise.resolve({ value: undefined, done: true });
+    }
+  };
+}
+
+/**
+ * Determines whether the value implements the async iteration protocol.
+ * @param {*} value
+ * @returns {Boolean}
+ * @ignore
+ */
+function isAsyncIterable(value) {
+  return value !== null && typeof value === 'object' && typeof value[asyncIteratorSymbol] === 'function';
+}
+
+module.exports = { ConcurrentIterable, ConcurrentIterator, isAsyncIterable };
@@ -14,7 +14,7 @@
  * limitations under the License.
  */
 
-import { Client } from '../../';
+import { Client, types } from '../../';
 import { Readable } from 'stream';
 
 export namespace concurrent {
@@ -35,11 +35,66 @@ export namespace concurrent {
   function executeConcurrent(
     client: Client,
     query: string,
-    parameters: any[][]|Readable,
+    parameters: any[][]|Readable|AsyncIterable<any[]>,
     options?: Options): Promise<ResultSetGroup>;
 
   function executeConcurrent(
     client: Client,
     queries: Array<{query: string, params: any[]}>,
     options?: Options): Promise<ResultSetGroup>;
+
+  interface ExecutionResult {
+    error: Error | null;
+    index: number;
+    params: any;
+    resultSet: types.ResultSet | null;
+  }
+
+  interface ConcurrentIterable extends AsyncIterable<ExecutionResult> {
+
+  }
+
+  type IterateOptions = {
+    concurrencyLevel?: number;
+    executionProfile?: string;
+    maxBufferedResults?: number;
+    preserveOrder?: boolean;
+    raiseOnFirstError?: boolean;
+  }
+
+  function iterateConcurrent(
+    client: Client,
+    query: string,
+    parameters: any[][]|Readable|AsyncIterable<any[]>,
+    options?: IterateOptions): ConcurrentIterable;
+
+  function iterateConcurrent(
+    client: Client,
+    queries: Array<{query: string, params: any[]}>,
+    options?: IterateOptions): ConcurrentIterable;
+
+  interface BulkLoadResult {
+    failedBatches: number;
+    failedRows: number;
+    failures: Array<{ index: number, params: any[], error: Error }>;
+    loadedRows: number;
+    totalBatches: number;
+  }
+
+  type BulkLoadOptions = {
+    concurrencyLevel?: number;
+    executionProfile?: string;
+    maxBatchBytes?: number;
+    maxBatchSize?: number;
+    maxErrors?: number;
+    maxRetries?: number;
+    raiseOnFirstError?: boolean;
+    retryDelay?: number;
+  }
+
+  function bulkLoad(
+    client: Client,
+    query: string,
+    rows: any[][]|Readable,
+    options?: BulkLoadOptions): Promise<BulkLoadResult>;
 }
\ No newline at end of file
@@ -18,6 +18,8 @@
 
 const { Stream } = require('stream');
 const utils = require('../utils');
+const { BulkLoader, BulkLoadResult } = require('./bulk-loader');
+const { ConcurrentIterable, ConcurrentIterator, isAsyncIterable } = require('./concurrent-iterable');
 
 /**
  * Utilities for concurrent query execution with the DataStax Node.js Driver.
@@ -29,9 +31,9 @@ const utils = require('../utils');
  * @static
  * @param {Client} client The {@link Client} instance.
  * @param {String|Array<{query, params}>} query The query to execute per each parameter item.
- * @param {Array<Array>|Stream|Object} parameters An {@link Array} or a readable {@link Stream} composed of {@link Array}
- * items representing each individual set of parameters. Per each item in the {@link Array} or {@link Stream}, an
- * execution is going to be made.
+ * @param {Array<Array>|Stream|AsyncIterable|Object} parameters An {@link Array}, a readable {@link Stream} or an
+ * <code>AsyncIterable</code> composed of {@link Array} items representing each individual set of parameters. Per each
+ * item in the {@link Array}, {@link Stream} or <code>AsyncIterable</code>, an execution is going to be made.
  * @param {Object} [options] The execution options.
  * @param {String} [options.executionProfile] The execution profile to be used.
  * @param {Number} [options.concurrencyLevel=100] The concurrency level to determine the maximum amount of in-flight
@@ -52,6 +54,14 @@ const utils = require('../utils');
  * @example <caption>Using a fixed query and a readable stream</caption>
  * const stream = csvStream.pipe(transformLineToArrayStream);
  * const result = await executeConcurrent(client, query, stream);
+ * @example <caption>Using a fixed query and an async generator</caption>
+ * async function* getParameters() {
+ *   for await (const line of lines) {
+ *     yield line.split(',');
+ *   }
+ * }
+ *
+ * const result = await executeConcurrent(client, query, getParameters());
  * @example <caption>Using a different queries</caption>
  * const queryAndParameters = [
  *   { query: 'INSERT INTO videos (id, name, user_id) VALUES (?, ?, ?)',
@@ -78,7 +88,11 @@ function executeConcurrent(client, query, parameters, options) {
       return new StreamBasedExecutor(client, query, parameters, options).execute();
     }
 
-    throw new TypeError('parameters should be an Array or a Stream instance');
+    if (isAsyncIterable(parameters)) {
+      return new AsyncIterableExecutor(client, query, parameters, options).execute();
+    }
+
+    throw new TypeError('parameters should be an Array, a Stream or an AsyncIterable instance');
   }
 
   if (Array.isArray(query)) {
@@ -89,6 +103,118 @@ function executeConcurrent(client, query, parameters, options) {
   throw new TypeError('A string query or query and parameters array should be provided');
 }
 
+/**
+ * Executes multiple queries concurrently at the defined concurrency level, yielding the result of each execution
+ * as an async iterator, instead of collecting all of them.
+ * <p>
+ *   The parameters are read lazily while iterating: the amount of executions that are in-flight or waiting to be
+ *   consumed is limited by <code>maxBufferedResults</code>, which allows processing large amounts of items with
+ *   constant memory usage.
+ * </p>
+ * <p>
+ *   By default, the results are yielded in order of completion. When <code>preserveOrder</code> is set, the results
+ *   are yielded in the same order of the parameters, using <code>maxBufferedResults</code> as the size of the reorder
+ *   buffer: when an execution takes longer, the following items are not read until its result is yielded.
+ * </p>
+ * @static
+ * @param {Client} client The {@link Client} instance.
+ * @param {String|Array<{query, params}>} query The query to execute per each parameter item.
+ * @param {Array<Array>|Stream|AsyncIterable|Object} parameters An {@link Array}, a readable {@link Stream} or an
+ * <code>AsyncIterable</code> composed of {@link Array} items representing each individual set of parameters.
+ * @param {Object} [options] The execution options.
+ * @param {String} [options.executionProfile] The execution profile to be used.
+ * @param {Number} [options.concurrencyLevel=100] The concurrency level to determine the maximum amount of in-flight
+ * operations at any given time.
+ * @param {Number} [options.maxBufferedResults] The maximum amount of executions that can be in-flight or waiting to be
+ * yielded at any given time. Defaults to twice the concurrency level.
+ * @param {Boolean} [options.preserveOrder=false] Determines whether the results should be yielded in the same order
+ * of the parameters.
+ * @param {Boolean} [options.raiseOnFirstError=true] Determines whether the iteration should stop after the first
+ * failed execution, throwing the corresponding error. When set to <code>false</code>, the failed executions are
+ * yielded with the <code>error</code> property set.
+ * @returns {ConcurrentIterable} An async iterable of {@link ExecutionResult}.
+ * @example <caption>Streaming the results of an async generator</caption>
+ * const iterable = iterateConcurrent(client, query, getParameters(), { preserveOrder: true });
+ *
+ * for await (const item of iterable) {
+ *   output.write(item.resultSet.first());
+ * }
+ */
+function iterateConcurrent(client, query, parameters, options) {
+  if (!client) {
+    throw new TypeError('Client instance is not defined');
+  }
+
+  if (typeof query === 'string') {
+    if (!Array.isArray(parameters) && !(parameters instanceof Stream) && !isAsyncIterable(parameters)) {
+      throw new TypeError('parameters should be an Array, a Stream or an AsyncIterable instance');
+    }
+
+    return new ConcurrentIterable(client, query, parameters, options);
+  }
+
+  if (Array.isArray(query)) {
+    return new ConcurrentIterable(client, null, query, parameters);
+  }
+
+  throw new TypeError('A string query or query and parameters array should be provided');
+}
+
+/**
+ * Loads the rows into a table using a single insert query, grouping the rows that belong to the same partition into
+ * small unlogged batches that are routed to a replica of the partition.
+ * <p>
+ *   The query is prepared and the token of each row is calculated from the values of the partition keys, the rows
+ *   are only grouped with other rows of the same partition to avoid the coordination overhead of multi-partition
+ *   batches.
+ * </p>
+ * <p>
+ *   The executions that fail are retried up to <code>maxRetries</code> times, after that the rows contained in the
+ *   batch are reported as failed in the result.
+ * </p>
+ * @static
+ * @param {Client} client The {@link Client} instance.
+ * @param {String} query The insert query containing all the partition keys as parameters.
+ * @param {Array<Array>|Stream} rows An {@link Array} or a readable {@link Stream} in object mode composed of
+ * {@link Array} items representing the parameters of each row.
+ * @param {Object} [options] The bulk load options.
+ * @param {String} [options.executionProfile] The execution profile to be used.
+ * @param {Number} [options.concurrencyLevel=32] The maximum amount of in-flight batches at any given time.
+ * @param {Number} [options.maxBatchSize=20] The maximum amount of rows per batch.
+ * @param {Number} [options.maxBatchBytes=5120] The maximum size in bytes of the encoded parameters of a batch. A
+ * row that exceeds the size by itself is executed on its own.
+ * @param {Number} [options.maxRetries=1] The amount of times a failed batch is retried before considering its rows
+ * as failed.
+ * @param {Number} [options.retryDelay=0] The amount of milliseconds to wait before retrying a batch.
+ * @param {Boolean} [options.raiseOnFirstError=false] Determines whether the load should stop after the first row
+ * that could not be loaded, rejecting the returned promise with the corresponding error.
+ * @param {Number} [options.maxErrors=100] The maximum amount of failed rows to be collected in the result.
+ * @returns {Promise<BulkLoadResult>} A <code>Promise</code> of {@link BulkLoadResult} that is resolved when all the
+ * rows were processed.
+ * @example
+ * const query = 'INSERT INTO sensor_data (sensor_id, ts, value) VALUES (?, ?, ?)';
+ * const result = await bulkLoad(client, query, rows, { maxRetries: 2 });
+ *
+ * for (const failure of result.failures) {
+ *   console.log(`Row ${failure.index} could not be loaded`, failure.error);
+ * }
+ */
+function bulkLoad(client, query, rows, options) {
+  if (!client) {
+    throw new TypeError('Client instance is not defined');
+  }
+
+  if (typeof query !== 'string') {
+    throw new TypeError('A string query should be provided');
+  }
+
+  if (!Array.isArray(rows) && !(rows instanceof Stream)) {
+    throw new TypeError('rows should be an Array or a Stream instance');
+  }
+
+  return new BulkLoader(client, query, rows, options).execute();
+}
+
 /**
  * Wraps the functionality to execute given an Array.
  * @ignore
@@ -273,6 +399,68 @@ class StreamBasedExecutor {
   }
 }
 
+/**
+ * Wraps the functionality to execute given an AsyncIterable.
+ * @ignore
+ */
+class AsyncIterableExecutor {
+
+  /**
+   * @param {Client} client
+   * @param {String} query
+   * @param {AsyncIterable} iterable
+   * @param {Object} [options] The execution options.
+   * @private
+   */
+  constructor(client, query, iterable, options) {
+    options = options || utils.emptyObject;
+    this._raiseOnFirstError = options.raiseOnFirstError !== false;
+    this._result = new ResultSetGroup(options);
+    const concurrencyLevel = options.concurrencyLevel || 100;
+
+    // The results are collected as soon as they are yielded, there's no need to buffer more than the in-flight ones
+    this._iterator = new ConcurrentIterator(client, query, iterable, {
+      concurrencyLevel,
+      maxBufferedResults: concurrencyLevel,
+      executionProfile: options.executionProfile,
+      raiseOnFirstError: false
+    });
+  }
+
+  async execute() {
+    while (true) {
+      const item = await this._iterator.next();
+
+      if (item.done) {
+        return this._result;
+      }
+
+      const executionResult = item.value;
+
+      if (executionResult.error === null) {
+        this._result.setResultItem(executionResult.index, executionResult.resultSet);
+        continue;
+      }
+
+      this._result.setError(executionResult.index, executionResult.error);
+
+      if (this._raiseOnFirstError) {
+        await this._iterator.return();
+        throw executionResult.error;
+      }
+    }
+  }
+}
+
+/**
+ * Represents the result of an individual execution yielded by a {@link ConcurrentIterable}.
+ * @typedef {Object} ExecutionResult
+ * @property {Number} index The position of the parameters in the input.
+ * @property {Array|Object} params The parameters used for the execution.
+ * @property {ResultSet|null} resultSet The result of the execution or <code>null</code> when it failed.
+ * @property {Error|null} error The error of the execution or <code>null</code> when it succeeded.
+ */
+
 /**
  * Represents results from different related executions.
  */
@@ -332,4 +520,8 @@ class ResultSetGroup {
 }
 
 exports.executeConcurrent = executeConcurrent;
-exports.ResultSetGroup = ResultSetGroup;
\ No newline at end of file
+exports.iterateConcurrent = iterateConcurrent;
+exports.bulkLoad = bulkLoad;
+exports.ResultSetGroup = ResultSetGroup;
+exports.BulkLoadResult = BulkLoadResult;
+exports.ConcurrentIterable = ConcurrentIterable;
\ No newline at end of file
@@ -148,6 +148,11 @@ class Connection extends events.EventEmitter {
     });
 
     this.protocol = new streams.Protocol({ objectMode: true });
+    this.protocol.on('error', err => {
+      // The data received can not be decoded (ie: checksum mismatch), the connection can not be used anymore
+      this.log('error', `Received invalid data from ${this.endpointFriendlyName}, closing connection`, err);
+      this.netClient.destroy(err);
+    });
     this.parser = new streams.Parser({ objectMode: true }, this.encoder);
     const resultEmitter = new streams.ResultEmitter({objectMode: true});
     resultEmitter.on('result', this.handleResult.bind(this));
@@ -226,13 +231,18 @@ class Connection extends events.EventEmitter {
     }
 
     const self = this;
+    const compressor = this._getCompressor();
     const request = new requests.StartupRequest({
       noCompact: this.options.protocolOptions.noCompact,
       clientId: this.options.id,
       applicationName: this.options.applicationName,
-      applicationVersion: this.options.applicationVersion
+      applicationVersion: this.options.applicationVersion,
+      compression: compressor !== null ? compressor.algorithm : undefined
     });
 
+    // The server might compress the responses once the compression is negotiated
+    this.protocol.compressor = compressor;
+
     this.sendStream(request, null, function responseCallback(err, response) {
       if (err && self._checkingVersion) {
         let invalidProtocol = (err instanceof errors.ResponseError &&
@@ -247,6 +257,13 @@ class Connection extends events.EventEmitter {
             err.message.indexOf('ProtocolException: Invalid or unsupported protocol version') > 0);
         }
 
+        if (!invalidProtocol) {
+          // Cassandra 3.x considers protocol v5 as a beta version
+          invalidProtocol = (err instanceof errors.ResponseError &&
+            err.code === types.responseErrorCodes.protocolError &&
+            err.message.indexOf('Beta version of the protocol used') >= 0);
+        }
+
         if (invalidProtocol) {
           // The server can respond with a message using the lower protocol version supported
           // or using the same version as the one provided
@@ -283,6 +300,13 @@ class Connection extends events.EventEmitter {
         }
       }
 
+      if (!err && types.protocolVersion.usesSegments(self.protocolVersion)) {
+        // Following messages (including authentication) are exchanged using the framing format
+        self.writeQueue.enableSegments(compressor);
+      } else if (!err && compressor !== null) {
+        self.writeQueue.enableCompression(compressor);
+      }
+
       if (response && response.mustAuthenticate) {
         return self.startAuthenticating(response.authenticatorName, startupCallback);
       }
@@ -299,6 +323,28 @@ class Connection extends events.EventEmitter {
     }
   }
 
+  /**
+   * Gets the compressor to use for this connection, based on the client options and the protocol version.
+   * @returns {Compressor|null}
+   * @private
+   */
+  _getCompressor() {
+    const compressor = this.options.protocolOptions.compression;
+
+    if (!compressor) {
+      return null;
+    }
+
+    if (types.protocolVersion.usesSegments(this.protocolVersion) && compressor.algorithm !== 'lz4') {
+      // Starting from protocol v5, only LZ4 compression is supported
+      this.log('warning', `${compressor.algorithm} compression is not supported by protocol version ` +
+        `${this.protocolVersion}, the connection will not be compressed`);
+      return null;
+    }
+
+    return compressor;
+  }
+
   errorConnecting(err, destroy, callback) {
     this.log('warning', `There was an error when trying to connect to the host ${this.endpointFriendlyName}`, err);
     if (destroy) {
@@ -331,6 +331,7 @@ class ControlConnection extends events.EventEmitter {
    */
   async _createConnection(contactPoint) {
     const c = new Connection(contactPoint, null, this.options);
+    const initialVersion = c.protocolVersion;
 
     try {
       await c.openAsync();
@@ -339,6 +340,11 @@ class ControlConnection extends events.EventEmitter {
       throw err;
     }
 
+    if (c.protocolVersion !== initialVersion) {
+      this.emit('protocolVersionChange', c.endpoint, initialVersion, c.protocolVersion,
+        'Protocol version not supported by the host');
+    }
+
     return c;
   }
 
@@ -379,7 +385,8 @@ class ControlConnection extends events.EventEmitter {
     if (!this.initialized) {
       // resolve protocol version from highest common version among hosts.
       const highestCommon = types.protocolVersion.getHighestCommon(c, this.hosts);
-      const reconnect = highestCommon !== this.protocolVersion;
+      const previousVersion = this.protocolVersion;
+      const reconnect = highestCommon !== previousVersion;
 
       // set protocol version on each host.
       this.protocolVersion = highestCommon;
@@ -389,6 +396,8 @@ class ControlConnection extends events.EventEmitter {
       if (reconnect) {
         this.log('info', `Reconnecting since the protocol version changed to 0x${highestCommon.toString(16)}`);
         c.decreaseVersion(this.protocolVersion);
+        this.emit('protocolVersionChange', c.endpoint, previousVersion, highestCommon,
+          'Protocol version not supported by all the hosts in the cluster');
         await c.closeAsync();
 
         try {
@@ -617,7 +626,11 @@ class ControlConnection extends events.EventEmitter {
       return;
     }
 
-    promiseUtils.toBackground(this.handleSchemaChange(event, false));
+    // Capture the metadata before the cached state is cleared
+    const previous = this.metadata.getLoadedSchemaObject(event);
+
+    promiseUtils.toBackground(
+      this.handleSchemaChange(event, false).then(() => this.emit('schemaChange', event, previous)));
   }
 
   /**
@@ -655,6 +668,8 @@ class ControlConnection extends events.EventEmitter {
       handler = function clearTableState() {
         delete ksInfo.tables[event.table];
         delete ksInfo.views[event.table];
+        // The table can be a view or the base table of a view
+        delete ksInfo.viewNames;
       };
     }
     else if (event.udt) {
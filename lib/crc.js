@@ -0,0 +1,89 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Checksum functions used by the protocol v5 framing format.
+ * @module crc
+ * @ignore
+ */
+
+const crc24Init = 0x875060;
+const crc24Poly = 0x1974F0B;
+
+/**
+ * Bytes that the protocol prepends to each payload before calculating the CRC32 value.
+ * @type {Buffer}
+ */
+const crc32InitialBytes = Buffer.from([ 0xfa, 0x2d, 0x55, 0xca ]);
+
+const crc32Table = (function buildCrc32Table() {
+  const table = new Int32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let j = 0; j < 8; j++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[i] = c;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC24 value of a segment header, processing the bytes in little-endian order.
+ * @param {Buffer} buffer
+ * @param {Number} offset
+ * @param {Number} length
+ * @returns {Number}
+ */
+function crc24(buffer, offset, length) {
+  let crc = crc24Init;
+  for (let i = offset; i < offset + length; i++) {
+    crc ^= buffer[i] << 16;
+    for (let j = 0; j < 8; j++) {
+      crc <<= 1;
+      if (crc & 0x1000000) {
+        crc ^= crc24Poly;
+      }
+    }
+  }
+  return crc;
+}
+
+/**
+ * Computes the CRC32 value of a segment payload, as defined by the protocol (the standard CRC32 value of the
+ * payload prefixed by 4 fixed bytes).
+ * @param {Buffer} buffer
+ * @param {Number} [offset]
+ * @param {Number} [length]
+ * @returns {Number} An unsigned 32-bit integer.
+ */
+function crc32(buffer, offset, length) {
+  offset = offset || 0;
+  length = length === undefined ? buffer.length - offset : length;
+  let crc = updateCrc32(-1, crc32InitialBytes, 0, crc32InitialBytes.length);
+  crc = updateCrc32(crc, buffer, offset, offset + length);
+  return (crc ^ -1) >>> 0;
+}
+
+function updateCrc32(crc, buffer, start, end) {
+  for (let i = start; i < end; i++) {
+    crc = crc32Table[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return crc;
+}
+
+module.exports = { crc24, crc32 };
@@ -60,7 +60,8 @@ const complexTypeNames = Object.freeze({
   reversed  : 'org.apache.cassandra.db.marshal.ReversedType',
   composite : 'org.apache.cassandra.db.marshal.CompositeType',
   empty     : 'org.apache.cassandra.db.marshal.EmptyType',
-  collection: 'org.apache.cassandra.db.marshal.ColumnToCollectionType'
+  collection: 'org.apache.cassandra.db.marshal.ColumnToCollectionType',
+  vector    : 'org.apache.cassandra.db.marshal.VectorType'
 });
 const cqlNames = Object.freeze({
   frozen: 'frozen',
@@ -69,7 +70,8 @@ const cqlNames = Object.freeze({
   map: 'map',
   tuple: 'tuple',
   empty: 'empty',
-  duration: 'duration'
+  duration: 'duration',
+  vector: 'vector'
 });
 const singleTypeNames = Object.freeze({
   'org.apache.cassandra.db.marshal.UTF8Type':           dataTypes.varchar,
@@ -105,6 +107,26 @@ const customTypeNames = Object.freeze({
   dateRange: 'org.apache.cassandra.db.marshal.DateRangeType'
 });
 
+/**
+ * The serialized size of the types that have a fixed length, used to determine whether the elements of a vector are
+ * prefixed by their length.
+ * @private
+ * @type {Map<Number, Number>}
+ */
+const fixedLengthTypes = new Map([
+  [ dataTypes.boolean, 1 ],
+  [ dataTypes.int, 4 ],
+  [ dataTypes.float, 4 ],
+  [ dataTypes.bigint, 8 ],
+  [ dataTypes.counter, 8 ],
+  [ dataTypes.double, 8 ],
+  [ dataTypes.timestamp, 8 ],
+  [ dataTypes.date, 4 ],
+  [ dataTypes.time, 8 ],
+  [ dataTypes.uuid, 16 ],
+  [ dataTypes.timeuuid, 16 ]
+]);
+
 const nullValueBuffer = utils.allocBufferFromArray([255, 255, 255, 255]);
 const unsetValueBuffer = utils.allocBufferFromArray([255, 255, 255, 254]);
 
@@ -185,7 +207,36 @@ function defineInstanceMembers() {
   this.decodeBlob = function (bytes) {
     return this.handleBuffer(bytes);
   };
+  // Parsed vector type information by fully-qualified type name
+  const vectorTypes = new Map();
+
+  /**
+   * Gets the vector type information from the custom type info, when it represents a vector.
+   * @param {String|Object} typeInfo
+   * @returns {{subtype: {code: Number, info: *}, dimension: Number}|null}
+   * @private
+   */
+  this._getVectorInfo = function (typeInfo) {
+    if (typeInfo !== null && typeof typeInfo === 'object') {
+      // Vectors are the only custom types that are represented with an object, i.e., when using type hints
+      return typeInfo;
+    }
+    if (typeof typeInfo !== 'string' || typeInfo.indexOf(complexTypeNames.vector) !== 0) {
+      return null;
+    }
+    let vectorInfo = vectorTypes.get(typeInfo);
+    if (vectorInfo === undefined) {
+      vectorInfo = this.parseFqTypeName(typeInfo).info;
+      vectorTypes.set(typeInfo, vectorInfo);
+    }
+    return vectorInfo;
+  };
+
   this.decodeCustom = function (bytes, typeName) {
+    const vectorInfo = this._getVectorInfo(typeName);
+    if (vectorInfo !== null) {
+      return this.decodeVector(bytes, vectorInfo);
+    }
     const handler = customDecoders[typeName];
     if (handler) {
       return handler.call(this, bytes);
@@ -387,6 +438,45 @@ function defineInstanceMembers() {
     return types.Tuple.fromArray(elements);
   };
 
+  /**
+   * @param {Buffer} bytes
+   * @param {{subtype: {code: Number, info: *}, dimension: Number}} vectorInfo
+   * @returns {Vector}
+   * @private
+   */
+  this.decodeVector = function (bytes, vectorInfo) {
+    const subtype = vectorInfo.subtype;
+    const dimension = vectorInfo.dimension;
+    const elementLength = fixedLengthTypes.get(subtype.code);
+
+    if (elementLength !== undefined && bytes.length !== elementLength * dimension) {
+      throw new TypeError(`Expected a buffer of ${elementLength * dimension} bytes for a vector of ${dimension} ` +
+        `elements, obtained ${bytes.length}`);
+    }
+
+    if (subtype.code === dataTypes.float) {
+      const elements = new Float32Array(dimension);
+      for (let i = 0; i < dimension; i++) {
+        elements[i] = bytes.readFloatBE(i * 4);
+      }
+      return new types.Vector(elements, 'float');
+    }
+
+    const elements = new Array(dimension);
+    const offset = { value: 0 };
+
+    for (let i = 0; i < dimension; i++) {
+      let length = elementLength;
+      if (length === undefined) {
+        length = readUnsignedVInt(bytes, offset);
+      }
+      elements[i] = this.decode(bytes.slice(offset.value, offset.value + length), subtype);
+      offset.value += length;
+    }
+
+    return new types.Vector(elements, types.getDataTypeNameByCode(subtype));
+  };
+
   //Encoding methods
   this.encodeFloat = function (value) {
     if (typeof value === 'string') {
@@ -696,6 +786,10 @@ function defineInstanceMembers() {
     return value;
   };
   this.encodeCustom = function (value, name) {
+    const vectorInfo = this._getVectorInfo(name);
+    if (vectorInfo !== null) {
+      return this.encodeVector(value, vectorInfo);
+    }
     const handler = customEncoders[name];
     if (handler) {
       return handler.call(this, value);
@@ -859,6 +953,60 @@ function defineInstanceMembers() {
     }
     return Buffer.concat(parts, totalLength);
   };
+  /**
+   * @param {Vector|Float32Array|Array} value
+   * @param {{subtype: {code: Number, info: *}, dimension: Number}} vectorInfo
+   * @returns {Buffer}
+   * @private
+   */
+  this.encodeVector = function (value, vectorInfo) {
+    const elements = value instanceof types.Vector ? value.elements : value;
+
+    if (!(elements instanceof Float32Array) && !Array.isArray(elements)) {
+      throw new TypeError('Expected Vector, Float32Array or Array, obtained ' + util.inspect(value));
+    }
+
+    if (elements.length !== vectorInfo.dimension) {
+      throw new TypeError(`Expected a vector with ${vectorInfo.dimension} elements, obtained ${elements.length}`);
+    }
+
+    const subtype = vectorInfo.subtype;
+
+    if (subtype.code === dataTypes.float) {
+      const buf = utils.allocBufferUnsafe(elements.length * 4);
+      for (let i = 0; i < elements.length; i++) {
+        if (typeof elements[i] !== 'number') {
+          throw new TypeError('Expected Number, obtained ' + util.inspect(elements[i]));
+        }
+        buf.writeFloatBE(elements[i], i * 4);
+      }
+      return buf;
+    }
+
+    const isFixedLength = fixedLengthTypes.has(subtype.code);
+    const parts = [];
+    let totalLength = 0;
+
+    for (let i = 0; i < elements.length; i++) {
+      const item = this.encode(elements[i], subtype);
+
+      if (item === null || item === types.unset) {
+        throw new TypeError('Vector elements can not be null or unset');
+      }
+
+      if (!isFixedLength) {
+        const lengthBuffer = getUnsignedVIntBuffer(item.length);
+        parts.push(lengthBuffer);
+        totalLength += lengthBuffer.length;
+      }
+
+      parts.push(item);
+      totalLength += item.length;
+    }
+
+    return Buffer.concat(parts, totalLength);
+  };
+
   this.encodeTuple = function (value, tupleInfo) {
     const parts = [];
     let totalLength = 0;
@@ -982,26 +1130,42 @@ function defineInstanceMembers() {
     if (!routingIndexes) {
       return;
     }
-    const parts = new Array(routingIndexes.length);
-    const encodeParam = i => {
-      const columnInfo = meta.columns[i];
-      return this.encode(params[i], columnInfo ? columnInfo.type : null);
-    };
 
-    let totalLength = 0;
+    let routingKey = null;
 
     try {
-      totalLength = this._encodeRoutingKeyParts(parts, routingIndexes, encodeParam);
+      routingKey = this.getRoutingKeyFromMeta(meta, routingIndexes, params);
     } catch (e) {
       // There was an error encoding a parameter that is part of the routing key,
       // ignore now to fail afterwards
     }
 
-    if (totalLength === 0) {
+    if (routingKey === null) {
       return;
     }
 
-    execOptions.setRoutingKey(concatRoutingKey(parts, totalLength));
+    execOptions.setRoutingKey(routingKey);
+  };
+
+  /**
+   * Gets the routing key based on the prepared statement metadata.
+   * @param {Object} meta Prepared metadata
+   * @param {Array} routingIndexes The indexes of the parameters that are part of the partition key.
+   * @param {Array} params Array of parameters
+   * @returns {Buffer|null} The routing key or null when any of the partition key parameters is not defined.
+   * @throws TypeError When a parameter that is part of the routing key can not be encoded.
+   * @internal
+   * @ignore
+   */
+  this.getRoutingKeyFromMeta = function (meta, routingIndexes, params) {
+    const parts = new Array(routingIndexes.length);
+    const encodeParam = i => {
+      const columnInfo = meta.columns[i];
+      return this.encode(params[i], columnInfo ? columnInfo.type : null);
+    };
+
+    const totalLength = this._encodeRoutingKeyParts(parts, routingIndexes, encodeParam);
+    return concatRoutingKey(parts, totalLength);
   };
 
   /**
@@ -1124,6 +1288,26 @@ function defineInstanceMembers() {
       return dataType;
     }
 
+    if (typeName.indexOf(cqlNames.vector + '<', startIndex) === startIndex) {
+      //move cursor across the name and bypass the angle brackets
+      startIndex += cqlNames.vector.length + 1;
+      length -= cqlNames.vector.length + 2;
+      innerTypes = parseParams(typeName, startIndex, length, '<', '>');
+
+      //It should contain the subtype and the dimension
+      if (innerTypes.length !== 2) {
+        throw new TypeError('Not a valid type ' + typeName);
+      }
+
+      dataType.code = dataTypes.custom;
+      dataType.customTypeName = cqlNames.vector;
+      dataType.info = {
+        subtype: await this.parseTypeName(keyspace, innerTypes[0].trim(), 0, null, udtResolver),
+        dimension: parseDimension(innerTypes[1], typeName)
+      };
+      return dataType;
+    }
+
     if (typeName.indexOf(cqlNames.tuple, startIndex) === startIndex) {
       //move cursor across the name and bypass the angle brackets
       startIndex += cqlNames.tuple.length + 1;
@@ -1297,6 +1481,22 @@ function defineInstanceMembers() {
       length -= complexTypeNames.udt.length + 2;
       return this._parseUdtName(typeName, startIndex, length);
     }
+    if (typeName.indexOf(complexTypeNames.vector, startIndex) === startIndex) {
+      //move cursor across the name and bypass the parenthesis
+      startIndex += complexTypeNames.vector.length + 1;
+      length -= complexTypeNames.vector.length + 2;
+      innerTypes = parseParams(typeName, startIndex, length);
+      if (innerTypes.length !== 2) {
+        throw new TypeError('Not a valid type ' + typeName);
+      }
+      dataType.code = dataTypes.custom;
+      dataType.customTypeName = cqlNames.vector;
+      dataType.info = {
+        subtype: this.parseFqTypeName(innerTypes[0].trim()),
+        dimension: parseDimension(innerTypes[1], typeName)
+      };
+      return dataType;
+    }
     if (typeName.indexOf(complexTypeNames.tuple, startIndex) === startIndex) {
       //move cursor across the name and bypass the parenthesis
       startIndex += complexTypeNames.tuple.length + 1;
@@ -1628,6 +1828,13 @@ Encoder.guessDataType = function (value) {
     code = dataTypes.custom;
     info = customTypeNames.duration;
   }
+  else if (value instanceof types.Vector) {
+    const subtype = value.subtype ? dataTypes.getByName(value.subtype) : Encoder.guessDataType(value.elements[0]);
+    if (subtype === null) {
+      return null;
+    }
+    return { code: dataTypes.custom, info: { subtype, dimension: value.length }, customTypeName: cqlNames.vector };
+  }
   else if (Array.isArray(value)) {
     code = dataTypes.list;
   }
@@ -1835,6 +2042,58 @@ function parseParams(value, startIndex, length, open, close) {
   return types;
 }
 
+/**
+ * Parses the dimension of a vector type.
+ * @param {String} value
+ * @param {String} typeName
+ * @returns {Number}
+ * @private
+ */
+function parseDimension(value, typeName) {
+  const dimension = parseInt(value, 10);
+  if (!(dimension > 0)) {
+    throw new TypeError('Not a valid type ' + typeName);
+  }
+  return dimension;
+}
+
+/**
+ * Gets a buffer containing the unsigned variable length integer representation of the value.
+ * @param {Number} value A non-negative 32-bit integer.
+ * @returns {Buffer}
+ * @private
+ */
+function getUnsignedVIntBuffer(value) {
+  // The amount of leading 1-bits in the first byte represents the amount of extra bytes
+  const bits = 32 - Math.clz32(value);
+  const extraBytes = bits <= 7 ? 0 : Math.min(Math.floor((bits - 1) / 7), 4);
+  const buffer = utils.allocBufferUnsafe(extraBytes + 1);
+  let remaining = value;
+  for (let i = extraBytes; i >= 0; i--) {
+    buffer[i] = remaining & 0xff;
+    remaining = Math.floor(remaining / 256);
+  }
+  buffer[0] |= ~(0xff >> extraBytes) & 0xff;
+  return buffer;
+}
+
+/**
+ * Reads an unsigned variable length integer.
+ * @param {Buffer} buffer
+ * @param {{value: Number}} offset The offset, it's moved across the bytes read.
+ * @returns {Number}
+ * @private
+ */
+function readUnsignedVInt(buffer, offset) {
+  const firstByte = buffer[offset.value++];
+  const extraBytes = Math.clz32(~(firstByte << 24));
+  let value = firstByte & (0xff >> extraBytes);
+  for (let i = 0; i < extraBytes; i++) {
+    value = value * 256 + buffer[offset.value++];
+  }
+  return value;
+}
+
 /**
  * @param {Array.<Buffer>} parts
  * @param {Number} totalLength
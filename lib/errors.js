@@ -164,12 +164,84 @@ function BusyConnectionError(address, maxRequestsPerConnection, connectionLength
 
 util.inherits(BusyConnectionError, DriverError);
 
+/**
+ * Represents an error that is raised when the execution of a request is aborted using the <code>AbortSignal</code>
+ * provided in the query options.
+ * @param {String} [message] The error message.
+ * @param {*} [reason] The abort reason of the signal, when defined.
+ * @constructor
+ */
+function AbortError(message, reason) {
+  DriverError.call(this, message || 'The operation was aborted', this.constructor);
+  this.info = 'Represents an error that is raised when the execution of a request is aborted using an AbortSignal.';
+
+  /**
+   * When defined, it gets the reason provided when aborting the signal.
+   * @type {*}
+   */
+  this.reason = reason;
+}
+
+util.inherits(AbortError, DriverError);
+
+/**
+ * Represents a client-side error that is raised when the request throttler rejects a request, for example, when the
+ * maximum amount of requests waiting to be executed was reached.
+ * @param {String} message The error message.
+ * @constructor
+ */
+function RequestThrottlingError(message) {
+  DriverError.call(this, message, this.constructor);
+  this.info = 'Represents a client-side error that is raised when a request is rejected by the request throttler.';
+}
+
+util.inherits(RequestThrottlingError, DriverError);
+
+/**
+ * Represents a client-side error that is raised when a request is executed after the {@link Client} started shutting
+ * down.
+ * @param {String} [message] The error message.
+ * @constructor
+ */
+function ClientShutdownError(message) {
+  DriverError.call(this, message || 'The Client is shutting down, new requests are not accepted', this.constructor);
+  this.info = 'Represents a client-side error that is raised when a request is executed after the Client started ' +
+    'shutting down.';
+}
+
+util.inherits(ClientShutdownError, DriverError);
+
+/**
+ * Represents an error that is raised by the Mapper when a mutation on a model with a version column was not applied
+ * because the row was modified (or created) by another operation since it was read.
+ * @param {String} message The error message.
+ * @param {Object|null} currentRow The document containing the values of the row at the moment of the mutation, as
+ * returned by the server, or <code>null</code> when the row does not exist.
+ * @constructor
+ */
+function OptimisticLockError(message, currentRow) {
+  DriverError.call(this, message, this.constructor);
+  this.info = 'Represents an error that is raised when a mutation on a versioned model was not applied.';
+
+  /**
+   * The document containing the current values of the row, or <code>null</code> when the row does not exist.
+   * @type {Object|null}
+   */
+  this.currentRow = currentRow;
+}
+
+util.inherits(OptimisticLockError, DriverError);
+
+exports.AbortError = AbortError;
 exports.ArgumentError = ArgumentError;
 exports.AuthenticationError = AuthenticationError;
 exports.BusyConnectionError = BusyConnectionError;
+exports.ClientShutdownError = ClientShutdownError;
 exports.DriverError = DriverError;
 exports.OperationTimedOutError = OperationTimedOutError;
+exports.OptimisticLockError = OptimisticLockError;
 exports.DriverInternalError = DriverInternalError;
 exports.NoHostAvailableError = NoHostAvailableError;
 exports.NotSupportedError = NotSupportedError;
+exports.RequestThrottlingError = RequestThrottlingError;
 exports.ResponseError = ResponseError;
\ No newline at end of file
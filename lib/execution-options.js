@@ -47,6 +47,15 @@ class ExecutionOptions {
     return new ExecutionOptions();
   }
 
+  /**
+   * Gets the <code>AbortSignal</code> that can be used to abort the execution.
+   * @abstract
+   * @returns {AbortSignal|undefined}
+   */
+  getAbortSignal() {
+
+  }
+
   /**
    * Determines if the stack trace before the query execution should be maintained.
    * @abstract
@@ -430,6 +439,10 @@ class DefaultExecutionOptions extends ExecutionOptions {
     return new DefaultExecutionOptions(queryOptions, client, rowCallback);
   }
 
+  getAbortSignal() {
+    return this._queryOptions.abortSignal;
+  }
+
   getCaptureStackTrace() {
     return ifUndefined(this._queryOptions.captureStackTrace, this._defaultQueryOptions.captureStackTrace);
   }
@@ -26,6 +26,8 @@ const clientOptions = require('./client-options');
 // Used to get the index of the connection with less in-flight requests
 let connectionIndex = 0;
 const connectionIndexOverflow = Math.pow(2, 15);
+// The default amount of time in milliseconds the pool has to be idle before closing the connections opened on demand
+const defaultScaleDownDelay = 60000;
 
 let defaultOptions;
 
@@ -72,6 +74,11 @@ class HostConnectionPool extends events.EventEmitter {
     this.options = host.options;
     this.protocolVersion = protocolVersion;
     this.coreConnectionsLength = 1;
+    // The pool grows on demand up to this amount of connections, when it's greater than the core amount
+    this.maxConnectionsLength = 1;
+    // The amount of connections expected as a result of growing and shrinking the pool on demand
+    this._scaledLength = 0;
+    this._lastBusyAt = 0;
     /**
      * An immutable array of connections
      * @type {Array.<Connection>}
@@ -109,6 +116,10 @@ class HostConnectionPool extends events.EventEmitter {
     const maxRequests = this.options.pooling.maxRequestsPerConnection;
     const c = HostConnectionPool.minInFlight(this.connections, maxRequests, previousConnection);
 
+    if (this.maxConnectionsLength > this.coreConnectionsLength) {
+      this._growIfBusy();
+    }
+
     if (c.getInFlight() >= maxRequests) {
       throw new errors.BusyConnectionError(this._address, maxRequests, this.connections.length);
     }
@@ -116,6 +127,79 @@ class HostConnectionPool extends events.EventEmitter {
     return c;
   }
 
+  /**
+   * Gets the average amount of in-flight requests per connection above which the pool is considered busy.
+   * @returns {Number}
+   * @private
+   */
+  _getInFlightThreshold() {
+    const pooling = this.options.pooling;
+    return typeof pooling.inFlightThreshold === 'number'
+      ? pooling.inFlightThreshold
+      : Math.floor(pooling.maxRequestsPerConnection / 2);
+  }
+
+  /**
+   * Schedules a new connection in the background when the average amount of in-flight requests per connection crossed
+   * the threshold and the pool did not reach the maximum size.
+   * @private
+   */
+  _growIfBusy() {
+    const length = this.connections.length;
+    if (length === 0 || this.getInFlight() / length < this._getInFlightThreshold()) {
+      return;
+    }
+
+    this._lastBusyAt = Date.now();
+
+    if (length >= this.maxConnectionsLength || this.hasScheduledNewConnection() || this.isClosing()) {
+      return;
+    }
+
+    this._scaledLength = length + 1;
+    this.log('info',
+      `Connection pool to host ${this._address} is busy, growing it to ${this._scaledLength} connections`);
+    this.scheduleNewConnectionAttempt(0);
+  }
+
+  /**
+   * Closes one idle connection when the pool grew on demand over the core size and it was not busy for longer than
+   * the scale down delay.
+   */
+  shrinkIfIdle() {
+    const length = this.connections.length;
+    if (this.maxConnectionsLength <= this.coreConnectionsLength || length <= this.coreConnectionsLength ||
+      this.isClosing()) {
+      return;
+    }
+
+    const now = Date.now();
+    const scaleDownDelay = typeof this.options.pooling.scaleDownDelay === 'number'
+      ? this.options.pooling.scaleDownDelay
+      : defaultScaleDownDelay;
+
+    if (this.getInFlight() / length >= this._getInFlightThreshold()) {
+      this._lastBusyAt = now;
+      return;
+    }
+
+    if (now - this._lastBusyAt < scaleDownDelay) {
+      return;
+    }
+
+    const idleConnection = this.connections.find(c => c.getInFlight() === 0);
+    if (!idleConnection) {
+      return;
+    }
+
+    // Remove a single connection per scale down delay
+    this._lastBusyAt = now;
+    this._scaledLength = length - 1;
+    this.log('info',
+      `Connection pool to host ${this._address} is idle, shrinking it to ${this._scaledLength} connections`);
+    this.remove(idleConnection);
+  }
+
   /**
    * Gets the connection with the minimum number of in-flight requests.
    * Only checks for 2 connections (round-robin) and gets the one with minimum in-flight requests, as long as
@@ -334,7 +418,7 @@ class HostConnectionPool extends events.EventEmitter {
 
     this._newConnectionTimeout = setTimeout(function newConnectionTimeoutExpired() {
       self._newConnectionTimeout = null;
-      if (self.connections.length >= self.coreConnectionsLength) {
+      if (self.connections.length >= self._getExpectedLength()) {
         // new connection can be scheduled while a new connection is being opened
         // the pool has the appropriate size
         return;
@@ -351,6 +435,15 @@ class HostConnectionPool extends events.EventEmitter {
     }, delay);
   }
 
+  /**
+   * Gets the amount of connections the pool should have, considering the size of the pool when it grows on demand.
+   * @returns {Number}
+   * @private
+   */
+  _getExpectedLength() {
+    return Math.max(this.coreConnectionsLength, Math.min(this._scaledLength, this.maxConnectionsLength));
+  }
+
   hasScheduledNewConnection() {
     return !!this._newConnectionTimeout || this._opening;
   }
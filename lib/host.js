@@ -62,8 +62,17 @@ class Host extends events.EventEmitter {
      */
     Object.defineProperty(this, 'pool', { value: new HostConnectionPool(this, protocolVersion), enumerable: false });
 
-    this.pool.on('open', err => promiseUtils.toBackground(this._onNewConnectionOpen(err)));
-    this.pool.on('remove', () => this._checkPoolState());
+    this.pool.on('open', err => {
+      if (!err) {
+        this._checkPoolSize('Connection opened');
+      }
+      promiseUtils.toBackground(this._onNewConnectionOpen(err));
+    });
+    this.pool.on('remove', () => {
+      this._checkPoolSize('Connection removed');
+      this._checkPoolState();
+    });
+    this.pool.on('close', () => this._checkPoolSize('Connection pool closed'));
 
     /**
      * Gets string containing the Cassandra version.
@@ -121,6 +130,8 @@ class Host extends events.EventEmitter {
     // the distance as last set using the load balancing policy
     this._distance = types.distance.ignored;
     this._healthResponseCounter = 0;
+    // the amount of connections in the pool as last notified using the 'poolResize' event
+    this._poolSize = 0;
 
     // Make some of the private instance variables not enumerable to prevent from showing when inspecting
     Object.defineProperty(this, '_metadata', { value: metadata, enumerable: false });
@@ -243,18 +254,25 @@ class Host extends events.EventEmitter {
   setDistance(distance) {
     const previousDistance = this._distance;
     this._distance = distance || types.distance.local;
-    if (this.options.pooling.coreConnectionsPerHost) {
-      this.pool.coreConnectionsLength = this.options.pooling.coreConnectionsPerHost[this._distance] || 0;
+    const pooling = this.options.pooling;
+    const minConnectionsPerHost = pooling.minConnectionsPerHost || pooling.coreConnectionsPerHost;
+    if (minConnectionsPerHost) {
+      this.pool.coreConnectionsLength = minConnectionsPerHost[this._distance] || 0;
     }
     else {
       this.pool.coreConnectionsLength = 1;
     }
+    // When the max amount of connections is greater than the core amount, the pool can grow and shrink on demand
+    this.pool.maxConnectionsLength = pooling.maxConnectionsPerHost
+      ? Math.max(pooling.maxConnectionsPerHost[this._distance] || 0, this.pool.coreConnectionsLength)
+      : this.pool.coreConnectionsLength;
     if (this._distance === previousDistance) {
       return this._distance;
     }
     if (this._healthResponseCountTimer) {
       clearInterval(this._healthResponseCountTimer);
     }
+    this.emit('distanceChange', previousDistance, this._distance);
     if (this._distance === types.distance.ignored) {
       // this host was local/remote and now must be ignored
       this.emit('ignore');
@@ -267,6 +285,7 @@ class Host extends events.EventEmitter {
       // Reset the health check timer
       this._healthResponseCountTimer = setInterval(() => {
         this._healthResponseCounter = this.pool.getAndResetResponseCounter();
+        this.pool.shrinkIfIdle();
       }, healthResponseCountInterval);
     }
     return this._distance;
@@ -380,11 +399,13 @@ class Host extends events.EventEmitter {
     if (this.pool.isClosing()) {
       return;
     }
+    let reconnecting = false;
     if (this.pool.connections.length < this.pool.coreConnectionsLength) {
       // the pool needs to grow / reconnect
       if (!this.pool.hasScheduledNewConnection()) {
         this.reconnectionDelay = this.reconnectionSchedule.next().value;
         this.pool.scheduleNewConnectionAttempt(this.reconnectionDelay);
+        reconnecting = this.pool.connections.length === 0;
       }
     }
     const shouldHaveConnections = this._distance !== types.distance.ignored && this.pool.coreConnectionsLength > 0;
@@ -392,6 +413,25 @@ class Host extends events.EventEmitter {
       // Mark as DOWN, if its UP
       this.setDown();
     }
+    if (reconnecting) {
+      // Emit after the host was marked as DOWN
+      this.emit('reconnectionScheduled', this.reconnectionDelay);
+    }
+  }
+
+  /**
+   * Emits the 'poolResize' event when the amount of connections in the pool changed since the last notification.
+   * @param {String} reason
+   * @private
+   */
+  _checkPoolSize(reason) {
+    const size = this.pool.connections.length;
+    if (size === this._poolSize) {
+      return;
+    }
+    const previousSize = this._poolSize;
+    this._poolSize = size;
+    this.emit('poolResize', previousSize, size, reason);
   }
 
   /**
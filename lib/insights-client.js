@@ -217,7 +217,7 @@ class InsightsClient {
           remote: options.pooling.coreConnectionsPerHost[types.distance.remote]
         },
         heartbeatInterval: options.pooling.heartBeatInterval,
-        compression: 'NONE',
+        compression: getCompressionInfo(options.protocolOptions.compression),
         reconnectionPolicy: getPolicyInfo(options.policies.reconnection),
         ssl: {
           enabled: !!options.sslOptions,
@@ -412,6 +412,10 @@ function mapToObject(map) {
   return result;
 }
 
+function getCompressionInfo(compressor) {
+  return compressor ? compressor.algorithm.toUpperCase() : 'NONE';
+}
+
 function getPolicyInfo(policy) {
   if (!policy) {
     return undefined;
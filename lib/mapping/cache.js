@@ -50,7 +50,7 @@ class Cache {
 
   /**
    * Gets the parts of the key for a select query related to the docInfo.
-   * @param {{fields, limit, orderBy}} docInfo
+   * @param {{fields, limit, orderBy, allowFilter}} docInfo
    * @private
    */
   static *_getSelectDocInfo(docInfo) {
@@ -65,6 +65,10 @@ class Cache {
         yield '|l|';
       }
 
+      if (docInfo.allowFilter) {
+        yield '|af|';
+      }
+
       if (docInfo.orderBy) {
         yield '|o|';
 
@@ -177,6 +181,10 @@ class Cache {
 
   static *_yieldOperators(value) {
     if (value !== null && value !== undefined && value instanceof QueryOperator) {
+      if (value.isTokenOperator) {
+        yield '|tk|';
+      }
+
       yield value.key;
       if (value.hasChildValues) {
         yield* Cache._yieldOperators(value.value[0]);
@@ -198,6 +206,7 @@ class Cache {
         else if (value instanceof QueryAssignment) {
           yield value.sign;
           yield value.inverted;
+          yield value.key !== undefined;
         }
       }
     }
@@ -18,6 +18,7 @@
 
 const errors = require('../errors');
 const utils = require('../utils');
+const QueryOperator = require('./q').QueryOperator;
 
 /**
  * Provides utility methods to adapt and map user provided docInfo and executionOptions to a predictable object format.
@@ -28,6 +29,10 @@ class DocInfoAdapter {
    * Returns an Array where each item contains the property name, the column name and the property value (to obtain
    * the operator).
    * When docInfo.fields is specified, it uses that array to obtain the information.
+   * <p>
+   *   Keys containing multiple property names separated by commas represent a multi-column restriction, e.g.
+   *   "(ck1, ck2) > (?, ?)", the information of each property is included in the <code>tupleProperties</code> Array.
+   * </p>
    * @param {Array<String>} docKeys
    * @param {null|{fields}} docInfo
    * @param {Object} doc
@@ -40,12 +45,58 @@ class DocInfoAdapter {
       propertyKeys = docInfo.fields;
     }
 
-    return propertyKeys.map(propertyName => ({
-      propertyName,
-      columnName: mappingInfo.getColumnName(propertyName),
-      value: doc[propertyName],
-      fromModel: mappingInfo.getFromModelFn(propertyName)
-    }));
+    return propertyKeys.map(propertyName => {
+      if (propertyName.indexOf(',') === -1) {
+        return {
+          propertyName,
+          columnName: mappingInfo.getColumnName(propertyName),
+          value: doc[propertyName],
+          fromModel: mappingInfo.getFromModelFn(propertyName),
+          tupleProperties: null
+        };
+      }
+
+      const value = doc[propertyName];
+      const tupleProperties = propertyName.split(',').map(name => {
+        name = name.trim();
+        return { propertyName: name, columnName: mappingInfo.getColumnName(name), fromModel: mappingInfo.getFromModelFn(name) };
+      });
+
+      DocInfoAdapter._validateTupleValue(propertyName, tupleProperties.length, value);
+
+      return {
+        propertyName,
+        columnName: `(${tupleProperties.map(p => p.columnName).join(', ')})`,
+        value,
+        fromModel: null,
+        tupleProperties
+      };
+    });
+  }
+
+  /**
+   * Validates that the value of a multi-column restriction contains an Array of values for each column.
+   * @private
+   */
+  static _validateTupleValue(propertyName, length, value) {
+    if (value instanceof QueryOperator) {
+      if (value.isInOperator || value.isTokenOperator) {
+        throw new errors.ArgumentError(`Multi-column restriction '${propertyName}' only supports relational operators`);
+      }
+
+      if (value.hasChildValues) {
+        DocInfoAdapter._validateTupleValue(propertyName, length, value.value[0]);
+        DocInfoAdapter._validateTupleValue(propertyName, length, value.value[1]);
+        return;
+      }
+
+      value = value.value;
+    }
+
+    if (!Array.isArray(value) || value.length !== length) {
+      throw new errors.ArgumentError(
+        `Multi-column restriction '${propertyName}' should contain an Array of ${length} values`);
+    }
   }
 
   /**
@@ -71,13 +122,15 @@ class DocInfoAdapter {
    * Returns the QueryOptions for an INSERT/UPDATE/DELETE statement.
    * @param {Object|String|undefined} executionOptions
    * @param {Boolean} isIdempotent
+   * @param {Boolean} [isCounter] Determines whether the batch contains only counter mutations.
    */
-  static adaptOptions(executionOptions, isIdempotent) {
+  static adaptOptions(executionOptions, isIdempotent, isCounter) {
     const options = {
       prepare: true,
       executionProfile: undefined,
       timestamp: undefined,
-      isIdempotent: isIdempotent
+      isIdempotent: isIdempotent,
+      counter: !!isCounter
     };
 
     if (typeof executionOptions === 'string') {
@@ -98,8 +151,10 @@ class DocInfoAdapter {
    * Returns the QueryOptions for a SELECT statement.
    * @param {Object|String|undefined} executionOptions
    * @param {Boolean} [overrideIdempotency]
+   * @param {{fetchSize, pageState}} [docInfo] When defined, the paging options of the docInfo take precedence over the
+   * ones in the executionOptions.
    */
-  static adaptAllOptions(executionOptions, overrideIdempotency) {
+  static adaptAllOptions(executionOptions, overrideIdempotency, docInfo) {
     const options = {
       prepare: true,
       executionProfile: undefined,
@@ -120,6 +175,16 @@ class DocInfoAdapter {
       options.isIdempotent = executionOptions.isIdempotent;
     }
 
+    if (docInfo) {
+      if (docInfo.fetchSize !== undefined) {
+        options.fetchSize = docInfo.fetchSize;
+      }
+
+      if (docInfo.pageState !== undefined) {
+        options.pageState = docInfo.pageState;
+      }
+    }
+
     if (overrideIdempotency) {
       options.isIdempotent = true;
     }
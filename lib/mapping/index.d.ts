@@ -54,6 +54,17 @@ export namespace mapping {
     ): void;
 
     toArray(): T[];
+
+    pageState: string | null;
+
+    hasNextPage(): boolean;
+
+    nextPage(): Promise<Result<T> | null>;
+  }
+
+  interface MappingResultIterable<T = any> extends AsyncIterable<T> {
+    pageState: string | null;
+    pagesFetched: number;
   }
 
   type MappingExecutionOptions = {
@@ -63,12 +74,12 @@ export namespace mapping {
     timestamp?: number | Long;
     fetchSize?: number;
     pageState?: number;
-    allowFilter?: boolean;
   };
 
   interface ModelTables {
     name: string;
     isView: boolean;
+    schema?: TableSchemaOptions;
   }
 
   class Mapper {
@@ -80,16 +91,46 @@ export namespace mapping {
     ): Promise<Result>;
 
     forModel<T = any>(name: string): ModelMapper<T>;
+
+    schema: MapperSchema;
+  }
+
+  class MapperSchema {
+    generateDdl(modelNames?: string[]): string[];
+
+    sync(options?: { models?: string[], dryRun?: boolean }): Promise<SchemaSyncResult>;
+  }
+
+  interface SchemaSyncResult {
+    queries: string[];
+    mismatches: string[];
   }
 
   type MappingOptions = {
     models: { [key: string]: ModelOptions };
+    udts?: { [key: string]: UdtOptions };
+  };
+
+  type UdtOptions = {
+    mappings: TableMappings;
   };
 
   type FindDocInfo = {
     fields?: string[];
     orderBy?: { [key: string]: string };
     limit?: number;
+    fetchSize?: number;
+    pageState?: string | Buffer | null;
+    allowFilter?: boolean;
+  };
+
+  type FindExplanation = {
+    query: string | null;
+    table: string | null;
+    isView: boolean;
+    index: string | null;
+    allowFiltering: boolean;
+    candidates: Array<{ name: string, isView: boolean, selected: boolean, index: string | null, reason: string }>;
   };
 
   type InsertDocInfo = {
@@ -121,6 +162,33 @@ export namespace mapping {
     mappings?: TableMappings;
     columns?: { [key: string]: string | ModelColumnOptions };
     keyspace?: string;
+    versionColumn?: string;
+    hooks?: ModelHooks;
+    validation?: { [key: string]: ValidationRule };
+    schema?: TableSchemaOptions;
+  };
+
+  type TableSchemaOptions = {
+    columns: { [key: string]: string };
+    partitionKeys: string[];
+    clusteringKeys?: string[];
+    clusteringOrder?: { [key: string]: string };
+    options?: { [key: string]: any };
+  };
+
+  type ModelHooks = {
+    beforeInsert?: (doc: any, docInfo?: InsertDocInfo) => any;
+    beforeUpdate?: (doc: any, docInfo?: UpdateDocInfo) => any;
+    beforeRemove?: (doc: any, docInfo?: RemoveDocInfo) => any;
+    afterFind?: (doc: any) => any;
+  };
+
+  type ValidationRule = {
+    required?: boolean;
+    type?: 'string' | 'number' | 'boolean' | 'object' | 'array' | Function;
+    min?: number;
+    max?: number;
+    pattern?: RegExp;
   };
 
   type ModelColumnOptions = {
@@ -155,11 +223,19 @@ export namespace mapping {
       executionOptions?: string | MappingExecutionOptions
     ): Promise<Result<T>>;
 
+    explainFind(doc: { [key: string]: any }, docInfo?: FindDocInfo): Promise<FindExplanation>;
+
     findAll(
       docInfo?: FindDocInfo,
       executionOptions?: string | MappingExecutionOptions
     ): Promise<Result<T>>;
 
+    iterate(
+      doc?: { [key: string]: any } | null,
+      docInfo?: FindDocInfo | string,
+      executionOptions?: string | MappingExecutionOptions
+    ): MappingResultIterable<T>;
+
     insert(
       doc: { [key: string]: any },
       docInfo?: InsertDocInfo,
@@ -205,6 +281,8 @@ export namespace mapping {
 
     function and(condition1: any, condition2: any): QueryOperator;
 
+    function token(condition: any): QueryOperator;
+
     function incr(value: any): QueryOperator;
 
     function decr(value: any): QueryOperator;
@@ -214,5 +292,9 @@ export namespace mapping {
     function prepend(value: any): QueryOperator;
 
     function remove(value: any): QueryOperator;
+
+    function setKey(key: any, value: any): QueryOperator;
+
+    function removeKey(key: any): QueryOperator;
   }
 }
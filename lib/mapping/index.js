@@ -22,6 +22,7 @@
  */
 
 exports.Mapper = require('./mapper');
+exports.MapperSchema = require('./mapper-schema');
 exports.ModelMapper = require('./model-mapper');
 exports.ModelBatchMapper = require('./model-batch-mapper');
 exports.ModelBatchItem = require('./model-batch-item').ModelBatchItem;
@@ -0,0 +1,168 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const errors = require('../errors');
+
+/**
+ * Provides the functionality to generate and apply the schema of the tables from the model definitions.
+ * <p>
+ *   The schema of a table is defined using the <code>schema</code> property of the model or of each table in the
+ *   [ModelOptions]{@link module:mapping~ModelOptions}.
+ * </p>
+ * <p>
+ *   An instance of this class is exposed as the <code>schema</code> property of the
+ *   [Mapper]{@link module:mapping~Mapper}, you should not create instances of this class directly.
+ * </p>
+ * @alias module:mapping~MapperSchema
+ */
+class MapperSchema {
+  /**
+   * @param {Client} client
+   * @param {Map<String, ModelMappingInfo>} modelMappingInfos
+   * @ignore
+   */
+  constructor(client, modelMappingInfos) {
+    this._client = client;
+    this._modelMappingInfos = modelMappingInfos;
+  }
+
+  /**
+   * Gets the <code>CREATE TABLE IF NOT EXISTS</code> statements for the tables defined in the models, without
+   * accessing the cluster.
+   * @param {Array<String>} [modelNames] The names of the models. When not specified, it uses all the models that
+   * contain schema definitions.
+   * @returns {Array<String>} The CQL statements.
+   * @example
+   * const queries = mapper.schema.generateDdl([ 'Video' ]);
+   */
+  generateDdl(modelNames) {
+    return this._getTables(modelNames).map(t => t.schema.getCreateQuery(t.keyspace, t.name));
+  }
+
+  /**
+   * Compares the schema of the tables defined in the models with the existing tables and executes the statements to
+   * create the tables that don't exist (<code>CREATE TABLE IF NOT EXISTS</code>) and to add the missing columns to
+   * the ones that exist (<code>ALTER TABLE ADD</code>).
+   * <p>
+   *   Only additive changes are applied. When the existing table differs in the primary key, the clustering order or
+   *   the type of a column, the returned promise is rejected without executing any statement, unless
+   *   <code>dryRun</code> is set, in which case the differences are included in the result. The columns of the
+   *   existing tables that are not defined in the models and the table options are not considered.
+   * </p>
+   * @param {Object} [options]
+   * @param {Array<String>} [options.models] The names of the models. When not specified, it uses all the models that
+   * contain schema definitions.
+   * @param {Boolean} [options.dryRun=false] When set to <code>true</code>, it only resolves the statements that would
+   * be executed and the differences that can not be synchronized, without executing any statement.
+   * @returns {Promise<SchemaSyncResult>} A Promise that resolves to the CQL statements executed, or to be executed
+   * when <code>dryRun</code> is set.
+   * @example <caption>Get the differences with the current schema</caption>
+   * const { queries, mismatches } = await mapper.schema.sync({ dryRun: true });
+   * @example <caption>Apply the changes</caption>
+   * await mapper.schema.sync();
+   */
+  async sync(options) {
+    options = options || {};
+    const tables = this._getTables(options.models);
+
+    await this._client.connect();
+
+    const queries = [];
+    const mismatches = [];
+
+    for (const t of tables) {
+      const table = await this._client.metadata.getTable(t.keyspace, t.name);
+
+      if (!table) {
+        queries.push(t.schema.getCreateQuery(t.keyspace, t.name));
+        continue;
+      }
+
+      const diff = t.schema.getDiff(t.keyspace, t.name, table);
+      queries.push(...diff.queries);
+      diff.mismatches.forEach(message => mismatches.push(`${t.keyspace}.${t.name}: ${message}`));
+    }
+
+    if (options.dryRun) {
+      return { queries, mismatches };
+    }
+
+    if (mismatches.length > 0) {
+      throw new Error(`The schema of the existing tables can not be synchronized: ${mismatches.join('; ')}`);
+    }
+
+    // Execute the schema changes in sequence, each statement waits for schema agreement
+    for (const query of queries) {
+      await this._client.execute(query);
+    }
+
+    return { queries, mismatches };
+  }
+
+  /**
+   * Gets the tables with schema definition of the provided models.
+   * @param {Array<String>|undefined} modelNames
+   * @returns {Array<{keyspace, name, schema}>}
+   * @private
+   */
+  _getTables(modelNames) {
+    const tables = [];
+    // The same table can be mapped by multiple models
+    const tableKeys = new Set();
+
+    if (modelNames !== undefined && modelNames !== null && !Array.isArray(modelNames)) {
+      throw new errors.ArgumentError('Model names should be an Array');
+    }
+
+    (modelNames || Array.from(this._modelMappingInfos.keys())).forEach(modelName => {
+      const info = this._modelMappingInfos.get(modelName);
+
+      if (info === undefined) {
+        throw new errors.ArgumentError(`No mapping information found for model '${modelName}'`);
+      }
+
+      const modelTables = info.tables.filter(t => t.schema);
+
+      if (modelNames && modelTables.length === 0) {
+        throw new errors.ArgumentError(`Model '${modelName}' does not define the schema of its tables`);
+      }
+
+      modelTables.forEach(t => {
+        const key = `${info.keyspace}.${t.name}`;
+
+        if (!tableKeys.has(key)) {
+          tableKeys.add(key);
+          tables.push({ keyspace: info.keyspace, name: t.name, schema: t.schema });
+        }
+      });
+    });
+
+    return tables;
+  }
+}
+
+/**
+ * Represents the result of synchronizing the schema of the tables defined in the models.
+ * @typedef {Object} module:mapping~SchemaSyncResult
+ * @property {Array<String>} queries The CQL statements executed, or to be executed when <code>dryRun</code> is set.
+ * @property {Array<String>} mismatches The differences with the existing tables that can not be synchronized, qualified
+ * with the keyspace and table name. It can only contain items when <code>dryRun</code> is set, otherwise the
+ * differences cause the synchronization to be rejected.
+ */
+
+module.exports = MapperSchema;
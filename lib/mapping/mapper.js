@@ -23,6 +23,8 @@ const errors = require('../errors');
 const Result = require('./result');
 const ResultMapper = require('./result-mapper');
 const ModelMappingInfo = require('./model-mapping-info');
+const MapperSchema = require('./mapper-schema');
+const UdtMapper = require('./udt-mapper');
 const { ModelBatchItem } = require('./model-batch-item');
 
 /**
@@ -74,8 +76,15 @@ class Mapper {
      */
     this.client = client;
 
-    this._modelMappingInfos = ModelMappingInfo.parse(options, client.keyspace);
+    this._udtMapper = UdtMapper.parse(options && options.udts);
+    this._modelMappingInfos = ModelMappingInfo.parse(options, client.keyspace, this._udtMapper);
     this._modelMappers = new Map();
+
+    /**
+     * Provides the functionality to generate and synchronize the schema of the tables defined in the models.
+     * @type {MapperSchema}
+     */
+    this.schema = new MapperSchema(client, this._modelMappingInfos);
   }
 
   /**
@@ -96,7 +105,7 @@ class Mapper {
             `Mapper is unable to create default mappings without setting the keyspace`);
         }
 
-        mappingInfo = ModelMappingInfo.createDefault(name, this.client.keyspace);
+        mappingInfo = ModelMappingInfo.createDefault(name, this.client.keyspace, this._udtMapper);
         this.client.log('info', `Mapping information for model '${name}' not found, creating default mapping. ` +
           `Keyspace: ${mappingInfo.keyspace}; Table: ${mappingInfo.tables[0].name}.`);
       } else {
@@ -132,7 +141,9 @@ class Mapper {
    * @param {Boolean} [executionOptions.logged=true] Determines whether the batch should be written to the batchlog.
    * @param {Number|Long} [executionOptions.timestamp] The default timestamp for the query in microseconds from the
    * unix epoch (00:00:00, January 1st, 1970).
-   * @returns {Promise<Result>} A Promise that resolves to a [Result]{@link module:mapping~Result}.
+   * @returns {Promise<Result>} A Promise that resolves to a [Result]{@link module:mapping~Result}. When the items
+   * include mutations of a model with a version column and the batch was not applied, the Promise is rejected with an
+   * <code>OptimisticLockError</code>.
    */
   batch(items, executionOptions) {
     if (!Array.isArray(items) || !(items.length > 0)) {
@@ -143,6 +154,7 @@ class Mapper {
     const queries = [];
     let isIdempotent = true;
     let isCounter;
+    let isVersioned = false;
 
     return Promise
       .all(items
@@ -159,6 +171,8 @@ class Mapper {
 
               // Let it fail at server level when there is a mix of counter and normal mutations
               isCounter = options.isCounter;
+
+              isVersioned = isVersioned || options.isVersioned;
             });
         }))
       .then(() =>
@@ -166,7 +180,14 @@ class Mapper {
       .then(rs => {
         // Results should only be adapted when the batch contains LWT (single table)
         const info = items[0].getMappingInfo();
-        return new Result(rs, info, ResultMapper.getMutationAdapter(rs));
+        const result = new Result(rs, info, ResultMapper.getMutationAdapter(rs));
+
+        if (isVersioned && !result.wasApplied()) {
+          throw new errors.OptimisticLockError(
+            'The mutation was not applied as the row was modified or created by another operation', result.first());
+        }
+
+        return result;
       });
   }
 }
@@ -176,18 +197,99 @@ class Mapper {
  * @typedef {Object} module:mapping~MappingOptions
  * @property {Object<String, ModelOptions>} models An associative array containing the
  * name of the model as key and the table and column information as value.
+ * @property {Object<String, UdtOptions>} [udts] An associative array containing the name of the user-defined type as
+ * key, optionally qualified with the keyspace name (i.e., 'ks1.address'), and its mapping information as value. The
+ * values of the mapped UDTs are adapted to model instances when reading and to UDT values when writing, including
+ * the ones contained in collections, tuples and other UDTs, for all the models.
+ */
+
+/**
+ * Represents the mapping options of a user-defined type.
+ * @typedef {Object} module:mapping~UdtOptions
+ * @property {TableMappings} mappings The TableMappings implementation instance that is used to convert from field
+ * names to property names and the other way around, and to create the instances using
+ * <code>newObjectInstance()</code>.
  */
 
 /**
  * Represents a set of options that applies to a certain model.
  * @typedef {Object} module:mapping~ModelOptions
- * @property {Array<String>|Array<{name, isView}>} tables An Array containing the name of the tables or An Array
- * containing the name and isView property to describe the table.
+ * @property {Array<String>|Array<{name, isView, schema}>} tables An Array containing the name of the tables or An
+ * Array containing the name, isView and schema properties to describe the table.
  * @property {TableMappings} mappings The TableMappings implementation instance that is used to convert from column
  * names to property names and the other way around.
  * @property {Object.<String, String>} [columnNames] An associative array containing the name of the columns and
  * properties that doesn't follow the convention defined in the <code>TableMappings</code>.
  * @property {String} [keyspace] The name of the keyspace. Only mandatory when the Client is not using a keyspace.
+ * @property {String} [versionColumn] The name of an <code>int</code> or <code>bigint</code> column used for optimistic
+ * locking. When defined, inserts are performed using <code>IF NOT EXISTS</code> and updates are conditioned on the
+ * version of the provided document (<code>IF version = ?</code>), setting the version to the next value. When the
+ * condition is not met, the mutation is rejected with an <code>OptimisticLockError</code>.
+ * @property {ModelHooks} [hooks] The functions to be invoked by the <code>ModelMapper</code> at the different stages
+ * of the lifecycle of the documents.
+ * @property {Object.<String, ValidationRule>} [validation] An associative array containing the name of the properties
+ * and the rules used to validate the documents before inserting or updating them. When a document is not valid, the
+ * operation is rejected with an <code>ArgumentError</code>, without executing any query.
+ * @property {TableSchemaOptions} [schema] The schema definition of the tables of the model, used by
+ * <code>mapper.schema</code> to generate and synchronize the schema. It applies to the tables that don't define their
+ * own <code>schema</code>.
+ */
+
+/**
+ * Represents the schema definition of a table.
+ * @typedef {Object} module:mapping~TableSchemaOptions
+ * @property {Object.<String, String>} columns An associative array containing the name of the columns and their CQL
+ * type, i.e., <code>{ videoid: 'uuid', tags: 'set&lt;text&gt;', user_name: 'text static' }</code>.
+ * @property {Array<String>} partitionKeys The names of the partition key columns.
+ * @property {Array<String>} [clusteringKeys] The names of the clustering key columns.
+ * @property {Object.<String, String>} [clusteringOrder] An associative array containing the name of the clustering
+ * keys and the order: 'ASC' or 'DESC'.
+ * @property {Object} [options] The table options, i.e., <code>{ default_time_to_live: 3600 }</code>.
+ */
+
+/**
+ * Represents the lifecycle hooks of a model.
+ * <p>
+ *   The <code>before*</code> hooks are invoked with the document and the docInfo before generating the queries, they
+ *   can modify the provided document or return a new one (or a Promise of it), for example, to set the value of
+ *   timestamp properties. When a hook throws or returns a rejected Promise, the operation is rejected with that error.
+ * </p>
+ * @typedef {Object} module:mapping~ModelHooks
+ * @property {Function} [beforeInsert] The function to invoke before inserting a document.
+ * @property {Function} [beforeUpdate] The function to invoke before updating a document.
+ * @property {Function} [beforeRemove] The function to invoke before removing a document.
+ * @property {Function} [afterFind] A synchronous function that is invoked with each document retrieved using
+ * <code>find()</code>, <code>findAll()</code>, <code>get()</code> or <code>iterate()</code>, that can modify the
+ * provided document or return a new one.
+ */
+
+/**
+ * Represents the validation rules of a property.
+ * @typedef {Object} module:mapping~ValidationRule
+ * @property {Boolean} [required] Determines whether the property must be defined when inserting and can not be set to
+ * <code>null</code> when updating.
+ * @property {String|Function} [type] The expected type of the value: 'string', 'number', 'boolean', 'object', 'array'
+ * or a constructor function, i.e., <code>Date</code> or <code>types.Uuid</code>.
+ * @property {Number} [min] The minimum value for numbers and the minimum length for strings and arrays.
+ * @property {Number} [max] The maximum value for numbers and the maximum length for strings and arrays.
+ * @property {RegExp} [pattern] The regular expression that string values must match.
+ */
+
+/**
+ * Represents the information of the table or view and the secondary index that would be used to retrieve the
+ * documents using <code>find()</code>, obtained using <code>ModelMapper#explainFind()</code>.
+ * @typedef {Object} module:mapping~FindExplanation
+ * @property {String|null} query The SELECT query that would be executed or null when there isn't a table or view that
+ * can be used.
+ * @property {String|null} table The name of the table or view that would be used.
+ * @property {Boolean} isView Determines whether the table that would be used is a materialized view.
+ * @property {String|null} index The name of the secondary index that would be used or null when the restrictions
+ * match the primary key of the table.
+ * @property {Boolean} allowFiltering Determines whether the query would be executed using <code>ALLOW
+ * FILTERING</code>.
+ * @property {Array<{name: String, isView: Boolean, selected: Boolean, index: String|null, reason: String}>} candidates
+ * The tables and views of the model, in the order they are considered, containing the reason why each one is used or
+ * discarded.
  */
 
 module.exports = Mapper;
\ No newline at end of file
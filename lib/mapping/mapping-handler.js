@@ -17,6 +17,7 @@
 "use strict";
 
 const utils = require("../utils");
+const errors = require("../errors");
 const QueryGenerator = require("./query-generator");
 const ResultMapper = require("./result-mapper");
 const Result = require("./result");
@@ -66,7 +67,7 @@ class MappingHandler {
   /**
    * Gets a function to be used to execute SELECT the query using the document.
    * @param {Object} doc
-   * @param {{fields, orderBy, limit ,allowFilter}} docInfo
+   * @param {{fields, orderBy, limit, allowFilter}} docInfo
    * @param {Boolean} allPKsDefined Determines whether all primary keys must be defined in the doc for the query to
    * be valid.
    * @return {Promise<Function>}
@@ -103,6 +104,7 @@ class MappingHandler {
     );
     const orderByColumns = DocInfoAdapter.adaptOrderBy(docInfo, this.info);
     const limit = docInfo && docInfo.limit;
+    const allowFilter = !!(docInfo && docInfo.allowFilter);
 
     return this._client
       .connect()
@@ -114,22 +116,27 @@ class MappingHandler {
           propertiesInfo,
           fieldsInfo,
           orderByColumns,
-          docInfo?.allowFilter || false
+          allowFilter
         )
       )
-      .then((tableName) => {
+      .then((table) => {
+        const whereInfo = QueryGenerator.adaptTokenRestrictions(
+          propertiesInfo,
+          table.partitionKeys
+        );
+
         // Part of the closure
         const query = QueryGenerator.getSelect(
-          tableName,
+          table.name,
           this.info.keyspace,
-          propertiesInfo,
+          whereInfo,
           fieldsInfo,
           orderByColumns,
-          docInfo?.allowFilter || false,
+          allowFilter,
           limit
         );
         const paramsGetter = QueryGenerator.selectParamsGetter(
-          propertiesInfo,
+          whereInfo,
           limit
         );
         const self = this;
@@ -153,6 +160,78 @@ class MappingHandler {
       });
   }
 
+  /**
+   * Gets the information of the table, view and index that would be used to execute the SELECT query using the
+   * document, without executing it.
+   * @param {Object} doc
+   * @param {{fields, orderBy, limit, allowFilter}} docInfo
+   * @return {Promise<FindExplanation>}
+   */
+  getSelectExplanation(doc, docInfo) {
+    const docKeys = Object.keys(doc);
+    if (docKeys.length === 0) {
+      return Promise.reject(new Error("Expected object with keys"));
+    }
+
+    const propertiesInfo = DocInfoAdapter.getPropertiesInfo(
+      docKeys,
+      null,
+      doc,
+      this.info
+    );
+    const fieldsInfo = DocInfoAdapter.getPropertiesInfo(
+      utils.emptyArray,
+      docInfo,
+      doc,
+      this.info
+    );
+    const orderByColumns = DocInfoAdapter.adaptOrderBy(docInfo, this.info);
+    const limit = docInfo && docInfo.limit;
+    const allowFilter = !!(docInfo && docInfo.allowFilter);
+
+    return this._client
+      .connect()
+      .then(() =>
+        ObjectSelector.explainSelect(
+          this._client,
+          this.info,
+          false,
+          propertiesInfo,
+          fieldsInfo,
+          orderByColumns,
+          allowFilter
+        )
+      )
+      .then((explanation) => {
+        const selected = explanation.candidates.find((c) => c.selected);
+        let query = null;
+
+        if (explanation.table !== null) {
+          query = QueryGenerator.getSelect(
+            explanation.table.name,
+            this.info.keyspace,
+            QueryGenerator.adaptTokenRestrictions(
+              propertiesInfo,
+              explanation.table.partitionKeys
+            ),
+            fieldsInfo,
+            orderByColumns,
+            allowFilter,
+            limit
+          );
+        }
+
+        return {
+          query,
+          table: selected !== undefined ? selected.name : null,
+          isView: selected !== undefined && selected.isView,
+          index: selected !== undefined ? selected.index : null,
+          allowFiltering: allowFilter,
+          candidates: explanation.candidates,
+        };
+      });
+  }
+
   getSelectAllExecutor(docInfo) {
     const cacheKey = Cache.getSelectAllKey(docInfo);
     const cacheItem = this._cache.selectAll.getOrCreate(cacheKey, () => ({
@@ -182,6 +261,7 @@ class MappingHandler {
       utils.emptyArray,
       fieldsInfo,
       orderByColumns,
+      false,
       limit
     );
     const paramsGetter = QueryGenerator.selectParamsGetter(
@@ -217,25 +297,66 @@ class MappingHandler {
     executionOptions,
     cacheItem
   ) {
-    const options = DocInfoAdapter.adaptAllOptions(executionOptions, true);
+    const options = DocInfoAdapter.adaptAllOptions(
+      executionOptions,
+      true,
+      docInfo
+    );
+    const params = paramsGetter(doc, docInfo, this.info);
 
-    return this._client
-      .execute(query, paramsGetter(doc, docInfo, this.info), options)
-      .then((rs) => {
-        if (cacheItem.resultAdapter === null) {
-          cacheItem.resultAdapter = ResultMapper.getSelectAdapter(
-            this.info,
-            rs
-          );
-        }
-        return new Result(rs, this.info, cacheItem.resultAdapter);
-      });
+    return this._executeSelectPage(query, params, options, cacheItem);
+  }
+
+  /**
+   * Executes a SELECT query with the provided parameters and options and returns the adapted results, that can be
+   * used to fetch the following page.
+   * @private
+   */
+  _executeSelectPage(query, params, options, cacheItem) {
+    return this._client.execute(query, params, options).then((rs) => {
+      if (cacheItem.resultAdapter === null) {
+        cacheItem.resultAdapter = MappingHandler._withAfterFindHook(
+          ResultMapper.getSelectAdapter(this.info, rs),
+          this.info.hooks.afterFind
+        );
+      }
+
+      const nextPage = (pageState) =>
+        this._executeSelectPage(
+          query,
+          params,
+          Object.assign({}, options, { pageState }),
+          cacheItem
+        );
+
+      return new Result(rs, this.info, cacheItem.resultAdapter, nextPage);
+    });
+  }
+
+  /**
+   * Gets a row adapter that invokes the afterFind hook of the model, if defined, with each adapted document.
+   * @param {Function} rowAdapter
+   * @param {Function|null} afterFind
+   * @returns {Function}
+   * @private
+   */
+  static _withAfterFindHook(rowAdapter, afterFind) {
+    if (afterFind === null) {
+      return rowAdapter;
+    }
+
+    return function afterFindRowAdapter(row, info) {
+      const doc = rowAdapter(row, info);
+      const result = afterFind(doc);
+      // The hook can modify the provided document or return a new one
+      return result !== undefined ? result : doc;
+    };
   }
 
   /**
    * Gets a function to be used to execute INSERT the query using the document.
    * @param {Object} doc
-   * @param {{ifNotExists, ttl, fields,allowFilter}} docInfo
+   * @param {{ifNotExists, ttl, fields}} docInfo
    * @return {Promise<Function>}
    */
   getInsertExecutor(doc, docInfo) {
@@ -277,6 +398,20 @@ class MappingHandler {
       this.info
     );
     const ifNotExists = docInfo && docInfo.ifNotExists;
+    const versionProperty = this.info.versionProperty;
+
+    if (
+      versionProperty !== null &&
+      !propertiesInfo.some((p) => p.propertyName === versionProperty)
+    ) {
+      // Insert the initial version when not provided
+      propertiesInfo.push({
+        propertyName: versionProperty,
+        columnName: this.info.versionColumn,
+        value: undefined,
+        fromModel: null,
+      });
+    }
 
     // Get all the tables affected
     return this._client
@@ -292,16 +427,19 @@ class MappingHandler {
         }
 
         // For each tables affected, Generate query and parameter getters
-        return tables.map((table) =>
+        const queries = tables.map((table) =>
           QueryGenerator.getInsert(
             table,
             this.info.keyspace,
             propertiesInfo,
             docInfo,
             ifNotExists,
-            docInfo?.allowFilter || false
+            this.info.versionColumn,
+            this.info.udtMapper
           )
         );
+
+        return MappingHandler._validateVersionedQueries(queries);
       });
   }
 
@@ -369,14 +507,16 @@ class MappingHandler {
     // Get all the tables affected
     return this._client
       .connect()
-      .then(() =>
-        ObjectSelector.getForUpdate(
+      .then(() => {
+        this._validateVersionedUpdate(propertiesInfo, ifExists);
+
+        return ObjectSelector.getForUpdate(
           this._client,
           this.info,
           propertiesInfo,
           when
-        )
-      )
+        );
+      })
       .then((tables) => {
         if (tables.length > 1 && (when.length > 0 || ifExists)) {
           throw new Error(
@@ -385,16 +525,22 @@ class MappingHandler {
         }
 
         // For each table affected, Generate query and parameter getters
-        return tables.map((table) =>
+        const queries = tables.map((table) =>
           QueryGenerator.getUpdate(
             table,
             this.info.keyspace,
             propertiesInfo,
             docInfo,
             when,
-            ifExists
+            ifExists,
+            this.info.versionColumn,
+            this.info.udtMapper
           )
         );
+
+        return MappingHandler._validateVersionedQueries(
+          MappingHandler._validateCounterQueries(queries)
+        );
       });
   }
 
@@ -559,9 +705,22 @@ class MappingHandler {
           queryInfo.paramsGetter(doc, docInfo, self.info),
           options
         )
-        .then(
-          (rs) => new Result(rs, self.info, ResultMapper.getMutationAdapter(rs))
-        );
+        .then((rs) => {
+          const result = new Result(
+            rs,
+            self.info,
+            ResultMapper.getMutationAdapter(rs)
+          );
+
+          if (queryInfo.isVersioned && !result.wasApplied()) {
+            throw new errors.OptimisticLockError(
+              "The mutation was not applied as the row was modified or created by another operation",
+              result.first()
+            );
+          }
+
+          return result;
+        });
     };
 
     return cacheItem.executor;
@@ -574,6 +733,8 @@ class MappingHandler {
       (acc, q) => acc && q.isIdempotent,
       true
     );
+    const isCounter = queries.every((q) => q.isCounter);
+    const isVersioned = queries.some((q) => q.isVersioned);
 
     // Set the function to execute the batch request in the cache
     cacheItem.executor = function batchExecutor(
@@ -589,20 +750,95 @@ class MappingHandler {
 
       const options = DocInfoAdapter.adaptOptions(
         executionOptions,
-        isIdempotent
+        isIdempotent,
+        isCounter
       );
 
       // Execute using a Batch
       return self._client
         .batch(queryAndParams, options)
-        .then(
-          (rs) => new Result(rs, self.info, ResultMapper.getMutationAdapter(rs))
-        );
+        .then((rs) => {
+          const result = new Result(
+            rs,
+            self.info,
+            ResultMapper.getMutationAdapter(rs)
+          );
+
+          if (isVersioned && !result.wasApplied()) {
+            throw new errors.OptimisticLockError(
+              "The mutation was not applied as the row was modified or created by another operation",
+              result.first()
+            );
+          }
+
+          return result;
+        });
     };
 
     return cacheItem.executor;
   }
 
+  /**
+   * Validates that the UPDATE of a model with a version column contains the version property to be used in the
+   * condition.
+   * @param {Array} propertiesInfo
+   * @param {Boolean|undefined} ifExists
+   * @private
+   */
+  _validateVersionedUpdate(propertiesInfo, ifExists) {
+    const versionProperty = this.info.versionProperty;
+
+    if (versionProperty === null) {
+      return;
+    }
+
+    if (!propertiesInfo.some((p) => p.propertyName === versionProperty)) {
+      throw new Error(
+        `Expected property '${versionProperty}' to be defined, as it's used as the version of the model`
+      );
+    }
+
+    if (ifExists) {
+      throw new Error(
+        "ifExists condition can not be applied to a model with a version column"
+      );
+    }
+  }
+
+  /**
+   * Validates that counter mutations are not mixed with mutations on other tables, as counter batches can only
+   * contain counter mutations.
+   * @param {Array<{isCounter}>} queries
+   * @returns {Array}
+   * @private
+   */
+  static _validateCounterQueries(queries) {
+    if (queries.some((q) => q.isCounter) && !queries.every((q) => q.isCounter)) {
+      throw new Error(
+        "Counter and non-counter mutations cannot be applied in the same batch"
+      );
+    }
+
+    return queries;
+  }
+
+  /**
+   * Validates that the conditions on the version column are not applied to multiple tables, as batches containing
+   * conditions can not span multiple tables.
+   * @param {Array<{isVersioned}>} queries
+   * @returns {Array}
+   * @private
+   */
+  static _validateVersionedQueries(queries) {
+    if (queries.length > 1 && queries.some((q) => q.isVersioned)) {
+      throw new Error(
+        "Batch with version column conditions cannot span multiple tables"
+      );
+    }
+
+    return queries;
+  }
+
   _validateCacheLength(length) {
     if (length !== cacheHighWaterMark) {
       return;
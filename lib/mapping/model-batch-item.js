@@ -38,14 +38,16 @@ class ModelBatchItem {
 
   /**
    * @ignore
+   * @param {Object} [doc] The document to use, defaults to the document of this item.
    * @returns <Promise<Array>>
    */
-  getQueries() {
-    const docKeys = Object.keys(this.doc);
-    const cacheItem = this.cache.getOrCreate(this.getCacheKey(docKeys), () => ({ queries: null }));
+  getQueries(doc) {
+    doc = doc || this.doc;
+    const docKeys = Object.keys(doc);
+    const cacheItem = this.cache.getOrCreate(this.getCacheKey(docKeys, doc), () => ({ queries: null }));
 
     if (cacheItem.queries === null) {
-      cacheItem.queries = this.createQueries(docKeys);
+      cacheItem.queries = this.createQueries(docKeys, doc);
     }
 
     return cacheItem.queries;
@@ -55,9 +57,10 @@ class ModelBatchItem {
    * Gets the cache key for this item.
    * @abstract
    * @param {Array} docKeys
+   * @param {Object} doc
    * @returns {Iterator}
    */
-  getCacheKey(docKeys) {
+  getCacheKey(docKeys, doc) {
     throw new Error('getCacheKey must be implemented');
   }
 
@@ -65,36 +68,55 @@ class ModelBatchItem {
    * Gets the Promise to create the queries.
    * @abstract
    * @param {Array} docKeys
+   * @param {Object} doc
    * @returns {Promise<Array>}
    */
-  createQueries(docKeys) {
+  createQueries(docKeys, doc) {
     throw new Error('getCacheKey must be implemented');
   }
 
+  /**
+   * Gets the name of the model hook to invoke before generating the queries.
+   * @abstract
+   * @returns {String}
+   */
+  getHookName() {
+    throw new Error('getHookName must be implemented');
+  }
+
   /**
    * Pushes the queries and parameters represented by this instance to the provided array.
    * @internal
    * @ignore
    * @param {Array} arr
-   * @return {Promise<{isIdempotent, isCounter}>}
+   * @return {Promise<{isIdempotent, isCounter, isVersioned}>}
    */
   pushQueries(arr) {
     let isIdempotent = true;
     let isCounter;
+    let isVersioned = false;
+    let doc;
 
-    return this.getQueries().then(queries => {
-      queries.forEach(q => {
-        // It's idempotent if all the queries contained are idempotent
-        isIdempotent = isIdempotent && q.isIdempotent;
+    return this.getMappingInfo().beforeMutation(this.getHookName(), this.doc, this.docInfo)
+      .then(newDoc => {
+        doc = newDoc;
+        return this.getQueries(doc);
+      })
+      .then(queries => {
+        queries.forEach(q => {
+          // It's idempotent if all the queries contained are idempotent
+          isIdempotent = isIdempotent && q.isIdempotent;
 
-        // Either all queries are counter mutation or we let it fail at server level
-        isCounter = q.isCounter;
+          // Either all queries are counter mutation or we let it fail at server level
+          isCounter = q.isCounter;
 
-        arr.push({ query: q.query, params: q.paramsGetter(this.doc, this.docInfo, this.getMappingInfo()) });
-      });
+          isVersioned = isVersioned || q.isVersioned === true;
 
-      return { isIdempotent, isCounter };
-    });
+          arr.push({ query: q.query, params: q.paramsGetter(doc, this.docInfo, this.getMappingInfo()) });
+        });
+
+        return { isIdempotent, isCounter, isVersioned };
+      });
   }
 
   /**
@@ -124,13 +146,18 @@ class InsertModelBatchItem extends ModelBatchItem {
   }
 
   /** @override */
-  getCacheKey(docKeys) {
+  getCacheKey(docKeys, doc) {
     return Cache.getInsertKey(docKeys, this.docInfo);
   }
 
   /** @override */
-  createQueries(docKeys) {
-    return this.handler.createInsertQueries(docKeys, this.doc, this.docInfo);
+  createQueries(docKeys, doc) {
+    return this.handler.createInsertQueries(docKeys, doc, this.docInfo);
+  }
+
+  /** @override */
+  getHookName() {
+    return 'beforeInsert';
   }
 }
 
@@ -151,13 +178,18 @@ class UpdateModelBatchItem extends ModelBatchItem {
   }
 
   /** @override */
-  getCacheKey(docKeys) {
-    return Cache.getUpdateKey(docKeys, this.doc, this.docInfo);
+  getCacheKey(docKeys, doc) {
+    return Cache.getUpdateKey(docKeys, doc, this.docInfo);
   }
 
   /** @override */
-  createQueries(docKeys) {
-    return this.handler.createUpdateQueries(docKeys, this.doc, this.docInfo);
+  createQueries(docKeys, doc) {
+    return this.handler.createUpdateQueries(docKeys, doc, this.docInfo);
+  }
+
+  /** @override */
+  getHookName() {
+    return 'beforeUpdate';
   }
 }
 
@@ -178,13 +210,18 @@ class RemoveModelBatchItem extends ModelBatchItem {
   }
 
   /** @override */
-  getCacheKey(docKeys) {
-    return Cache.getRemoveKey(docKeys, this.doc, this.docInfo);
+  getCacheKey(docKeys, doc) {
+    return Cache.getRemoveKey(docKeys, doc, this.docInfo);
+  }
+
+  /** @override */
+  createQueries(docKeys, doc) {
+    return this.handler.createDeleteQueries(docKeys, doc, this.docInfo);
   }
 
   /** @override */
-  createQueries(docKeys) {
-    return this.handler.createDeleteQueries(docKeys, this.doc, this.docInfo);
+  getHookName() {
+    return 'beforeRemove';
   }
 }
 
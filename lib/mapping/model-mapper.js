@@ -17,6 +17,7 @@
 "use strict";
 
 const ModelBatchMapper = require("./model-batch-mapper");
+const ResultIterable = require("../types/result-iterable");
 
 /**
  * Represents an object mapper for a specific model.
@@ -50,7 +51,6 @@ class ModelMapper {
    * @param {Object|String} [executionOptions] An object containing the options to be used for the requests
    * execution or a string representing the name of the execution profile.
    * @param {String} [executionOptions.executionProfile] The name of the execution profile.
-   * @param {Boolean} [executionOptions.allowFilter] set ALLOW FILTER to true.
    * @return {Promise<Object>}
    * @example <caption>Get a video by id</caption>
    * videoMapper.get({ id })
@@ -72,6 +72,11 @@ class ModelMapper {
   /**
    * Executes a SELECT query based on the filter and returns the result as an iterable of documents.
    * @param {Object} doc An object containing the properties that map to the primary keys to filter.
+   * <p>
+   *   Multiple clustering keys can be restricted together using a key containing the property names separated by
+   *   commas and an Array of values, e.g., <code>{ 'addedDate,videoId': q.gt([ date, videoId ]) }</code>. The
+   *   partition keys can be restricted by token using <code>q.token()</code>.
+   * </p>
    * @param {Object} [docInfo] An object containing the additional document information.
    * @param {Array<String>} [docInfo.fields] An Array containing the name of the properties that will be used in the
    * SELECT cql statement generated, in order to restrict the amount of columns retrieved.
@@ -79,12 +84,22 @@ class ModelMapper {
    * the order string (asc or desc) as value used to set the order of the results server-side.
    * @param {Number} [docInfo.limit] Restricts the result of the query to a maximum number of rows on the
    * server.
+   * @param {Number} [docInfo.fetchSize] The amount of rows to retrieve per page. When defined, it takes precedence
+   * over the <code>fetchSize</code> execution option.
+   * @param {String|Buffer|null} [docInfo.pageState] The paging state from which the query is executed, as obtained from
+   * the <code>pageState</code> property of a previous [Result]{@link module:mapping~Result}. When defined, it takes
+   * precedence over the <code>pageState</code> execution option.
+   * @param {Boolean} [docInfo.allowFilter] Determines whether the query can filter by columns that are not part of the
+   * primary key or without restricting the partition keys, using <code>ALLOW FILTERING</code>.
+   * <p>
+   *   Please note that filtering queries may scan large amounts of data on the server-side and could have
+   *   unpredictable performance, so this should be used sparingly.
+   * </p>
    * @param {Object|String} [executionOptions] An object containing the options to be used for the requests
    * execution or a string representing the name of the execution profile.
    * @param {String} [executionOptions.executionProfile] The name of the execution profile.
    * @param {Number} [executionOptions.fetchSize] The amount of rows to retrieve per page.
    * @param {Number} [executionOptions.pageState] A Buffer instance or a string token representing the paging state.
-   * @param {Boolean} [executionOptions.allowFilter] set ALLOW FILTER to true.
    * <p>When provided, the query will be executed starting from a given paging state.</p>
    * @return {Promise<Result>} A Promise that resolves to a [Result]{@link module:mapping~Result} instance.
    * @example <caption>Get user's videos</caption>
@@ -96,6 +111,13 @@ class ModelMapper {
    * videoMapper.find({ userId, addedDate: q.gte(date)});
    * @example <caption>Get user's videos in reverse order</caption>
    * videoMapper.find({ userId }, { orderBy: { addedDate: 'desc' }});
+   * @example <caption>Get user's videos after a certain date and video id, using a multi-column restriction</caption>
+   * videoMapper.find({ userId, 'addedDate,videoId': q.gt([ date, videoId ]) });
+   * @example <caption>Scan a range of tokens</caption>
+   * videoMapper.find({ videoId: q.token(q.and(q.gt(startToken), q.lte(endToken))) });
+   * @example <caption>Get the following page of user's videos</caption>
+   * const result = await videoMapper.find({ userId }, { fetchSize: 100 });
+   * const nextResult = await result.nextPage();
    */
   find(doc, docInfo, executionOptions) {
     if (executionOptions === undefined && typeof docInfo === "string") {
@@ -108,6 +130,28 @@ class ModelMapper {
       .then((executor) => executor(doc, docInfo, executionOptions));
   }
 
+  /**
+   * Gets the information of the table or view and the secondary index that would be used to retrieve the documents
+   * using [find()]{@link module:mapping~ModelMapper#find} with the same parameters, without executing the query.
+   * <p>
+   *   The tables and views of the model are matched using their primary keys, in the order they were defined,
+   *   followed by the materialized views of the tables that are not part of the model. When none of them matches,
+   *   the secondary indexes of the tables are considered. The resulting
+   *   [FindExplanation]{@link module:mapping~FindExplanation} contains the reason why each table or view was used or
+   *   discarded.
+   * </p>
+   * @param {Object} doc An object containing the properties that map to the primary keys to filter.
+   * @param {Object} [docInfo] An object containing the additional document information, supporting the same
+   * properties as [find()]{@link module:mapping~ModelMapper#find}.
+   * @return {Promise<FindExplanation>} A Promise that resolves to the explanation.
+   * @example <caption>Get the table or index used to retrieve the videos by name</caption>
+   * const explanation = await videoMapper.explainFind({ name });
+   * console.log(explanation.query, explanation.index);
+   */
+  explainFind(doc, docInfo) {
+    return this._handler.getSelectExplanation(doc, docInfo);
+  }
+
   /**
    * Executes a SELECT query without a filter and returns the result as an iterable of documents.
    * <p>
@@ -121,6 +165,11 @@ class ModelMapper {
    * the order string (asc or desc) as value used to set the order of the results server-side.
    * @param {Number} [docInfo.limit] Restricts the result of the query to a maximum number of rows on the
    * server.
+   * @param {Number} [docInfo.fetchSize] The amount of rows to retrieve per page. When defined, it takes precedence
+   * over the <code>fetchSize</code> execution option.
+   * @param {String|Buffer|null} [docInfo.pageState] The paging state from which the query is executed, as obtained from
+   * the <code>pageState</code> property of a previous [Result]{@link module:mapping~Result}. When defined, it takes
+   * precedence over the <code>pageState</code> execution option.
    * @param {Object|String} [executionOptions] An object containing the options to be used for the requests
    * execution or a string representing the name of the execution profile.
    * @param {String} [executionOptions.executionProfile] The name of the execution profile.
@@ -139,6 +188,58 @@ class ModelMapper {
     return executor(docInfo, executionOptions);
   }
 
+  /**
+   * Gets an async iterable of the documents matching the filter, that retrieves the pages of results lazily while
+   * iterating.
+   * <p>
+   *   The query is not executed until the iteration starts, the following pages are only requested once all the
+   *   documents of the previous page have been yielded. When the filter is empty, all the documents of the table are
+   *   retrieved, in the same way as [findAll()]{@link module:mapping~ModelMapper#findAll}.
+   * </p>
+   * @param {Object} [doc] An object containing the properties that map to the primary keys to filter.
+   * @param {Object} [docInfo] An object containing the additional document information, supporting the same
+   * properties as [find()]{@link module:mapping~ModelMapper#find}. Use <code>fetchSize</code> to define the amount of
+   * documents retrieved per page and <code>pageState</code> to resume a previous iteration.
+   * @param {Object|String} [executionOptions] An object containing the options to be used for the requests
+   * execution or a string representing the name of the execution profile.
+   * @return {ResultIterable} An async iterable of documents, exposing the <code>pageState</code> of the page
+   * following the documents retrieved so far.
+   * @example <caption>Iterating through all the videos of a user</caption>
+   * for await (const video of videoMapper.iterate({ userId }, { fetchSize: 100 })) {
+   *   console.log(video.name);
+   * }
+   */
+  iterate(doc, docInfo, executionOptions) {
+    if (executionOptions === undefined && typeof docInfo === "string") {
+      executionOptions = docInfo;
+      docInfo = null;
+    }
+
+    const hasFilter = doc && Object.keys(doc).length > 0;
+    let result = null;
+
+    return new ResultIterable(() => {
+      let promise;
+
+      if (result === null) {
+        promise = hasFilter
+          ? this.find(doc, docInfo, executionOptions)
+          : this.findAll(docInfo, executionOptions);
+      } else {
+        promise = result.nextPage();
+      }
+
+      return promise.then((r) => {
+        result = r;
+        return {
+          rows: r.toArray(),
+          rawPageState: r.hasNextPage() ? r.pageState : null,
+          pageState: r.hasNextPage() ? r.pageState : null,
+        };
+      });
+    });
+  }
+
   /**
    * Inserts a document.
    * <p>
@@ -176,9 +277,13 @@ class ModelMapper {
       docInfo = null;
     }
 
-    return this._handler
-      .getInsertExecutor(doc, docInfo)
-      .then((executor) => executor(doc, docInfo, executionOptions));
+    return this._handler.info
+      .beforeMutation("beforeInsert", doc, docInfo)
+      .then((newDoc) =>
+        this._handler
+          .getInsertExecutor(newDoc, docInfo)
+          .then((executor) => executor(newDoc, docInfo, executionOptions))
+      );
   }
 
   /**
@@ -230,9 +335,13 @@ class ModelMapper {
       docInfo = null;
     }
 
-    return this._handler
-      .getUpdateExecutor(doc, docInfo)
-      .then((executor) => executor(doc, docInfo, executionOptions));
+    return this._handler.info
+      .beforeMutation("beforeUpdate", doc, docInfo)
+      .then((newDoc) =>
+        this._handler
+          .getUpdateExecutor(newDoc, docInfo)
+          .then((executor) => executor(newDoc, docInfo, executionOptions))
+      );
   }
 
   /**
@@ -281,9 +390,13 @@ class ModelMapper {
       docInfo = null;
     }
 
-    return this._handler
-      .getDeleteExecutor(doc, docInfo)
-      .then((executor) => executor(doc, docInfo, executionOptions));
+    return this._handler.info
+      .beforeMutation("beforeRemove", doc, docInfo)
+      .then((newDoc) =>
+        this._handler
+          .getDeleteExecutor(newDoc, docInfo)
+          .then((executor) => executor(newDoc, docInfo, executionOptions))
+      );
   }
 
   /**
@@ -17,6 +17,11 @@
 'use strict';
 
 const tableMappingsModule = require('./table-mappings');
+const types = require('../types');
+const ModelValidator = require('./model-validator');
+const TableSchema = require('./table-schema');
+
+const hookNames = [ 'beforeInsert', 'beforeUpdate', 'beforeRemove', 'afterFind' ];
 const TableMappings = tableMappingsModule.TableMappings;
 const DefaultTableMappings = tableMappingsModule.DefaultTableMappings;
 
@@ -27,11 +32,15 @@ const DefaultTableMappings = tableMappingsModule.DefaultTableMappings;
 class ModelMappingInfo {
   /**
    * @param {String} keyspace
-   * @param {Array<{name, isView}>} tables
+   * @param {Array<{name, isView, schema}>} tables
    * @param {TableMappings} mappings
    * @param {Map<String,ModelColumnInfo>} columns
+   * @param {String} [versionColumn]
+   * @param {Object} [hooks]
+   * @param {ModelValidator} [validator]
+   * @param {UdtMapper} [udtMapper]
    */
-  constructor(keyspace, tables, mappings, columns) {
+  constructor(keyspace, tables, mappings, columns, versionColumn, hooks, validator, udtMapper) {
     this.keyspace = keyspace;
     this.tables = tables;
     this._mappings = mappings;
@@ -43,6 +52,45 @@ class ModelMappingInfo {
     for (const modelColumnInfo of columns.values()) {
       this._documentProperties.set(modelColumnInfo.propertyName, modelColumnInfo);
     }
+
+    /**
+     * The name of the column used for optimistic locking or null when not defined.
+     * @type {String|null}
+     */
+    this.versionColumn = versionColumn || null;
+
+    /**
+     * The name of the property that maps to the version column or null when not defined.
+     * @type {String|null}
+     */
+    this.versionProperty = this.versionColumn !== null ? this.getPropertyName(this.versionColumn) : null;
+
+    /**
+     * The lifecycle hooks of the model, with null values for the ones that are not defined.
+     * @type {{beforeInsert: Function, beforeUpdate: Function, beforeRemove: Function, afterFind: Function}}
+     */
+    this.hooks = {
+      beforeInsert: null,
+      beforeUpdate: null,
+      beforeRemove: null,
+      afterFind: null
+    };
+
+    if (hooks) {
+      hookNames.forEach(name => this.hooks[name] = hooks[name] || null);
+    }
+
+    /**
+     * The validator of the documents or null when there are no validation rules defined for the model.
+     * @type {ModelValidator|null}
+     */
+    this.validator = validator || null;
+
+    /**
+     * The mapper of the user-defined types or null when there are no UDT mappings defined.
+     * @type {UdtMapper|null}
+     */
+    this.udtMapper = udtMapper || null;
   }
 
   getColumnName(propName) {
@@ -79,13 +127,69 @@ class ModelMappingInfo {
     return this._mappings.newObjectInstance();
   }
 
+  /**
+   * Invokes the hook with the provided name, when defined, and validates the resulting document.
+   * @param {String} hookName The name of the hook: 'beforeInsert', 'beforeUpdate' or 'beforeRemove'.
+   * @param {Object} doc
+   * @param {Object} docInfo
+   * @returns {Promise<Object>} A Promise of the document to be used in the mutation.
+   */
+  beforeMutation(hookName, doc, docInfo) {
+    const hook = this.hooks[hookName];
+    const validator = hookName !== 'beforeRemove' ? this.validator : null;
+
+    if (hook === null && validator === null) {
+      return Promise.resolve(doc);
+    }
+
+    return new Promise(resolve => resolve(hook !== null ? hook(doc, docInfo) : doc))
+      .then(result => {
+        // Hooks can modify the provided document or return a new one
+        const newDoc = result !== undefined ? result : doc;
+
+        if (validator !== null) {
+          validator.validate(newDoc, hookName === 'beforeInsert');
+        }
+
+        return newDoc;
+      });
+  }
+
+  /**
+   * Gets the version to use when inserting a row of a versioned model.
+   * @param {Number|Long|undefined} value The version provided in the document.
+   * @returns {Number|Long}
+   */
+  getInitialVersion(value) {
+    return value !== undefined && value !== null ? value : 1;
+  }
+
+  /**
+   * Gets the version that follows the provided one, to be used when updating a row of a versioned model.
+   * @param {Number|Long} value The version provided in the document.
+   * @returns {Number|Long}
+   */
+  getNextVersion(value) {
+    if (typeof value === 'number') {
+      return value + 1;
+    }
+
+    if (value instanceof types.Long) {
+      return value.add(1);
+    }
+
+    throw new TypeError(`Version property '${this.versionProperty}' should be a Number or a Long (obtained ${
+      value === null ? 'null' : typeof value})`);
+  }
+
   /**
    * Parses the user options into a map of model names and ModelMappingInfo.
    * @param {MappingOptions} options
    * @param {String} currentKeyspace
+   * @param {UdtMapper} [udtMapper] The mapper of the user-defined types, shared by all the models.
    * @returns {Map<String, ModelMappingInfo>}
    */
-  static parse(options, currentKeyspace) {
+  static parse(options, currentKeyspace, udtMapper) {
     const result = new Map();
     if (!options || !options.models) {
       return result;
@@ -93,42 +197,57 @@ class ModelMappingInfo {
 
     Object.keys(options.models).forEach(modelName => {
       const modelOptions = options.models[modelName];
-      result.set(modelName, ModelMappingInfo._create(modelName, currentKeyspace, modelOptions));
+      result.set(modelName, ModelMappingInfo._create(modelName, currentKeyspace, modelOptions, udtMapper));
     });
 
     return result;
   }
 
-  static _create(modelName, currentKeyspace, modelOptions) {
+  static _create(modelName, currentKeyspace, modelOptions, udtMapper) {
     if (!currentKeyspace && (!modelOptions || !modelOptions.keyspace)) {
       throw new Error(
         'You should specify the keyspace of the model in the MappingOptions when the Client is not using a keyspace');
     }
 
     if (!modelOptions) {
-      return ModelMappingInfo.createDefault(modelName, currentKeyspace);
+      return ModelMappingInfo.createDefault(modelName, currentKeyspace, udtMapper);
     }
 
     let tables;
 
     if (modelOptions.tables && modelOptions.tables.length > 0) {
       tables = modelOptions.tables.map(item => {
-        const table = { name: null, isView: false };
+        const table = { name: null, isView: false, schema: null };
+        let schema = modelOptions.schema;
+
         if (typeof item === 'string') {
           table.name = item;
         } else if (item) {
           table.name = item.name;
           table.isView = !!item.isView;
+
+          if (item.schema !== undefined) {
+            schema = item.schema;
+          }
         }
 
         if (!table.name) {
           throw new Error(`Table name not specified for model '${modelName}'`);
         }
 
+        // The schema of the model applies to the tables that don't define their own
+        if (schema !== undefined && schema !== null && !table.isView) {
+          table.schema = TableSchema.parse(modelName, table.name, schema);
+        }
+
         return table;
       });
     } else {
-      tables = [ { name: modelName, isView: false }];
+      tables = [ { name: modelName, isView: false, schema: null }];
+
+      if (modelOptions.schema !== undefined && modelOptions.schema !== null) {
+        tables[0].schema = TableSchema.parse(modelName, modelName, modelOptions.schema);
+      }
     }
 
     if (modelOptions.mappings && !(modelOptions.mappings instanceof TableMappings)) {
@@ -142,20 +261,45 @@ class ModelMappingInfo {
       });
     }
 
+    if (modelOptions.versionColumn !== undefined && modelOptions.versionColumn !== null &&
+      (typeof modelOptions.versionColumn !== 'string' || modelOptions.versionColumn === '')) {
+      throw new TypeError(`versionColumn for model '${modelName}' should be a non-empty string`);
+    }
+
+    if (modelOptions.hooks !== undefined && modelOptions.hooks !== null) {
+      Object.keys(modelOptions.hooks).forEach(name => {
+        if (hookNames.indexOf(name) === -1) {
+          throw new TypeError(`Unknown hook '${name}' for model '${modelName}', valid hooks are: ${hookNames.join(', ')}`);
+        }
+
+        if (typeof modelOptions.hooks[name] !== 'function') {
+          throw new TypeError(`Hook '${name}' for model '${modelName}' should be a function`);
+        }
+      });
+    }
+
     return new ModelMappingInfo(
       modelOptions.keyspace || currentKeyspace,
       tables,
       modelOptions.mappings || new DefaultTableMappings(),
-      columns
+      columns,
+      modelOptions.versionColumn,
+      modelOptions.hooks,
+      ModelValidator.parse(modelName, modelOptions.validation),
+      udtMapper
     );
   }
 
-  static createDefault(modelName, currentKeyspace) {
+  static createDefault(modelName, currentKeyspace, udtMapper) {
     return new ModelMappingInfo(
       currentKeyspace,
-      [ { name: modelName, isView: false }],
+      [ { name: modelName, isView: false, schema: null }],
       new DefaultTableMappings(),
-      new Map());
+      new Map(),
+      null,
+      null,
+      null,
+      udtMapper);
   }
 }
 
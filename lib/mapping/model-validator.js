@@ -0,0 +1,178 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const errors = require('../errors');
+const types = require('../types');
+const qModule = require('./q');
+const QueryOperator = qModule.QueryOperator;
+const QueryAssignment = qModule.QueryAssignment;
+
+const typeNames = new Set([ 'string', 'number', 'boolean', 'object', 'array' ]);
+const ruleNames = new Set([ 'required', 'type', 'min', 'max', 'pattern' ]);
+
+/**
+ * Validates the documents of a model against the rules defined in the model options.
+ * @ignore
+ */
+class ModelValidator {
+  /**
+   * @param {String} modelName
+   * @param {Map<String, {required, type, min, max, pattern}>} rules The rules by property name.
+   */
+  constructor(modelName, rules) {
+    this._modelName = modelName;
+    this._rules = rules;
+  }
+
+  /**
+   * Validates the provided document, throwing an <code>ArgumentError</code> when it's not valid.
+   * <p>
+   *   Required properties must be defined when inserting and can not be set to <code>null</code> when updating.
+   *   Values containing query operators or assignments (i.e., <code>q.incr()</code>) are not validated.
+   * </p>
+   * @param {Object} doc
+   * @param {Boolean} isInsert
+   */
+  validate(doc, isInsert) {
+    for (const [ propertyName, rule ] of this._rules) {
+      const value = doc[propertyName];
+
+      if (value === undefined || value === null || value === types.unset) {
+        if (rule.required && (isInsert || value !== undefined)) {
+          throw new errors.ArgumentError(
+            `Property '${propertyName}' of model '${this._modelName}' is required (obtained ${value})`);
+        }
+
+        continue;
+      }
+
+      if (value instanceof QueryOperator || value instanceof QueryAssignment) {
+        continue;
+      }
+
+      if (rule.type !== undefined && !ModelValidator._isOfType(value, rule.type)) {
+        throw new errors.ArgumentError(`Property '${propertyName}' of model '${this._modelName}' should be of type ${
+          typeof rule.type === 'string' ? rule.type : rule.type.name}`);
+      }
+
+      if (rule.min !== undefined || rule.max !== undefined) {
+        const size = ModelValidator._getSize(value);
+        const isOutOfRange = size !== null &&
+          ((rule.min !== undefined && size < rule.min) || (rule.max !== undefined && size > rule.max));
+
+        if (isOutOfRange) {
+          throw new errors.ArgumentError(`Property '${propertyName}' of model '${this._modelName}' is out of range ` +
+            `[${rule.min !== undefined ? rule.min : ''}, ${rule.max !== undefined ? rule.max : ''}]`);
+        }
+      }
+
+      if (rule.pattern !== undefined && typeof value === 'string' && !rule.pattern.test(value)) {
+        throw new errors.ArgumentError(
+          `Property '${propertyName}' of model '${this._modelName}' does not match the pattern ${rule.pattern}`);
+      }
+    }
+  }
+
+  /**
+   * Gets the value to compare against the range: the numeric value for numbers and the length for strings and
+   * arrays.
+   * @param {*} value
+   * @returns {Number|null}
+   * @private
+   */
+  static _getSize(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    if (value instanceof types.Long) {
+      return value.toNumber();
+    }
+
+    if (typeof value === 'string' || Array.isArray(value)) {
+      return value.length;
+    }
+
+    return null;
+  }
+
+  static _isOfType(value, type) {
+    if (typeof type === 'function') {
+      return value instanceof type;
+    }
+
+    if (type === 'array') {
+      return Array.isArray(value);
+    }
+
+    return typeof value === type;
+  }
+
+  /**
+   * Parses the user provided validation options of a model.
+   * @param {String} modelName
+   * @param {Object} validation An associative array containing the property names as keys and the rules as values.
+   * @returns {ModelValidator|null}
+   */
+  static parse(modelName, validation) {
+    if (validation === undefined || validation === null) {
+      return null;
+    }
+
+    if (typeof validation !== 'object') {
+      throw new TypeError(`validation for model '${modelName}' should be an object`);
+    }
+
+    const rules = new Map();
+
+    Object.keys(validation).forEach(propertyName => {
+      const rule = validation[propertyName];
+
+      if (rule === null || typeof rule !== 'object') {
+        throw new TypeError(`Validation rule for property '${propertyName}' should be an object`);
+      }
+
+      Object.keys(rule).forEach(name => {
+        if (!ruleNames.has(name)) {
+          throw new TypeError(`Unknown validation rule '${name}' for property '${propertyName}'`);
+        }
+      });
+
+      if (rule.type !== undefined && typeof rule.type !== 'function' && !typeNames.has(rule.type)) {
+        throw new TypeError(`Validation type for property '${propertyName}' should be a constructor or one of: ${
+          Array.from(typeNames).join(', ')}`);
+      }
+
+      [ 'min', 'max' ].forEach(name => {
+        if (rule[name] !== undefined && typeof rule[name] !== 'number') {
+          throw new TypeError(`Validation ${name} for property '${propertyName}' should be a number`);
+        }
+      });
+
+      if (rule.pattern !== undefined && !(rule.pattern instanceof RegExp)) {
+        throw new TypeError(`Validation pattern for property '${propertyName}' should be a RegExp`);
+      }
+
+      rules.set(propertyName, rule);
+    });
+
+    return new ModelValidator(modelName, rules);
+  }
+}
+
+module.exports = ModelValidator;
@@ -16,6 +16,11 @@
 
 "use strict";
 
+const QueryOperator = require("./q").QueryOperator;
+const dataTypes = require("../types").dataTypes;
+
+const rangeOperators = new Set([">", ">=", "<", "<="]);
+
 const keyMatches = {
   all: 1,
   none: 0,
@@ -29,6 +34,16 @@ const keyMatches = {
 class ObjectSelector {
   /**
    * Gets the table/view that should be used to execute the SELECT query.
+   * <p>
+   *   Token restrictions cover all the partition keys of the table and multi-column restrictions are checked using
+   *   each of the columns. When <code>allowFilter</code> is set, the restrictions are not required to be composed by
+   *   the primary keys of the table.
+   * </p>
+   * <p>
+   *   The tables and views are matched using their primary keys, in the order defined in the model, followed by the
+   *   materialized views of the tables that are not defined in the model. When none of them matches, the secondary
+   *   indexes of the tables are considered.
+   * </p>
    * @param {Client} client
    * @param {ModelMappingInfo} info
    * @param {Boolean} allPKsDefined
@@ -36,7 +51,7 @@ class ObjectSelector {
    * @param {Array} fieldsInfo
    * @param {Array<Array<String>>} orderByColumns
    * @param {Boolean} allowFilter
-   * @return {Promise<String>} A promise that resolves to a table names.
+   * @return {Promise<TableMetadata>} A promise that resolves to the table or view metadata.
    */
   static getForSelect(
     client,
@@ -46,6 +61,60 @@ class ObjectSelector {
     fieldsInfo,
     orderByColumns,
     allowFilter
+  ) {
+    return ObjectSelector.explainSelect(
+      client,
+      info,
+      allPKsDefined,
+      propertiesInfo,
+      fieldsInfo,
+      orderByColumns,
+      allowFilter
+    ).then((explanation) => {
+      if (explanation.table !== null) {
+        return explanation.table;
+      }
+
+      let message = `No table matches the filter (${
+        allPKsDefined ? "all PKs have to be specified" : "PKs"
+      }): [${propertiesInfo.map((p) => p.columnName)}]`;
+
+      if (fieldsInfo.length > 0) {
+        message += `; fields: [${fieldsInfo.map((p) => p.columnName)}]`;
+      }
+      if (orderByColumns.length > 0) {
+        message += `; orderBy: [${orderByColumns.map((item) => item[0])}]`;
+      }
+
+      throw new Error(message);
+    });
+  }
+
+  /**
+   * Gets the table/view and the secondary index that should be used to execute the SELECT query, along with the
+   * reason why each of the tables and views of the model is used or discarded.
+   * <p>
+   *   The materialized views of the tables of the model that are not part of the model are retrieved from the
+   *   schema metadata and included as candidates after the ones of the model.
+   * </p>
+   * @param {Client} client
+   * @param {ModelMappingInfo} info
+   * @param {Boolean} allPKsDefined
+   * @param {Array} propertiesInfo
+   * @param {Array} fieldsInfo
+   * @param {Array<Array<String>>} orderByColumns
+   * @param {Boolean} allowFilter
+   * @return {Promise<{table: TableMetadata|null, index: Index|null, candidates: Array}>} A promise that resolves to
+   * the explanation, the table is null when there isn't a table or view that can be used.
+   */
+  static explainSelect(
+    client,
+    info,
+    allPKsDefined,
+    propertiesInfo,
+    fieldsInfo,
+    orderByColumns,
+    allowFilter
   ) {
     return Promise.all(
       info.tables.map((t) => {
@@ -54,97 +123,320 @@ class ObjectSelector {
         }
         return client.metadata.getTable(info.keyspace, t.name);
       })
-    ).then((tables) => {
-      for (let i = 0; i < tables.length; i++) {
-        const table = tables[i];
-        if (table === null) {
-          throw new Error(
-            `Table "${info.tables[i].name}" could not be retrieved`
-          );
-        }
+    ).then((tables) =>
+      ObjectSelector._getUnmappedViews(client, info).then((views) => {
+        const items = tables.map((table, i) => {
+          if (table === null) {
+            throw new Error(
+              `Table "${info.tables[i].name}" could not be retrieved`
+            );
+          }
 
-        // if (
-        //   keysAreIncluded(table.partitionKeys, propertiesInfo) !==
-        //   keyMatches.all
-        // ) {
-        //   // Not all the partition keys are covered
-        //   continue;
-        // }
-
-        // if (!allowFilter && allPKsDefined) {
-        //   if (
-        //     keysAreIncluded(table.clusteringKeys, propertiesInfo) !==
-        //     keyMatches.all
-        //   ) {
-        //     // All clustering keys should be included as allPKsDefined flag is set
-        //     continue;
-        //   }
-        // }
-
-        // if (propertiesInfo.length > table.partitionKeys.length) {
-        //   // Check that the Where clause is composed by partition and clustering keys
-        //   const allPropertiesArePrimaryKeys = propertiesInfo.reduce(
-        //     (acc, p) =>
-        //       acc &&
-        //       (contains(table.partitionKeys, (c) => c.name === p.columnName) ||
-        //         contains(table.clusteringKeys, (c) => c.name === p.columnName)),
-        //     true
-        //   );
-
-        // if (!allowFilter && !allPropertiesArePrimaryKeys) {
-        //   continue;
-        // }
-        // }
-
-        // All fields must be contained
-        const containsAllFields = fieldsInfo.reduce(
-          (acc, p) => acc && table.columnsByName[p.columnName] !== undefined,
-          true
+          return { table, isView: !!info.tables[i].isView };
+        });
+
+        return items.concat(views.map((table) => ({ table, isView: true })));
+      })
+    ).then((items) => {
+      const tokenProperties = propertiesInfo.filter(isTokenRestriction);
+      const columnsInfo = getColumnsInfo(
+        propertiesInfo.filter((p) => !isTokenRestriction(p))
+      );
+
+      const candidates = items.map(({ table, isView }) => {
+        const reason = ObjectSelector._getSelectMismatch(
+          table,
+          tokenProperties,
+          fieldsInfo,
+          orderByColumns
         );
 
-        // if (!containsAllFields) {
-        //   continue;
-        // }
-
-        // CQL:
-        // - "ORDER BY" is currently only supported on the clustered columns of the PRIMARY KEY
-        // - "ORDER BY" currently only support the ordering of columns following their declared order in
-        //   the PRIMARY KEY
-        //
-        // In the mapper, we validate that the ORDER BY columns appear in the same order as in the clustering keys
-        const containsAllOrderByColumns = orderByColumns.reduce(
-          (acc, order, index) => {
-            if (!acc) {
-              return false;
+        return {
+          table,
+          isView,
+          reason,
+          keysReason:
+            reason === null
+              ? ObjectSelector._getKeysMismatch(
+                table,
+                allPKsDefined,
+                tokenProperties,
+                columnsInfo,
+                allowFilter
+              )
+              : null,
+          index: null,
+        };
+      });
+
+      let selected = candidates.find(
+        (c) => c.reason === null && c.keysReason === null
+      );
+
+      if (selected !== undefined) {
+        if (tokenProperties.length > 0) {
+          selected.reason = "the token of the partition keys is restricted";
+        } else if (
+          keysAreIncluded(selected.table.partitionKeys, columnsInfo) ===
+          keyMatches.all
+        ) {
+          selected.reason = "the partition keys are restricted";
+        } else {
+          selected.reason = "filtering is allowed";
+        }
+      } else if (
+        !allPKsDefined &&
+        !allowFilter &&
+        tokenProperties.length === 0 &&
+        orderByColumns.length === 0
+      ) {
+        // Secondary indexes can be used when the primary keys of the tables and views don't match the restrictions
+        candidates
+          .filter((c) => c.reason === null && !c.isView)
+          .forEach((c) => {
+            const indexMatch = ObjectSelector._getIndexMatch(
+              c.table,
+              columnsInfo
+            );
+
+            c.index = indexMatch.index;
+
+            if (indexMatch.index === null) {
+              c.keysReason += ` and ${indexMatch.reason}`;
             }
+          });
 
-            const ck = table.clusteringKeys[index];
+        selected = candidates.find((c) => c.index !== null);
 
-            return ck && ck.name === order[0];
-          },
-          true
+        if (selected !== undefined) {
+          selected.reason = `the restrictions use the index '${selected.index.name}'`;
+        }
+      }
+
+      return {
+        table: selected !== undefined ? selected.table : null,
+        index: selected !== undefined ? selected.index : null,
+        candidates: candidates.map((c) => ({
+          name: c.table.name,
+          isView: c.isView,
+          selected: c === selected,
+          index: c === selected && c.index !== null ? c.index.name : null,
+          reason: c === selected || c.reason !== null ? c.reason : c.keysReason,
+        })),
+      };
+    });
+  }
+
+  /**
+   * Gets the metadata of the materialized views of the tables of the model that are not part of the model.
+   * @param {Client} client
+   * @param {ModelMappingInfo} info
+   * @return {Promise<Array<MaterializedView>>}
+   * @private
+   */
+  static _getUnmappedViews(client, info) {
+    const mappedNames = new Set(info.tables.map((t) => t.name));
+
+    return Promise.all(
+      info.tables
+        .filter((t) => !t.isView)
+        .map((t) =>
+          client.metadata.getMaterializedViewNames(info.keyspace, t.name)
+        )
+    )
+      .then((namesByTable) => {
+        const names = new Set();
+        namesByTable.forEach((viewNames) =>
+          viewNames
+            .filter((name) => !mappedNames.has(name))
+            .forEach((name) => names.add(name))
         );
 
-        // if (!containsAllOrderByColumns) {
-        //   continue;
-        // }
+        return Promise.all(
+          Array.from(names).map((name) =>
+            client.metadata.getMaterializedView(info.keyspace, name)
+          )
+        );
+      })
+      .then((views) => views.filter((view) => view !== null));
+  }
+
+  /**
+   * Gets the reason why the table can not be used to select the fields with the provided order and token
+   * restrictions, regardless of the other restrictions, or null when it can be used.
+   * @param {TableMetadata} table
+   * @param {Array} tokenProperties
+   * @param {Array} fieldsInfo
+   * @param {Array<Array<String>>} orderByColumns
+   * @return {String|null}
+   * @private
+   */
+  static _getSelectMismatch(
+    table,
+    tokenProperties,
+    fieldsInfo,
+    orderByColumns
+  ) {
+    // Token restrictions must target the partition keys of the table
+    const tokenMatches = tokenProperties.every((p) =>
+      contains(table.partitionKeys, (c) => c.name === p.columnName)
+    );
+
+    if (!tokenMatches) {
+      return "the token restrictions do not target the partition keys";
+    }
+
+    // All fields must be contained
+    const missingField = fieldsInfo.find(
+      (p) => table.columnsByName[p.columnName] === undefined
+    );
+
+    if (missingField !== undefined) {
+      return `field '${missingField.columnName}' is not included`;
+    }
+
+    // CQL:
+    // - "ORDER BY" is currently only supported on the clustered columns of the PRIMARY KEY
+    // - "ORDER BY" currently only support the ordering of columns following their declared order in
+    //   the PRIMARY KEY
+    //
+    // In the mapper, we validate that the ORDER BY columns appear in the same order as in the clustering keys
+    const containsAllOrderByColumns = orderByColumns.every((order, index) => {
+      const ck = table.clusteringKeys[index];
+      return ck && ck.name === order[0];
+    });
 
-        return table.name;
+    if (!containsAllOrderByColumns) {
+      return "the ORDER BY columns do not match the clustering keys";
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets the reason why the primary keys of the table don't match the restrictions or null when they match.
+   * @param {TableMetadata} table
+   * @param {Boolean} allPKsDefined
+   * @param {Array} tokenProperties
+   * @param {Array} columnsInfo
+   * @param {Boolean} allowFilter
+   * @return {String|null}
+   * @private
+   */
+  static _getKeysMismatch(
+    table,
+    allPKsDefined,
+    tokenProperties,
+    columnsInfo,
+    allowFilter
+  ) {
+    if (
+      !allowFilter &&
+      tokenProperties.length === 0 &&
+      keysAreIncluded(table.partitionKeys, columnsInfo) !== keyMatches.all
+    ) {
+      return "not all the partition keys are restricted";
+    }
+
+    if (
+      allPKsDefined &&
+      (keysAreIncluded(table.partitionKeys, columnsInfo) !== keyMatches.all ||
+        keysAreIncluded(table.clusteringKeys, columnsInfo) !== keyMatches.all)
+    ) {
+      // All primary keys should be included as allPKsDefined flag is set
+      return "not all the primary keys are restricted";
+    }
+
+    // The Where clause must be composed by columns of the table and, unless filtering is allowed, by partition
+    // and clustering keys
+    const invalidColumn = columnsInfo.find((p) =>
+      (allowFilter
+        ? table.columnsByName[p.columnName] === undefined
+        : !isPrimaryKey(table, p.columnName))
+    );
+
+    if (invalidColumn !== undefined) {
+      return allowFilter
+        ? `column '${invalidColumn.columnName}' is not included`
+        : `column '${invalidColumn.columnName}' is not part of the primary key`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets the secondary index that can be used to execute the query with the provided restrictions.
+   * <p>
+   *   The restrictions on columns that are not part of the primary key must target indexed columns, the
+   *   partition keys must be completely restricted or not restricted at all and the clustering keys can only be
+   *   restricted when the partition keys are restricted. Range restrictions and restrictions on multiple indexed
+   *   columns are only supported by storage-attached indexes (SAI) and SASI indexes.
+   * </p>
+   * @param {TableMetadata} table
+   * @param {Array} columnsInfo
+   * @return {{index: Index|null, reason: String|null}}
+   * @private
+   */
+  static _getIndexMatch(table, columnsInfo) {
+    const partitionKeyMatches = keysAreIncluded(
+      table.partitionKeys,
+      columnsInfo
+    );
+
+    if (partitionKeyMatches === keyMatches.some) {
+      return {
+        index: null,
+        reason: "the partition keys are partially restricted",
+      };
+    }
+
+    const indexes = getColumnIndexes(table);
+    const usedIndexes = [];
+
+    for (const p of columnsInfo) {
+      if (
+        contains(table.partitionKeys, (c) => c.name === p.columnName) ||
+        (partitionKeyMatches === keyMatches.all &&
+          contains(table.clusteringKeys, (c) => c.name === p.columnName))
+      ) {
+        continue;
       }
 
-      //   let message = `No table matches the filter (${
-      //     allPKsDefined ? "all PKs have to be specified" : "PKs"
-      //   }): [${propertiesInfo.map((p) => p.columnName)}]`;
+      const index = indexes.get(p.columnName);
 
-      //   if (fieldsInfo.length > 0) {
-      //     message += `; fields: [${fieldsInfo.map((p) => p.columnName)}]`;
-      //   }
-      //   if (orderByColumns.length > 0) {
-      //     message += `; orderBy: [${orderByColumns.map((item) => item[0])}]`;
-      //   }
+      if (index === undefined) {
+        return {
+          index: null,
+          reason: `column '${p.columnName}' is not indexed`,
+        };
+      }
 
-      //   throw new Error(message);
-    });
+      if (!isIndexRestriction(index, p.value)) {
+        return {
+          index: null,
+          reason: `the restriction on column '${p.columnName}' is not supported by the index '${index.name}'`,
+        };
+      }
+
+      usedIndexes.push(index);
+    }
+
+    if (usedIndexes.length === 0) {
+      return {
+        index: null,
+        reason: "there are no restrictions on indexed columns",
+      };
+    }
+
+    if (usedIndexes.length > 1 && !usedIndexes.every(supportsRanges)) {
+      return {
+        index: null,
+        reason:
+          "multiple indexed columns can only be restricted using storage-attached indexes",
+      };
+    }
+
+    return { index: usedIndexes[0], reason: null };
   }
 
   /** Returns the name of the first table */
@@ -154,6 +446,9 @@ class ObjectSelector {
 
   /**
    * Gets the tables that should be used to execute the INSERT query.
+   * <p>
+   *   Counter tables are not considered, as counter columns can only be modified using UPDATE statements.
+   * </p>
    * @param {Client} client
    * @param {ModelMappingInfo} info
    * @param {Array} propertiesInfo
@@ -165,6 +460,7 @@ class ObjectSelector {
         .filter((t) => !t.isView)
         .map((t) => client.metadata.getTable(info.keyspace, t.name))
     ).then((tables) => {
+      let counterTables = 0;
       const filteredTables = tables.filter((table, i) => {
         if (table === null) {
           throw new Error(
@@ -172,6 +468,11 @@ class ObjectSelector {
           );
         }
 
+        if (isCounterTable(table)) {
+          counterTables++;
+          return false;
+        }
+
         if (
           keysAreIncluded(table.partitionKeys, propertiesInfo) !==
           keyMatches.all
@@ -202,6 +503,12 @@ class ObjectSelector {
       });
 
       if (filteredTables.length === 0) {
+        if (counterTables > 0 && counterTables === tables.length) {
+          throw new Error(
+            "Counter tables do not support INSERT, use update() with q.incr() or q.decr() instead"
+          );
+        }
+
         throw new Error(
           `No table matches (all PKs have to be specified) fields: [${propertiesInfo.map(
             (p) => p.columnName
@@ -252,11 +559,22 @@ class ObjectSelector {
           return false;
         }
 
-        if (
-          clusteringKeyMatches === keyMatches.none &&
-          !hasStaticColumn(table)
-        ) {
-          return false;
+        if (clusteringKeyMatches === keyMatches.none) {
+          // Only static columns can be updated when the clustering keys are not provided
+          const onlyStaticColumns =
+            hasStaticColumn(table) &&
+            propertiesInfo.every((p) => {
+              const column = table.columnsByName[p.columnName];
+              return (
+                column === undefined ||
+                column.isStatic ||
+                contains(table.partitionKeys, (c) => c.name === p.columnName)
+              );
+            });
+
+          if (!onlyStaticColumns) {
+            return false;
+          }
         }
 
         const applicableColumns = propertiesInfo.reduce(
@@ -265,17 +583,15 @@ class ObjectSelector {
           0
         );
 
-        if (
-          applicableColumns <=
-          table.partitionKeys.length + table.clusteringKeys.length
-        ) {
-          if (
-            !hasStaticColumn(table) ||
-            applicableColumns <= table.partitionKeys.length
-          ) {
-            // UPDATE statement does not contain columns to SET
-            return false;
-          }
+        const keyLength =
+          table.partitionKeys.length +
+          (clusteringKeyMatches === keyMatches.all
+            ? table.clusteringKeys.length
+            : 0);
+
+        if (applicableColumns <= keyLength) {
+          // UPDATE statement does not contain columns to SET
+          return false;
         }
 
         // "when" conditions should be contained in the table
@@ -358,6 +674,23 @@ class ObjectSelector {
   }
 }
 
+function isTokenRestriction(p) {
+  return p.value instanceof QueryOperator && p.value.isTokenOperator;
+}
+
+/**
+ * Gets the information of each restricted column, expanding the multi-column restrictions.
+ * @private
+ * @param {Array} propertiesInfo
+ * @returns {Array<{columnName}>}
+ */
+function getColumnsInfo(propertiesInfo) {
+  return propertiesInfo.reduce(
+    (acc, p) => acc.concat(p.tupleProperties ? p.tupleProperties : [p]),
+    []
+  );
+}
+
 function contains(arr, fn) {
   return arr.filter(fn).length > 0;
 }
@@ -386,6 +719,69 @@ function keysAreIncluded(keys, propertiesInfo) {
   return matches === keys.length ? keyMatches.all : keyMatches.some;
 }
 
+function isPrimaryKey(table, columnName) {
+  return (
+    contains(table.partitionKeys, (c) => c.name === columnName) ||
+    contains(table.clusteringKeys, (c) => c.name === columnName)
+  );
+}
+
+/**
+ * Gets the secondary indexes of the table that target the values of a column, by column name.
+ * @private
+ * @param {TableMetadata} table
+ * @returns {Map<String, Index>}
+ */
+function getColumnIndexes(table) {
+  const result = new Map();
+
+  (table.indexes || []).forEach((index) => {
+    // Quoted identifiers are unquoted, functions on collections (keys, entries, full) are not considered
+    const match = /^"?([^"()]+)"?$/.exec(index.target || "");
+
+    if (match !== null && table.columnsByName[match[1]] !== undefined) {
+      result.set(match[1], index);
+    }
+  });
+
+  return result;
+}
+
+function supportsRanges(index) {
+  const className = index.options && index.options["class_name"];
+  return (
+    index.isCustomKind() &&
+    /(StorageAttachedIndex|SASIIndex)$/.test(className || "")
+  );
+}
+
+/**
+ * Determines whether the restriction can be applied using the index.
+ * @private
+ * @param {Index} index
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isIndexRestriction(index, value) {
+  if (!(value instanceof QueryOperator)) {
+    // Equality
+    return true;
+  }
+
+  if (value.hasChildValues) {
+    return (
+      isIndexRestriction(index, value.value[0]) &&
+      isIndexRestriction(index, value.value[1])
+    );
+  }
+
+  return rangeOperators.has(value.key) && supportsRanges(index);
+}
+
+function isCounterTable(table) {
+  return contains(table.columns, (c) => c.type.code === dataTypes.counter);
+}
+
 function hasStaticColumn(table) {
   return staticColumnCount(table) > 0;
 }
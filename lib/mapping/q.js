@@ -29,8 +29,9 @@ class QueryOperator {
    * @param value
    * @param [hasChildValues]
    * @param [isInOperator]
+   * @param [isTokenOperator]
    */
-  constructor(key, value, hasChildValues, isInOperator) {
+  constructor(key, value, hasChildValues, isInOperator, isTokenOperator) {
     /**
      * The CQL key representing the operator
      * @type {string}
@@ -51,6 +52,11 @@ class QueryOperator {
      * Determines whether this instance represents CQL "IN" operator.
      */
     this.isInOperator = isInOperator;
+
+    /**
+     * Determines whether this instance represents a restriction on the token of the partition key.
+     */
+    this.isTokenOperator = !!isTokenOperator;
   }
 }
 
@@ -59,7 +65,15 @@ class QueryOperator {
  * @ignore
  */
 class QueryAssignment {
-  constructor(sign, value, inverted) {
+  /**
+   * Creates a new instance of <code>QueryAssignment</code>.
+   * @param {String} sign
+   * @param value
+   * @param [inverted]
+   * @param [key] The map key or list index of the element, when the assignment targets a single element of the
+   * collection.
+   */
+  constructor(sign, value, inverted, key) {
     /**
      * Gets the sign of the assignment operation.
      */
@@ -75,6 +89,12 @@ class QueryAssignment {
      * @type {boolean}
      */
     this.inverted = !!inverted;
+
+    /**
+     * Gets the map key or the list index of the element to be assigned or removed, or <code>undefined</code> when
+     * the assignment applies to the whole column.
+     */
+    this.key = key;
   }
 }
 
@@ -90,11 +110,18 @@ class QueryAssignment {
  * @property {function} notEq Represents the CQL operator not equals to "!=" .
  * @property {function} and When applied to a property, it represents two CQL conditions on the same column separated
  * by the logical AND operator, e.g: "col1 >= x col < y"
+ * @property {function} token When applied to a partition key property, it represents a CQL condition on the token of
+ * the partition key, e.g: "token(pk1, pk2) > x". It accepts a value (equality) or a relational operator, i.e.,
+ * <code>q.token(q.gt(x))</code> or <code>q.token(q.and(q.gt(x), q.lte(y)))</code>.
  * @property {function} incr Represents the CQL increment assignment used for counters, e.g: "col = col + x"
  * @property {function} decr Represents the CQL decrement assignment used for counters, e.g: "col = col - x"
  * @property {function} append Represents the CQL append assignment used for collections, e.g: "col = col + x"
  * @property {function} prepend Represents the CQL prepend assignment used for lists, e.g: "col = x + col"
  * @property {function} remove Represents the CQL remove assignment used for collections, e.g: "col = col - x"
+ * @property {function} setKey Represents the CQL assignment of a single element of a map or a list, e.g:
+ * "col[key] = x"
+ * @property {function} removeKey Represents the CQL removal of a single element of a map or a set, e.g:
+ * "col = col - {key}"
  */
 const q = {
   in_: function in_(arr) {
@@ -128,6 +155,16 @@ const q = {
     return new QueryOperator('AND', [ condition1, condition2 ], true);
   },
 
+  token: function token(condition) {
+    const operator = condition instanceof QueryOperator ? condition : new QueryOperator('=', condition);
+
+    if (operator.isInOperator || operator.isTokenOperator) {
+      throw new errors.ArgumentError('Token restrictions only support a value or relational operators');
+    }
+
+    return new QueryOperator(operator.key, operator.value, operator.hasChildValues, false, true);
+  },
+
   incr: function incr(value) {
     return new QueryAssignment('+', value);
   },
@@ -146,9 +183,25 @@ const q = {
 
   remove: function remove(value) {
     return new QueryAssignment('-', value);
+  },
+
+  setKey: function setKey(key, value) {
+    validateElementKey(key);
+    return new QueryAssignment('=', value, false, key);
+  },
+
+  removeKey: function removeKey(key) {
+    validateElementKey(key);
+    return new QueryAssignment('-', undefined, false, key);
   }
 };
 
+function validateElementKey(key) {
+  if (key === undefined || key === null) {
+    throw new errors.ArgumentError('The key of the collection element must be defined');
+  }
+}
+
 exports.q = q;
 exports.QueryAssignment = QueryAssignment;
 exports.QueryOperator = QueryOperator;
\ No newline at end of file
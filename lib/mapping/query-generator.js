@@ -17,6 +17,7 @@
 "use strict";
 
 const vm = require("vm");
+const errors = require("../errors");
 const qModule = require("./q");
 const QueryOperator = qModule.QueryOperator;
 const QueryAssignment = qModule.QueryAssignment;
@@ -73,7 +74,32 @@ class QueryGenerator {
       query += " LIMIT ?";
     }
 
-    return query + " ALLOW FILTERING";
+    if (allowFilter) {
+      query += " ALLOW FILTERING";
+    }
+
+    return query;
+  }
+
+  /**
+   * Gets the properties information to be used in the WHERE clause, where the token restrictions are applied to the
+   * partition keys of the table, e.g: "token(pk1, pk2) > ?".
+   * @param {Array} propertiesInfo
+   * @param {Array<{name}>} partitionKeys
+   * @returns {Array}
+   */
+  static adaptTokenRestrictions(propertiesInfo, partitionKeys) {
+    return propertiesInfo.map((p) => {
+      if (!(p.value instanceof QueryOperator) || !p.value.isTokenOperator) {
+        return p;
+      }
+
+      // The token value is not transformed using the mapping function of the property
+      return Object.assign({}, p, {
+        columnName: `token(${partitionKeys.map((c) => c.name).join(", ")})`,
+        fromModel: null,
+      });
+    });
   }
 
   static selectParamsGetter(propertiesInfo, limit) {
@@ -104,8 +130,9 @@ class QueryGenerator {
    * @param {Array} propertiesInfo
    * @param {Object} docInfo
    * @param {Boolean|undefined} ifNotExists
-   * @param {Boolean} allowFilter
-   * @return {{query: String, paramsGetter: Function, isIdempotent: Boolean}}
+   * @param {String|null} [versionColumn] The name of the column used for optimistic locking.
+   * @param {UdtMapper|null} [udtMapper] The mapper of the user-defined types.
+   * @return {{query: String, paramsGetter: Function, isIdempotent: Boolean, isVersioned: Boolean}}
    */
   static getInsert(
     table,
@@ -113,29 +140,39 @@ class QueryGenerator {
     propertiesInfo,
     docInfo,
     ifNotExists,
-    allowFilter
+    versionColumn,
+    udtMapper
   ) {
     const ttl = docInfo && docInfo.ttl;
+    const isVersioned = QueryGenerator._isVersioned(table, versionColumn);
 
     // Not all columns are contained in the table
-    const filteredPropertiesInfo = propertiesInfo.filter(
-      (pInfo) => table.columnsByName[pInfo.columnName] !== undefined
+    const filteredPropertiesInfo = QueryGenerator._adaptUdtProperties(
+      table,
+      propertiesInfo.filter(
+        (pInfo) => table.columnsByName[pInfo.columnName] !== undefined
+      ),
+      udtMapper
     );
 
+    // Versioned rows can only be inserted when they don't exist
+    ifNotExists = ifNotExists || isVersioned;
+
     return {
       query: QueryGenerator._getInsertQuery(
         table.name,
         keyspace,
         filteredPropertiesInfo,
         ifNotExists,
-        ttl,
-        allowFilter
+        ttl
       ),
       paramsGetter: QueryGenerator._insertParamsGetter(
         filteredPropertiesInfo,
-        docInfo
+        docInfo,
+        isVersioned ? versionColumn : null
       ),
       isIdempotent: !ifNotExists,
+      isVersioned,
     };
   }
 
@@ -145,18 +182,10 @@ class QueryGenerator {
    * @param {String} keyspace
    * @param {Array} propertiesInfo
    * @param {Boolean} ifNotExists
-   * @param {Boolean} allowFilter
    * @param {Number|undefined} ttl
    * @return {String}
    */
-  static _getInsertQuery(
-    tableName,
-    keyspace,
-    propertiesInfo,
-    ifNotExists,
-    ttl,
-    allowFilter
-  ) {
+  static _getInsertQuery(tableName, keyspace, propertiesInfo, ifNotExists, ttl) {
     let query = `INSERT INTO ${keyspace}.${tableName} (`;
     query += propertiesInfo.map((pInfo) => pInfo.columnName).join(", ");
     query += ") VALUES (";
@@ -173,12 +202,18 @@ class QueryGenerator {
     return query;
   }
 
-  static _insertParamsGetter(propertiesInfo, docInfo) {
+  static _insertParamsGetter(propertiesInfo, docInfo, versionColumn) {
     let scriptText =
       "(function getParametersInsert(doc, docInfo, mappingInfo) {\n";
     scriptText += "  return [";
 
-    scriptText += QueryGenerator._valueGetterExpression(propertiesInfo);
+    scriptText += propertiesInfo
+      .map((p) =>
+        (p.columnName === versionColumn
+          ? `mappingInfo.getInitialVersion(doc['${p.propertyName}'])`
+          : QueryGenerator._valueGetterExpression([p]))
+      )
+      .join(", ");
 
     if (docInfo && typeof docInfo.ttl === "number") {
       scriptText += `, docInfo['ttl']`;
@@ -199,8 +234,9 @@ class QueryGenerator {
    * @param {Object} docInfo
    * @param {Array} when
    * @param {Boolean|undefined} ifExists
-   * @param {Boolean} allowFilter
-   * @return {{query: String, paramsGetter: Function, isIdempotent: Boolean, isCounter}}
+   * @param {String|null} [versionColumn] The name of the column used for optimistic locking.
+   * @param {UdtMapper|null} [udtMapper] The mapper of the user-defined types.
+   * @return {{query: String, paramsGetter: Function, isIdempotent: Boolean, isCounter, isVersioned: Boolean}}
    */
   static getUpdate(
     table,
@@ -209,9 +245,11 @@ class QueryGenerator {
     docInfo,
     when,
     ifExists,
-    allowFilter
+    versionColumn,
+    udtMapper
   ) {
     const ttl = docInfo && docInfo.ttl;
+    const isVersioned = QueryGenerator._isVersioned(table, versionColumn);
     const primaryKeys = new Set(
       table.partitionKeys.concat(table.clusteringKeys).map((c) => c.name)
     );
@@ -219,15 +257,20 @@ class QueryGenerator {
     let isCounter = false;
 
     // Not all columns are contained in the table
-    const filteredPropertiesInfo = propertiesInfo.filter((pInfo) => {
+    let filteredPropertiesInfo = propertiesInfo.filter((pInfo) => {
       const column = table.columnsByName[pInfo.columnName];
       if (column === undefined) {
         return false;
       }
 
+      if (!primaryKeys.has(pInfo.columnName)) {
+        QueryGenerator._validateAssignment(table, column, pInfo);
+      }
+
       if (
         column.type.code === dataTypes.list &&
-        pInfo.value instanceof QueryAssignment
+        pInfo.value instanceof QueryAssignment &&
+        pInfo.value.key === undefined
       ) {
         // Its not idempotent when list append/prepend
         isIdempotent = false;
@@ -240,28 +283,140 @@ class QueryGenerator {
       return true;
     });
 
+    filteredPropertiesInfo = QueryGenerator._adaptUdtProperties(
+      table,
+      filteredPropertiesInfo,
+      udtMapper
+    );
+
+    // The version condition is applied using the value of the property in the document
+    const versionInfo = isVersioned
+      ? filteredPropertiesInfo.find((p) => p.columnName === versionColumn)
+      : undefined;
+
+    let query = QueryGenerator._getUpdateQuery(
+      table.name,
+      keyspace,
+      primaryKeys,
+      filteredPropertiesInfo,
+      when,
+      ifExists,
+      ttl
+    );
+
+    if (versionInfo !== undefined) {
+      query += (when.length > 0 ? " AND " : " IF ") + `${versionColumn} = ?`;
+    }
+
     return {
-      query: QueryGenerator._getUpdateQuery(
-        table.name,
-        keyspace,
-        primaryKeys,
-        filteredPropertiesInfo,
-        when,
-        ifExists,
-        ttl,
-        allowFilter
-      ),
-      isIdempotent: isIdempotent && when.length === 0 && !ifExists,
+      query,
+      isIdempotent:
+        isIdempotent &&
+        when.length === 0 &&
+        !ifExists &&
+        versionInfo === undefined,
       paramsGetter: QueryGenerator._updateParamsGetter(
         primaryKeys,
         filteredPropertiesInfo,
         when,
-        ttl
+        ttl,
+        versionInfo
       ),
       isCounter,
+      isVersioned: versionInfo !== undefined,
     };
   }
 
+  /**
+   * Gets the properties information including the key of the type to adapt the values of the mapped user-defined
+   * types, for the properties that map to columns containing them.
+   * @param {TableMetadata} table
+   * @param {Array} propertiesInfo
+   * @param {UdtMapper|null} udtMapper
+   * @returns {Array}
+   * @private
+   */
+  static _adaptUdtProperties(table, propertiesInfo, udtMapper) {
+    if (!udtMapper) {
+      return propertiesInfo;
+    }
+
+    return propertiesInfo.map((p) => {
+      if (p.value instanceof QueryOperator) {
+        return p;
+      }
+
+      let type = table.columnsByName[p.columnName].type;
+
+      if (p.value instanceof QueryAssignment && p.value.key !== undefined) {
+        if (p.value.sign !== "=") {
+          return p;
+        }
+
+        // Only the element is adapted, considering the type of the values
+        type = type.code === dataTypes.map ? type.info[1] : type.info;
+      }
+
+      if (!udtMapper.isMappedType(type)) {
+        return p;
+      }
+
+      return Object.assign({}, p, { udtTypeKey: udtMapper.getTypeKey(type) });
+    });
+  }
+
+  /**
+   * Validates that the value of the property can be assigned to the column, considering that counter columns can
+   * only be incremented or decremented and that element assignments are only supported on some collection types.
+   * @param {TableMetadata} table
+   * @param {ColumnInfo} column
+   * @param {{propertyName, value}} pInfo
+   * @private
+   */
+  static _validateAssignment(table, column, pInfo) {
+    const value = pInfo.value;
+    const typeCode = column.type.code;
+
+    if (typeCode === dataTypes.counter) {
+      if (
+        !(value instanceof QueryAssignment) ||
+        value.key !== undefined ||
+        value.inverted ||
+        (value.sign !== "+" && value.sign !== "-")
+      ) {
+        throw new errors.ArgumentError(
+          `Counter column '${column.name}' of table '${table.name}' can only be updated using q.incr() or q.decr()`
+        );
+      }
+
+      return;
+    }
+
+    if (!(value instanceof QueryAssignment) || value.key === undefined) {
+      return;
+    }
+
+    if (
+      value.sign === "=" &&
+      typeCode !== dataTypes.map &&
+      typeCode !== dataTypes.list
+    ) {
+      throw new errors.ArgumentError(
+        `q.setKey() can only be applied to map or list columns, obtained property '${pInfo.propertyName}'`
+      );
+    }
+
+    if (
+      value.sign === "-" &&
+      typeCode !== dataTypes.map &&
+      typeCode !== dataTypes.set
+    ) {
+      throw new errors.ArgumentError(
+        `q.removeKey() can only be applied to map or set columns, obtained property '${pInfo.propertyName}'`
+      );
+    }
+  }
+
   /**
    * Gets the query for an UPDATE statement.
    * @param {String} tableName
@@ -270,7 +425,6 @@ class QueryGenerator {
    * @param {Array} propertiesInfo
    * @param {Object} when
    * @param {Boolean} ifExists
-   * @param {Boolean} allowFilter
    * @param {Number|undefined} ttl
    */
   static _getUpdateQuery(
@@ -280,7 +434,6 @@ class QueryGenerator {
     propertiesInfo,
     when,
     ifExists,
-    allowFilter,
     ttl
   ) {
     let query = `UPDATE ${keyspace}.${tableName} `;
@@ -295,6 +448,12 @@ class QueryGenerator {
       .filter((p) => !primaryKeys.has(p.columnName))
       .map((p) => {
         if (p.value instanceof QueryAssignment) {
+          if (p.value.key !== undefined) {
+            // e.g: map entry "col1[?] = ?" or element removal "col1 = col1 - ?"
+            return p.value.sign === "="
+              ? `${p.columnName}[?] = ?`
+              : `${p.columnName} = ${p.columnName} - ?`;
+          }
           if (p.value.inverted) {
             // e.g: prepend "col1 = ? + col1"
             return `${p.columnName} = ? ${p.value.sign} ${p.columnName}`;
@@ -328,9 +487,16 @@ class QueryGenerator {
    * @param {Array} propertiesInfo
    * @param {Array} when
    * @param {Number|undefined} ttl
+   * @param {Object} [versionInfo] The information of the property used as version.
    * @returns {Function}
    */
-  static _updateParamsGetter(primaryKeys, propertiesInfo, when, ttl) {
+  static _updateParamsGetter(
+    primaryKeys,
+    propertiesInfo,
+    when,
+    ttl,
+    versionInfo
+  ) {
     let scriptText =
       "(function getParametersUpdate(doc, docInfo, mappingInfo) {\n";
     scriptText += "  return [";
@@ -341,7 +507,9 @@ class QueryGenerator {
 
     // Assignment clause
     scriptText += QueryGenerator._assignmentGetterExpression(
-      propertiesInfo.filter((p) => !primaryKeys.has(p.columnName))
+      propertiesInfo.filter((p) => !primaryKeys.has(p.columnName)),
+      "doc",
+      versionInfo
     );
     scriptText += ", ";
 
@@ -356,6 +524,11 @@ class QueryGenerator {
         ", " + QueryGenerator._valueGetterExpression(when, "docInfo.when");
     }
 
+    // Version condition
+    if (versionInfo !== undefined) {
+      scriptText += `, doc['${versionInfo.propertyName}']`;
+    }
+
     // Finish return statement
     scriptText += "];\n})";
 
@@ -363,6 +536,20 @@ class QueryGenerator {
     return script.runInThisContext();
   }
 
+  /**
+   * Determines whether the mutations on the table should be conditioned by the version column.
+   * @param {TableMetadata} table
+   * @param {String|null|undefined} versionColumn
+   * @returns {Boolean}
+   * @private
+   */
+  static _isVersioned(table, versionColumn) {
+    return (
+      typeof versionColumn === "string" &&
+      table.columnsByName[versionColumn] !== undefined
+    );
+  }
+
   /**
    * Gets the DELETE query and function to obtain the parameters, given the doc.
    * @param {TableMetadata} table
@@ -491,13 +678,63 @@ class QueryGenerator {
     objectName = objectName || "doc";
 
     return propertiesInfo
-      .map((p) =>
-        QueryGenerator._valueGetterSingle(
+      .map((p) => {
+        if (p.tupleProperties) {
+          return QueryGenerator._tupleValueGetter(
+            `${objectName}['${p.propertyName}']`,
+            p.tupleProperties,
+            p.value
+          );
+        }
+
+        const valueGetter = QueryGenerator._valueGetterSingle(
           `${objectName}['${p.propertyName}']`,
           p.propertyName,
           p.value,
           p.fromModel
-        )
+        );
+
+        return QueryGenerator._getUdtMappingCall(p, valueGetter);
+      })
+      .join(", ");
+  }
+
+  /**
+   * Gets a string containing the values of a multi-column restriction, using the mapping function of each property.
+   * @param {String} prefix
+   * @param {Array} tupleProperties
+   * @param {*} value
+   * @return {string}
+   * @private
+   */
+  static _tupleValueGetter(prefix, tupleProperties, value) {
+    if (value instanceof QueryOperator) {
+      if (value.hasChildValues) {
+        return (
+          `${QueryGenerator._tupleValueGetter(
+            `${prefix}.value[0]`,
+            tupleProperties,
+            value.value[0]
+          )}` +
+          `, ${QueryGenerator._tupleValueGetter(
+            `${prefix}.value[1]`,
+            tupleProperties,
+            value.value[1]
+          )}`
+        );
+      }
+
+      prefix = `${prefix}.value`;
+    }
+
+    return tupleProperties
+      .map((p, index) =>
+        (!p.fromModel
+          ? `${prefix}[${index}]`
+          : QueryGenerator._getMappingFunctionCall(
+            p.propertyName,
+            `${prefix}[${index}]`
+          ))
       )
       .join(", ");
   }
@@ -543,31 +780,55 @@ class QueryGenerator {
    * Gets a string containing the doc properties to SET, considering QueryAssignment instances.
    * @param {Array} propertiesInfo
    * @param {String} [prefix='doc']
+   * @param {Object} [versionInfo] The information of the property used as version, that is assigned to the next
+   * version value.
    * @return {string}
    * @private
    */
-  static _assignmentGetterExpression(propertiesInfo, prefix) {
+  static _assignmentGetterExpression(propertiesInfo, prefix, versionInfo) {
     prefix = prefix || "doc";
 
     return propertiesInfo
       .map((p) => {
+        if (p === versionInfo) {
+          return `mappingInfo.getNextVersion(${prefix}['${p.propertyName}'])`;
+        }
+
+        if (p.value instanceof QueryAssignment && p.value.key !== undefined) {
+          // The mapping function of the property applies to the whole collection, not to its elements
+          return p.value.sign === "="
+            ? `${prefix}['${p.propertyName}'].key, ${QueryGenerator._getUdtMappingCall(
+              p,
+              `${prefix}['${p.propertyName}'].value`
+            )}`
+            : `[${prefix}['${p.propertyName}'].key]`;
+        }
+
         const valueGetter = `${prefix}['${p.propertyName}']${
           p.value instanceof QueryAssignment ? ".value" : ""
         }`;
         if (p.fromModel) {
-          return QueryGenerator._getMappingFunctionCall(
-            p.propertyName,
-            valueGetter
+          return QueryGenerator._getUdtMappingCall(
+            p,
+            QueryGenerator._getMappingFunctionCall(p.propertyName, valueGetter)
           );
         }
-        return valueGetter;
+        return QueryGenerator._getUdtMappingCall(p, valueGetter);
       })
       .join(", ");
   }
 
   static _getConditionWithOperators(propertiesInfo) {
     return propertiesInfo
-      .map((p) => QueryGenerator._getSingleCondition(p.columnName, p.value))
+      .map((p) =>
+        QueryGenerator._getSingleCondition(
+          p.columnName,
+          p.value,
+          p.tupleProperties
+            ? `(${p.tupleProperties.map(() => "?").join(", ")})`
+            : "?"
+        )
+      )
       .join(" AND ");
   }
 
@@ -575,20 +836,43 @@ class QueryGenerator {
     return `mappingInfo.getFromModelFn('${propName}')(${valueGetter})`;
   }
 
-  static _getSingleCondition(columnName, value) {
+  /**
+   * Gets the expression to adapt the value when the property contains mapped user-defined types, after applying the
+   * mapping function of the property.
+   * @param {{udtTypeKey}} pInfo
+   * @param {String} valueGetter
+   * @return {String}
+   * @private
+   */
+  static _getUdtMappingCall(pInfo, valueGetter) {
+    if (!pInfo.udtTypeKey) {
+      return valueGetter;
+    }
+
+    return `mappingInfo.udtMapper.fromModel(${valueGetter}, '${pInfo.udtTypeKey}')`;
+  }
+
+  static _getSingleCondition(columnName, value, placeholder) {
+    placeholder = placeholder || "?";
+
     if (value instanceof QueryOperator) {
       if (value.hasChildValues) {
         return (
-          `${QueryGenerator._getSingleCondition(columnName, value.value[0])}` +
+          `${QueryGenerator._getSingleCondition(
+            columnName,
+            value.value[0],
+            placeholder
+          )}` +
           ` ${value.key} ${QueryGenerator._getSingleCondition(
             columnName,
-            value.value[1]
+            value.value[1],
+            placeholder
           )}`
         );
       }
-      return `${columnName} ${value.key} ?`;
+      return `${columnName} ${value.key} ${placeholder}`;
     }
-    return `${columnName} = ?`;
+    return `${columnName} = ${placeholder}`;
   }
 }
 
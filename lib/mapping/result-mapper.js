@@ -42,10 +42,17 @@ class ResultMapper {
     for (const c of columns) {
       scriptText += `  item['${info.getPropertyName(c.name)}'] = `;
 
+      let valueGetter = `row['${c.name}']`;
+
+      if (info.udtMapper && info.udtMapper.isMappedType(c.type)) {
+        // The values of the user-defined types are adapted before invoking the mapping function of the column
+        valueGetter = `info.udtMapper.toModel(${valueGetter}, '${info.udtMapper.getTypeKey(c.type)}')`;
+      }
+
       if (!info.getToModelFn(c.name)) {
-        scriptText += `row['${c.name}'];\n`;
+        scriptText += `${valueGetter};\n`;
       } else {
-        scriptText += `info.getToModelFn('${c.name}')(row['${c.name}']);\n`;
+        scriptText += `info.getToModelFn('${c.name}')(${valueGetter});\n`;
       }
     }
 
@@ -82,7 +89,13 @@ class ResultMapper {
       // Skip the first column ("[applied]")
       for (let i = 1; i < rs.columns.length; i++) {
         const c = rs.columns[i];
-        item[info.getPropertyName(c.name)] = row[c.name];
+        let value = row[c.name];
+
+        if (info.udtMapper && info.udtMapper.isMappedType(c.type)) {
+          value = info.udtMapper.toModel(value, info.udtMapper.getTypeKey(c.type));
+        }
+
+        item[info.getPropertyName(c.name)] = value;
       }
 
       return item;
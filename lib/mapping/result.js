@@ -30,11 +30,14 @@ class Result {
    * @param {ResultSet} rs
    * @param {ModelMappingInfo} info
    * @param {Function} rowAdapter
+   * @param {Function} [nextPageFetcher] A function that takes the raw page state and returns a Promise of the Result
+   * of the following page.
    */
-  constructor(rs, info, rowAdapter) {
+  constructor(rs, info, rowAdapter, nextPageFetcher) {
     this._rs = rs;
     this._info = info;
     this._rowAdapter = rowAdapter;
+    this._nextPageFetcher = nextPageFetcher || null;
 
     /**
      * When there is a single cell containing the result of the a LWT operation, hide the result from the user.
@@ -79,6 +82,34 @@ class Result {
     return this._rs.wasApplied();
   }
 
+  /**
+   * Returns <code>true</code> when there are more pages of results that can be retrieved using
+   * [nextPage()]{@link module:mapping~Result#nextPage}.
+   * @returns {Boolean}
+   */
+  hasNextPage() {
+    return !!this._rs.rawPageState && this._nextPageFetcher !== null;
+  }
+
+  /**
+   * Retrieves the following page of results, using the same query, parameters and execution options.
+   * @returns {Promise<Result|null>} A Promise that resolves to the [Result]{@link module:mapping~Result} of the
+   * following page or to <code>null</code> when there are no more pages.
+   * @example <caption>Walking through all the pages</caption>
+   * let result = await videoMapper.find({ userId }, { fetchSize: 100 });
+   * while (result !== null) {
+   *   result.forEach(video => console.log(video.name));
+   *   result = await result.nextPage();
+   * }
+   */
+  nextPage() {
+    if (!this.hasNextPage()) {
+      return Promise.resolve(null);
+    }
+
+    return this._nextPageFetcher(this._rs.rawPageState);
+  }
+
   /**
    * Gets the first document in this result or null when the result is empty.
    */
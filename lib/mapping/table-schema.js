@@ -0,0 +1,291 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const types = require('../types');
+
+const schemaProperties = new Set([ 'columns', 'partitionKeys', 'clusteringKeys', 'clusteringOrder', 'options' ]);
+
+/**
+ * Represents the parsed user definition of the schema of a table, used to generate the DDL statements.
+ * @ignore
+ */
+class TableSchema {
+  /**
+   * @param {Map<String, String>} columns The CQL type of each column, by column name.
+   * @param {Array<String>} partitionKeys
+   * @param {Array<String>} clusteringKeys
+   * @param {Array<String>} clusteringOrder The order ('ASC' or 'DESC') of each clustering key.
+   * @param {Object} options The table options.
+   */
+  constructor(columns, partitionKeys, clusteringKeys, clusteringOrder, options) {
+    this.columns = columns;
+    this.partitionKeys = partitionKeys;
+    this.clusteringKeys = clusteringKeys;
+    this.clusteringOrder = clusteringOrder;
+    this.options = options;
+  }
+
+  /**
+   * Gets the CREATE TABLE IF NOT EXISTS statement for the table.
+   * @param {String} keyspace
+   * @param {String} tableName
+   * @returns {String}
+   */
+  getCreateQuery(keyspace, tableName) {
+    const columns = Array.from(this.columns).map(([ name, type ]) => `${name} ${type}`);
+
+    let primaryKey = this.partitionKeys.join(', ');
+
+    if (this.clusteringKeys.length > 0) {
+      primaryKey = `(${primaryKey}), ${this.clusteringKeys.join(', ')}`;
+    }
+
+    let query = `CREATE TABLE IF NOT EXISTS ${keyspace}.${tableName} (${columns.join(', ')}, ` +
+      `PRIMARY KEY (${primaryKey}))`;
+
+    const withClauses = [];
+
+    if (this.clusteringOrder.some(order => order === 'DESC')) {
+      withClauses.push(`CLUSTERING ORDER BY (${
+        this.clusteringKeys.map((name, i) => `${name} ${this.clusteringOrder[i]}`).join(', ')})`);
+    }
+
+    Object.keys(this.options).forEach(name => withClauses.push(`${name} = ${toCqlLiteral(this.options[name])}`));
+
+    if (withClauses.length > 0) {
+      query += ' WITH ' + withClauses.join(' AND ');
+    }
+
+    return query;
+  }
+
+  /**
+   * Compares the schema definition with the table metadata, returning the ALTER TABLE statements to add the missing
+   * columns and the differences that can not be applied by adding columns.
+   * <p>
+   *   The columns of the table that are not part of the schema definition and the table options are not considered.
+   * </p>
+   * @param {String} keyspace
+   * @param {String} tableName
+   * @param {TableMetadata} table
+   * @returns {{queries: Array<String>, mismatches: Array<String>}}
+   */
+  getDiff(keyspace, tableName, table) {
+    const queries = [];
+    const mismatches = [];
+    const tableClusteringOrder = table.clusteringOrder || [];
+
+    if (!arrayEquals(this.partitionKeys, table.partitionKeys.map(c => c.name))) {
+      mismatches.push(`partition keys [${this.partitionKeys}] do not match [${table.partitionKeys.map(c => c.name)}]`);
+    }
+
+    if (!arrayEquals(this.clusteringKeys, table.clusteringKeys.map(c => c.name)) ||
+      !arrayEquals(this.clusteringOrder, this.clusteringKeys.map((name, i) => tableClusteringOrder[i] || 'ASC'))) {
+      mismatches.push(`clustering keys [${
+        this.clusteringKeys.map((name, i) => `${name} ${this.clusteringOrder[i]}`)}] do not match [${
+        table.clusteringKeys.map((c, i) => `${c.name} ${tableClusteringOrder[i] || 'ASC'}`)}]`);
+    }
+
+    this.columns.forEach((type, name) => {
+      const column = table.columnsByName[name];
+
+      if (column === undefined) {
+        queries.push(`ALTER TABLE ${keyspace}.${tableName} ADD ${name} ${type}`);
+        return;
+      }
+
+      const expectedType = normalizeType(type);
+      const actualType = getTypeName(column);
+
+      if (actualType !== null && expectedType !== actualType) {
+        mismatches.push(`column ${name} is of type ${actualType} instead of ${expectedType}`);
+      }
+    });
+
+    return { queries, mismatches };
+  }
+
+  /**
+   * Parses the user provided schema definition of a table.
+   * @param {String} modelName
+   * @param {String} tableName
+   * @param {Object} schema
+   * @returns {TableSchema}
+   */
+  static parse(modelName, tableName, schema) {
+    const prefix = `Schema of table '${tableName}' for model '${modelName}'`;
+
+    if (schema === null || typeof schema !== 'object') {
+      throw new TypeError(`${prefix} should be an object`);
+    }
+
+    Object.keys(schema).forEach(name => {
+      if (!schemaProperties.has(name)) {
+        throw new TypeError(`${prefix} contains an unknown property '${name}'`);
+      }
+    });
+
+    if (schema.columns === null || typeof schema.columns !== 'object' || Object.keys(schema.columns).length === 0) {
+      throw new TypeError(`${prefix} should define the CQL type of the columns`);
+    }
+
+    const columns = new Map();
+
+    Object.keys(schema.columns).forEach(name => {
+      const type = schema.columns[name];
+
+      if (typeof type !== 'string' || type.trim() === '') {
+        throw new TypeError(`${prefix} should define the CQL type of column '${name}' as a string`);
+      }
+
+      columns.set(name, type.trim());
+    });
+
+    const partitionKeys = parseKeys(prefix, 'partitionKeys', schema.partitionKeys, columns);
+
+    if (partitionKeys.length === 0) {
+      throw new TypeError(`${prefix} should define at least one partition key`);
+    }
+
+    const clusteringKeys = parseKeys(prefix, 'clusteringKeys', schema.clusteringKeys || [], columns);
+
+    clusteringKeys.forEach(name => {
+      if (partitionKeys.indexOf(name) !== -1) {
+        throw new TypeError(`${prefix} defines column '${name}' as partition and clustering key`);
+      }
+    });
+
+    const clusteringOrderOption = schema.clusteringOrder || {};
+
+    Object.keys(clusteringOrderOption).forEach(name => {
+      if (clusteringKeys.indexOf(name) === -1) {
+        throw new TypeError(`${prefix} defines the clustering order of '${name}', which is not a clustering key`);
+      }
+    });
+
+    const clusteringOrder = clusteringKeys.map(name => {
+      const value = clusteringOrderOption[name];
+      const order = typeof value === 'string' ? value.toUpperCase() : (value || 'ASC');
+
+      if (order !== 'ASC' && order !== 'DESC') {
+        throw new TypeError(`${prefix} should define the clustering order of '${name}' as 'ASC' or 'DESC'`);
+      }
+
+      return order;
+    });
+
+    if (schema.options !== undefined && (schema.options === null || typeof schema.options !== 'object')) {
+      throw new TypeError(`${prefix} should define the table options as an object`);
+    }
+
+    return new TableSchema(columns, partitionKeys, clusteringKeys, clusteringOrder, schema.options || {});
+  }
+}
+
+function parseKeys(prefix, propertyName, keys, columns) {
+  if (!Array.isArray(keys)) {
+    throw new TypeError(`${prefix} should define ${propertyName} as an Array`);
+  }
+
+  keys.forEach(name => {
+    if (!columns.has(name)) {
+      throw new TypeError(`${prefix} defines key '${name}' which is not included in the columns`);
+    }
+
+    if (/\bstatic$/i.test(columns.get(name))) {
+      throw new TypeError(`${prefix} defines key '${name}' as a static column`);
+    }
+  });
+
+  return keys.slice(0);
+}
+
+function arrayEquals(arr1, arr2) {
+  return arr1.length === arr2.length && arr1.every((item, i) => item === arr2[i]);
+}
+
+/**
+ * Gets the normalized representation of a CQL type provided by the user, without the frozen and static modifiers.
+ * @private
+ * @param {String} type
+ * @returns {String}
+ */
+function normalizeType(type) {
+  let name = type
+    .toLowerCase()
+    .replace(/\s+static$/, '')
+    .replace(/\s+/g, '')
+    .replace(/\bvarchar\b/g, 'text');
+
+  let index;
+
+  while ((index = name.indexOf('frozen<')) !== -1) {
+    // Remove the modifier along with its closing bracket
+    const start = index + 'frozen<'.length;
+    let end = start;
+
+    for (let depth = 0; end < name.length; end++) {
+      if (name[end] === '<') {
+        depth++;
+      } else if (name[end] === '>') {
+        if (depth === 0) {
+          break;
+        }
+        depth--;
+      }
+    }
+
+    name = name.substr(0, index) + name.substring(start, end) + name.substr(end + 1);
+  }
+
+  return name;
+}
+
+/**
+ * Gets the normalized name of the type of the column or null when it can not be compared, i.e., user defined types.
+ * @private
+ * @param {{type}} column
+ * @returns {String|null}
+ */
+function getTypeName(column) {
+  const name = types.getDataTypeNameByCode(column.type);
+
+  if (/\b(udt|custom)\b/.test(name)) {
+    return null;
+  }
+
+  return normalizeType(name);
+}
+
+/**
+ * Gets the CQL literal representation of a table option value.
+ * @private
+ */
+function toCqlLiteral(value) {
+  if (typeof value === 'string') {
+    return `'${value.replace(/'/g, '\'\'')}'`;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).map(key => `${toCqlLiteral(key)}: ${toCqlLiteral(value[key])}`).join(', ')}}`;
+  }
+
+  return String(value);
+}
+
+module.exports = TableSchema;
@@ -0,0 +1,229 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const types = require('../types');
+const TableMappings = require('./table-mappings').TableMappings;
+
+const dataTypes = types.dataTypes;
+
+/**
+ * Maps the values of user-defined types to instances of the model classes and the other way around, using the
+ * TableMappings defined for each UDT. The UDT values contained in collections, tuples and other UDTs are mapped
+ * recursively.
+ * @ignore
+ */
+class UdtMapper {
+  /**
+   * @param {Map<String, TableMappings>} mappings The mappings by UDT name, the name can be qualified with the keyspace.
+   */
+  constructor(mappings) {
+    this._mappings = mappings;
+
+    /**
+     * The types that can be referenced by key from the generated functions.
+     * @type {Map<String, {code, info}>}
+     */
+    this._types = new Map();
+  }
+
+  /**
+   * Determines whether the values of the provided CQL type contain any mapped user-defined type.
+   * @param {{code, info}} type
+   * @returns {Boolean}
+   */
+  isMappedType(type) {
+    switch (type.code) {
+      case dataTypes.udt:
+        return this._getMappings(type.info) !== undefined || type.info.fields.some(f => this.isMappedType(f.type));
+      case dataTypes.list:
+      case dataTypes.set:
+        return this.isMappedType(type.info);
+      case dataTypes.map:
+      case dataTypes.tuple:
+        return type.info.some(t => this.isMappedType(t));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Gets the key that identifies the provided type, to be used by the generated functions to adapt the values.
+   * @param {{code, info}} type
+   * @returns {String}
+   */
+  getTypeKey(type) {
+    const key = UdtMapper._getTypeKey(type);
+
+    if (!this._types.has(key)) {
+      this._types.set(key, type);
+    }
+
+    return key;
+  }
+
+  /**
+   * Adapts a value obtained from a row to the model representation.
+   * @param {*} value
+   * @param {String} typeKey The key of the type, obtained using <code>getTypeKey()</code>.
+   * @returns {*}
+   */
+  toModel(value, typeKey) {
+    return this._adapt(value, this._types.get(typeKey), true);
+  }
+
+  /**
+   * Adapts a value of the model to be used as parameter.
+   * @param {*} value
+   * @param {String} typeKey The key of the type, obtained using <code>getTypeKey()</code>.
+   * @returns {*}
+   */
+  fromModel(value, typeKey) {
+    return this._adapt(value, this._types.get(typeKey), false);
+  }
+
+  _adapt(value, type, toModel) {
+    if (value === null || value === undefined || value === types.unset) {
+      return value;
+    }
+
+    switch (type.code) {
+      case dataTypes.udt:
+        return this._adaptUdt(value, type.info, toModel);
+      case dataTypes.list:
+      case dataTypes.set:
+        if (Array.isArray(value)) {
+          return value.map(item => this._adapt(item, type.info, toModel));
+        }
+
+        if (value instanceof Set) {
+          return new Set(Array.from(value, item => this._adapt(item, type.info, toModel)));
+        }
+
+        return value;
+      case dataTypes.map:
+        return this._adaptMap(value, type.info[0], type.info[1], toModel);
+      case dataTypes.tuple: {
+        const elements = value instanceof types.Tuple ? value.elements : value;
+
+        if (!Array.isArray(elements)) {
+          return value;
+        }
+
+        // The encoder expects Tuple instances
+        return types.Tuple.fromArray(elements.map((item, i) => this._adapt(item, type.info[i], toModel)));
+      }
+      default:
+        return value;
+    }
+  }
+
+  _adaptUdt(value, udtInfo, toModel) {
+    if (typeof value !== 'object') {
+      return value;
+    }
+
+    const mappings = this._getMappings(udtInfo);
+
+    if (mappings === undefined) {
+      // The fields are not mapped but the value can contain mapped UDTs
+      const result = {};
+      udtInfo.fields.forEach(f => result[f.name] = this._adapt(value[f.name], f.type, toModel));
+      return result;
+    }
+
+    if (toModel) {
+      const instance = mappings.newObjectInstance();
+      udtInfo.fields.forEach(f => instance[mappings.getPropertyName(f.name)] = this._adapt(value[f.name], f.type, true));
+      return instance;
+    }
+
+    const result = {};
+    udtInfo.fields.forEach(f => result[f.name] = this._adapt(value[mappings.getPropertyName(f.name)], f.type, false));
+    return result;
+  }
+
+  _adaptMap(value, keyType, valueType, toModel) {
+    if (value instanceof Map) {
+      const result = new Map();
+      value.forEach((item, key) =>
+        result.set(this._adapt(key, keyType, toModel), this._adapt(item, valueType, toModel)));
+      return result;
+    }
+
+    if (typeof value !== 'object') {
+      return value;
+    }
+
+    const result = {};
+    Object.keys(value).forEach(key =>
+      result[this._adapt(key, keyType, toModel)] = this._adapt(value[key], valueType, toModel));
+    return result;
+  }
+
+  _getMappings(udtInfo) {
+    const mappings = this._mappings.get(`${udtInfo.keyspace}.${udtInfo.name}`);
+    return mappings !== undefined ? mappings : this._mappings.get(udtInfo.name);
+  }
+
+  static _getTypeKey(type) {
+    if (type.code === dataTypes.udt) {
+      return `udt<${type.info.keyspace}.${type.info.name}>`;
+    }
+
+    if (Array.isArray(type.info)) {
+      return `${type.code}<${type.info.map(t => UdtMapper._getTypeKey(t)).join(',')}>`;
+    }
+
+    if (type.info && typeof type.info.code === 'number') {
+      return `${type.code}<${UdtMapper._getTypeKey(type.info)}>`;
+    }
+
+    return String(type.code);
+  }
+
+  /**
+   * Parses the user provided UDT mapping options.
+   * @param {Object<String, UdtOptions>} udts An associative array containing the UDT names as keys.
+   * @returns {UdtMapper|null}
+   */
+  static parse(udts) {
+    if (udts === undefined || udts === null) {
+      return null;
+    }
+
+    if (typeof udts !== 'object') {
+      throw new TypeError('udts should be an object');
+    }
+
+    const mappings = new Map();
+
+    Object.keys(udts).forEach(name => {
+      const options = udts[name];
+
+      if (!options || !(options.mappings instanceof TableMappings)) {
+        throw new TypeError(`mappings for UDT '${name}' should be an instance of TableMappings`);
+      }
+
+      mappings.set(name, options.mappings);
+    });
+
+    return mappings.size > 0 ? new UdtMapper(mappings) : null;
+  }
+}
+
+module.exports = UdtMapper;
@@ -147,11 +147,35 @@ export namespace metadata {
     fields: ColumnInfo[]
   }
 
+  interface SchemaChangeEvent {
+    changeType: 'CREATED' | 'UPDATED' | 'DROPPED';
+    current: any;
+    keyspace: string;
+    name: string | null;
+    previous: any;
+    signature: string[] | null;
+    target: 'KEYSPACE' | 'TABLE' | 'TYPE' | 'FUNCTION' | 'AGGREGATE';
+  }
+
+  interface PreparedStatementInfo {
+    query: string;
+    keyspace: string | null;
+  }
+
+  interface PreparedCacheStats {
+    size: number;
+    hits: number;
+    misses: number;
+    evictions: number;
+  }
+
   interface Metadata {
     keyspaces: { [name: string]: { name: string, strategy: string }};
 
     clearPrepared(): void;
 
+    exportPrepared(): PreparedStatementInfo[];
+
     getAggregate(keyspaceName: string, name: string, signature: string[] | Array<{ code: number, info: any }>, callback: ValueCallback<Aggregate>): void;
 
     getAggregate(keyspaceName: string, name: string, signature: string[] | Array<{ code: number, info: any }>): Promise<Aggregate>;
@@ -172,6 +196,8 @@ export namespace metadata {
 
     getMaterializedView(keyspaceName: string, name: string, callback: EmptyCallback): Promise<MaterializedView>;
 
+    getPreparedCacheStats(): PreparedCacheStats;
+
     getReplicas(keyspaceName: string, token: Buffer | token.Token | token.TokenRange): Host[];
 
     getTable(keyspaceName: string, name: string, callback: ValueCallback<TableMetadata>): void;
@@ -196,6 +222,8 @@ export namespace metadata {
 
     newToken(components: Buffer[] | Buffer | string): token.Token;
 
+    onTableChanged(keyspaceName: string, name: string, listener: (change: SchemaChangeEvent) => void): () => void;
+
     newTokenRange(start: token.Token, end: token.Token): token.TokenRange;
 
     refreshKeyspace(name: string, callback: EmptyCallback): void;
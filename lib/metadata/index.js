@@ -65,6 +65,41 @@ const _traceMaxAttemps = 5;
  */
 const _traceAttemptDelay = 400;
 
+/**
+ * Represents a change in the schema, emitted once the metadata was refreshed.
+ * @typedef {Object} SchemaChangeEvent
+ * @property {String} changeType The type of change: <code>'CREATED'</code>, <code>'UPDATED'</code> or
+ * <code>'DROPPED'</code>.
+ * @property {String} target The kind of schema element: <code>'KEYSPACE'</code>, <code>'TABLE'</code>,
+ * <code>'TYPE'</code>, <code>'FUNCTION'</code> or <code>'AGGREGATE'</code>. Materialized views use the
+ * <code>'TABLE'</code> target.
+ * @property {String} keyspace The name of the keyspace.
+ * @property {String|null} name The name of the schema element or <code>null</code> when the target is a keyspace.
+ * @property {Array<String>|null} signature The types of the arguments of the function or aggregate, otherwise
+ * <code>null</code>.
+ * @property {Object|null} previous The metadata of the element before the change: a {@link TableMetadata},
+ * {@link MaterializedView}, UDT info, {@link SchemaFunction}, {@link Aggregate} or keyspace. It's <code>null</code>
+ * when it was not loaded by the driver before the change.
+ * @property {Object|null} current The metadata of the element after the change, or <code>null</code> when it was
+ * dropped.
+ */
+
+/**
+ * Represents a statement that was prepared, as exported by {@link Metadata#exportPrepared}.
+ * @typedef {Object} PreparedStatementInfo
+ * @property {String} query The query text.
+ * @property {String|null} keyspace The keyspace used to prepare the query or <code>null</code>.
+ */
+
+/**
+ * Represents the statistics of the cache of prepared statements.
+ * @typedef {Object} PreparedCacheStats
+ * @property {Number} size The amount of items in the cache.
+ * @property {Number} hits The amount of lookups that found the query in the cache.
+ * @property {Number} misses The amount of lookups that did not find the query in the cache.
+ * @property {Number} evictions The amount of prepared statements that were evicted from the cache.
+ */
+
 /**
  * Represents cluster and schema information.
  * The metadata class acts as a internal state of the driver.
@@ -89,6 +124,13 @@ class Metadata {
     this._schemaParser = schemaParserFactory.getByVersion(options, controlConnection, this.getUdt.bind(this));
     this.log = utils.log;
     this._preparedQueries = new PreparedQueries(options.maxPrepared, (...args) => this.log(...args));
+
+    /**
+     * The listeners of table changes by fully qualified table name.
+     * @type {Map<String, Set<Function>>}
+     * @private
+     */
+    this._tableListeners = new Map();
   }
 
   /**
@@ -444,6 +486,37 @@ class Metadata {
     return this._preparedQueries.getAll();
   }
 
+  /**
+   * Gets the query and keyspace of the statements that were prepared by this instance, in order of use (the most
+   * recently used last).
+   * <p>
+   *   The returned value can be serialized as JSON and used in the <code>preparedStatementsWarmup</code> option of
+   *   {@link ClientOptions} to prepare the same statements when a new Client instance connects, for example, after a
+   *   deploy.
+   * </p>
+   * @returns {Array<PreparedStatementInfo>}
+   * @example
+   * fs.writeFileSync('prepared.json', JSON.stringify(client.metadata.exportPrepared()));
+   * // In a new process
+   * const client = new Client({ contactPoints, localDataCenter,
+   *   preparedStatementsWarmup: JSON.parse(fs.readFileSync('prepared.json', 'utf8')) });
+   */
+  exportPrepared() {
+    return this._preparedQueries.getAll().map(info => ({ query: info.query, keyspace: info.keyspace || null }));
+  }
+
+  /**
+   * Gets the statistics of the cache of prepared statements.
+   * <p>
+   *   The cache contains up to <code>maxPrepared</code> items (see {@link ClientOptions}), evicting the least recently
+   *   used statements when the limit is reached.
+   * </p>
+   * @returns {PreparedCacheStats}
+   */
+  getPreparedCacheStats() {
+    return this._preparedQueries.getStats();
+  }
+
   /** @ignore */
   _uninitializedError() {
     return new Error('Metadata has not been initialized.  This could only happen if you have not connected yet.');
@@ -673,6 +746,201 @@ class Metadata {
     return await this._schemaParser.getMaterializedView(keyspaceName, name, cache);
   }
 
+  /**
+   * Gets the names of the materialized views of a table.
+   * <p>
+   *   When metadata synchronization is enabled, the names of the views of the whole keyspace are retrieved once and
+   *   cached in the keyspace metadata until a table or view of the keyspace changes.
+   * </p>
+   * @param {String} keyspaceName Name of the keyspace.
+   * @param {String} tableName Name of the base table.
+   * @returns {Promise<Array<String>>}
+   * @internal
+   * @ignore
+   */
+  async getMaterializedViewNames(keyspaceName, tableName) {
+    if (!this.initialized) {
+      throw this._uninitializedError();
+    }
+    let viewNames;
+    if (this.options.isMetadataSyncEnabled) {
+      const keyspace = this.keyspaces[keyspaceName];
+      if (!keyspace) {
+        return [];
+      }
+      if (!keyspace.viewNames) {
+        keyspace.viewNames = await this._schemaParser.getMaterializedViewNames(keyspaceName);
+      }
+      viewNames = keyspace.viewNames;
+    } else {
+      viewNames = await this._schemaParser.getMaterializedViewNames(keyspaceName);
+    }
+    return viewNames.get(tableName) || [];
+  }
+
+  /**
+   * Registers a listener that is invoked when the definition of a table or materialized view changes, after the
+   * metadata was refreshed.
+   * <p>
+   *   The listener is invoked with the {@link SchemaChangeEvent} when the table is created, altered or dropped, and
+   *   when its keyspace is dropped.
+   * </p>
+   * <p>
+   *   Schema change events are only processed when metadata synchronization is enabled, see
+   *   <code>isMetadataSyncEnabled</code> in {@link ClientOptions}.
+   * </p>
+   * @param {String} keyspaceName Name of the keyspace.
+   * @param {String} name Name of the table.
+   * @param {Function} listener The function to invoke with the {@link SchemaChangeEvent} as parameter.
+   * @returns {Function} A function that removes the listener when invoked.
+   * @example
+   * const removeListener = client.metadata.onTableChanged('ks1', 'videos', e => {
+   *   console.log(`Table ${e.name} ${e.changeType}`, e.current);
+   * });
+   */
+  onTableChanged(keyspaceName, name, listener) {
+    if (typeof keyspaceName !== 'string' || typeof name !== 'string') {
+      throw new errors.ArgumentError('You must provide the keyspace name and table name');
+    }
+
+    if (typeof listener !== 'function') {
+      throw new errors.ArgumentError('listener should be a function');
+    }
+
+    const key = `${keyspaceName}.${name}`;
+    let listeners = this._tableListeners.get(key);
+
+    if (listeners === undefined) {
+      listeners = new Set();
+      this._tableListeners.set(key, listeners);
+    }
+
+    listeners.add(listener);
+
+    return () => {
+      listeners.delete(listener);
+
+      if (listeners.size === 0 && this._tableListeners.get(key) === listeners) {
+        this._tableListeners.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Gets the table listeners affected by a schema change event.
+   * @param {{keyspace, isKeyspace, schemaChangeType, table}} event
+   * @returns {Array<Function>}
+   * @internal
+   * @ignore
+   */
+  getTableListeners(event) {
+    if (event.table) {
+      const listeners = this._tableListeners.get(`${event.keyspace}.${event.table}`);
+      return listeners !== undefined ? Array.from(listeners) : [];
+    }
+
+    if (event.isKeyspace && event.schemaChangeType === 'DROPPED') {
+      const prefix = `${event.keyspace}.`;
+      const result = [];
+      this._tableListeners.forEach((listeners, key) => {
+        if (key.startsWith(prefix)) {
+          result.push(...listeners);
+        }
+      });
+      return result;
+    }
+
+    return [];
+  }
+
+  /**
+   * Gets the metadata of the schema element affected by the event, only if it's already loaded.
+   * @param {{keyspace, isKeyspace, table, udt, functionName, aggregate, signature}} event
+   * @returns {Object|null}
+   * @internal
+   * @ignore
+   */
+  getLoadedSchemaObject(event) {
+    const ksInfo = this.keyspaces[event.keyspace];
+
+    if (!ksInfo) {
+      return null;
+    }
+
+    if (event.isKeyspace) {
+      return ksInfo;
+    }
+
+    if (event.table) {
+      const table = ksInfo.tables[event.table];
+      const view = ksInfo.views && ksInfo.views[event.table];
+
+      if (table && table.loaded) {
+        return table;
+      }
+
+      return view && view.loaded ? view : null;
+    }
+
+    if (event.udt) {
+      const udt = ksInfo.udts[event.udt];
+      return udt && udt.fields ? udt : null;
+    }
+
+    if ((event.functionName || event.aggregate) && Array.isArray(event.signature)) {
+      const functionsInfo = event.aggregate ? ksInfo.aggregates[event.aggregate] : ksInfo.functions[event.functionName];
+
+      if (functionsInfo && functionsInfo.values) {
+        return functionsInfo.values.get(event.signature.join(',')) || null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Retrieves the metadata of the schema element affected by the event.
+   * @param {{keyspace, isKeyspace, table, udt, functionName, aggregate, signature}} event
+   * @returns {Promise<Object|null>}
+   * @internal
+   * @ignore
+   */
+  async getSchemaObject(event) {
+    if (event.isKeyspace) {
+      return this.keyspaces[event.keyspace] || null;
+    }
+
+    if (event.table) {
+      const table = await this._getTable(event.keyspace, event.table);
+
+      if (table !== null) {
+        return table;
+      }
+
+      try {
+        // The TABLE target is also used for materialized views
+        return await this._getMaterializedView(event.keyspace, event.table);
+      } catch (err) {
+        if (err instanceof errors.NotSupportedError) {
+          return null;
+        }
+
+        throw err;
+      }
+    }
+
+    if (event.udt) {
+      return await this._getUdt(event.keyspace, event.udt);
+    }
+
+    if ((event.functionName || event.aggregate) && Array.isArray(event.signature)) {
+      return await this._getSingleFunction(event.keyspace, event.functionName || event.aggregate, event.signature,
+        !!event.aggregate);
+    }
+
+    return null;
+  }
+
   /**
    * Gets a map of cql function definitions or aggregates based on signature.
    * @param {String} keyspaceName
@@ -933,6 +1201,10 @@ class Metadata {
 
 /**
  * Allows to store prepared queries and retrieval by query or query id.
+ * <p>
+ *   The items are kept in order of use, the least recently used prepared queries are evicted when the maximum amount
+ *   of items is reached.
+ * </p>
  * @ignore
  */
 class PreparedQueries {
@@ -947,6 +1219,9 @@ class PreparedQueries {
     this._mapByKey = new Map();
     this._mapById = new Map();
     this._logger = logger;
+    this._hits = 0;
+    this._misses = 0;
+    this._evictions = 0;
   }
 
   _getKey(keyspace, query) {
@@ -957,9 +1232,14 @@ class PreparedQueries {
     const key = this._getKey(keyspace, query);
     let info = this._mapByKey.get(key);
     if (info) {
+      this._hits++;
+      // Move it to the end, as the most recently used
+      this._mapByKey.delete(key);
+      this._mapByKey.set(key, info);
       return info;
     }
 
+    this._misses++;
     this._validateOverflow();
 
     info = new events.EventEmitter();
@@ -999,6 +1279,7 @@ class PreparedQueries {
       this._mapByKey.delete(key);
       this._mapById.delete(info.queryId.toString('hex'));
       this.length--;
+      this._evictions++;
     }
   }
 
@@ -1019,6 +1300,10 @@ class PreparedQueries {
   getAll() {
     return Array.from(this._mapByKey.values()).filter(info => !!info.queryId);
   }
+
+  getStats() {
+    return { size: this.length, hits: this._hits, misses: this._misses, evictions: this._evictions };
+  }
 }
 
 module.exports = Metadata;
@@ -49,6 +49,7 @@ const _selectFunctionsV2 = "SELECT * FROM system_schema.functions WHERE keyspace
 const _selectAggregatesV1 = "SELECT * FROM system.schema_aggregates WHERE keyspace_name = '%s' AND aggregate_name = '%s'";
 const _selectAggregatesV2 = "SELECT * FROM system_schema.aggregates WHERE keyspace_name = '%s' AND aggregate_name = '%s'";
 const _selectMaterializedViewV2 = "SELECT * FROM system_schema.views WHERE keyspace_name = '%s' AND view_name = '%s'";
+const _selectViewNamesV2 = "SELECT view_name, base_table_name FROM system_schema.views WHERE keyspace_name = '%s'";
 
 const _selectAllVirtualKeyspaces = "SELECT * FROM system_virtual_schema.keyspaces";
 const _selectSingleVirtualKeyspace = "SELECT * FROM system_virtual_schema.keyspaces where keyspace_name = '%s'";
@@ -279,6 +280,15 @@ class SchemaParser {
   getMaterializedView(keyspaceName, name, cache) {
   }
 
+  /**
+   * Gets the names of the materialized views of a keyspace by the name of their base table.
+   * @abstract
+   * @param {String} keyspaceName
+   * @returns {Promise<Map<String, Array<String>>>}
+   */
+  getMaterializedViewNames(keyspaceName) {
+  }
+
   /**
    * @param {String} keyspaceName
    * @param {String} name
@@ -549,6 +559,11 @@ class SchemaParserV1 extends SchemaParser {
     return Promise.reject(new errors.NotSupportedError('Materialized views are not supported on Cassandra versions below 3.0'));
   }
 
+  getMaterializedViewNames(keyspaceName) {
+    // There are no materialized views on Cassandra versions below 3.0
+    return Promise.resolve(new Map());
+  }
+
   // eslint-disable-next-line require-await
   async _parseAggregate(row) {
     const encoder = this.cc.getEncoder();
@@ -683,6 +698,25 @@ class SchemaParserV2 extends SchemaParser {
     }
   }
 
+  async getMaterializedViewNames(keyspaceName) {
+    const rows = await this._getRows(format(_selectViewNamesV2, keyspaceName));
+    const result = new Map();
+
+    rows.forEach(row => {
+      const tableName = row['base_table_name'];
+      let names = result.get(tableName);
+
+      if (names === undefined) {
+        names = [];
+        result.set(tableName, names);
+      }
+
+      names.push(row['view_name']);
+    });
+
+    return result;
+  }
+
   _parseKeyspace(row, virtual) {
     const replication = row['replication'];
     let strategy;
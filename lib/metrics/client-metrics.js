@@ -112,18 +112,35 @@ class ClientMetrics {
    * Method invoked when a response is obtained successfully.
    * @param {Array<Number>} latency The latency represented in a <code>[seconds, nanoseconds]</code> tuple
    * Array, where nanoseconds is the remaining part of the real time that can't be represented in second precision.
+   * @param {Host} [host] The host that acted as coordinator.
+   * @param {ExecutionOptions} [executionOptions] The information related to the execution of the request.
    */
-  onSuccessfulResponse(latency) {}
+  onSuccessfulResponse(latency, host, executionOptions) {}
 
   /**
    * Method invoked when any response is obtained, the response can be the result of a successful execution or a
    * server-side error.
    * @param {Array<Number>} latency The latency represented in a <code>[seconds, nanoseconds]</code> tuple
    * Array, where nanoseconds is the remaining part of the real time that can't be represented in second precision.
+   * @param {Host} [host] The host that acted as coordinator.
+   * @param {ExecutionOptions} [executionOptions] The information related to the execution of the request.
    */
-  onResponse(latency) {
+  onResponse(latency, host, executionOptions) {
 
   }
+
+  /**
+   * Method invoked when a request had to wait in the request throttler before being executed.
+   * @param {Array<Number>} delay The time the request waited represented in a <code>[seconds, nanoseconds]</code>
+   * tuple Array.
+   */
+  onThrottledRequest(delay) {}
+
+  /**
+   * Method invoked when a request is rejected by the request throttler.
+   * @param {RequestThrottlingError|Error} e The error encountered.
+   */
+  onRejectedRequest(e) {}
 }
 
 module.exports = ClientMetrics;
\ No newline at end of file
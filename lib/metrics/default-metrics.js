@@ -101,6 +101,18 @@ class DefaultMetrics extends ClientMetrics {
      */
     this.responses = new EventEmitter();
     this.responses.success = new EventEmitter();
+
+    /**
+     * Emits events when a request had to wait in the request throttler, providing the delay.
+     * @type {EventEmitter}
+     */
+    this.throttledRequests = new EventEmitter();
+
+    /**
+     * Emits events when a request is rejected by the request throttler.
+     * @type {EventEmitter}
+     */
+    this.rejectedRequests = new EventEmitter();
   }
 
   /** @override */
@@ -193,6 +205,16 @@ class DefaultMetrics extends ClientMetrics {
   onResponse(latency) {
     this.responses.emit('increment', latency);
   }
+
+  /** @override */
+  onThrottledRequest(delay) {
+    this.throttledRequests.emit('increment', delay);
+  }
+
+  /** @override */
+  onRejectedRequest(e) {
+    this.rejectedRequests.emit('increment', e);
+  }
 }
 
 module.exports = DefaultMetrics;
\ No newline at end of file
@@ -14,7 +14,7 @@
  * limitations under the License.
  */
 
-import { errors } from '../../';
+import { errors, ExecutionOptions, Host } from '../../';
 
 export namespace metrics {
   interface ClientMetrics {
@@ -36,11 +36,11 @@ export namespace metrics {
 
     onReadTimeoutRetry(e: Error): void;
 
-    onResponse(latency: number[]): void;
+    onResponse(latency: number[], host?: Host, executionOptions?: ExecutionOptions): void;
 
     onSpeculativeExecution(): void;
 
-    onSuccessfulResponse(latency: number[]): void;
+    onSuccessfulResponse(latency: number[], host?: Host, executionOptions?: ExecutionOptions): void;
 
     onUnavailableError(e: errors.ResponseError): void;
 
@@ -49,6 +49,10 @@ export namespace metrics {
     onWriteTimeoutError(e: errors.ResponseError): void;
 
     onWriteTimeoutRetry(e: Error): void;
+
+    onThrottledRequest?(delay: number[]): void;
+
+    onRejectedRequest?(e: Error): void;
   }
 
   class DefaultMetrics implements ClientMetrics {
@@ -72,11 +76,11 @@ export namespace metrics {
 
     onReadTimeoutRetry(e: Error): void;
 
-    onResponse(latency: number[]): void;
+    onResponse(latency: number[], host?: Host, executionOptions?: ExecutionOptions): void;
 
     onSpeculativeExecution(): void;
 
-    onSuccessfulResponse(latency: number[]): void;
+    onSuccessfulResponse(latency: number[], host?: Host, executionOptions?: ExecutionOptions): void;
 
     onUnavailableError(e: errors.ResponseError): void;
 
@@ -85,5 +89,17 @@ export namespace metrics {
     onWriteTimeoutError(e: errors.ResponseError): void;
 
     onWriteTimeoutRetry(e: Error): void;
+
+    onThrottledRequest(delay: number[]): void;
+
+    onRejectedRequest(e: Error): void;
+  }
+
+  class PrometheusMetrics extends DefaultMetrics {
+    static contentType: string;
+
+    constructor(options?: { prefix?: string, buckets?: number[] });
+
+    getOpenMetrics(): string;
   }
-}
\ No newline at end of file
+}
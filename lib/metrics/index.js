@@ -18,6 +18,7 @@
 
 const ClientMetrics = require('./client-metrics');
 const DefaultMetrics = require('./default-metrics');
+const PrometheusMetrics = require('./prometheus-metrics');
 
 /**
  * The <code>metrics</code> module contains interfaces and implementations used by the driver to expose
@@ -25,4 +26,4 @@ const DefaultMetrics = require('./default-metrics');
  * @module metrics
  */
 
-module.exports = { ClientMetrics, DefaultMetrics };
\ No newline at end of file
+module.exports = { ClientMetrics, DefaultMetrics, PrometheusMetrics };
\ No newline at end of file
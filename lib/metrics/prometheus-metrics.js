@@ -0,0 +1,335 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const DefaultMetrics = require('./default-metrics');
+
+const errorTypes = [
+  'authentication', 'client_timeout', 'connection', 'other', 'read_timeout', 'unavailable', 'write_timeout'
+];
+
+const retryTypes = [ 'client_timeout', 'other', 'read_timeout', 'unavailable', 'write_timeout' ];
+
+const defaultBuckets = [ 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ];
+
+const defaultProfileName = 'default';
+
+/**
+ * An implementation of [ClientMetrics]{@link module:metrics~ClientMetrics} that aggregates the driver measurements
+ * and exposes them in the [OpenMetrics text format]{@link https://openmetrics.io/}, which can be scraped by
+ * Prometheus.
+ * <p>
+ *   It keeps counters per error and retry type, latency histograms of the successful responses per host and
+ *   execution profile and gauges of the in-flight requests and open connections for each host. As it extends
+ *   [DefaultMetrics]{@link module:metrics~DefaultMetrics}, the events are also emitted.
+ * </p>
+ * <p>
+ *   The driver doesn't expose an HTTP endpoint, use
+ *   [getOpenMetrics()]{@link module:metrics~PrometheusMetrics#getOpenMetrics} to serve the metrics from your own HTTP
+ *   server.
+ * </p>
+ * @implements {module:metrics~ClientMetrics}
+ * @alias module:metrics~PrometheusMetrics
+ * @example <caption>Serving the metrics using the http module</caption>
+ * const metrics = new PrometheusMetrics();
+ * const client = new Client({ contactPoints, localDataCenter, metrics });
+ *
+ * http.createServer((req, res) => {
+ *   res.writeHead(200, { 'Content-Type': PrometheusMetrics.contentType });
+ *   res.end(metrics.getOpenMetrics());
+ * }).listen(9464);
+ */
+class PrometheusMetrics extends DefaultMetrics {
+  /**
+   * Creates a new instance of [PrometheusMetrics]{@link module:metrics~PrometheusMetrics}.
+   * @param {Object} [options] The options.
+   * @param {String} [options.prefix] The prefix used for the metric names. Defaults to <code>'cassandra_driver'</code>.
+   * @param {Array<Number>} [options.buckets] The upper bounds in seconds of the latency histogram buckets.
+   */
+  constructor(options) {
+    super();
+
+    options = options || {};
+
+    this._prefix = options.prefix || 'cassandra_driver';
+    this._buckets = (options.buckets || defaultBuckets).slice().sort((a, b) => a - b);
+    this._errors = new Map(errorTypes.map(t => [ t, 0 ]));
+    this._retries = new Map(retryTypes.map(t => [ t, 0 ]));
+    this._ignoredErrors = 0;
+    this._speculativeExecutions = 0;
+    this._responses = 0;
+    this._throttledRequests = 0;
+    this._rejectedRequests = 0;
+
+    /**
+     * Histograms by host address and profile name.
+     * @type {Map<String, {host: String, profile: String, buckets: Array<Number>, count: Number, sum: Number}>}
+     * @private
+     */
+    this._latencies = new Map();
+
+    /**
+     * Hosts that were used as coordinators, used to obtain the pool gauges.
+     * @type {Map<String, Host>}
+     * @private
+     */
+    this._hosts = new Map();
+  }
+
+  /** @override */
+  onAuthenticationError(e) {
+    super.onAuthenticationError(e);
+    this._increment(this._errors, 'authentication');
+  }
+
+  /** @override */
+  onConnectionError(e) {
+    super.onConnectionError(e);
+    this._increment(this._errors, 'connection');
+  }
+
+  /** @override */
+  onReadTimeoutError(e) {
+    super.onReadTimeoutError(e);
+    this._increment(this._errors, 'read_timeout');
+  }
+
+  /** @override */
+  onWriteTimeoutError(e) {
+    super.onWriteTimeoutError(e);
+    this._increment(this._errors, 'write_timeout');
+  }
+
+  /** @override */
+  onUnavailableError(e) {
+    super.onUnavailableError(e);
+    this._increment(this._errors, 'unavailable');
+  }
+
+  /** @override */
+  onClientTimeoutError(e) {
+    super.onClientTimeoutError(e);
+    this._increment(this._errors, 'client_timeout');
+  }
+
+  /** @override */
+  onOtherError(e) {
+    super.onOtherError(e);
+    this._increment(this._errors, 'other');
+  }
+
+  /** @override */
+  onClientTimeoutRetry(e) {
+    super.onClientTimeoutRetry(e);
+    this._increment(this._retries, 'client_timeout');
+  }
+
+  /** @override */
+  onOtherErrorRetry(e) {
+    super.onOtherErrorRetry(e);
+    this._increment(this._retries, 'other');
+  }
+
+  /** @override */
+  onReadTimeoutRetry(e) {
+    super.onReadTimeoutRetry(e);
+    this._increment(this._retries, 'read_timeout');
+  }
+
+  /** @override */
+  onUnavailableRetry(e) {
+    super.onUnavailableRetry(e);
+    this._increment(this._retries, 'unavailable');
+  }
+
+  /** @override */
+  onWriteTimeoutRetry(e) {
+    super.onWriteTimeoutRetry(e);
+    this._increment(this._retries, 'write_timeout');
+  }
+
+  /** @override */
+  onIgnoreError(e) {
+    super.onIgnoreError(e);
+    this._ignoredErrors++;
+  }
+
+  /** @override */
+  onSpeculativeExecution() {
+    super.onSpeculativeExecution();
+    this._speculativeExecutions++;
+  }
+
+  /** @override */
+  onSuccessfulResponse(latency, host, executionOptions) {
+    super.onSuccessfulResponse(latency, host, executionOptions);
+
+    const address = host ? host.address : 'unknown';
+    const profile = getProfileName(executionOptions);
+    const key = `${address}/${profile}`;
+    let histogram = this._latencies.get(key);
+
+    if (histogram === undefined) {
+      histogram = { host: address, profile, buckets: new Array(this._buckets.length).fill(0), count: 0, sum: 0 };
+      this._latencies.set(key, histogram);
+    }
+
+    const seconds = latency[0] + latency[1] / 1e9;
+
+    for (let i = 0; i < this._buckets.length; i++) {
+      if (seconds <= this._buckets[i]) {
+        histogram.buckets[i]++;
+      }
+    }
+
+    histogram.count++;
+    histogram.sum += seconds;
+
+    if (host) {
+      this._hosts.set(address, host);
+    }
+  }
+
+  /** @override */
+  onResponse(latency, host, executionOptions) {
+    super.onResponse(latency, host, executionOptions);
+    this._responses++;
+  }
+
+  /** @override */
+  onThrottledRequest(delay) {
+    super.onThrottledRequest(delay);
+    this._throttledRequests++;
+  }
+
+  /** @override */
+  onRejectedRequest(e) {
+    super.onRejectedRequest(e);
+    this._rejectedRequests++;
+  }
+
+  /**
+   * Gets the metrics in the OpenMetrics text format.
+   * <p>
+   *   The result can be served as the response body of an HTTP endpoint, using
+   *   [PrometheusMetrics.contentType]{@link module:metrics~PrometheusMetrics.contentType} as content type.
+   * </p>
+   * @returns {String}
+   */
+  getOpenMetrics() {
+    const lines = [];
+    const name = suffix => `${this._prefix}_${suffix}`;
+
+    addFamily(lines, name('errors'), 'counter', 'Number of errors by type.');
+    this._errors.forEach((value, type) => lines.push(sample(name('errors_total'), { type }, value)));
+
+    addFamily(lines, name('retries'), 'counter', 'Number of retries by the type of error that caused them.');
+    this._retries.forEach((value, type) => lines.push(sample(name('retries_total'), { type }, value)));
+
+    addFamily(lines, name('ignored_errors'), 'counter', 'Number of errors ignored by the retry policy.');
+    lines.push(sample(name('ignored_errors_total'), null, this._ignoredErrors));
+
+    addFamily(lines, name('speculative_executions'), 'counter', 'Number of speculative executions started.');
+    lines.push(sample(name('speculative_executions_total'), null, this._speculativeExecutions));
+
+    addFamily(lines, name('responses'), 'counter', 'Number of responses obtained, including server errors.');
+    lines.push(sample(name('responses_total'), null, this._responses));
+
+    addFamily(lines, name('throttled_requests'), 'counter', 'Number of requests delayed by the request throttler.');
+    lines.push(sample(name('throttled_requests_total'), null, this._throttledRequests));
+
+    addFamily(lines, name('rejected_requests'), 'counter', 'Number of requests rejected by the request throttler.');
+    lines.push(sample(name('rejected_requests_total'), null, this._rejectedRequests));
+
+    const latencyName = name('request_latency_seconds');
+    addFamily(lines, latencyName, 'histogram', 'Latency of the successful requests.', 'seconds');
+    this._latencies.forEach(h => {
+      const labels = { host: h.host, profile: h.profile };
+
+      for (let i = 0; i < this._buckets.length; i++) {
+        const bucketLabels = Object.assign({}, labels, { le: String(this._buckets[i]) });
+        lines.push(sample(`${latencyName}_bucket`, bucketLabels, h.buckets[i]));
+      }
+
+      lines.push(sample(`${latencyName}_bucket`, Object.assign({}, labels, { le: '+Inf' }), h.count));
+      lines.push(sample(`${latencyName}_count`, labels, h.count));
+      lines.push(sample(`${latencyName}_sum`, labels, h.sum));
+    });
+
+    addFamily(lines, name('in_flight_requests'), 'gauge', 'Number of requests waiting for a response per host.');
+    this._hosts.forEach((host, address) =>
+      lines.push(sample(name('in_flight_requests'), { host: address }, host.getInFlight())));
+
+    addFamily(lines, name('open_connections'), 'gauge', 'Number of open connections per host.');
+    this._hosts.forEach((host, address) =>
+      lines.push(sample(name('open_connections'), { host: address }, host.pool.connections.length)));
+
+    lines.push('# EOF');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @param {Map<String, Number>} map
+   * @param {String} key
+   * @private
+   */
+  _increment(map, key) {
+    map.set(key, map.get(key) + 1);
+  }
+}
+
+/**
+ * The content type of the OpenMetrics text format.
+ * @type {String}
+ */
+PrometheusMetrics.contentType = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+function getProfileName(executionOptions) {
+  if (!executionOptions || typeof executionOptions.getProfile !== 'function') {
+    return defaultProfileName;
+  }
+
+  const profile = executionOptions.getProfile();
+  return profile && profile.name || defaultProfileName;
+}
+
+function addFamily(lines, name, type, help, unit) {
+  lines.push(`# TYPE ${name} ${type}`);
+
+  if (unit) {
+    lines.push(`# UNIT ${name} ${unit}`);
+  }
+
+  lines.push(`# HELP ${name} ${help}`);
+}
+
+function sample(name, labels, value) {
+  let labelText = '';
+
+  if (labels) {
+    labelText = '{' + Object.keys(labels).map(k => `${k}="${escapeLabelValue(labels[k])}"`).join(',') + '}';
+  }
+
+  return `${name}${labelText} ${value}`;
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+module.exports = PrometheusMetrics;
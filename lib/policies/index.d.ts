@@ -53,12 +53,18 @@ export namespace policies {
         callback: (error: Error, iterator: Iterator<Host>) => void): void;
 
       getOptions(): Map<string, object>;
+
+      registerLatency(host: Host, latency: number[], err: Error | null): void;
     }
 
     class DCAwareRoundRobinPolicy extends LoadBalancingPolicy {
       constructor(localDc: string);
     }
 
+    class RackAwareRoundRobinPolicy extends LoadBalancingPolicy {
+      constructor(options?: { localDc?: string, localRack?: string, usedHostsPerRemoteDc?: number });
+    }
+
     class TokenAwarePolicy extends LoadBalancingPolicy {
       constructor(childPolicy: LoadBalancingPolicy);
     }
@@ -70,12 +76,26 @@ export namespace policies {
     class WhiteListPolicy extends AllowListPolicy {
     }
 
+    class LatencyAwarePolicy extends LoadBalancingPolicy {
+      constructor(childPolicy: LoadBalancingPolicy, options?: {
+        exclusionThreshold?: number;
+        scale?: number;
+        retryPeriod?: number;
+        updateRate?: number;
+        minMeasure?: number;
+      });
+
+      getAverageLatency(host: Host): number | undefined;
+
+      isExcluded(host: Host, now?: number): boolean;
+    }
+
     class RoundRobinPolicy extends LoadBalancingPolicy {
       constructor();
     }
 
     class DefaultLoadBalancingPolicy extends LoadBalancingPolicy {
-      constructor(options?: { localDc?: string, filter?: (host: Host) => boolean });
+      constructor(options?: { localDc?: string, localRack?: string, filter?: (host: Host) => boolean });
     }
   }
 
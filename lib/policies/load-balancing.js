@@ -72,6 +72,19 @@ LoadBalancingPolicy.prototype.getOptions = function () {
   return new Map();
 };
 
+/**
+ * Invoked by the driver each time a response or an error is obtained from a host when executing a request.
+ * <p>
+ *   The default implementation does nothing. Wrapper policies should forward it to the child policy.
+ * </p>
+ * @param {Host} host The host that acted as coordinator.
+ * @param {Array<Number>} latency The latency represented in a <code>[seconds, nanoseconds]</code> tuple.
+ * @param {Error|null} err The error obtained or <code>null</code> when the request succeeded.
+ */
+LoadBalancingPolicy.prototype.registerLatency = function (host, latency, err) {
+
+};
+
 /**
  * This policy yield nodes in a round-robin fashion.
  * @extends LoadBalancingPolicy
@@ -229,6 +242,182 @@ DCAwareRoundRobinPolicy.prototype.getOptions = function () {
   ]);
 };
 
+/**
+ * A rack-aware round-robin load balancing policy.
+ * <p>
+ *   The query plans yield the nodes of the local rack first, followed by the rest of the nodes of the local data
+ *   center and, optionally, a configurable number of nodes of each remote data center. The nodes of each group are
+ *   used in a round-robin fashion.
+ * </p>
+ * <p>
+ *   It can be used as child policy of the [TokenAwarePolicy]{@link module:policies/loadBalancing~TokenAwarePolicy},
+ *   in which case the replicas in the local rack are yielded first, followed by the rest of the local replicas.
+ * </p>
+ * @extends {LoadBalancingPolicy}
+ * @example
+ * const policy = new TokenAwarePolicy(new RackAwareRoundRobinPolicy({ localRack: 'rack1' }));
+ */
+class RackAwareRoundRobinPolicy extends LoadBalancingPolicy {
+  /**
+   * Creates a new instance of <code>RackAwareRoundRobinPolicy</code>.
+   * @param {Object} [options] The policy options.
+   * @param {String} [options.localDc] local data center name. This value overrides the 'localDataCenter' Client
+   * option.
+   * @param {String} [options.localRack] local rack name. This value overrides the 'localRack' Client option. The
+   * local rack must be defined using this option or the Client option.
+   * @param {Number} [options.usedHostsPerRemoteDc] The number of nodes per remote data center to include at the end of
+   * the query plans. Defaults to <code>0</code>.
+   */
+  constructor(options) {
+    super();
+
+    options = options || utils.emptyObject;
+
+    this.localDc = options.localDc;
+    this.localRack = options.localRack;
+    this.usedHostsPerRemoteDc = options.usedHostsPerRemoteDc || 0;
+    this._hosts = null;
+    this._index = 0;
+
+    /**
+     * The hosts grouped by distance to the local rack, lazily calculated.
+     * @type {{rack: Array<Host>, local: Array<Host>, remote: Array<Host>}|null}
+     * @private
+     */
+    this._hostGroups = null;
+  }
+
+  /**
+   * Initializes the load balancing policy.
+   * @param {Client} client
+   * @param {HostMap} hosts
+   * @param {Function} callback
+   */
+  init(client, hosts, callback) {
+    this._hosts = hosts;
+    hosts.on('add', () => this._hostGroups = null);
+    hosts.on('remove', () => this._hostGroups = null);
+
+    try {
+      setLocalDc(this, client, hosts);
+      setLocalRack(this, client, hosts, true);
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback();
+  }
+
+  /**
+   * Returns the distance depending on the data center.
+   * <p>
+   *   Nodes in the local data center are considered local, the nodes of remote data centers that are used in the
+   *   query plans are considered remote and the rest are ignored.
+   * </p>
+   * @param {Host} host
+   */
+  getDistance(host) {
+    if (host.datacenter === this.localDc) {
+      return types.distance.local;
+    }
+
+    if (this.usedHostsPerRemoteDc > 0 && this._getHostGroups().remote.indexOf(host) !== -1) {
+      return types.distance.remote;
+    }
+
+    return types.distance.ignored;
+  }
+
+  /**
+   * Returns an iterator that yields the nodes of the local rack, followed by the rest of the local nodes and the
+   * remote nodes.
+   * @param {String} keyspace Name of currently logged keyspace at <code>Client</code> level.
+   * @param {ExecutionOptions|null} executionOptions The information related to the execution of the request.
+   * @param {Function} callback The function to be invoked with the error as first parameter and the host iterator as
+   * second parameter.
+   */
+  newQueryPlan(keyspace, executionOptions, callback) {
+    if (!this._hosts) {
+      return callback(new Error('Load balancing policy not initialized'));
+    }
+
+    const groups = this._getHostGroups();
+    callback(null, RackAwareRoundRobinPolicy._yieldHosts(groups, this._getIndex()));
+  }
+
+  /**
+   * @param {{rack: Array<Host>, local: Array<Host>, remote: Array<Host>}} groups
+   * @param {Number} index
+   * @private
+   */
+  static *_yieldHosts(groups, index) {
+    const arrays = [ groups.rack, groups.local, groups.remote ];
+
+    for (let a = 0; a < arrays.length; a++) {
+      const hosts = arrays[a];
+
+      for (let i = 0; i < hosts.length; i++) {
+        const h = hosts[(i + index) % hosts.length];
+        if (h.isUp()) {
+          yield h;
+        }
+      }
+    }
+  }
+
+  /**
+   * @returns {{rack: Array<Host>, local: Array<Host>, remote: Array<Host>}}
+   * @private
+   */
+  _getHostGroups() {
+    if (this._hostGroups !== null) {
+      return this._hostGroups;
+    }
+
+    const groups = { rack: [], local: [], remote: [] };
+    const remoteHostsByDc = new Map();
+
+    this._hosts.forEach(h => {
+      if (!h.datacenter) {
+        return;
+      }
+
+      if (h.datacenter === this.localDc) {
+        (h.rack === this.localRack ? groups.rack : groups.local).push(h);
+        return;
+      }
+
+      const remoteHosts = remoteHostsByDc.get(h.datacenter) || 0;
+      if (remoteHosts < this.usedHostsPerRemoteDc) {
+        remoteHostsByDc.set(h.datacenter, remoteHosts + 1);
+        groups.remote.push(h);
+      }
+    });
+
+    return this._hostGroups = groups;
+  }
+
+  _getIndex() {
+    const result = this._index++;
+    // Overflow protection
+    if (this._index === 0x7fffffff) {
+      this._index = 0;
+    }
+    return result;
+  }
+
+  /**
+   * Gets an associative array containing the policy options.
+   */
+  getOptions() {
+    return new Map([
+      ['localDataCenter', this.localDc ],
+      ['localRack', this.localRack ],
+      ['usedHostsPerRemoteDc', this.usedHostsPerRemoteDc ]
+    ]);
+  }
+}
+
 /**
  * A wrapper load balancing policy that add token awareness to a child policy.
  * @param {LoadBalancingPolicy} childPolicy
@@ -254,6 +443,13 @@ TokenAwarePolicy.prototype.getDistance = function (host) {
   return this.childPolicy.getDistance(host);
 };
 
+TokenAwarePolicy.prototype.registerLatency = function (host, latency, err) {
+  // Child policies are not required to inherit from LoadBalancingPolicy
+  if (typeof this.childPolicy.registerLatency === 'function') {
+    this.childPolicy.registerLatency(host, latency, err);
+  }
+};
+
 /**
  * Returns the hosts to use for a new query.
  * The returned plan will return local replicas first, if replicas can be determined, followed by the plan of the
@@ -296,9 +492,13 @@ function TokenAwareIterator(keyspace, execOptions, replicas, childPolicy) {
   this.childPolicy = childPolicy;
   this.options = execOptions;
   this.localReplicas = [];
+  this.rackReplicas = [];
   this.replicaIndex = 0;
+  this.rackReplicaIndex = 0;
   this.replicaMap = {};
   this.childIterator = null;
+  // When the child policy is rack-aware, the replicas in the local rack are yielded before the other local replicas
+  const localRack = childPolicy.localRack;
   // Memoize the local replicas
   // The amount of local replicas should be defined before start iterating, in order to select an
   // appropriate (pseudo random) startIndex
@@ -308,12 +508,17 @@ function TokenAwareIterator(keyspace, execOptions, replicas, childPolicy) {
       continue;
     }
     this.replicaMap[host.address] = true;
-    this.localReplicas.push(host);
+    if (localRack && host.rack === localRack) {
+      this.rackReplicas.push(host);
+    } else {
+      this.localReplicas.push(host);
+    }
   }
   // We use a PRNG to set the replica index
   // We only care about proportional fair scheduling between replicas of a given token
   // Math.random() has an extremely short permutation cycle length but we don't care about collisions
   this.startIndex = Math.floor(Math.random() * this.localReplicas.length);
+  this.rackStartIndex = Math.floor(Math.random() * this.rackReplicas.length);
 }
 
 TokenAwareIterator.prototype.iterate = function (callback) {
@@ -333,6 +538,10 @@ TokenAwareIterator.prototype.iterate = function (callback) {
 
 TokenAwareIterator.prototype.computeNext = function () {
   let host;
+  if (this.rackReplicaIndex < this.rackReplicas.length) {
+    host = this.rackReplicas[(this.rackStartIndex + (this.rackReplicaIndex++)) % this.rackReplicas.length];
+    return { value: host, done: false };
+  }
   if (this.replicaIndex < this.localReplicas.length) {
     host = this.localReplicas[(this.startIndex + (this.replicaIndex++)) % this.localReplicas.length];
     return { value: host, done: false };
@@ -361,6 +570,11 @@ TokenAwarePolicy.prototype.getOptions = function () {
     map.set('localDataCenter', this.childPolicy.localDc);
   }
 
+  if (this.childPolicy instanceof RackAwareRoundRobinPolicy) {
+    map.set('localDataCenter', this.childPolicy.localDc);
+    map.set('localRack', this.childPolicy.localRack);
+  }
+
   return map;
 };
 
@@ -422,6 +636,13 @@ AllowListPolicy.prototype.getDistance = function (host) {
   return this.childPolicy.getDistance(host);
 };
 
+AllowListPolicy.prototype.registerLatency = function (host, latency, err) {
+  // Child policies are not required to inherit from LoadBalancingPolicy
+  if (typeof this.childPolicy.registerLatency === 'function') {
+    this.childPolicy.registerLatency(host, latency, err);
+  }
+};
+
 /**
  * @param {Host} host
  * @returns {boolean}
@@ -485,6 +706,277 @@ function WhiteListPolicy(childPolicy, allowList) {
 
 util.inherits(WhiteListPolicy, AllowListPolicy);
 
+/**
+ * Creates a new instance of <code>LatencyAwarePolicy</code>.
+ * @class
+ * @classdesc
+ * A wrapper load balancing policy that moves the hosts that are considerably slower than the fastest host to the back
+ * of the query plan.
+ * <p>
+ *   The policy keeps an exponentially-weighted moving average of the latency of each host, measured by the driver when
+ *   executing requests. When the average latency of a host exceeds <code>exclusionThreshold</code> times the average
+ *   latency of the fastest host, the host is excluded: it's only yielded by the query plan after the rest of the
+ *   hosts of the child policy.
+ * </p>
+ * <p>
+ *   As excluded hosts don't get new measurements, once <code>retryPeriod</code> elapsed since the last measurement of
+ *   a host, it's no longer excluded and it's retried as any other host until new measurements are obtained.
+ * </p>
+ * @param {LoadBalancingPolicy} childPolicy The wrapped policy.
+ * @param {Object} [options] The policy options.
+ * @param {Number} [options.exclusionThreshold] How many times slower than the fastest host a host can be before being
+ * excluded. Defaults to <code>2</code>.
+ * @param {Number} [options.scale] The time constant in milliseconds used to weight the previous average against the
+ * new measurement: the older the previous measurement is, the less weight it has. Defaults to <code>100</code>.
+ * @param {Number} [options.retryPeriod] The amount of time in milliseconds after the last measurement after which an
+ * excluded host is retried. Defaults to <code>10000</code>.
+ * @param {Number} [options.updateRate] The interval in milliseconds between the computations of the fastest average
+ * latency. Defaults to <code>100</code>.
+ * @param {Number} [options.minMeasure] The minimum number of measurements of a host before it can be excluded.
+ * Defaults to <code>50</code>.
+ * @extends LoadBalancingPolicy
+ * @constructor
+ * @example
+ * const policy = new LatencyAwarePolicy(new DefaultLoadBalancingPolicy(), { exclusionThreshold: 3 });
+ */
+function LatencyAwarePolicy(childPolicy, options) {
+  if (!childPolicy) {
+    throw new Error("You must specify a child load balancing policy");
+  }
+
+  options = options || utils.emptyObject;
+
+  this.childPolicy = childPolicy;
+  this.exclusionThreshold = utils.ifUndefined(options.exclusionThreshold, 2);
+  this.scale = utils.ifUndefined(options.scale, 100);
+  this.retryPeriod = utils.ifUndefined(options.retryPeriod, 10000);
+  this.updateRate = utils.ifUndefined(options.updateRate, 100);
+  this.minMeasure = utils.ifUndefined(options.minMeasure, 50);
+
+  if (this.exclusionThreshold < 1) {
+    throw new errors.ArgumentError('exclusionThreshold must be greater than or equal to 1');
+  }
+
+  /**
+   * The latency information by host address.
+   * @type {Map<String, {average: Number, nbMeasure: Number, timestamp: Number}>}
+   * @private
+   */
+  this._latencies = new Map();
+  this._minAverage = -1;
+  this._lastUpdate = 0;
+}
+
+util.inherits(LatencyAwarePolicy, LoadBalancingPolicy);
+
+LatencyAwarePolicy.prototype.init = function (client, hosts, callback) {
+  this.client = client;
+  this.hosts = hosts;
+  this.childPolicy.init(client, hosts, callback);
+};
+
+LatencyAwarePolicy.prototype.getDistance = function (host) {
+  return this.childPolicy.getDistance(host);
+};
+
+/**
+ * Updates the average latency of the host.
+ * <p>
+ *   The latency of errors that are returned by the server before processing the request, like unavailable or
+ *   overloaded errors, and of socket errors are not considered.
+ * </p>
+ * @param {Host} host The host that acted as coordinator.
+ * @param {Array<Number>} latency The latency represented in a <code>[seconds, nanoseconds]</code> tuple.
+ * @param {Error|null} err The error obtained or <code>null</code> when the request succeeded.
+ */
+LatencyAwarePolicy.prototype.registerLatency = function (host, latency, err) {
+  // Child policies are not required to inherit from LoadBalancingPolicy
+  if (typeof this.childPolicy.registerLatency === 'function') {
+    this.childPolicy.registerLatency(host, latency, err);
+  }
+
+  if (err && !isLatencyRelevantError(err)) {
+    return;
+  }
+
+  const now = Date.now();
+  const latencyMillis = latency[0] * 1000 + latency[1] / 1000000;
+  const item = this._latencies.get(host.address);
+
+  if (item === undefined) {
+    this._latencies.set(host.address, { average: latencyMillis, nbMeasure: 1, timestamp: now });
+    return;
+  }
+
+  // Use the time elapsed since the previous measurement to weight the previous average
+  const scaledDelay = Math.max(now - item.timestamp, 0) / this.scale;
+  const previousWeight = scaledDelay > 0 ? Math.log(scaledDelay + 1) / scaledDelay : 1;
+
+  item.average = (1 - previousWeight) * latencyMillis + previousWeight * item.average;
+  item.nbMeasure++;
+  item.timestamp = now;
+};
+
+/**
+ * Returns the hosts to use for a new query.
+ * The returned plan will yield the hosts of the child policy plan that are not excluded first, followed by the
+ * excluded hosts.
+ * @param {String} keyspace Name of currently logged keyspace at <code>Client</code> level.
+ * @param {ExecutionOptions|null} executionOptions The information related to the execution of the request.
+ * @param {Function} callback The function to be invoked with the error as first parameter and the host iterator as
+ * second parameter.
+ */
+LatencyAwarePolicy.prototype.newQueryPlan = function (keyspace, executionOptions, callback) {
+  const self = this;
+  this.childPolicy.newQueryPlan(keyspace, executionOptions, function (err, iterator) {
+    if (err) {
+      return callback(err);
+    }
+
+    const now = Date.now();
+    self._updateMinAverage(now);
+    callback(null, self._filter(iterator, now));
+  });
+};
+
+/**
+ * Gets the average latency in milliseconds of a given host or <code>undefined</code> when there aren't measurements
+ * for the host.
+ * @param {Host} host
+ * @returns {Number|undefined}
+ */
+LatencyAwarePolicy.prototype.getAverageLatency = function (host) {
+  const item = this._latencies.get(host.address);
+  return item !== undefined ? item.average : undefined;
+};
+
+/**
+ * Determines whether the host is currently excluded, considering the latest computed fastest average latency.
+ * @param {Host} host
+ * @param {Number} [now]
+ * @returns {Boolean}
+ */
+LatencyAwarePolicy.prototype.isExcluded = function (host, now) {
+  if (this._minAverage < 0) {
+    return false;
+  }
+
+  const item = this._latencies.get(host.address);
+
+  if (item === undefined || item.nbMeasure < this.minMeasure) {
+    return false;
+  }
+
+  if ((now || Date.now()) - item.timestamp > this.retryPeriod) {
+    // The host was excluded long enough, retry it
+    return false;
+  }
+
+  return item.average > this.exclusionThreshold * this._minAverage;
+};
+
+/**
+ * Computes the fastest average latency, at most once per update rate.
+ * @param {Number} now
+ * @private
+ */
+LatencyAwarePolicy.prototype._updateMinAverage = function (now) {
+  if (now - this._lastUpdate < this.updateRate) {
+    return;
+  }
+
+  this._lastUpdate = now;
+  let min = -1;
+
+  for (const item of this._latencies.values()) {
+    if (item.nbMeasure < this.minMeasure || now - item.timestamp > this.retryPeriod) {
+      continue;
+    }
+
+    if (min < 0 || item.average < min) {
+      min = item.average;
+    }
+  }
+
+  this._minAverage = min;
+};
+
+LatencyAwarePolicy.prototype._filter = function (childIterator, now) {
+  const self = this;
+  const excluded = [];
+  let excludedIndex = 0;
+  let childDone = false;
+
+  return {
+    next: function () {
+      while (!childDone) {
+        const item = childIterator.next();
+
+        if (item.done) {
+          childDone = true;
+          break;
+        }
+
+        if (self.isExcluded(item.value, now)) {
+          // Yield it at the end of the plan
+          excluded.push(item.value);
+          continue;
+        }
+
+        return item;
+      }
+
+      if (excludedIndex < excluded.length) {
+        return { value: excluded[excludedIndex++], done: false };
+      }
+
+      return doneIteratorObject;
+    }
+  };
+};
+
+/**
+ * Gets an associative array containing the policy options.
+ */
+LatencyAwarePolicy.prototype.getOptions = function () {
+  return new Map([
+    ['childPolicy', this.childPolicy.constructor !== undefined ? this.childPolicy.constructor.name : null ],
+    ['exclusionThreshold', this.exclusionThreshold ],
+    ['scale', this.scale ],
+    ['retryPeriod', this.retryPeriod ],
+    ['updateRate', this.updateRate ],
+    ['minMeasure', this.minMeasure ]
+  ]);
+};
+
+/**
+ * Determines whether the latency of the request that resulted in the provided error should be considered.
+ * @param {Error} err
+ * @returns {Boolean}
+ * @private
+ */
+function isLatencyRelevantError(err) {
+  if (err.isSocketError) {
+    return false;
+  }
+
+  if (err instanceof errors.ResponseError) {
+    switch (err.code) {
+      // Errors returned by the coordinator without processing the request
+      case types.responseErrorCodes.unavailableException:
+      case types.responseErrorCodes.overloaded:
+      case types.responseErrorCodes.isBootstrapping:
+      case types.responseErrorCodes.unprepared:
+      case types.responseErrorCodes.syntaxError:
+      case types.responseErrorCodes.invalid:
+      case types.responseErrorCodes.unauthorized:
+        return false;
+    }
+  }
+
+  return true;
+}
+
 /**
  * A load-balancing policy implementation that attempts to fairly distribute the load based on the amount of in-flight
  * request per hosts. The local replicas are initially shuffled and
@@ -512,6 +1004,8 @@ class DefaultLoadBalancingPolicy extends LoadBalancingPolicy {
    * @param {String} [options.localDc] local data center name.  This value overrides the 'localDataCenter' Client option
    * and is useful for cases where you have multiple execution profiles that you intend on using for routing
    * requests to different data centers.
+   * @param {String} [options.localRack] local rack name. When set, the replicas and nodes of the local data center
+   * that belong to this rack are tried first in the query plans. This value overrides the 'localRack' Client option.
    * @param {Function} [options.filter] A function to apply to determine if hosts are included in the query plan.
    * The function takes a Host parameter and returns a Boolean.
    */
@@ -530,6 +1024,7 @@ class DefaultLoadBalancingPolicy extends LoadBalancingPolicy {
     this._preferredHost = null;
     this._index = 0;
     this.localDc = options.localDc;
+    this.localRack = options.localRack;
     this._filter = options.filter || this._defaultFilter;
 
     // Allow some checks to be injected
@@ -563,6 +1058,7 @@ class DefaultLoadBalancingPolicy extends LoadBalancingPolicy {
 
     try {
       setLocalDc(this, client, this._hosts);
+      setLocalRack(this, client, this._hosts, false);
     } catch (err) {
       return callback(err);
     }
@@ -659,33 +1155,77 @@ class DefaultLoadBalancingPolicy extends LoadBalancingPolicy {
       ? h => localReplicas.indexOf(h) === -1
       : h => true;
 
+    if (!this.localRack) {
+      for (let i = 0; i < hosts.length; i++) {
+        const h = hosts[(i + initialIndex) % hosts.length];
+        if (canBeYield(h) && h.isUp()) {
+          yield h;
+        }
+      }
+      return;
+    }
+
+    // Yield the hosts of the local rack first, followed by the rest of the hosts in the local data center
     for (let i = 0; i < hosts.length; i++) {
       const h = hosts[(i + initialIndex) % hosts.length];
-      if (canBeYield(h) && h.isUp()) {
+      if (h.rack === this.localRack && canBeYield(h) && h.isUp()) {
+        yield h;
+      }
+    }
+
+    for (let i = 0; i < hosts.length; i++) {
+      const h = hosts[(i + initialIndex) % hosts.length];
+      if (h.rack !== this.localRack && canBeYield(h) && h.isUp()) {
         yield h;
       }
     }
   }
 
   _getReplicasAndLocalHosts(keyspace, routingKey) {
-    let replicas = this._getReplicas(keyspace, routingKey);
+    const replicas = this._getReplicas(keyspace, routingKey);
     if (replicas === null) {
       return this._getLocalHosts();
     }
 
     const filteredReplicas = [];
-    let newlyUpReplica = null;
-    let newlyUpReplicaTimestamp = Number.MIN_SAFE_INTEGER;
-    let unhealthyReplicas = 0;
+    const rackReplicas = this.localRack ? [] : null;
 
     // Filter by DC, predicate and UP replicas
-    // Use the same iteration to perform other checks: whether if its newly UP or unhealthy
     // As this is part of the hot path, we use a simple loop and avoid using Array.prototype.filter() + closure
     for (let i = 0; i < replicas.length; i++) {
       const h = replicas[i];
       if (!this._filter(h) || h.datacenter !== this.localDc || !h.isUp()) {
         continue;
       }
+      if (rackReplicas !== null && h.rack === this.localRack) {
+        rackReplicas.push(h);
+        continue;
+      }
+      filteredReplicas.push(h);
+    }
+
+    if (rackReplicas === null) {
+      return this.yieldReplicasFirst(this._sortReplicas(filteredReplicas));
+    }
+
+    // The replicas in the local rack are sorted separately and yielded before the rest of the local replicas
+    return this.yieldReplicasFirst(this._sortReplicas(rackReplicas).concat(this._sortReplicas(filteredReplicas)));
+  }
+
+  /**
+   * Shuffles the provided local replicas and reorders them based on whether they are newly UP or unhealthy, using the
+   * power of two random choices for the first position.
+   * @param {Array<Host>} replicas
+   * @returns {Array<Host>} The same Array instance.
+   * @private
+   */
+  _sortReplicas(replicas) {
+    let newlyUpReplica = null;
+    let newlyUpReplicaTimestamp = Number.MIN_SAFE_INTEGER;
+    let unhealthyReplicas = 0;
+
+    for (let i = 0; i < replicas.length; i++) {
+      const h = replicas[i];
       const isUpSince = this._isHostNewlyUp(h);
       if (isUpSince !== null && isUpSince > newlyUpReplicaTimestamp) {
         newlyUpReplica = h;
@@ -694,17 +1234,14 @@ class DefaultLoadBalancingPolicy extends LoadBalancingPolicy {
       if (newlyUpReplica === null && !this._healthCheck(h)) {
         unhealthyReplicas++;
       }
-      filteredReplicas.push(h);
     }
 
-    replicas = filteredReplicas;
-
     // Shuffle remaining local replicas
     utils.shuffleArray(replicas);
 
     if (replicas.length < 3) {
       // Avoid reordering replicas of a set of 2 as we could be doing more harm than good
-      return this.yieldReplicasFirst(replicas);
+      return replicas;
     }
 
     let temp;
@@ -731,7 +1268,7 @@ class DefaultLoadBalancingPolicy extends LoadBalancingPolicy {
       replicas[1] = temp;
     }
 
-    return this.yieldReplicasFirst(replicas);
+    return replicas;
   }
 
   /**
@@ -826,6 +1363,7 @@ class DefaultLoadBalancingPolicy extends LoadBalancingPolicy {
   getOptions() {
     return new Map([
       ['localDataCenter', this.localDc ],
+      ['localRack', this.localRack ],
       ['filterFunction', this._filter !== this._defaultFilter ]
     ]);
   }
@@ -867,6 +1405,36 @@ function setLocalDc(lbp, client, hosts) {
   }
 }
 
+/**
+ * Validates and sets the local rack to be used.
+ * @param {LoadBalancingPolicy} lbp
+ * @param {Client} client
+ * @param {HostMap} hosts
+ * @param {Boolean} required Determines whether the local rack must be defined.
+ * @private
+ */
+function setLocalRack(lbp, client, hosts, required) {
+  if (client && client.options && lbp.localDc === client.options.localDataCenter) {
+    // If localRack is unset, use value set in client options, as long as it refers to the same datacenter
+    lbp.localRack = lbp.localRack || client.options.localRack;
+  }
+
+  if (!lbp.localRack) {
+    if (required) {
+      throw new errors.ArgumentError(
+        `'localRack' is not defined in Client options and also was not specified in constructor.`);
+    }
+    return;
+  }
+
+  const racks = new Set(hosts.values().filter(h => h.datacenter === lbp.localDc).map(h => h.rack));
+
+  if (!racks.has(lbp.localRack)) {
+    throw new errors.ArgumentError(
+      `Rack ${lbp.localRack} was not found in datacenter ${lbp.localDc}. Available racks are: [${Array.from(racks)}]`);
+  }
+}
+
 function getDataCenters(hosts) {
   return new Set(hosts.values().map(h => h.datacenter));
 }
@@ -875,7 +1443,9 @@ module.exports = {
   AllowListPolicy,
   DCAwareRoundRobinPolicy,
   DefaultLoadBalancingPolicy,
+  LatencyAwarePolicy,
   LoadBalancingPolicy,
+  RackAwareRoundRobinPolicy,
   RoundRobinPolicy,
   TokenAwarePolicy,
   // Deprecated: for backward compatibility only.
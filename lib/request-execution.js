@@ -53,7 +53,8 @@ const errorCodes = {
 };
 
 const metricsHandlers = new Map([
-  [ errorCodes.none, (metrics, err, latency) => metrics.onSuccessfulResponse(latency) ],
+  [ errorCodes.none, (metrics, err, latency, host, execOptions) =>
+    metrics.onSuccessfulResponse(latency, host, execOptions) ],
   [ errorCodes.socketError, (metrics, err) => metrics.onConnectionError(err) ],
   [ errorCodes.clientTimeout, (metrics, err) => metrics.onClientTimeoutError(err) ],
   [ errorCodes.serverErrorOverloaded, (metrics, err) => metrics.onOtherError(err) ],
@@ -79,8 +80,9 @@ class RequestExecution {
    * @param {RequestHandler!} parent
    * @param {Host!} host
    * @param {Connection!} connection
+   * @param {Boolean} [isSpeculative]
    */
-  constructor(parent, host, connection) {
+  constructor(parent, host, connection, isSpeculative) {
     this._parent = parent;
     /** @type {OperationState} */
     this._operation = null;
@@ -89,6 +91,9 @@ class RequestExecution {
     this._cancelled = false;
     this._startTime = null;
     this._retryCount = 0;
+    this._isSpeculative = !!isSpeculative;
+    // The information of the current attempt provided to the tracker
+    this._attempt = null;
     // The streamId information is not included in the request.
     // A pointer to the parent request can be used, except when changing the consistency level from the retry policy
     this._request = this._parent.request;
@@ -144,6 +149,7 @@ class RequestExecution {
    */
   _sendOnConnection() {
     this._startTime = process.hrtime();
+    this._startAttempt();
 
     this._operation =
       this._connection.sendStream(this._request, this._parent.executionOptions, (err, response, length) => {
@@ -160,6 +166,8 @@ class RequestExecution {
           return this._handleError(errorCode, err);
         }
 
+        this._endAttempt(null);
+
         if (response.schemaChange) {
           return promiseUtils.toBackground(
             this._parent.client
@@ -192,7 +200,16 @@ class RequestExecution {
 
   _trackResponse(latency, errorCode, err, length) {
     // Record metrics
-    RequestExecution._invokeMetricsHandler(errorCode, this._parent.client.metrics, err, latency);
+    RequestExecution._invokeMetricsHandler(errorCode, this._parent.client.metrics, err, latency, this._host,
+      this._parent.executionOptions);
+
+    // Feed the load balancing policy, i.e., for latency-aware policies
+    const lbp = this._parent.executionOptions.getLoadBalancingPolicy();
+
+    // Policies are not required to inherit from LoadBalancingPolicy
+    if (typeof lbp.registerLatency === 'function') {
+      lbp.registerLatency(this._host, latency, err);
+    }
 
     // Request tracker
     const tracker = this._parent.client.options.requestTracker;
@@ -213,6 +230,52 @@ class RequestExecution {
     }
   }
 
+  /**
+   * Notifies the tracker that a new attempt started, when there's a tracker.
+   * @private
+   */
+  _startAttempt() {
+    const requestInfo = this._parent.trackingInfo;
+
+    if (requestInfo === null) {
+      return;
+    }
+
+    this._attempt = {
+      request: requestInfo,
+      host: this._host,
+      attemptNumber: this._parent.getNextAttemptNumber(),
+      isSpeculative: this._isSpeculative,
+      retryCount: this._retryCount,
+      retryDecision: null,
+      cancelled: false
+    };
+
+    this._parent.client.options.requestTracker.onAttemptStart(this._attempt);
+  }
+
+  /**
+   * Notifies the tracker that the current attempt ended, when there's an attempt in progress.
+   * @param {Error|null} err
+   * @param {Number} [retryDecision]
+   * @private
+   */
+  _endAttempt(err, retryDecision) {
+    const attempt = this._attempt;
+
+    if (attempt === null) {
+      return;
+    }
+
+    this._attempt = null;
+
+    if (retryDecision !== undefined) {
+      attempt.retryDecision = retryDecision;
+    }
+
+    this._parent.client.options.requestTracker.onAttemptEnd(attempt, err);
+  }
+
   _getResultSet(response, agreement) {
     const rs = new types.ResultSet(response, this._host.address, this._parent.triedHosts, this._parent.speculativeExecutions,
       this._request.consistency, agreement === undefined || agreement);
@@ -230,16 +293,18 @@ class RequestExecution {
    * @param {ClientMetrics} metrics
    * @param {Error} err
    * @param {Array} latency
+   * @param {Host} host
+   * @param {ExecutionOptions} execOptions
    * @private
    */
-  static _invokeMetricsHandler(errorCode, metrics, err, latency) {
+  static _invokeMetricsHandler(errorCode, metrics, err, latency, host, execOptions) {
     const handler = metricsHandlers.get(errorCode);
     if (handler !== undefined) {
-      handler(metrics, err, latency);
+      handler(metrics, err, latency, host, execOptions);
     }
 
     if (!err || err instanceof errors.ResponseError) {
-      metrics.onResponse(latency);
+      metrics.onResponse(latency, host, execOptions);
     }
   }
 
@@ -265,6 +330,11 @@ class RequestExecution {
   cancel() {
     this._cancelled = true;
 
+    if (this._attempt !== null) {
+      this._attempt.cancelled = true;
+      this._endAttempt(null);
+    }
+
     if (this._operation === null) {
       return;
     }
@@ -284,6 +354,7 @@ class RequestExecution {
     err['coordinator'] = this._host.address;
 
     if (errorCode === errorCodes.serverErrorUnprepared) {
+      this._endAttempt(err, retry.RetryPolicy.retryDecision.retry);
       return this._prepareAndRetry(err.queryId);
     }
 
@@ -296,6 +367,8 @@ class RequestExecution {
 
     const decisionInfo = this._getDecision(errorCode, err);
 
+    this._endAttempt(err, decisionInfo ? decisionInfo.decision : retry.RetryPolicy.retryDecision.rethrow);
+
     if (!decisionInfo || decisionInfo.decision === retry.RetryPolicy.retryDecision.rethrow) {
       if (this._request instanceof requests.QueryRequest || this._request instanceof requests.ExecuteRequest) {
         err['query'] = this._request.query;
@@ -50,6 +50,21 @@ class RequestHandler {
     this._newExecutionTimeout = null;
     /** @type {RequestExecution[]} */
     this._executions = [];
+    this._completed = false;
+    this._abortSignal = execOptions.getAbortSignal() || null;
+    this._abortListener = null;
+    this._tracker = client.options.requestTracker || null;
+    this._attemptCount = 0;
+    this._throttler = client.options.requestThrottler || null;
+    this._throttlingInfo = null;
+    this._isThrottleWaiting = false;
+    this._isThrottleAllowed = false;
+
+    /**
+     * The information of the request provided to the tracker, null when there isn't a tracker.
+     * @type {Object|null}
+     */
+    this.trackingInfo = null;
   }
 
   /**
@@ -120,27 +135,97 @@ class RequestHandler {
       this._resolveCallback = resolve;
       this._rejectCallback = reject;
 
-      const lbp = this.executionOptions.getLoadBalancingPolicy();
-      const fixedHost = this.executionOptions.getFixedHost();
+      let requestInfo = null;
 
-      if (fixedHost) {
-        // if host is configured bypass load balancing policy and use
-        // a single host plan.
-        this._hostIterator = utils.arrayIterator([fixedHost]);
-        promiseUtils.toBackground(this._startNewExecution());
-      } else {
-        lbp.newQueryPlan(this.client.keyspace, this.executionOptions, (err, iterator) => {
-          if (err) {
-            return reject(err);
-          }
-
-          this._hostIterator = iterator;
-          promiseUtils.toBackground(this._startNewExecution());
-        });
+      if (this._tracker !== null || this._throttler !== null) {
+        requestInfo = {
+          query: this.request.query || this.request.queries,
+          parameters: this.request.params,
+          executionOptions: this.executionOptions
+        };
+      }
+
+      if (this._tracker !== null) {
+        this.trackingInfo = requestInfo;
+        this._tracker.onRequestStart(this.trackingInfo);
+      }
+
+      if (this._abortSignal !== null) {
+        if (this._abortSignal.aborted) {
+          return this.setCompleted(this._getAbortError());
+        }
+
+        this._abortListener = () => this.setCompleted(this._getAbortError());
+        this._abortSignal.addEventListener('abort', this._abortListener);
+      }
+
+      if (this._throttler === null) {
+        return this._startQueryPlan();
       }
+
+      this._throttle(requestInfo);
     });
   }
 
+  /**
+   * Registers the request in the request throttler and starts the query plan once it's allowed.
+   * @param {Object} requestInfo
+   * @private
+   */
+  _throttle(requestInfo) {
+    const startTime = process.hrtime();
+
+    this._throttlingInfo = requestInfo;
+    this._isThrottleWaiting = true;
+
+    this._throttler.register(requestInfo, (err, wasDelayed) => {
+      if (!this._isThrottleWaiting) {
+        // The request was completed (i.e., aborted) while waiting
+        return;
+      }
+
+      this._isThrottleWaiting = false;
+
+      if (err) {
+        this.client.metrics.onRejectedRequest(err);
+        return this.setCompleted(err);
+      }
+
+      this._isThrottleAllowed = true;
+
+      if (wasDelayed) {
+        this.client.metrics.onThrottledRequest(process.hrtime(startTime));
+      }
+
+      this._startQueryPlan();
+    });
+  }
+
+  /**
+   * Gets the query plan and starts the first execution.
+   * @private
+   */
+  _startQueryPlan() {
+    const lbp = this.executionOptions.getLoadBalancingPolicy();
+    const fixedHost = this.executionOptions.getFixedHost();
+
+    if (fixedHost) {
+      // if host is configured bypass load balancing policy and use
+      // a single host plan.
+      this._hostIterator = utils.arrayIterator([fixedHost]);
+      promiseUtils.toBackground(this._startNewExecution());
+    } else {
+      lbp.newQueryPlan(this.client.keyspace, this.executionOptions, (err, iterator) => {
+        if (err) {
+          return this.setCompleted(err);
+        }
+
+        this._hostIterator = iterator;
+        promiseUtils.toBackground(this._startNewExecution());
+      });
+    }
+  }
+
   /**
    * Starts a new execution on the next host of the query plan.
    * @param {Boolean} [isSpecExec]
@@ -148,6 +233,11 @@ class RequestHandler {
    * @private
    */
   async _startNewExecution(isSpecExec) {
+    if (this._completed) {
+      // The request was completed (i.e., aborted) before starting the execution
+      return;
+    }
+
     if (isSpecExec) {
       this.client.metrics.onSpeculativeExecution();
     }
@@ -176,9 +266,13 @@ class RequestHandler {
         // We can blindly re-try to obtain a different host/connection.
         return this._startNewExecution(isSpecExec);
       }
+
+      if (this._completed) {
+        return;
+      }
     }
 
-    const execution = new RequestExecution(this, host, connection);
+    const execution = new RequestExecution(this, host, connection, isSpecExec);
     this._executions.push(execution);
     execution.start();
 
@@ -237,15 +331,37 @@ class RequestHandler {
    * @param {ResultSet} [result]
    */
   setCompleted(err, result) {
+    if (this._completed) {
+      // The request was already completed, i.e., it was aborted while waiting for the response
+      return;
+    }
+
+    this._completed = true;
+
     if (this._newExecutionTimeout !== null) {
       clearTimeout(this._newExecutionTimeout);
     }
 
+    if (this._abortListener !== null) {
+      this._abortSignal.removeEventListener('abort', this._abortListener);
+    }
+
     // Mark all executions as cancelled
     for (const execution of this._executions) {
       execution.cancel();
     }
 
+    if (this._isThrottleWaiting) {
+      this._isThrottleWaiting = false;
+      this._throttler.signalCancel(this._throttlingInfo);
+    } else if (this._isThrottleAllowed) {
+      this._throttler.signalCompleted(this._throttlingInfo);
+    }
+
+    if (this.trackingInfo !== null) {
+      this._tracker.onRequestEnd(this.trackingInfo, err || null, result);
+    }
+
     if (err) {
       if (this.executionOptions.getCaptureStackTrace()) {
         utils.fixStack(this.stackContainer.stack, err);
@@ -274,6 +390,23 @@ class RequestHandler {
     this._resolveCallback(result);
   }
 
+  /**
+   * Gets the 1-based number for a new attempt of this request.
+   * @returns {Number}
+   */
+  getNextAttemptNumber() {
+    return ++this._attemptCount;
+  }
+
+  /**
+   * Gets the error to use when the request is aborted.
+   * @returns {AbortError}
+   * @private
+   */
+  _getAbortError() {
+    return new errors.AbortError(undefined, this._abortSignal.reason);
+  }
+
   /**
    * @param {NoHostAvailableError} err
    * @param {RequestExecution|null} execution
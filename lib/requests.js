@@ -314,6 +314,7 @@ class StartupRequest extends Request {
    * @param [options.clientId]
    * @param [options.applicationName]
    * @param [options.applicationVersion]
+   * @param [options.compression]
    */
   constructor(options) {
     super();
@@ -345,6 +346,10 @@ class StartupRequest extends Request {
       startupOptions['APPLICATION_VERSION'] = this.options.applicationVersion;
     }
 
+    if (this.options.compression) {
+      startupOptions['COMPRESSION'] = this.options.compression;
+    }
+
     frameWriter.writeStringMap(startupOptions);
     return frameWriter.write(encoder.protocolVersion, streamId);
   }
@@ -0,0 +1,229 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const utils = require('./utils');
+const errors = require('./errors');
+const { crc24, crc32 } = require('./crc');
+
+/**
+ * Maximum length of the payload of a segment (128 KiB - 1).
+ * @type {Number}
+ */
+const maxPayloadLength = 0x1FFFF;
+
+const selfContainedFlag = 1 << 17;
+const headerDataLength = 3;
+const compressedHeaderDataLength = 5;
+const headerCrcLength = 3;
+const payloadCrcLength = 4;
+
+/**
+ * Encodes and decodes the segments used by the protocol v5 framing format.
+ * <p>
+ *   Once the connection startup completes, frames (envelopes) are wrapped into segments. A segment is composed by
+ *   a header that contains the payload length and whether the payload is self-contained, a CRC24 checksum of the
+ *   header, the payload and a CRC32 checksum of the payload.
+ * </p>
+ * <p>
+ *   Multiple frames can be grouped into a single self-contained segment, while frames larger than the maximum
+ *   payload length are split across several segments that are not self-contained.
+ * </p>
+ * <p>
+ *   When a compressor is provided, the header also contains the uncompressed length of the payload, being zero when
+ *   the payload was sent uncompressed.
+ * </p>
+ * @ignore
+ */
+class SegmentCodec {
+  /**
+   * Creates a new instance of the codec.
+   * @param {Compressor} [compressor] The compressor to use for the segment payloads, when defined.
+   */
+  constructor(compressor) {
+    /**
+     * The compressor used for the payloads or null.
+     * @type {Compressor|null}
+     */
+    this.compressor = compressor || null;
+
+    /**
+     * The length of the header data, excluding the header CRC.
+     * @type {Number}
+     * @private
+     */
+    this._headerDataLength = this.compressor !== null ? compressedHeaderDataLength : headerDataLength;
+
+    /**
+     * The length of the segment header, including the header CRC.
+     * @type {Number}
+     */
+    this.headerLength = this._headerDataLength + headerCrcLength;
+  }
+
+  /**
+   * Groups the provided frames into segments.
+   * @param {Array<Buffer>} frames
+   * @returns {Array<Buffer>}
+   */
+  encodeFrames(frames) {
+    const segments = [];
+    let parts = [];
+    let length = 0;
+
+    const flush = () => {
+      if (parts.length === 0) {
+        return;
+      }
+      segments.push(this.encode(parts.length === 1 ? parts[0] : Buffer.concat(parts, length), true));
+      parts = [];
+      length = 0;
+    };
+
+    for (let i = 0; i < frames.length; i++) {
+      const frame = frames[i];
+
+      if (frame.length > maxPayloadLength) {
+        // Large frames are sliced into multiple segments that are not self-contained
+        flush();
+        for (let offset = 0; offset < frame.length; offset += maxPayloadLength) {
+          segments.push(this.encode(frame.slice(offset, offset + maxPayloadLength), false));
+        }
+        continue;
+      }
+
+      if (length + frame.length > maxPayloadLength) {
+        flush();
+      }
+
+      parts.push(frame);
+      length += frame.length;
+    }
+
+    flush();
+    return segments;
+  }
+
+  /**
+   * Creates a segment containing the provided payload.
+   * @param {Buffer} payload
+   * @param {Boolean} isSelfContained
+   * @returns {Buffer}
+   */
+  encode(payload, isSelfContained) {
+    if (payload.length > maxPayloadLength) {
+      throw new errors.DriverInternalError(`Segment payload length can not exceed ${maxPayloadLength} bytes`);
+    }
+
+    let uncompressedLength = 0;
+
+    if (this.compressor !== null) {
+      const compressed = this.compressor.compress(payload);
+
+      // Only use the compressed payload when it's actually smaller
+      if (compressed.length < payload.length) {
+        uncompressedLength = payload.length;
+        payload = compressed;
+      }
+    }
+
+    const segment = utils.allocBufferUnsafe(this.headerLength + payload.length + payloadCrcLength);
+
+    if (this.compressor === null) {
+      segment.writeUIntLE(payload.length | (isSelfContained ? selfContainedFlag : 0), 0, headerDataLength);
+    } else {
+      // 17 bits for the compressed length, 17 bits for the uncompressed length and the self-contained flag
+      segment.writeUInt32LE((payload.length | ((uncompressedLength & 0x7FFF) << 17)) >>> 0, 0);
+      segment[4] = (uncompressedLength >>> 15) | (isSelfContained ? 0x04 : 0);
+    }
+
+    segment.writeUIntLE(crc24(segment, 0, this._headerDataLength), this._headerDataLength, headerCrcLength);
+    payload.copy(segment, this.headerLength);
+    segment.writeUInt32LE(crc32(payload), this.headerLength + payload.length);
+    return segment;
+  }
+
+  /**
+   * Reads and validates the header of a segment.
+   * @param {Buffer} buffer
+   * @param {Number} offset
+   * @returns {{payloadLength: Number, uncompressedLength: Number, isSelfContained: Boolean}}
+   * @throws {DriverInternalError} When the header checksum doesn't match.
+   */
+  decodeHeader(buffer, offset) {
+    const expectedCrc = buffer.readUIntLE(offset + this._headerDataLength, headerCrcLength);
+
+    if (crc24(buffer, offset, this._headerDataLength) !== expectedCrc) {
+      throw new errors.DriverInternalError('CRC mismatch on segment header');
+    }
+
+    if (this.compressor === null) {
+      const headerData = buffer.readUIntLE(offset, headerDataLength);
+
+      return {
+        payloadLength: headerData & maxPayloadLength,
+        uncompressedLength: 0,
+        isSelfContained: (headerData & selfContainedFlag) !== 0
+      };
+    }
+
+    const low = buffer.readUInt32LE(offset);
+    const high = buffer[offset + 4];
+
+    return {
+      payloadLength: low & maxPayloadLength,
+      uncompressedLength: (low >>> 17) | ((high & 0x03) << 15),
+      isSelfContained: (high & 0x04) !== 0
+    };
+  }
+
+  /**
+   * Gets the total length of a segment, including the header and checksums.
+   * @param {{payloadLength: Number}} header
+   * @returns {Number}
+   */
+  getSegmentLength(header) {
+    return this.headerLength + header.payloadLength + payloadCrcLength;
+  }
+
+  /**
+   * Reads and validates the payload of a segment, decompressing it when needed.
+   * @param {Buffer} buffer
+   * @param {Number} offset The offset of the payload.
+   * @param {{payloadLength: Number, uncompressedLength: Number}} header
+   * @returns {Buffer}
+   * @throws {DriverInternalError} When the payload checksum doesn't match.
+   */
+  decodePayload(buffer, offset, header) {
+    const expectedCrc = buffer.readUInt32LE(offset + header.payloadLength);
+
+    if (crc32(buffer, offset, header.payloadLength) !== expectedCrc) {
+      throw new errors.DriverInternalError('CRC mismatch on segment payload');
+    }
+
+    const payload = buffer.slice(offset, offset + header.payloadLength);
+
+    if (header.uncompressedLength > 0) {
+      return this.compressor.decompress(payload, header.uncompressedLength);
+    }
+
+    return payload;
+  }
+}
+
+SegmentCodec.maxPayloadLength = maxPayloadLength;
+
+module.exports = SegmentCodec;
@@ -24,6 +24,8 @@ const utils = require('./utils');
 const errors = require('./errors');
 const { FrameHeader } = types;
 const { FrameReader } = require('./readers');
+const SegmentCodec = require('./segment-codec');
+const { decompressBody } = require('./compression/frame-compression');
 
 /**
  * Transforms chunks, emits data objects {header, chunk}
@@ -37,6 +39,18 @@ function Protocol (options) {
   this.clearHeaderChunks();
   this.version = 0;
   this.headerSize = 0;
+  /**
+   * The codec used to decode the segments, it's only set once the framing format is enabled (protocol v5+).
+   * @type {SegmentCodec|null}
+   */
+  this.segmentCodec = null;
+  this.clearSegmentChunks();
+  /**
+   * The compressor used to decompress the frame bodies (protocol v4 and below) or the segment payloads (protocol v5+)
+   * @type {Compressor|null}
+   */
+  this.compressor = null;
+  this.clearCompressedChunks();
 }
 
 util.inherits(Protocol, Transform);
@@ -57,6 +71,7 @@ Protocol.prototype._transform = function (chunk, encoding, callback) {
  * Emits (push) complete frames or frames with incomplete bodies. Following chunks containing the rest of the body will
  * be emitted using the same frame.
  * It buffers incomplete headers.
+ * When the framing format is enabled, the chunk is decoded into segments before reading the frames.
  * @param {Buffer} chunk
  */
 Protocol.prototype.readItems = function (chunk) {
@@ -68,7 +83,55 @@ Protocol.prototype.readItems = function (chunk) {
     this.version = FrameHeader.getProtocolVersion(chunk);
     this.headerSize = FrameHeader.size(this.version);
   }
+  if (this.segmentCodec !== null) {
+    return this.readSegments(chunk);
+  }
+  this.readFrames(chunk);
+};
+
+/**
+ * Reads the segments contained in the chunk and parses the payloads into frames.
+ * It buffers incomplete segments.
+ * @param {Buffer} chunk
+ */
+Protocol.prototype.readSegments = function (chunk) {
+  const codec = this.segmentCodec;
+  if (this.segmentChunks.byteLength !== 0) {
+    this.segmentChunks.parts.push(chunk);
+    this.segmentChunks.byteLength += chunk.length;
+    if (this.segmentChunks.byteLength < this.segmentChunks.expectedLength) {
+      return;
+    }
+    chunk = Buffer.concat(this.segmentChunks.parts, this.segmentChunks.byteLength);
+    this.clearSegmentChunks();
+  }
+  let offset = 0;
+  while (offset < chunk.length) {
+    let expectedLength = codec.headerLength;
+    if (chunk.length - offset >= codec.headerLength) {
+      const header = codec.decodeHeader(chunk, offset);
+      expectedLength = codec.getSegmentLength(header);
+      if (chunk.length - offset >= expectedLength) {
+        this.readFrames(codec.decodePayload(chunk, offset + codec.headerLength, header));
+        offset += expectedLength;
+        continue;
+      }
+    }
+    //the segment is incomplete, buffer it until the next chunk
+    const segmentPart = chunk.slice(offset);
+    this.segmentChunks = { byteLength: segmentPart.length, parts: [ segmentPart ], expectedLength: expectedLength };
+    break;
+  }
+};
+
+/**
+ * Parses the chunk into frames.
+ * @param {Buffer} chunk
+ */
+Protocol.prototype.readFrames = function (chunk) {
   let offset = 0;
+  // The offset at which the framing format starts, when the framing format is enabled on this chunk
+  let segmentsOffset = -1;
   let currentHeader = this.header;
   this.header = null;
   if (this.headerChunks.byteLength !== 0) {
@@ -106,6 +169,11 @@ Protocol.prototype.readItems = function (chunk) {
       offset += currentHeader.bodyLength - this.bodyLength;
       //reset the body length
       this.bodyLength = 0;
+      if (this.segmentCodec === null && this.isFramingStart(currentHeader)) {
+        //the following data is encoded using the framing format
+        segmentsOffset = offset;
+        break;
+      }
     }
     else if (remaining >= 0) {
       //the body is not fully contained in this chunk
@@ -121,14 +189,68 @@ Protocol.prototype.readItems = function (chunk) {
     currentHeader = null;
   }
   for (let i = 0; i < items.length; i++) {
-    this.push(items[i]);
+    const item = items[i];
+    if (item.header.flags & types.frameFlags.compression) {
+      this.pushCompressed(item);
+      continue;
+    }
+    this.push(item);
+  }
+  if (segmentsOffset !== -1) {
+    this.segmentCodec = new SegmentCodec(this.compressor);
+    if (segmentsOffset < chunk.length) {
+      this.readSegments(chunk.slice(segmentsOffset));
+    }
   }
 };
 
+/**
+ * Buffers the body of a compressed frame and, once it's complete, emits the frame with the decompressed body.
+ * @param {{header: FrameHeader, chunk: Buffer, offset: Number, frameEnded: Boolean}} item
+ */
+Protocol.prototype.pushCompressed = function (item) {
+  if (this.compressor === null) {
+    throw new errors.DriverInternalError('Received a compressed frame but compression is not enabled');
+  }
+  const header = item.header;
+  if (!item.frameEnded) {
+    const part = item.chunk.slice(item.offset);
+    this.compressedChunks.parts.push(part);
+    this.compressedChunks.byteLength += part.length;
+    return;
+  }
+  const end = item.offset + header.bodyLength - this.compressedChunks.byteLength;
+  this.compressedChunks.parts.push(item.chunk.slice(item.offset, end));
+  const body = decompressBody(this.compressor, Buffer.concat(this.compressedChunks.parts, header.bodyLength));
+  this.clearCompressedChunks();
+  const uncompressedHeader = new FrameHeader(header.version, header.flags & ~types.frameFlags.compression,
+    header.streamId, header.opcode, body.length);
+  this.push({ header: uncompressedHeader, chunk: body, offset: 0, frameEnded: true });
+};
+
+/**
+ * Determines whether the framing format is used after the provided frame.
+ * From protocol v5, the server starts using the framing format after sending the READY or AUTHENTICATE response.
+ * @param {FrameHeader} header
+ * @returns {Boolean}
+ */
+Protocol.prototype.isFramingStart = function (header) {
+  return types.protocolVersion.usesSegments(header.version) &&
+    (header.opcode === types.opcodes.ready || header.opcode === types.opcodes.authenticate);
+};
+
 Protocol.prototype.clearHeaderChunks = function () {
   this.headerChunks = { byteLength: 0, parts: [] };
 };
 
+Protocol.prototype.clearSegmentChunks = function () {
+  this.segmentChunks = { byteLength: 0, parts: [], expectedLength: 0 };
+};
+
+Protocol.prototype.clearCompressedChunks = function () {
+  this.compressedChunks = { byteLength: 0, parts: [] };
+};
+
 /**
  * A stream that gets reads header + body chunks and transforms them into header + (row | error)
  * @param {Object} streamOptions Node.js Stream options
@@ -0,0 +1,121 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const RequestThrottler = require('./request-throttler');
+const errors = require('../errors');
+const utils = require('../utils');
+
+/**
+ * A request throttler that limits the amount of requests that can be executed concurrently.
+ * <p>
+ *   Once the maximum amount of concurrent requests is reached, the following requests are enqueued and executed in
+ *   order as the previous requests complete. When the queue is full, requests are rejected with a
+ *   [RequestThrottlingError]{@link module:errors~RequestThrottlingError}.
+ * </p>
+ * @implements {module:throttling~RequestThrottler}
+ * @alias module:throttling~ConcurrencyLimitingThrottler
+ * @example
+ * const requestThrottler = new ConcurrencyLimitingThrottler({ maxConcurrentRequests: 256, maxQueueSize: 1024 });
+ * const client = new Client({ contactPoints, localDataCenter, requestThrottler });
+ */
+class ConcurrencyLimitingThrottler extends RequestThrottler {
+
+  /**
+   * Creates a new instance of {@link ConcurrencyLimitingThrottler}.
+   * @param {Object} [options]
+   * @param {Number} [options.maxConcurrentRequests] The maximum amount of requests that can be executed concurrently.
+   * Defaults to 10000.
+   * @param {Number} [options.maxQueueSize] The maximum amount of requests that can be waiting to be executed.
+   * Defaults to 10000.
+   */
+  constructor(options) {
+    super();
+
+    options = options || utils.emptyObject;
+
+    this.maxConcurrentRequests = utils.ifUndefined(options.maxConcurrentRequests, 10000);
+    this.maxQueueSize = utils.ifUndefined(options.maxQueueSize, 10000);
+
+    if (this.maxConcurrentRequests < 1) {
+      throw new errors.ArgumentError('maxConcurrentRequests must be greater than 0');
+    }
+
+    /**
+     * The amount of requests that were allowed to start and didn't complete yet.
+     * @type {Number}
+     */
+    this.concurrentRequests = 0;
+
+    /**
+     * The callbacks of the enqueued requests, in insertion order.
+     * @type {Map<Object, Function>}
+     * @private
+     */
+    this._queue = new Map();
+  }
+
+  /**
+   * Gets the amount of requests that are waiting to be executed.
+   * @returns {Number}
+   */
+  getQueueSize() {
+    return this._queue.size;
+  }
+
+  /** @override */
+  register(request, callback) {
+    if (this.concurrentRequests < this.maxConcurrentRequests && this._queue.size === 0) {
+      this.concurrentRequests++;
+      return callback(null, false);
+    }
+
+    if (this._queue.size >= this.maxQueueSize) {
+      return callback(new errors.RequestThrottlingError(
+        `The maximum amount of concurrent requests (${this.maxConcurrentRequests}) and queued requests ` +
+        `(${this.maxQueueSize}) was reached`));
+    }
+
+    this._queue.set(request, callback);
+  }
+
+  /** @override */
+  signalCompleted(request) {
+    this.concurrentRequests--;
+
+    while (this.concurrentRequests < this.maxConcurrentRequests && this._queue.size > 0) {
+      const [ queuedRequest, callback ] = this._queue.entries().next().value;
+      this._queue.delete(queuedRequest);
+      this.concurrentRequests++;
+      callback(null, true);
+    }
+  }
+
+  /** @override */
+  signalCancel(request) {
+    this._queue.delete(request);
+  }
+
+  /** @override */
+  shutdown() {
+    const callbacks = Array.from(this._queue.values());
+    this._queue.clear();
+    callbacks.forEach(callback => callback(new errors.RequestThrottlingError('The client is shutting down')));
+  }
+}
+
+module.exports = ConcurrencyLimitingThrottler;
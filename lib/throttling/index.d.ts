@@ -0,0 +1,61 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { ExecutionOptions } from '../../';
+
+export namespace throttling {
+  interface RequestInfo {
+    query: string | Array<{ query: string, params?: any }>;
+    parameters: any[] | { [key: string]: any } | null;
+    executionOptions: ExecutionOptions;
+  }
+
+  class RequestThrottler {
+    register(request: RequestInfo, callback: (err: Error | null, wasDelayed?: boolean) => void): void;
+
+    signalCompleted(request: RequestInfo): void;
+
+    signalCancel(request: RequestInfo): void;
+
+    shutdown(): void;
+  }
+
+  class ConcurrencyLimitingThrottler extends RequestThrottler {
+    readonly maxConcurrentRequests: number;
+    readonly maxQueueSize: number;
+    readonly concurrentRequests: number;
+
+    constructor(options?: { maxConcurrentRequests?: number, maxQueueSize?: number });
+
+    getQueueSize(): number;
+  }
+
+  class RateLimitingThrottler extends RequestThrottler {
+    readonly maxRequestsPerSecond: number;
+    readonly maxBurstSize: number;
+    readonly maxQueueSize: number;
+    readonly drainInterval: number;
+
+    constructor(options: {
+      maxRequestsPerSecond: number,
+      maxBurstSize?: number,
+      maxQueueSize?: number,
+      drainInterval?: number
+    });
+
+    getQueueSize(): number;
+  }
+}
@@ -0,0 +1,163 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const RequestThrottler = require('./request-throttler');
+const errors = require('../errors');
+const utils = require('../utils');
+
+/**
+ * A request throttler that limits the rate at which requests are started, using a token bucket.
+ * <p>
+ *   The bucket is refilled at a rate of <code>maxRequestsPerSecond</code> and can hold up to
+ *   <code>maxBurstSize</code> tokens. Each request consumes a token, when there are no tokens available the requests
+ *   are enqueued and started in order as the bucket is refilled. When the queue is full, requests are rejected with a
+ *   [RequestThrottlingError]{@link module:errors~RequestThrottlingError}.
+ * </p>
+ * @implements {module:throttling~RequestThrottler}
+ * @alias module:throttling~RateLimitingThrottler
+ * @example
+ * const requestThrottler = new RateLimitingThrottler({ maxRequestsPerSecond: 5000 });
+ * const client = new Client({ contactPoints, localDataCenter, requestThrottler });
+ */
+class RateLimitingThrottler extends RequestThrottler {
+
+  /**
+   * Creates a new instance of {@link RateLimitingThrottler}.
+   * @param {Object} options
+   * @param {Number} options.maxRequestsPerSecond The maximum amount of requests that can be started per second.
+   * @param {Number} [options.maxBurstSize] The maximum amount of requests that can be started at once after a period of
+   * inactivity. Defaults to <code>maxRequestsPerSecond</code>.
+   * @param {Number} [options.maxQueueSize] The maximum amount of requests that can be waiting to be executed.
+   * Defaults to 10000.
+   * @param {Number} [options.drainInterval] The interval in milliseconds at which the enqueued requests are
+   * started. Defaults to 10.
+   */
+  constructor(options) {
+    super();
+
+    if (!options || !(options.maxRequestsPerSecond > 0)) {
+      throw new errors.ArgumentError('maxRequestsPerSecond must be greater than 0');
+    }
+
+    this.maxRequestsPerSecond = options.maxRequestsPerSecond;
+    this.maxBurstSize = utils.ifUndefined(options.maxBurstSize, this.maxRequestsPerSecond);
+    this.maxQueueSize = utils.ifUndefined(options.maxQueueSize, 10000);
+    this.drainInterval = utils.ifUndefined(options.drainInterval, 10);
+
+    this._tokens = this.maxBurstSize;
+    this._lastRefill = Date.now();
+    this._drainTimeout = null;
+
+    /**
+     * The callbacks of the enqueued requests, in insertion order.
+     * @type {Map<Object, Function>}
+     * @private
+     */
+    this._queue = new Map();
+  }
+
+  /**
+   * Gets the amount of requests that are waiting to be executed.
+   * @returns {Number}
+   */
+  getQueueSize() {
+    return this._queue.size;
+  }
+
+  /** @override */
+  register(request, callback) {
+    this._refill();
+
+    if (this._queue.size === 0 && this._tokens >= 1) {
+      this._tokens--;
+      return callback(null, false);
+    }
+
+    if (this._queue.size >= this.maxQueueSize) {
+      return callback(new errors.RequestThrottlingError(
+        `The maximum rate of requests (${this.maxRequestsPerSecond} per second) and queued requests ` +
+        `(${this.maxQueueSize}) was reached`));
+    }
+
+    this._queue.set(request, callback);
+    this._scheduleDrain();
+  }
+
+  /** @override */
+  signalCancel(request) {
+    this._queue.delete(request);
+  }
+
+  /** @override */
+  shutdown() {
+    if (this._drainTimeout !== null) {
+      clearTimeout(this._drainTimeout);
+      this._drainTimeout = null;
+    }
+
+    const callbacks = Array.from(this._queue.values());
+    this._queue.clear();
+    callbacks.forEach(callback => callback(new errors.RequestThrottlingError('The client is shutting down')));
+  }
+
+  /**
+   * Adds the tokens corresponding to the time elapsed since the last refill.
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    const elapsed = now - this._lastRefill;
+
+    if (elapsed <= 0) {
+      return;
+    }
+
+    this._tokens = Math.min(this.maxBurstSize, this._tokens + elapsed * this.maxRequestsPerSecond / 1000);
+    this._lastRefill = now;
+  }
+
+  /** @private */
+  _scheduleDrain() {
+    if (this._drainTimeout !== null) {
+      return;
+    }
+
+    this._drainTimeout = setTimeout(() => {
+      this._drainTimeout = null;
+      this._drain();
+    }, this.drainInterval);
+  }
+
+  /** @private */
+  _drain() {
+    this._refill();
+
+    while (this._tokens >= 1 && this._queue.size > 0) {
+      const [ request, callback ] = this._queue.entries().next().value;
+      this._queue.delete(request);
+      this._tokens--;
+      callback(null, true);
+    }
+
+    if (this._queue.size > 0) {
+      this._scheduleDrain();
+    }
+  }
+}
+
+module.exports = RateLimitingThrottler;
@@ -0,0 +1,80 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Limits the amount of requests executed by a {@link Client} instance.
+ * <p>
+ *   A {@link RequestThrottler} can be configured in the client options. Before the <code>Client</code> sends a query
+ *   or batch request, it registers it in the throttler, that decides whether the request can be executed immediately,
+ *   has to wait or has to be rejected. Requests that were allowed to start are signaled when they complete.
+ * </p>
+ * <p>
+ *   The same request information object is provided to all the methods, so it can be used as key to correlate them.
+ * </p>
+ * @interface
+ * @alias module:throttling~RequestThrottler
+ */
+class RequestThrottler {
+
+  /**
+   * Invoked when a new request is about to be executed.
+   * <p>
+   *   Implementations must invoke the callback exactly once: without arguments when the request is allowed to start
+   *   or with an error (usually a [RequestThrottlingError]{@link module:errors~RequestThrottlingError}) when the
+   *   request is rejected. The callback can be invoked synchronously or once the request was dequeued.
+   * </p>
+   * @param {Object} request The information of the request.
+   * @param {String|Array} request.query In the case of prepared or unprepared query executions, the provided
+   * query string. For batch requests, an Array containing the queries and parameters provided.
+   * @param {Array|Object|null} request.parameters In the case of prepared or unprepared query executions, the provided
+   * parameters.
+   * @param {ExecutionOptions} request.executionOptions The information related to the execution of the request.
+   * @param {Function} callback The function to invoke with an error as first parameter, when the request is
+   * rejected, and a Boolean indicating whether the request had to wait as second parameter.
+   */
+  register(request, callback) {
+    callback(null, false);
+  }
+
+  /**
+   * Invoked when a request that was allowed to start completes, either successfully or with an error.
+   * @param {Object} request The information of the request.
+   */
+  signalCompleted(request) {
+
+  }
+
+  /**
+   * Invoked when a request is cancelled while waiting to be allowed to start, for example, when it's aborted using the
+   * <code>abortSignal</code> execution option. The throttler must not invoke the callback of the request afterwards.
+   * @param {Object} request The information of the request.
+   */
+  signalCancel(request) {
+
+  }
+
+  /**
+   * Invoked when the {@link Client} is being shutdown.
+   * <p>Implementations should reject the requests that are waiting to be executed.</p>
+   */
+  shutdown() {
+
+  }
+}
+
+module.exports = RequestThrottler;
@@ -15,6 +15,7 @@
  */
 
 import { ExecutionOptions, Host } from '../../';
+import { types } from '../types';
 
 export namespace tracker {
   interface RequestTracker {
@@ -36,6 +37,53 @@ export namespace tracker {
       responseLength: number,
       latency: number[]): void;
 
+    onRequestStart?(request: RequestInfo): void;
+
+    onRequestEnd?(request: RequestInfo, err: Error | null, result?: types.ResultSet): void;
+
+    onAttemptStart?(attempt: AttemptInfo): void;
+
+    onAttemptEnd?(attempt: AttemptInfo, err: Error | null): void;
+
+    shutdown(): void;
+  }
+
+  interface RequestInfo {
+    query: string | Array<{ query: string, params?: any }>;
+    parameters: any[] | { [key: string]: any } | null;
+    executionOptions: ExecutionOptions;
+  }
+
+  interface AttemptInfo {
+    request: RequestInfo;
+    host: Host;
+    attemptNumber: number;
+    isSpeculative: boolean;
+    retryCount: number;
+    retryDecision: number | null;
+    cancelled: boolean;
+  }
+
+  class OpenTelemetryTracker implements RequestTracker {
+    constructor(options: {
+      tracer: any;
+      api?: any;
+      includeStatement?: boolean;
+      maxStatementLength?: number;
+    });
+
+    onError(host: Host, query: string | Array<{ query: string; params?: any }>, parameters: any[] | { [p: string]: any } | null, executionOptions: ExecutionOptions, requestLength: number, err: Error, latency: number[]): void;
+
+    onSuccess(host: Host, query: string | Array<{ query: string; params?: any }>, parameters: any[] | { [p: string]: any } | null, executionOptions: ExecutionOptions, requestLength: number, responseLength: number, latency: number[]): void;
+
+    onRequestStart(request: RequestInfo): void;
+
+    onRequestEnd(request: RequestInfo, err: Error | null, result?: types.ResultSet): void;
+
+    onAttemptStart(attempt: AttemptInfo): void;
+
+    onAttemptEnd(attempt: AttemptInfo, err: Error | null): void;
+
     shutdown(): void;
   }
 
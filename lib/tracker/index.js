@@ -21,5 +21,6 @@
  * @module tracker
  */
 
+exports.OpenTelemetryTracker = require('./opentelemetry-tracker');
 exports.RequestLogger = require('./request-logger');
 exports.RequestTracker = require('./request-tracker');
\ No newline at end of file
@@ -0,0 +1,225 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const RequestTracker = require('./request-tracker');
+const errors = require('../errors');
+const types = require('../types');
+const { RetryPolicy } = require('../policies/retry');
+
+// Values of the OpenTelemetry API enums, used when the API module is not provided
+const spanKindClient = 2;
+const spanStatusCodeError = 2;
+
+const retryDecisionNames = new Map(Object.keys(RetryPolicy.retryDecision)
+  .map(name => [ RetryPolicy.retryDecision[name], name ]));
+
+/**
+ * A request tracker that creates spans for the requests and each of its attempts (including retries and speculative
+ * executions) following the
+ * [OpenTelemetry semantic conventions]{@link https://opentelemetry.io/docs/specs/semconv/database/} for database
+ * clients.
+ * <p>
+ *   The driver doesn't depend on the OpenTelemetry packages, the tracer is provided by the user.
+ * </p>
+ * @implements {module:tracker~RequestTracker}
+ * @alias module:tracker~OpenTelemetryTracker
+ * @example <caption>Using the OpenTelemetry API</caption>
+ * const api = require('@opentelemetry/api');
+ * const requestTracker = new OpenTelemetryTracker({ tracer: api.trace.getTracer('my-app'), api });
+ * const client = new Client({ contactPoints, localDataCenter, requestTracker });
+ */
+class OpenTelemetryTracker extends RequestTracker {
+
+  /**
+   * Creates a new instance of {@link OpenTelemetryTracker}.
+   * @param {Object} options
+   * @param {Object} options.tracer The OpenTelemetry <code>Tracer</code> instance used to create the spans.
+   * @param {Object} [options.api] The OpenTelemetry API module (<code>@opentelemetry/api</code>). When provided, the
+   * request spans are created within the active context and the spans of the attempts are created as children of the
+   * request span.
+   * @param {Boolean} [options.includeStatement] Determines whether the query is included in the
+   * <code>db.statement</code> attribute. Defaults to <code>true</code>.
+   * @param {Number} [options.maxStatementLength] The maximum amount of characters of the query that are included in
+   * the <code>db.statement</code> attribute. Defaults to 1000.
+   */
+  constructor(options) {
+    super();
+
+    if (!options || !options.tracer) {
+      throw new errors.ArgumentError('OpenTelemetryTracker tracer option is required');
+    }
+
+    this._tracer = options.tracer;
+    this._api = options.api || null;
+    this._includeStatement = options.includeStatement !== false;
+    this._maxStatementLength = options.maxStatementLength || 1000;
+    this._spanKind = this._api !== null ? this._api.SpanKind.CLIENT : spanKindClient;
+    this._errorCode = this._api !== null ? this._api.SpanStatusCode.ERROR : spanStatusCodeError;
+
+    /** @type {WeakMap<Object, Object>} */
+    this._requestSpans = new WeakMap();
+    /** @type {WeakMap<Object, Object>} */
+    this._attemptSpans = new WeakMap();
+  }
+
+  /** @override */
+  onRequestStart(request) {
+    const execOptions = request.executionOptions;
+    const isBatch = Array.isArray(request.query);
+    const attributes = {
+      'db.system': 'cassandra',
+      'db.operation': isBatch ? 'BATCH' : undefined,
+      'db.name': execOptions.getKeyspace() || undefined,
+      'db.cassandra.consistency_level': getConsistencyName(execOptions.getConsistency()),
+      'db.cassandra.page_size': execOptions.getFetchSize(),
+      'db.cassandra.idempotence': execOptions.isIdempotent()
+    };
+
+    if (this._includeStatement) {
+      attributes['db.statement'] = this._getStatement(request.query);
+    }
+
+    const span = this._tracer.startSpan(isBatch ? 'cassandra.batch' : 'cassandra.query',
+      { kind: this._spanKind, attributes: removeUndefined(attributes) });
+
+    this._requestSpans.set(request, span);
+  }
+
+  /** @override */
+  onRequestEnd(request, err, result) {
+    const span = this._requestSpans.get(request);
+
+    if (span === undefined) {
+      return;
+    }
+
+    this._requestSpans.delete(request);
+
+    if (result && result.info) {
+      span.setAttribute('db.cassandra.speculative_execution_count', result.info.speculativeExecutions);
+      span.setAttribute('db.cassandra.coordinator.address', result.info.queriedHost);
+    }
+
+    this._endSpan(span, err);
+  }
+
+  /** @override */
+  onAttemptStart(attempt) {
+    const host = attempt.host;
+    const attributes = {
+      'db.system': 'cassandra',
+      'db.cassandra.coordinator.id': host.hostId ? host.hostId.toString() : undefined,
+      'db.cassandra.coordinator.dc': host.datacenter || undefined,
+      'cassandra.attempt.number': attempt.attemptNumber,
+      'cassandra.attempt.speculative': attempt.isSpeculative,
+      'cassandra.attempt.retry_count': attempt.retryCount
+    };
+
+    const portIndex = host.address.lastIndexOf(':');
+    if (portIndex > 0) {
+      attributes['server.address'] = host.address.substr(0, portIndex);
+      attributes['server.port'] = parseInt(host.address.substr(portIndex + 1), 10);
+    } else {
+      attributes['server.address'] = host.address;
+    }
+
+    const spanOptions = { kind: this._spanKind, attributes: removeUndefined(attributes) };
+    const requestSpan = this._requestSpans.get(attempt.request);
+    let span;
+
+    if (this._api !== null && requestSpan !== undefined) {
+      const parentContext = this._api.trace.setSpan(this._api.context.active(), requestSpan);
+      span = this._tracer.startSpan('cassandra.attempt', spanOptions, parentContext);
+    } else {
+      span = this._tracer.startSpan('cassandra.attempt', spanOptions);
+    }
+
+    this._attemptSpans.set(attempt, span);
+  }
+
+  /** @override */
+  onAttemptEnd(attempt, err) {
+    const span = this._attemptSpans.get(attempt);
+
+    if (span === undefined) {
+      return;
+    }
+
+    this._attemptSpans.delete(attempt);
+
+    if (attempt.retryDecision !== null) {
+      span.setAttribute('cassandra.attempt.retry_decision', retryDecisionNames.get(attempt.retryDecision));
+    }
+
+    if (attempt.cancelled) {
+      span.setAttribute('cassandra.attempt.cancelled', true);
+    }
+
+    this._endSpan(span, err);
+  }
+
+  /**
+   * @param {Object} span
+   * @param {Error|null} err
+   * @private
+   */
+  _endSpan(span, err) {
+    if (err) {
+      span.recordException(err);
+      span.setStatus({ code: this._errorCode, message: err.message });
+    }
+
+    span.end();
+  }
+
+  /**
+   * @param {String|Array} query
+   * @returns {String}
+   * @private
+   */
+  _getStatement(query) {
+    let statement = query;
+
+    if (Array.isArray(query)) {
+      statement = query.map(item => (typeof item === 'string' ? item : item.query)).join('; ');
+    }
+
+    if (statement.length > this._maxStatementLength) {
+      statement = statement.substr(0, this._maxStatementLength) + '...';
+    }
+
+    return statement;
+  }
+}
+
+function getConsistencyName(consistency) {
+  const name = types.consistencyToString[consistency];
+  return name !== undefined ? name.toLowerCase() : undefined;
+}
+
+function removeUndefined(attributes) {
+  Object.keys(attributes).forEach(key => {
+    if (attributes[key] === undefined) {
+      delete attributes[key];
+    }
+  });
+
+  return attributes;
+}
+
+module.exports = OpenTelemetryTracker;
@@ -23,6 +23,13 @@
  *   {@link RequestTracker#onSuccess} or {@link RequestTracker#onError} for every query or batch
  *   executed (QUERY, EXECUTE and BATCH requests).
  * </p>
+ * <p>
+ *   Additionally, the <code>Client</code> invokes {@link RequestTracker#onRequestStart} and
+ *   {@link RequestTracker#onRequestEnd} for each logical request and {@link RequestTracker#onAttemptStart} and
+ *   {@link RequestTracker#onAttemptEnd} for each attempt to execute it on a coordinator, including retries and
+ *   speculative executions. The information objects provided to the start hooks are the same instances provided to
+ *   the end hooks, so they can be used as keys to correlate them.
+ * </p>
  * @interface
  * @alias module:tracker~RequestTracker
  */
@@ -63,6 +70,61 @@ class RequestTracker {
 
   }
 
+  /**
+   * Invoked when a query or batch request starts, before any attempt is made.
+   * @param {Object} request The information of the request.
+   * @param {String|Array} request.query In the case of prepared or unprepared query executions, the provided
+   * query string. For batch requests, an Array containing the queries and parameters provided.
+   * @param {Array|Object|null} request.parameters In the case of prepared or unprepared query executions, the provided
+   * parameters.
+   * @param {ExecutionOptions} request.executionOptions The information related to the execution of the request.
+   */
+  onRequestStart(request) {
+
+  }
+
+  /**
+   * Invoked when a query or batch request completes, after all the attempts finished or were cancelled.
+   * @param {Object} request The same information instance provided to {@link RequestTracker#onRequestStart}.
+   * @param {Error|null} err The error that caused the request to fail or <code>null</code> when it succeeded.
+   * @param {ResultSet} [result] The result of the request, when it succeeded.
+   */
+  onRequestEnd(request, err, result) {
+
+  }
+
+  /**
+   * Invoked when an attempt to execute a query or batch request on a coordinator starts.
+   * <p>
+   *   Each retry and each speculative execution is considered as a different attempt.
+   * </p>
+   * @param {Object} attempt The information of the attempt.
+   * @param {Object} attempt.request The information of the request, the same instance provided to
+   * {@link RequestTracker#onRequestStart}.
+   * @param {Host} attempt.host The node that acts as coordinator.
+   * @param {Number} attempt.attemptNumber The 1-based number of the attempt within the request.
+   * @param {Boolean} attempt.isSpeculative Determines whether the attempt is part of a speculative execution.
+   * @param {Number} attempt.retryCount The number of retries made by the execution before this attempt.
+   * @param {Number|null} attempt.retryDecision The decision of the retry policy, as a value of
+   * [RetryPolicy.retryDecision]{@link module:policies/retry~RetryPolicy.retryDecision}. It's set before
+   * {@link RequestTracker#onAttemptEnd} is invoked when the attempt failed and the retry policy was used.
+   * @param {Boolean} attempt.cancelled Determines whether the attempt was cancelled, for example, when another
+   * execution completed the request. It's set before {@link RequestTracker#onAttemptEnd} is invoked.
+   */
+  onAttemptStart(attempt) {
+
+  }
+
+  /**
+   * Invoked when an attempt to execute a query or batch request on a coordinator ends.
+   * @param {Object} attempt The same information instance provided to {@link RequestTracker#onAttemptStart}.
+   * @param {Error|null} err The error obtained for the attempt or <code>null</code> when it succeeded or was
+   * cancelled.
+   */
+  onAttemptEnd(attempt, err) {
+
+  }
+
   /**
    * Invoked when the Client is being shutdown.
    */
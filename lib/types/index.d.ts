@@ -342,6 +342,11 @@ export namespace types {
     wasApplied(): boolean;
   }
 
+  interface ResultIterable extends AsyncIterable<Row> {
+    pageState: string | null;
+    pagesFetched: number;
+  }
+
   interface ResultStream extends stream.Readable {
     buffer: Buffer;
     paused: boolean;
@@ -407,6 +412,24 @@ export namespace types {
     values(): any[];
   }
 
+  class Vector {
+    elements: Float32Array | any[];
+    length: number;
+    subtype?: string;
+
+    constructor(elements: Float32Array | any[], subtype?: string);
+
+    get(index: number): any;
+
+    toString(): string;
+
+    toJSON(): any[];
+
+    values(): any[];
+
+    [Symbol.iterator](): Iterator<any>;
+  }
+
   class Uuid {
     constructor(buffer: Buffer);
 
@@ -155,6 +155,15 @@ const dataTypes = {
         //udt name as raw string
         return { code: this[udtMatches[1]], info: udtMatches[2]};
       }
+      const vectorMatches = /^vector< *(.+) *, *(\d+) *>$/.exec(name);
+      if (vectorMatches) {
+        //vector as a custom type with the subtype and dimension as info
+        return {
+          code: this.custom,
+          info: { subtype: this.getByName(vectorMatches[1].trim()), dimension: parseInt(vectorMatches[2], 10) },
+          customTypeName: 'vector'
+        };
+      }
       const tupleMatches = /^(tuple)<(.+)>$/.exec(name);
       if (tupleMatches) {
         //tuple info as an array of types
@@ -419,6 +428,9 @@ function getDataTypeNameByCode(item) {
   if (!item.info) {
     return typeName;
   }
+  if (item.customTypeName === 'vector') {
+    return 'vector<' + getDataTypeNameByCode(item.info.subtype) + ', ' + item.info.dimension + '>';
+  }
   if (Array.isArray(item.info)) {
     return (typeName +
       '<' +
@@ -617,6 +629,7 @@ exports.Integer = require('./integer');
 exports.LocalDate = require('./local-date');
 exports.LocalTime = require('./local-time');
 exports.Long = Long;
+exports.ResultIterable = require('./result-iterable');
 exports.ResultSet = require('./result-set');
 exports.ResultStream = require('./result-stream');
 exports.Row = require('./row');
@@ -626,5 +639,6 @@ exports.TimeoutError = TimeoutError;
 exports.TimeUuid = TimeUuid;
 exports.Tuple = require('./tuple');
 exports.Uuid = Uuid;
+exports.Vector = require('./vector');
 exports.unset = unset;
 exports.generateTimestamp = generateTimestamp;
@@ -21,6 +21,7 @@ const v200 = VersionNumber.parse('2.0.0');
 const v210 = VersionNumber.parse('2.1.0');
 const v220 = VersionNumber.parse('2.2.0');
 const v300 = VersionNumber.parse('3.0.0');
+const v400 = VersionNumber.parse('4.0.0');
 const v510 = VersionNumber.parse('5.1.0');
 const v600 = VersionNumber.parse('6.0.0');
 
@@ -31,8 +32,7 @@ const v600 = VersionNumber.parse('6.0.0');
  * @property {Number} v2 Cassandra protocol v2, supported in Apache Cassandra 2.0-->2.2.
  * @property {Number} v3 Cassandra protocol v3, supported in Apache Cassandra 2.1-->3.x.
  * @property {Number} v4 Cassandra protocol v4, supported in Apache Cassandra 2.2-->3.x.
- * @property {Number} v5 Cassandra protocol v5, in beta from Apache Cassandra 3.x+. Currently not supported by the
- * driver.
+ * @property {Number} v5 Cassandra protocol v5, supported in Apache Cassandra 4.0+.
  * @property {Number} dseV1 DataStax Enterprise protocol v1, DSE 5.1+
  * @property {Number} dseV2 DataStax Enterprise protocol v2, DSE 6.0+
  * @property {Number} maxSupported Returns the higher protocol version that is supported by this driver.
@@ -72,7 +72,7 @@ const protocolVersion = {
    * @ignore
    */
   isSupportedCassandra: function(version) {
-    return (version <= 0x04 && version >= 0x01);
+    return (version <= 0x05 && version >= 0x01);
   },
   /**
    * Determines whether the protocol version is supported by this driver.
@@ -91,7 +91,7 @@ const protocolVersion = {
    * @ignore
    */
   supportsPrepareFlags: function (version) {
-    return (version === this.dseV2);
+    return (version === this.dseV2 || version === this.v5);
   },
   /**
    * Determines whether the protocol supports sending the keyspace as part of PREPARE, QUERY, EXECUTE, and BATCH.
@@ -100,7 +100,7 @@ const protocolVersion = {
    * @ignore
    */
   supportsKeyspaceInRequest: function (version) {
-    return (version === this.dseV2);
+    return (version === this.dseV2 || version === this.v5);
   },
   /**
    * Determines whether the protocol supports result_metadata_id on `prepared` response and
@@ -110,7 +110,7 @@ const protocolVersion = {
    * @ignore
    */
   supportsResultMetadataId: function (version) {
-    return (version === this.dseV2);
+    return (version === this.dseV2 || version === this.v5);
   },
   /**
    * Determines whether the protocol supports partition key indexes in the `prepared` RESULT responses.
@@ -211,7 +211,17 @@ const protocolVersion = {
    * @ignore
    */
   uses4BytesQueryFlags: function (version) {
-    return (this.isDse(version));
+    return (this.isDse(version) || version === this.v5);
+  },
+  /**
+   * Determines whether the frames are wrapped into segments (containing CRC checksums) once the connection startup
+   * completes.
+   * @param {Number} version
+   * @return {boolean}
+   * @ignore
+   */
+  usesSegments: function (version) {
+    return (version === this.v5);
   },
   /**
    * Startup responses using protocol v4+ can be a SERVER_ERROR wrapping a ProtocolException, this method returns true
@@ -231,9 +241,12 @@ const protocolVersion = {
    * @ignore
    */
   getLowerSupported: function (version) {
-    if (version >= this.v5) {
+    if (this.isDse(version) || version === this.v5) {
       return this.v4;
     }
+    if (version > this.v5) {
+      return this.v5;
+    }
     if (version <= this.v1) {
       return 0;
     }
@@ -292,7 +305,12 @@ const protocolVersion = {
         if (!dseVersion) {
           log('verbose', 'Encountered host ' + h.address + ' with cassandra version ' + cassandraVersion);
         }
-        if (cassandraVersion.compare(v300) >= 0) {
+        if (cassandraVersion.compare(v400) >= 0) {
+          // Anything 4.0.0+ has a max protocol version of V5 and requires at least V3.
+          v3Requirement = true;
+          maxVersion = Math.min(this.v5, maxVersion);
+          maxVersionWith3OrMore = maxVersion;
+        } else if (cassandraVersion.compare(v300) >= 0) {
           // Anything 3.0.0+ has a max protocol version of V4 and requires at least V3.
           v3Requirement = true;
           maxVersion = Math.min(this.v4, maxVersion);
@@ -342,7 +360,7 @@ const protocolVersion = {
    * @return {Number}
    */
   isBeta: function (version) {
-    return version === this.v5;
+    return version === this.v6;
   }
 };
 
@@ -0,0 +1,134 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const errors = require('../errors');
+
+const asyncIteratorSymbol = Symbol.asyncIterator || '@@asyncIterator';
+
+/** @module types */
+
+/**
+ * Represents the rows of a query result that are retrieved lazily, one page at a time, while iterating.
+ * <p>
+ *   Instances of this class are returned by [Client#iterate()]{@link Client#iterate}, you should not create
+ *   instances of this class directly.
+ * </p>
+ * <p>
+ *   A page is only requested when all the rows from the previous page were yielded. Breaking out of the
+ *   <code>for await...of</code> loop stops fetching the following pages.
+ * </p>
+ * @alias module:types~ResultIterable
+ * @example <caption>Using for await...of statement</caption>
+ * const iterable = client.iterate(query, [ id ], { prepare: true, fetchSize: 100 });
+ * for await (const row of iterable) {
+ *   console.log(row['email']);
+ * }
+ */
+class ResultIterable {
+  /**
+   * Creates a new instance of {@link ResultIterable}.
+   * @param {Function} fetchPage A function that takes the raw page state (or <code>null</code> for the first page) and
+   * returns a <code>Promise</code> of a <code>ResultSet</code>.
+   * @ignore
+   */
+  constructor(fetchPage) {
+    this._fetchPage = fetchPage;
+    this._iterating = false;
+    this._rawPageState = null;
+
+    /**
+     * A string token representing the paging state of the page following the rows that were already fetched, or
+     * <code>null</code> when the first page was not yet retrieved or there are no more pages.
+     * <p>
+     *   Once all the rows of a page were yielded, it can be provided as <code>pageState</code> in the query options of
+     *   a later execution (even in another process) to resume the iteration from the following page.
+     * </p>
+     * @type {String|null}
+     */
+    this.pageState = null;
+
+    /**
+     * The number of pages retrieved so far.
+     * @type {Number}
+     */
+    this.pagesFetched = 0;
+  }
+
+  /**
+   * Gets the async iterator for the rows.
+   * <p>Each instance can only be iterated once.</p>
+   * @alias module:types~ResultIterable#@@asyncIterator
+   * @returns {AsyncIterator<Row>}
+   */
+  [asyncIteratorSymbol]() {
+    if (this._iterating) {
+      throw new errors.DriverError('ResultIterable instances can only be iterated once');
+    }
+
+    this._iterating = true;
+
+    let rows = null;
+    let index = 0;
+    let done = false;
+
+    // Async generators are not present in Node.js 8, implement it manually
+    return {
+      next: async () => {
+        while (!done && (rows === null || index >= rows.length)) {
+          if (rows !== null && this._rawPageState === null) {
+            done = true;
+            break;
+          }
+
+          let rs;
+          try {
+            rs = await this._fetchPage(this._rawPageState);
+          } catch (err) {
+            done = true;
+            throw err;
+          }
+
+          if (done) {
+            // The iteration was stopped while waiting for the page
+            break;
+          }
+
+          rows = rs.rows || [];
+          index = 0;
+          this.pagesFetched++;
+          this._rawPageState = rs.rawPageState || null;
+          this.pageState = rs.pageState;
+        }
+
+        if (done) {
+          return { done: true };
+        }
+
+        return { done: false, value: rows[index++] };
+      },
+
+      return: () => {
+        // Invoked when the iteration is stopped, for example, using break within a for await...of loop
+        done = true;
+        return Promise.resolve({ done: true });
+      }
+    };
+  }
+}
+
+module.exports = ResultIterable;
@@ -0,0 +1,106 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/** @module types */
+
+/**
+ * Represents a CQL <code>vector</code> value: a fixed-length sequence of elements of the same type.
+ * <p>
+ *   Vectors of <code>float</code> values are backed by a <code>Float32Array</code>, while vectors of other subtypes
+ *   are backed by an <code>Array</code>.
+ * </p>
+ * @alias module:types~Vector
+ */
+class Vector {
+  /**
+   * Creates a new instance of <code>Vector</code>.
+   * @param {Float32Array|Array} elements The elements of the vector.
+   * @param {String} [subtype] The CQL name of the type of the elements, i.e: <code>'float'</code>. When not provided,
+   * it's determined when encoding the value: <code>'float'</code> for a <code>Float32Array</code> and based on the first
+   * element for an <code>Array</code>.
+   */
+  constructor(elements, subtype) {
+    if (!(elements instanceof Float32Array) && !Array.isArray(elements)) {
+      throw new TypeError('Vector elements must be a Float32Array or an Array');
+    }
+
+    if (elements.length === 0) {
+      throw new TypeError('Vector must contain at least one value');
+    }
+
+    /**
+     * The elements of the vector.
+     * @type {Float32Array|Array}
+     */
+    this.elements = elements;
+
+    /**
+     * Returns the number of the elements.
+     * @type {Number}
+     */
+    this.length = elements.length;
+
+    /**
+     * The CQL name of the type of the elements or <code>undefined</code> when not specified.
+     * @type {String|undefined}
+     */
+    this.subtype = subtype || (elements instanceof Float32Array ? 'float' : undefined);
+  }
+
+  /**
+   * Returns the value located at the index.
+   * @param {Number} index Element index
+   */
+  get(index) {
+    return this.elements[index];
+  }
+
+  /**
+   * Returns the string representation of the vector surrounded by brackets, ie: [1.5, 2].
+   * @returns {String}
+   */
+  toString() {
+    return '[' + Array.prototype.map.call(this.elements, x => x.toString()).join(', ') + ']';
+  }
+
+  /**
+   * Returns the Array representation of the vector.
+   * @returns {Array}
+   */
+  toJSON() {
+    return Array.from(this.elements);
+  }
+
+  /**
+   * Gets a copy of the elements as an Array.
+   * @returns {Array}
+   */
+  values() {
+    return Array.from(this.elements);
+  }
+
+  /**
+   * Returns a new iterator over the elements of the vector.
+   * @returns {Iterator}
+   */
+  [Symbol.iterator]() {
+    return this.elements[Symbol.iterator]();
+  }
+}
+
+module.exports = Vector;
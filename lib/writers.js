@@ -18,6 +18,8 @@ const events = require('events');
 
 const types = require('./types');
 const utils = require('./utils.js');
+const SegmentCodec = require('./segment-codec');
+const { compressBody } = require('./compression/frame-compression');
 const FrameHeader = types.FrameHeader;
 
 /**
@@ -189,6 +191,17 @@ class WriteQueue extends events.EventEmitter {
     this.coalescingThreshold = options.socketOptions.coalescingThreshold;
     this.error = null;
     this.canWrite = true;
+    /**
+     * The codec used to wrap the frames into segments, it's only set once the framing format is enabled.
+     * @type {SegmentCodec|null}
+     */
+    this.segmentCodec = null;
+    /**
+     * The compressor used for the frame bodies, it's only set once the compression is enabled on a connection that
+     * doesn't use the framing format.
+     * @type {Compressor|null}
+     */
+    this.compressor = null;
 
     // Listen to drain event that is going to be fired once
     // the underlying buffer is empty
@@ -198,6 +211,22 @@ class WriteQueue extends events.EventEmitter {
     });
   }
 
+  /**
+   * Enables the framing format (protocol v5+): following frames are written wrapped into segments.
+   * @param {Compressor} [compressor] The compressor to use for the segment payloads, when defined.
+   */
+  enableSegments(compressor) {
+    this.segmentCodec = new SegmentCodec(compressor);
+  }
+
+  /**
+   * Enables the compression of the body of the following frames (protocol v4 and below).
+   * @param {Compressor} compressor
+   */
+  enableCompression(compressor) {
+    this.compressor = compressor;
+  }
+
   /**
    * Enqueues a new request
    * @param {OperationState} operation
@@ -230,7 +259,7 @@ class WriteQueue extends events.EventEmitter {
       return;
     }
 
-    const buffers = [];
+    let buffers = [];
     const callbacks = [];
     let totalLength = 0;
 
@@ -245,6 +274,9 @@ class WriteQueue extends events.EventEmitter {
       let data;
       try {
         data = writeItem.operation.request.write(this.encoder, writeItem.operation.streamId);
+        if (this.compressor !== null) {
+          data = this._compressFrame(data);
+        }
       }
       catch (err) {
         writeItem.callback(err);
@@ -266,6 +298,11 @@ class WriteQueue extends events.EventEmitter {
       callbacks[i]();
     }
 
+    if (this.segmentCodec !== null) {
+      buffers = this.segmentCodec.encodeFrames(buffers);
+      totalLength = buffers.reduce((length, segment) => length + segment.length, 0);
+    }
+
     // Concatenate buffers and write it to the socket
     // Further writes will be throttled until flushed
     this.canWrite = this.netClient.write(Buffer.concat(buffers, totalLength), err => {
@@ -285,6 +322,20 @@ class WriteQueue extends events.EventEmitter {
     });
   }
 
+  /**
+   * Compresses the body of the frame and sets the compression flag on the header.
+   * @param {Buffer} frame
+   * @returns {Buffer}
+   * @private
+   */
+  _compressFrame(frame) {
+    const header = types.FrameHeader.fromBuffer(frame);
+    const body = compressBody(this.compressor, frame.slice(types.FrameHeader.size(header.version)));
+    header.flags |= types.frameFlags.compression;
+    header.bodyLength = body.length;
+    return Buffer.concat([ header.toBuffer(), body ]);
+  }
+
   /**
    * Emits the 'error' event and callbacks items that haven't been written and clears them from the queue.
    * @param err
@@ -32,6 +32,8 @@ const defaultOptions = require('../lib/client-options').defaultOptions;
 const { Host, HostMap } = require('../lib/host');
 const OperationState = require('../lib/operation-state');
 const promiseUtils = require('../lib/promise-utils');
+const zlib = require('zlib');
+const { Compressor } = require('../lib/compression');
 
 util.inherits(RetryMultipleTimes, policies.retry.RetryPolicy);
 
@@ -506,6 +508,18 @@ const helper = {
     }
     return result;
   },
+  /**
+   * Gets a Compressor instance that uses deflate under the provided algorithm name, useful to test compression
+   * without the native modules.
+   * @param {String} [algorithm]
+   * @returns {Compressor}
+   */
+  getDeflateCompressor: function (algorithm) {
+    const compressor = new Compressor(algorithm || 'lz4');
+    compressor.compress = buffer => zlib.deflateRawSync(buffer);
+    compressor.decompress = buffer => zlib.inflateRawSync(buffer);
+    return compressor;
+  },
   /**
    * @returns {Array}
    */
@@ -32,6 +32,8 @@ const timestampGeneration = require('../../lib/policies/timestamp-generation');
 const Encoder = require('../../lib/encoder');
 const utils = require('../../lib/utils');
 const writers = require('../../lib/writers');
+const SegmentCodec = require('../../lib/segment-codec');
+const { decompressBody } = require('../../lib/compression/frame-compression');
 const OperationState = require('../../lib/operation-state');
 const helper = require('../test-helper');
 
@@ -192,6 +194,40 @@ describe('types', function () {
     });
 
   });
+  describe('Vector', function () {
+    const Vector = types.Vector;
+    describe('constructor', function () {
+      it('should use float as subtype for Float32Array elements', function () {
+        const v = new Vector(new Float32Array([ 1, 2 ]));
+        assert.strictEqual(v.subtype, 'float');
+        assert.strictEqual(v.length, 2);
+        assert.strictEqual(v.get(1), 2);
+        assert.strictEqual(new Vector([ 'a' ]).subtype, undefined);
+        assert.strictEqual(new Vector([ 'a' ], 'text').subtype, 'text');
+      });
+      it('should throw a TypeError for invalid elements', function () {
+        assert.throws(() => new Vector(), TypeError);
+        assert.throws(() => new Vector('abc'), TypeError);
+        assert.throws(() => new Vector([]), TypeError);
+      });
+    });
+    describe('#toString()', function () {
+      it('should return the string of the elements surrounded by square brackets', function () {
+        assert.strictEqual(new Vector(new Float32Array([ 1.5, -2 ])).toString(), '[1.5, -2]');
+      });
+    });
+    describe('#toJSON() and #values()', function () {
+      it('should return the elements as an Array', function () {
+        const v = new Vector(new Float32Array([ 1, 2, 3 ]));
+        assert.strictEqual(JSON.stringify(v), '[1,2,3]');
+        const values = v.values();
+        assert.ok(Array.isArray(values));
+        values[0] = 100;
+        assert.strictEqual(v.get(0), 1);
+        assert.deepEqual(Array.from(v), [ 1, 2, 3 ]);
+      });
+    });
+  });
   describe('LocalDate', function () {
     const LocalDate = types.LocalDate;
     describe('new LocalDate', function (){
@@ -765,6 +801,45 @@ describe('clientOptions', function () {
         });
       }, TypeError);
     });
+    it('should validate the pooling options', () => {
+      const distance = types.distance;
+
+      assert.throws(() => clientOptions.extend({ contactPoints, pooling: { maxConnectionsPerHost: 2 } }),
+        TypeError, /pooling\.maxConnectionsPerHost must be an associative array/);
+
+      assert.throws(() => clientOptions.extend({ contactPoints, pooling: {
+        minConnectionsPerHost: { [distance.local]: 4 }, maxConnectionsPerHost: { [distance.local]: 2 }
+      }}), TypeError, /pooling\.minConnectionsPerHost must be lower than or equal to/);
+
+      assert.throws(() => clientOptions.extend({ contactPoints, pooling: { inFlightThreshold: '1' } }),
+        TypeError, /pooling\.inFlightThreshold must be a positive Number/);
+
+      assert.throws(() => clientOptions.extend({ contactPoints, pooling: { scaleDownDelay: -1 } }),
+        TypeError, /pooling\.scaleDownDelay must be a positive Number/);
+
+      assert.doesNotThrow(() => clientOptions.extend({ contactPoints, pooling: {
+        minConnectionsPerHost: { [distance.local]: 1 }, maxConnectionsPerHost: { [distance.local]: 4 },
+        inFlightThreshold: 256, scaleDownDelay: 1000
+      }}));
+    });
+    it('should validate the localRack option', () => {
+      assert.throws(() => clientOptions.extend({ contactPoints, localRack: 1 }), TypeError, /localRack must be a String/);
+      assert.doesNotThrow(() => clientOptions.extend({ contactPoints, localRack: 'rack1' }));
+    });
+    it('should validate the preparedStatementsWarmup option', () => {
+      assert.throws(() => clientOptions.extend({ contactPoints, preparedStatementsWarmup: 'SELECT 1' }),
+        TypeError, /preparedStatementsWarmup must be an Array/);
+
+      assert.throws(() => clientOptions.extend({ contactPoints, preparedStatementsWarmup: [ { query: 'Q1' }, 'Q2' ] }),
+        TypeError, /item at index 1 must be an object containing the query/);
+
+      assert.throws(() => clientOptions.extend({ contactPoints, preparedStatementsWarmup: [ { query: 'Q1', keyspace: 1 } ] }),
+        TypeError, /keyspace of preparedStatementsWarmup item at index 0 must be a String/);
+
+      assert.doesNotThrow(() => clientOptions.extend({ contactPoints, preparedStatementsWarmup: [
+        { query: 'Q1', keyspace: 'ks1' }, { query: 'Q2', keyspace: null }, { query: 'Q3' }
+      ]}));
+    });
     it('should validate credentials', () => {
       const message = /credentials username and password must be a string/;
 
@@ -903,6 +978,75 @@ describe('writers', function () {
       await helper.wait.until(() => itemCallback.callCount === 3);
       assert.strictEqual(socket.write.callCount, 3);
     });
+
+    it('should wrap the frames into segments when the framing format is enabled', async () => {
+      const buffers = [];
+      const socketMock = {
+        write: function (buf, cb) {
+          buffers.push(buf);
+          setImmediate(cb);
+          return true;
+        },
+        on: utils.noop
+      };
+
+      const options = clientOptions.defaultOptions();
+      const encoder = new Encoder(types.protocolVersion.v5, options);
+      const queue = new writers.WriteQueue(socketMock, encoder, options);
+      queue.enableSegments();
+      const request = {
+        write: () => utils.allocBuffer(10)
+      };
+
+      const itemCallback = sinon.spy(() => {});
+
+      for (let i = 0; i < 3; i++) {
+        queue.push(new OperationState(request, null, utils.noop), itemCallback);
+      }
+
+      await helper.wait.until(() => itemCallback.callCount === 3);
+
+      const codec = new SegmentCodec();
+      assert.lengthOf(buffers, 1);
+      const header = codec.decodeHeader(buffers[0], 0);
+      assert.strictEqual(header.payloadLength, 30);
+      assert.strictEqual(header.isSelfContained, true);
+      assert.strictEqual(buffers[0].length, codec.getSegmentLength(header));
+    });
+
+    it('should compress the frame bodies when compression is enabled', async () => {
+      const buffers = [];
+      const socketMock = {
+        write: function (buf, cb) {
+          buffers.push(buf);
+          setImmediate(cb);
+          return true;
+        },
+        on: utils.noop
+      };
+
+      const options = clientOptions.defaultOptions();
+      const encoder = new Encoder(types.protocolVersion.v4, options);
+      const queue = new writers.WriteQueue(socketMock, encoder, options);
+      const compressor = helper.getDeflateCompressor();
+      queue.enableCompression(compressor);
+      const body = Buffer.from('abc'.repeat(100));
+      const request = {
+        write: () => Buffer.concat([ new types.FrameHeader(4, 0, 1, 0, body.length).toBuffer(), body ])
+      };
+
+      const itemCallback = sinon.spy(() => {});
+      queue.push(new OperationState(request, null, utils.noop), itemCallback);
+
+      await helper.wait.until(() => itemCallback.callCount === 1);
+
+      assert.lengthOf(buffers, 1);
+      const header = types.FrameHeader.fromBuffer(buffers[0]);
+      assert.strictEqual(header.flags & types.frameFlags.compression, types.frameFlags.compression);
+      assert.strictEqual(header.streamId, 1);
+      assert.strictEqual(header.bodyLength, buffers[0].length - 9);
+      assert.deepEqual(decompressBody(compressor, buffers[0].slice(9)), body);
+    });
   });
 });
 
@@ -953,6 +1097,7 @@ describe('exports', function () {
     assertConstructorExposed(api.mapping, api.mapping.ModelMapper);
     assertConstructorExposed(api.mapping, api.mapping.ModelBatchItem);
     assertConstructorExposed(api.mapping, api.mapping.ModelBatchMapper);
+    assertConstructorExposed(api.mapping, api.mapping.MapperSchema);
     assertConstructorExposed(api.mapping, api.mapping.Result);
     assert.ok(api.mapping.q);
     assert.strictEqual(typeof api.mapping.q.in_, 'function');
@@ -968,12 +1113,24 @@ describe('exports', function () {
     assert.strictEqual(api.tracker, require('../../lib/tracker'));
     assert.strictEqual(typeof api.tracker.RequestTracker, 'function');
     assert.strictEqual(typeof api.tracker.RequestLogger, 'function');
+    assert.strictEqual(typeof api.tracker.OpenTelemetryTracker, 'function');
+
+    assert.strictEqual(api.throttling, require('../../lib/throttling'));
+    assert.strictEqual(typeof api.throttling.RequestThrottler, 'function');
+    assert.strictEqual(typeof api.throttling.ConcurrencyLimitingThrottler, 'function');
+    assert.strictEqual(typeof api.throttling.RateLimitingThrottler, 'function');
 
     assert.ok(api.metrics);
     assert.strictEqual(typeof api.metrics.ClientMetrics, 'function');
     assert.strictEqual(api.metrics.ClientMetrics.name, 'ClientMetrics');
     assert.strictEqual(typeof api.metrics.DefaultMetrics, 'function');
     assert.strictEqual(api.metrics.DefaultMetrics.name, 'DefaultMetrics');
+    assert.strictEqual(typeof api.metrics.PrometheusMetrics, 'function');
+    assert.strictEqual(api.metrics.PrometheusMetrics.name, 'PrometheusMetrics');
+    assert.ok(api.compression);
+    assert.strictEqual(typeof api.compression.Compressor, 'function');
+    assert.strictEqual(typeof api.compression.Lz4Compressor, 'function');
+    assert.strictEqual(typeof api.compression.SnappyCompressor, 'function');
 
     assert.ok(api.concurrent);
     assert.strictEqual(typeof api.concurrent.executeConcurrent, 'function');
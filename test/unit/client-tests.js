@@ -15,6 +15,7 @@
  */
 'use strict';
 const { assert } = require('chai');
+const events = require('events');
 const util = require('util');
 const proxyquire = require('proxyquire');
 const sinon = require('sinon');
@@ -51,6 +52,11 @@ describe('Client', function () {
       }, TypeError);
     });
 
+    it('should validate the requestThrottler option', function () {
+      assert.throws(() => new Client(utils.extend({}, helper.baseOptions, { requestThrottler: {} })), TypeError,
+        'requestThrottler must be an instance of RequestThrottler');
+    });
+
     it('should create Metadata instance', function () {
       const client = new Client({ contactPoints: ['192.168.10.10'] });
       assert.instanceOf(client.metadata, Metadata);
@@ -226,6 +232,46 @@ describe('Client', function () {
         });
       });
     });
+    it('should prepare the statements of preparedStatementsWarmup without failing when preparing fails', async () => {
+      const preparedStatementsWarmup = [
+        { query: 'Q1', keyspace: 'ks1' }, { query: 'Q2', keyspace: null }, { query: 'Q3', keyspace: 'ks2' }
+      ];
+      const options = utils.extend({
+        contactPoints: helper.baseOptions.contactPoints,
+        keyspace: 'ks0',
+        policies: {
+          loadBalancing: new policies.loadBalancing.RoundRobinPolicy()
+        },
+        pooling: {
+          warmup: false
+        },
+        preparedStatementsWarmup
+      });
+      const prepareHandlerMock = {
+        getPrepared: sinon.spy((client, lbp, query) =>
+          (query === 'Q2' ? Promise.reject(new Error('Test error')) : Promise.resolve({})))
+      };
+
+      const Client = proxyquire('../../lib/client.js', {
+        './control-connection': getControlConnectionMock(null, options),
+        './request-handler': { setKeyspace: () => Promise.resolve() },
+        './prepare-handler': prepareHandlerMock
+      });
+      const client = new Client(options);
+      const logs = [];
+      client.on('log', (level, className, message) => logs.push({ level, message }));
+
+      await client.connect();
+
+      assert.ok(client.connected);
+      assert.deepStrictEqual(prepareHandlerMock.getPrepared.args.map(args => [ args[2], args[3] ]),
+        [ [ 'Q1', 'ks1' ], [ 'Q2', 'ks0' ], [ 'Q3', 'ks2' ] ]);
+      prepareHandlerMock.getPrepared.args.forEach(args => {
+        assert.strictEqual(args[0], client);
+        assert.strictEqual(args[1], client.profileManager.getDefaultLoadBalancing());
+      });
+      assert.lengthOf(logs.filter(l => l.level === 'warning' && l.message.indexOf('Q2') >= 0), 1);
+    });
     context('with no callback specified', function () {
       it('should return a promise', function (done) {
         const client = new Client(helper.baseOptions);
@@ -543,6 +589,86 @@ describe('Client', function () {
     });
   });
 
+  describe('#iterate()', function () {
+    const pageStates = [ utils.allocBufferFromArray([ 1 ]), utils.allocBufferFromArray([ 2 ]) ];
+
+    function getRequestHandlerMock(pages) {
+      const sentPageStates = [];
+      const requestHandlerMock = {
+        send: sinon.spy((request, execOptions) => {
+          sentPageStates.push(execOptions.getPageState());
+          const index = sentPageStates.length - 1;
+          const meta = index < pages.length - 1 ? { pageState: pageStates[index] } : {};
+          return Promise.resolve(new types.ResultSet({ rows: pages[index], meta }));
+        }),
+        sentPageStates
+      };
+
+      return requestHandlerMock;
+    }
+
+    it('should not execute the query until the iteration starts', async () => {
+      const requestHandlerMock = getRequestHandlerMock([ [ 1, 2 ] ]);
+      const client = newConnectedInstance(requestHandlerMock);
+      const iterable = client.iterate('Q', []);
+      helper.assertInstanceOf(iterable, types.ResultIterable);
+      assert.strictEqual(requestHandlerMock.send.callCount, 0);
+
+      const iterator = iterable[Symbol.asyncIterator]();
+      assert.deepEqual(await iterator.next(), { done: false, value: 1 });
+      assert.strictEqual(requestHandlerMock.send.callCount, 1);
+    });
+
+    it('should fetch the following pages using the page state', async () => {
+      const requestHandlerMock = getRequestHandlerMock([ [ 1, 2 ], [ 3 ], [ 4, 5 ] ]);
+      const client = newConnectedInstance(requestHandlerMock);
+      const iterable = client.iterate('Q', [], { fetchSize: 2 });
+      const rows = await helper.asyncIteratorToArray(iterable);
+
+      assert.deepEqual(rows, [ 1, 2, 3, 4, 5 ]);
+      assert.strictEqual(iterable.pagesFetched, 3);
+      assert.strictEqual(iterable.pageState, null);
+      assert.deepEqual(requestHandlerMock.sentPageStates, [ undefined, pageStates[0], pageStates[1] ]);
+    });
+
+    it('should stop fetching pages when breaking out of the loop', async () => {
+      const requestHandlerMock = getRequestHandlerMock([ [ 1, 2 ], [ 3, 4 ], [ 5 ] ]);
+      const client = newConnectedInstance(requestHandlerMock);
+      const iterable = client.iterate('Q', [], { fetchSize: 2 });
+      const iterator = iterable[Symbol.asyncIterator]();
+
+      assert.deepEqual(await iterator.next(), { done: false, value: 1 });
+      assert.deepEqual(await iterator.next(), { done: false, value: 2 });
+      // Same as using break within a for await...of loop
+      await iterator.return();
+      assert.deepEqual(await iterator.next(), { done: true });
+      assert.strictEqual(requestHandlerMock.send.callCount, 1);
+      // The page state can be used to resume from the following page
+      assert.strictEqual(iterable.pageState, pageStates[0].toString('hex'));
+    });
+
+    it('should use the page state provided in the options for the first page', async () => {
+      const requestHandlerMock = getRequestHandlerMock([ [ 3 ] ]);
+      const client = newConnectedInstance(requestHandlerMock);
+      const rows = await helper.asyncIteratorToArray(
+        client.iterate('Q', [], { pageState: pageStates[0].toString('hex') }));
+
+      assert.deepEqual(rows, [ 3 ]);
+      assert.deepEqual(requestHandlerMock.sentPageStates, [ pageStates[0] ]);
+    });
+
+    it('should reject the iteration when there is an error fetching a page', async () => {
+      const requestHandlerMock = {
+        send: () => Promise.reject(new errors.ResponseError(types.responseErrorCodes.invalid, 'Test error'))
+      };
+      const client = newConnectedInstance(requestHandlerMock);
+
+      const iterator = client.iterate('Q', [])[Symbol.asyncIterator]();
+      await helper.assertThrowsAsync(iterator.next(), errors.ResponseError, 'Test error');
+      assert.deepEqual(await iterator.next(), { done: true });
+    });
+  });
+
   describe('#batch()', function () {
     const requestHandlerMock = {
       send: () => Promise.resolve()
@@ -736,6 +862,105 @@ describe('Client', function () {
         p.then(done);
       });
     });
+
+    context('with drainTimeout', function () {
+      /**
+       * Gets a connected client where each request takes the provided delay and the first execution of each query
+       * contains a following page.
+       */
+      async function getDrainTestClient(delay) {
+        const hosts = new HostMap();
+        const h1 = new Host('192.1.1.1', 1, options);
+        h1.datacenter = 'dc1';
+        h1.pool.connections = getConnections();
+        hosts.push(h1.address, h1);
+        const pages = new Map();
+
+        const Client = proxyquire('../../lib/client', {
+          './control-connection': getControlConnectionMock(hosts),
+          './request-handler': {
+            send: request => new Promise(r => setTimeout(r, delay)).then(() => {
+              const page = pages.get(request.query) || 0;
+              pages.set(request.query, page + 1);
+              return { rowLength: 0, rawPageState: page === 0 ? utils.allocBufferFromArray([ 1 ]) : undefined };
+            })
+          }
+        });
+
+        const client = new Client(options);
+        await client.connect();
+        client._getEncoder = () => new Encoder(4, {});
+        return client;
+      }
+
+      it('should reject new requests and wait for the requests in progress', async () => {
+        const client = await getDrainTestClient(50);
+        const executePromise = client.execute('Q1', []);
+        const shutdownPromise = client.shutdown({ drainTimeout: 1000 });
+
+        await helper.assertThrowsAsync(client.execute('Q2', []), errors.ClientShutdownError);
+        await helper.assertThrowsAsync(client.batch([ 'Q3' ]), errors.ClientShutdownError);
+        assert.strictEqual(client.connected, true);
+
+        const result = await executePromise;
+        assert.strictEqual(result.rowLength, 0);
+        assert.deepStrictEqual(await shutdownPromise, { abandonedRequests: 0 });
+        assert.strictEqual(client.connected, false);
+        await helper.assertThrowsAsync(client.execute('Q4', []), errors.ClientShutdownError);
+      });
+
+      it('should wait for the result streams to be read', async () => {
+        const client = await getDrainTestClient(10);
+        const stream = client.stream('Q1', []);
+        // Let the first page be retrieved
+        await new Promise(r => setTimeout(r, 50));
+
+        let shutdownResult = null;
+        const shutdownPromise = client.shutdown({ drainTimeout: 1000 }).then(r => shutdownResult = r);
+        await new Promise(r => setTimeout(r, 50));
+        assert.strictEqual(shutdownResult, null);
+
+        // Reading the stream retrieves the following page
+        const ended = new Promise(r => stream.on('end', r));
+        stream.resume();
+        await ended;
+        await shutdownPromise;
+        assert.deepStrictEqual(shutdownResult, { abandonedRequests: 0 });
+      });
+
+      it('should abandon the requests that did not complete before the timeout', async () => {
+        const client = await getDrainTestClient(200);
+        const executePromise = client.execute('Q1', []);
+        const stream = client.stream('Q2', []);
+        stream.on('error', utils.noop);
+
+        const result = await client.shutdown({ drainTimeout: 20 });
+
+        assert.deepStrictEqual(result, { abandonedRequests: 2 });
+        assert.strictEqual(client.connected, false);
+        await executePromise;
+      });
+
+      it('should reject when drainTimeout is not valid', async () => {
+        const client = new Client(helper.baseOptions);
+        await helper.assertThrowsAsync(client.shutdown({ drainTimeout: -1 }), errors.ArgumentError,
+          'drainTimeout must be a non-negative Number');
+        await helper.assertThrowsAsync(client.shutdown({ drainTimeout: '1' }), errors.ArgumentError);
+      });
+
+      it('should resolve a result when the options are provided without drainTimeout', async () => {
+        const client = await getDrainTestClient(10);
+        assert.deepStrictEqual(await client.shutdown({}), { abandonedRequests: 0 });
+        assert.strictEqual(client.connected, false);
+      });
+
+      it('should resolve a result when the client is not connected', async () => {
+        const client = new Client(helper.baseOptions);
+        assert.deepStrictEqual(await client.shutdown({ drainTimeout: 0 }), { abandonedRequests: 0 });
+        assert.deepStrictEqual(await client.shutdown({}), { abandonedRequests: 0 });
+        assert.strictEqual(await client.shutdown(), undefined);
+      });
+    });
   });
 
   describe('#_waitForSchemaAgreement()', function () {
@@ -786,10 +1011,143 @@ describe('Client', function () {
       assert.strictEqual(err, dummyError);
     });
   });
+
+  describe('#_emitSchemaChange()', function () {
+    const tableEvent = {
+      schemaChangeType: 'UPDATED', target: 'TABLE', keyspace: 'ks1', table: 'tbl1', isKeyspace: false, signature: null
+    };
+
+    it('should emit schemaChange and invoke the table listeners with the current metadata', async () => {
+      const client = new Client(helper.baseOptions);
+      const previous = { name: 'tbl1', version: 1 };
+      const current = { name: 'tbl1', version: 2 };
+      const tableListener = sinon.spy();
+      const clientListener = sinon.spy();
+      client.metadata = {
+        getTableListeners: () => [ tableListener ],
+        getSchemaObject: sinon.fake(() => Promise.resolve(current))
+      };
+      client.on('schemaChange', clientListener);
+
+      await client._emitSchemaChange(tableEvent, previous);
+
+      const expected = {
+        changeType: 'UPDATED', target: 'TABLE', keyspace: 'ks1', name: 'tbl1', signature: null, previous, current
+      };
+      assert.ok(clientListener.calledOnce);
+      assert.deepStrictEqual(clientListener.firstCall.args, [ expected ]);
+      assert.ok(tableListener.calledOnce);
+      assert.deepStrictEqual(tableListener.firstCall.args, [ expected ]);
+      assert.strictEqual(client.metadata.getSchemaObject.firstCall.args[0], tableEvent);
+    });
+
+    it('should invoke all the listeners when a listener throws', async () => {
+      const client = new Client(helper.baseOptions);
+      const logMessages = [];
+      client.log = (level, message) => logMessages.push({ level, message });
+      const tableListeners = [ sinon.fake.throws(new Error('Test table error')), sinon.spy() ];
+      const clientListeners = [ sinon.fake.throws(new Error('Test client error')), sinon.spy() ];
+      const onceListener = sinon.spy();
+      client.metadata = {
+        getTableListeners: () => tableListeners,
+        getSchemaObject: () => Promise.resolve(null)
+      };
+      clientListeners.forEach(l => client.on('schemaChange', l));
+      client.once('schemaChange', onceListener);
+
+      await client._emitSchemaChange(tableEvent, null);
+      await client._emitSchemaChange(tableEvent, null);
+
+      clientListeners.concat(tableListeners).forEach(l => assert.strictEqual(l.callCount, 2));
+      assert.strictEqual(onceListener.callCount, 1);
+      assert.deepStrictEqual(logMessages.filter(m => m.level === 'warning').map(m => m.message),
+        new Array(4).fill('There was an error while invoking a schema change listener'));
+    });
+
+    it('should not retrieve the metadata when there are no listeners', async () => {
+      const client = new Client(helper.baseOptions);
+      client.metadata = { getTableListeners: () => [], getSchemaObject: sinon.fake() };
+
+      await client._emitSchemaChange(tableEvent, null);
+
+      assert.strictEqual(client.metadata.getSchemaObject.callCount, 0);
+    });
+
+    it('should not retrieve the metadata of dropped elements', async () => {
+      const client = new Client(helper.baseOptions);
+      const clientListener = sinon.spy();
+      const previous = { name: 'ks1' };
+      client.metadata = { getTableListeners: () => [], getSchemaObject: sinon.fake() };
+      client.on('schemaChange', clientListener);
+
+      // Protocol v1/v2 events don't include the target
+      await client._emitSchemaChange({ schemaChangeType: 'DROPPED', keyspace: 'ks1', table: '', isKeyspace: true },
+        previous);
+
+      assert.strictEqual(client.metadata.getSchemaObject.callCount, 0);
+      assert.deepStrictEqual(clientListener.firstCall.args[0], {
+        changeType: 'DROPPED', target: 'KEYSPACE', keyspace: 'ks1', name: null, signature: null, previous, current: null
+      });
+    });
+  });
+
+  describe('#_setHostListeners()', function () {
+    function newHost(address) {
+      const h = new events.EventEmitter();
+      Object.assign(h, { address, datacenter: 'dc1', rack: 'rack1', isUp: () => true });
+      return h;
+    }
+
+    it('should emit topology events for the state changes of the hosts', () => {
+      const client = new Client(helper.baseOptions);
+      const h1 = newHost('10.0.0.1:9042');
+      const h2 = newHost('10.0.0.2:9042');
+      const listener = sinon.spy();
+      client.hosts = new HostMap();
+      client.hosts.set(h1.address, h1);
+      client._setHostListeners();
+      client.on('topology', listener);
+
+      h1.emit('down');
+      h1.emit('distanceChange', types.distance.local, types.distance.remote);
+      h1.emit('poolResize', 2, 1, 'Connection removed');
+      client.hosts.set(h2.address, h2);
+      h2.emit('reconnectionScheduled', 1000);
+      client.hosts.remove(h2.address);
+
+      const base = { address: h1.address, datacenter: 'dc1', rack: 'rack1' };
+      assert.deepStrictEqual(listener.args.map(args => args[0]), [
+        Object.assign({ type: 'down', previous: 'UP', current: 'DOWN',
+          reason: 'There are no open connections to the host' }, base),
+        Object.assign({ type: 'distance', previous: 'local', current: 'remote',
+          reason: 'The load-balancing policy changed the distance to the host' }, base),
+        Object.assign({ type: 'poolSize', previous: 2, current: 1, reason: 'Connection removed' }, base),
+        Object.assign({ type: 'add', previous: null, current: 'UP', reason: 'The host was added to the cluster' },
+          base, { address: h2.address }),
+        Object.assign({ type: 'reconnection', previous: 'DOWN', current: 'DOWN',
+          reason: 'Reconnection attempt scheduled in 1000ms' }, base, { address: h2.address }),
+        Object.assign({ type: 'remove', previous: 'UP', current: null,
+          reason: 'The host was removed from the cluster' }, base, { address: h2.address })
+      ]);
+    });
+
+    it('should emit a topology event when the control connection downgrades the protocol version', () => {
+      const client = new Client(helper.baseOptions);
+      const listener = sinon.spy();
+      client.on('topology', listener);
+
+      client.controlConnection.emit('protocolVersionChange', '10.0.0.1:9042', 5, 4, 'Test reason');
+
+      assert.ok(listener.calledOnce);
+      assert.deepStrictEqual(listener.firstCall.args[0], { type: 'protocolVersion', address: '10.0.0.1:9042',
+        datacenter: null, rack: null, previous: 5, current: 4, reason: 'Test reason' });
+    });
+  });
 });
 
 function getControlConnectionMock(hosts, options) {
   function ControlConnectionMock() {
+    events.EventEmitter.call(this);
     this.hosts = hosts || new HostMap();
     this.metadata = new Metadata(options || {});
     this.profileManager = newProfileManager(options);
@@ -797,6 +1155,7 @@ function getControlConnectionMock(hosts, options) {
     this.shutdown = utils.noop;
   }
 
+  util.inherits(ControlConnectionMock, events.EventEmitter);
   ControlConnectionMock.prototype.init = async () => {};
 
   return ControlConnectionMock;
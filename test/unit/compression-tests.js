@@ -0,0 +1,99 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const helper = require('../test-helper');
+const compression = require('../../lib/compression');
+const { compressBody, decompressBody } = require('../../lib/compression/frame-compression');
+const clientOptions = require('../../lib/client-options');
+
+describe('compression', function () {
+  describe('Lz4Compressor', function () {
+    it('should use the block API of the provided module', function () {
+      const lz4Module = {
+        encodeBound: sinon.fake.returns(10),
+        encodeBlock: sinon.fake((input, output) => output.write('ab') && 2),
+        decodeBlock: sinon.fake((input, output) => output.write('hello'))
+      };
+      const compressor = new compression.Lz4Compressor(lz4Module);
+
+      assert.strictEqual(compressor.algorithm, 'lz4');
+      assert.strictEqual(compressor.compress(Buffer.from('hello')).toString(), 'ab');
+      assert.strictEqual(lz4Module.encodeBound.firstCall.args[0], 5);
+      assert.strictEqual(compressor.decompress(Buffer.from('ab'), 5).toString(), 'hello');
+    });
+
+    it('should throw when the decompressed length does not match', function () {
+      const compressor = new compression.Lz4Compressor({ decodeBlock: () => 3 });
+      assert.throws(() => compressor.decompress(Buffer.from('ab'), 5), /LZ4 decompression failed/);
+    });
+  });
+
+  describe('SnappyCompressor', function () {
+    it('should use the sync API of the provided module', function () {
+      const snappyModule = {
+        compressSync: sinon.fake.returns(Buffer.from('ab')),
+        uncompressSync: sinon.fake.returns(Buffer.from('hello'))
+      };
+      const compressor = new compression.SnappyCompressor(snappyModule);
+
+      assert.strictEqual(compressor.algorithm, 'snappy');
+      assert.strictEqual(compressor.compress(Buffer.from('hello')).toString(), 'ab');
+      assert.strictEqual(compressor.decompress(Buffer.from('ab')).toString(), 'hello');
+    });
+  });
+
+  describe('getCompressor()', function () {
+    it('should return the provided Compressor instance', function () {
+      const compressor = helper.getDeflateCompressor();
+      assert.strictEqual(compression.getCompressor(compressor), compressor);
+    });
+
+    it('should throw a TypeError for invalid values', function () {
+      assert.throws(() => compression.getCompressor('gzip'), TypeError, /protocolOptions.compression/);
+      assert.throws(() => compression.getCompressor({}), TypeError, /protocolOptions.compression/);
+    });
+
+    it('should be invoked when validating the client options', function () {
+      const compressor = helper.getDeflateCompressor();
+      const options = clientOptions.extend({ contactPoints: [ 'a' ], protocolOptions: { compression: compressor } });
+      assert.strictEqual(options.protocolOptions.compression, compressor);
+      assert.throws(() => clientOptions.extend({ contactPoints: [ 'a' ], protocolOptions: { compression: 'zip' } }),
+        TypeError);
+    });
+  });
+
+  describe('compressBody() and decompressBody()', function () {
+    it('should prefix LZ4 compressed bodies with the uncompressed length', function () {
+      const compressor = helper.getDeflateCompressor('lz4');
+      const body = Buffer.from('abcabcabcabcabcabc');
+      const compressed = compressBody(compressor, body);
+      assert.strictEqual(compressed.readInt32BE(0), body.length);
+      assert.deepEqual(decompressBody(compressor, compressed), body);
+    });
+
+    it('should not prefix snappy compressed bodies', function () {
+      const compressor = helper.getDeflateCompressor('snappy');
+      const body = Buffer.from('abcabcabcabcabcabc');
+      const compressed = compressBody(compressor, body);
+      assert.deepEqual(compressed, compressor.compress(body));
+      assert.deepEqual(decompressBody(compressor, compressed), body);
+    });
+  });
+});
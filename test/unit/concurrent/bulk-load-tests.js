@@ -0,0 +1,259 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Readable = require('stream').Readable;
+const types = require('../../../lib/types');
+const errors = require('../../../lib/errors');
+const Encoder = require('../../../lib/encoder');
+const clientOptions = require('../../../lib/client-options');
+const helper = require('../../test-helper');
+const { bulkLoad, BulkLoadResult } = require('../../../lib/concurrent');
+
+const query = 'INSERT INTO table1 (id, ck, value) VALUES (?, ?, ?)';
+
+describe('bulkLoad(client, query, rows)', function () {
+  this.timeout(10000);
+
+  it('should validate parameters', () => {
+    assert.throws(() => bulkLoad(null), /Client instance is not defined/);
+    assert.throws(() => bulkLoad({}, null, []), /A string query should be provided/);
+    assert.throws(() => bulkLoad({}, query, {}), /rows should be an Array or a Stream instance/);
+  });
+
+  it('should group the rows of the same partition into unlogged batches routed by token', async () => {
+    const testContext = getTestContext();
+    const rows = [ [ 1, 1, 'a' ], [ 2, 1, 'b' ], [ 1, 2, 'c' ], [ 3, 1, 'd' ], [ 1, 3, 'e' ], [ 2, 2, 'f' ] ];
+
+    const result = await bulkLoad(testContext.client, query, rows, { executionProfile: 'ep1' });
+
+    helper.assertInstanceOf(result, BulkLoadResult);
+    assert.strictEqual(result.loadedRows, rows.length);
+    assert.strictEqual(result.failedRows, 0);
+    assert.strictEqual(result.totalBatches, 3);
+    assert.deepStrictEqual(result.failures, []);
+
+    const executions = sortByKey(testContext.executions);
+    assert.deepStrictEqual(executions.map(e => e.params), [
+      [ [ 1, 1, 'a' ], [ 1, 2, 'c' ], [ 1, 3, 'e' ] ],
+      [ [ 2, 1, 'b' ], [ 2, 2, 'f' ] ],
+      [ [ 3, 1, 'd' ] ]
+    ]);
+    assert.deepStrictEqual(executions.map(e => e.isBatch), [ true, true, false ]);
+    executions.forEach(e => {
+      assert.strictEqual(e.options.prepare, true);
+      assert.strictEqual(e.options.logged, false);
+      assert.strictEqual(e.options.executionProfile, 'ep1');
+      assert.strictEqual(e.options.routingKey.key, e.key);
+    });
+  });
+
+  it('should limit the amount of rows and bytes per batch', async () => {
+    const testContext = getTestContext();
+    const rows = Array.from(Array(10).keys()).map(i => [ 1, i, 'abcdefghij' ]);
+
+    let result = await bulkLoad(testContext.client, query, rows, { maxBatchSize: 4 });
+    assert.strictEqual(result.loadedRows, rows.length);
+    assert.deepStrictEqual(testContext.executions.map(e => e.params.length), [ 4, 4, 2 ]);
+
+    testContext.executions = [];
+
+    // Each row is 4 + 4 + 10 bytes long
+    result = await bulkLoad(testContext.client, query, rows, { maxBatchBytes: 60 });
+    assert.strictEqual(result.loadedRows, rows.length);
+    assert.deepStrictEqual(testContext.executions.map(e => e.params.length), [ 3, 3, 3, 1 ]);
+  });
+
+  it('should limit the amount of in-flight batches', async () => {
+    const testContext = getTestContext();
+    const rows = Array.from(Array(200).keys()).map(i => [ i, 1, 'a' ]);
+
+    const result = await bulkLoad(testContext.client, query, rows, { concurrencyLevel: 5 });
+
+    assert.strictEqual(result.loadedRows, rows.length);
+    assert.strictEqual(testContext.executions.length, rows.length);
+    assert.strictEqual(testContext.maxInFlight, 5);
+  });
+
+  it('should retry the failed batches and report the rows that could not be loaded', async () => {
+    // Partition 2 always fails and partition 3 fails on the first attempt
+    const testContext = getTestContext((params, attempt) => params[0] === 2 || (params[0] === 3 && attempt === 0));
+    const rows = [ [ 1, 1, 'a' ], [ 2, 1, 'b' ], [ 3, 1, 'c' ], [ 2, 2, 'd' ], [ 'x', 1, 'e' ], [ null, 1, 'f' ] ];
+
+    const result = await bulkLoad(testContext.client, query, rows, { maxRetries: 2 });
+
+    assert.strictEqual(result.loadedRows, 2);
+    assert.strictEqual(result.failedRows, 4);
+    assert.strictEqual(result.totalBatches, 2);
+    assert.strictEqual(result.failedBatches, 1);
+
+    const failures = result.failures.slice(0).sort((a, b) => a.index - b.index);
+    assert.deepStrictEqual(failures.map(f => f.index), [ 1, 3, 4, 5 ]);
+    assert.deepStrictEqual(failures[0].params, [ 2, 1, 'b' ]);
+    assert.strictEqual(failures[0].error.message, 'Test error');
+    // The rows that can not be routed are reported without being executed
+    helper.assertInstanceOf(failures[2].error, TypeError);
+    helper.assertInstanceOf(failures[3].error, errors.ArgumentError);
+
+    // 1 attempt for partition 1, 3 attempts for partition 2, 2 attempts for partition 3
+    assert.strictEqual(testContext.executions.length, 6);
+  });
+
+  it('should limit the amount of failures collected', async () => {
+    const testContext = getTestContext(() => true);
+    const rows = Array.from(Array(10).keys()).map(i => [ i, 1, 'a' ]);
+
+    const result = await bulkLoad(testContext.client, query, rows, { maxRetries: 0, maxErrors: 3 });
+
+    assert.strictEqual(result.failedRows, rows.length);
+    assert.strictEqual(result.failures.length, 3);
+  });
+
+  it('should reject when raiseOnFirstError is set and a row fails', async () => {
+    const testContext = getTestContext(params => params[0] === 5);
+    const rows = Array.from(Array(100).keys()).map(i => [ i, 1, 'a' ]);
+
+    await helper.assertThrowsAsync(
+      bulkLoad(testContext.client, query, rows, { maxRetries: 0, raiseOnFirstError: true, concurrencyLevel: 2 }),
+      Error, 'Test error');
+
+    assert.ok(testContext.executions.length < rows.length);
+  });
+
+  it('should reject when the execution profile is not found', async () => {
+    const testContext = getTestContext();
+
+    await helper.assertThrowsAsync(bulkLoad(testContext.client, query, [], { executionProfile: 'unknown' }),
+      errors.ArgumentError, 'Execution profile "unknown" not found');
+  });
+
+  it('should reject when the partition keys of the query can not be determined', async () => {
+    const testContext = getTestContext();
+    testContext.meta.partitionKeys = null;
+
+    await helper.assertThrowsAsync(bulkLoad(testContext.client, query, [ [ 1, 1, 'a' ] ]), errors.NotSupportedError,
+      'The partition keys of the query could not be determined');
+    assert.strictEqual(testContext.executions.length, 0);
+  });
+
+  it('should support an empty Array', async () => {
+    const testContext = getTestContext();
+
+    const result = await bulkLoad(testContext.client, query, []);
+
+    assert.strictEqual(result.loadedRows, 0);
+    assert.strictEqual(testContext.executions.length, 0);
+  });
+
+  context('with a stream', () => {
+    it('should load the rows emitted by the stream', async () => {
+      const testContext = getTestContext();
+      const rows = Array.from(Array(50).keys()).map(i => [ i % 5, i, 'a' ]);
+
+      const result = await bulkLoad(testContext.client, query, Readable.from(rows), { concurrencyLevel: 2 });
+
+      assert.strictEqual(result.loadedRows, rows.length);
+      assert.strictEqual(result.failedRows, 0);
+      assert.ok(testContext.maxInFlight <= 2);
+      assert.strictEqual(testContext.executions.reduce((total, e) => total + e.params.length, 0), rows.length);
+    });
+
+    it('should reject when the stream emits an error', async () => {
+      const testContext = getTestContext();
+      const testError = new Error('Stream error');
+      const stream = new Readable({ objectMode: true, read() {} });
+      stream.push([ 1, 1, 'a' ]);
+      setTimeout(() => stream.emit('error', testError), 20);
+
+      await helper.assertThrowsAsync(bulkLoad(testContext.client, query, stream), Error, 'Stream error');
+    });
+
+    it('should reject when the stream emits items that are not Arrays', async () => {
+      const testContext = getTestContext();
+
+      await helper.assertThrowsAsync(bulkLoad(testContext.client, query, Readable.from([ [ 1, 1, 'a' ], 'b' ])),
+        TypeError, 'Rows should be Arrays of parameters');
+    });
+  });
+});
+
+/**
+ * Gets a fake client where the partition key is the first parameter.
+ * @param {Function} [shouldFail] A function that determines whether the execution of a row should fail, given the
+ * parameters and the attempt number.
+ */
+function getTestContext(shouldFail) {
+  const attempts = new Map();
+
+  const testContext = {
+    maxInFlight: 0,
+    inFlight: 0,
+    executions: [],
+    meta: {
+      partitionKeys: [ 0 ],
+      columns: [
+        { name: 'id', type: { code: types.dataTypes.int } },
+        { name: 'ck', type: { code: types.dataTypes.int } },
+        { name: 'value', type: { code: types.dataTypes.text } }
+      ]
+    }
+  };
+
+  const encoder = new Encoder(types.protocolVersion.v4, clientOptions.defaultOptions());
+
+  const execute = (params, options, isBatch) => {
+    const rows = isBatch ? params : [ params ];
+    const key = options.routingKey.key;
+    const attempt = attempts.get(key) || 0;
+    attempts.set(key, attempt + 1);
+
+    testContext.maxInFlight = Math.max(++testContext.inFlight, testContext.maxInFlight);
+    testContext.executions.push({ params: rows, options, isBatch, key });
+
+    return new Promise((resolve, reject) => setTimeout(() => {
+      testContext.inFlight--;
+
+      if (shouldFail && rows.some(p => shouldFail(p, attempt))) {
+        return reject(new Error('Test error'));
+      }
+
+      resolve(new types.ResultSet({ rows: [] }));
+    }, 1));
+  };
+
+  testContext.client = {
+    keyspace: 'ks1',
+    connect: () => Promise.resolve(),
+    profileManager: {
+      getProfile: name => (name === 'unknown' ? undefined : { name: name || 'default', loadBalancing: {} })
+    },
+    metadata: {
+      getPreparedInfo: () => ({ queryId: Buffer.from([ 1 ]), meta: testContext.meta }),
+      newToken: buffer => ({ key: buffer.toString('hex') })
+    },
+    _getEncoder: () => encoder,
+    execute: (q, params, options) => execute(params, options, false),
+    batch: (queries, options) => execute(queries.map(item => item.params), options, true)
+  };
+
+  return testContext;
+}
+
+function sortByKey(executions) {
+  return executions.slice(0).sort((a, b) => a.params[0][0] - b.params[0][0]);
+}
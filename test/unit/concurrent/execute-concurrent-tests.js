@@ -21,7 +21,7 @@ const Readable = require('stream').Readable;
 const types = require('../../../lib/types');
 const utils = require('../../../lib/utils');
 const helper = require('../../test-helper');
-const executeConcurrent = require('../../../lib/concurrent').executeConcurrent;
+const { executeConcurrent, iterateConcurrent } = require('../../../lib/concurrent');
 
 describe('executeConcurrent(client, query, parameters)', function () {
   this.timeout(10000);
@@ -36,10 +36,10 @@ describe('executeConcurrent(client, query, parameters)', function () {
       /A string query or query and parameters array should be provided/);
 
     assert.throws(() => executeConcurrent({}, 'SELECT ...'), TypeError,
-      /parameters should be an Array or a Stream instance/);
+      /parameters should be an Array, a Stream or an AsyncIterable instance/);
 
     assert.throws(() => executeConcurrent({}, 'SELECT ...', {}), TypeError,
-      /parameters should be an Array or a Stream instance/);
+      /parameters should be an Array, a Stream or an AsyncIterable instance/);
   });
 
   it('should support a higher concurrency level than the number of items', () => {
@@ -439,6 +439,204 @@ describe('executeConcurrent(client, query, stream)', () => {
   });
 });
 
+describe('executeConcurrent(client, query, asyncIterable)', () => {
+  it('should execute one query per item yielded', async () => {
+    const testContext = getTestContext();
+    const parameters = Array.from(Array(50).keys()).map(x => [ x ]);
+
+    const result = await executeConcurrent(testContext.client, 'INSERT...', new TestAsyncIterable(parameters),
+      { concurrencyLevel: 8, collectResults: true });
+
+    assert.strictEqual(result.totalExecuted, parameters.length);
+    assert.deepStrictEqual(result.resultItems.map(rs => rs.rows[0]['col1']), parameters);
+    assert.strictEqual(testContext.maxInFlight, 8);
+  });
+
+  it('should support an empty iterable', async () => {
+    const testContext = getTestContext();
+
+    const result = await executeConcurrent(testContext.client, 'INSERT...', new TestAsyncIterable([]));
+
+    assert.strictEqual(result.totalExecuted, 0);
+    assert.strictEqual(testContext.index, 0);
+  });
+
+  it('should reject and stop reading when there is an execution error', async () => {
+    const testContext = getTestContext([ 3 ]);
+    const iterable = new TestAsyncIterable(Array.from(Array(100).keys()).map(x => [ x ]));
+
+    await helper.assertThrowsAsync(
+      executeConcurrent(testContext.client, 'INSERT...', iterable, { concurrencyLevel: 2 }), Error, 'Test error 3');
+
+    assert.ok(iterable.index < 100);
+    assert.strictEqual(iterable.returnCalled, true);
+  });
+
+  it('should collect the errors when raiseOnFirstError is false', async () => {
+    const testContext = getTestContext([ 3, 7 ]);
+    const iterable = new TestAsyncIterable(Array.from(Array(10).keys()).map(x => [ x ]));
+
+    const result = await executeConcurrent(testContext.client, 'INSERT...', iterable, { raiseOnFirstError: false });
+
+    assert.strictEqual(result.totalExecuted, 10);
+    assert.deepStrictEqual(result.errors.map(e => e.message).sort(), [ 'Test error 3', 'Test error 7' ]);
+  });
+
+  it('should reject when the iterable throws or yields items that are not Arrays', async () => {
+    const testError = new Error('Test iterable error');
+
+    await helper.assertThrowsAsync(
+      executeConcurrent(getTestContext().client, 'INSERT...', new TestAsyncIterable([ [ 1 ], testError ])),
+      Error, 'Test iterable error');
+
+    await helper.assertThrowsAsync(
+      executeConcurrent(getTestContext().client, 'INSERT...', new TestAsyncIterable([ [ 1 ], 'a' ])),
+      TypeError, 'parameters should be composed of Array instances');
+  });
+});
+
+describe('iterateConcurrent()', () => {
+  it('should validate parameters', () => {
+    assert.throws(() => iterateConcurrent(null), TypeError, /Client instance is not defined/);
+
+    assert.throws(() => iterateConcurrent({}, {}), TypeError,
+      /A string query or query and parameters array should be provided/);
+
+    assert.throws(() => iterateConcurrent({}, 'SELECT ...', {}), TypeError,
+      /parameters should be an Array, a Stream or an AsyncIterable instance/);
+  });
+
+  it('should yield the results in order of completion', async () => {
+    // The first executions take longer
+    const testContext = getTestContext(null, index => (index < 2 ? 30 : 1));
+    const parameters = Array.from(Array(10).keys()).map(x => [ x ]);
+
+    const items = await toArray(iterateConcurrent(testContext.client, 'Q1', new TestAsyncIterable(parameters),
+      { concurrencyLevel: 4 }));
+
+    assert.strictEqual(items.length, parameters.length);
+    assert.deepStrictEqual(items.slice(-2).map(item => item.index).sort(), [ 0, 1 ]);
+    items.forEach(item => {
+      assert.deepStrictEqual(item.resultSet.rows[0]['col1'], parameters[item.index]);
+      assert.deepStrictEqual(item.params, parameters[item.index]);
+      assert.strictEqual(item.error, null);
+    });
+  });
+
+  it('should yield the results in the order of the parameters when preserveOrder is set', async () => {
+    const testContext = getTestContext(null, index => (index % 3 === 0 ? 20 : 1));
+    const parameters = Array.from(Array(30).keys()).map(x => [ x ]);
+
+    const items = await toArray(iterateConcurrent(testContext.client, 'Q1', parameters,
+      { concurrencyLevel: 4, preserveOrder: true, maxBufferedResults: 6 }));
+
+    assert.deepStrictEqual(items.map(item => item.index), Array.from(Array(30).keys()));
+    assert.deepStrictEqual(items.map(item => item.resultSet.rows[0]['col1']), parameters);
+    assert.strictEqual(testContext.maxInFlight, 4);
+  });
+
+  it('should not read more parameters than the buffered results limit', async () => {
+    const testContext = getTestContext();
+    const iterable = new TestAsyncIterable(Array.from(Array(100).keys()).map(x => [ x ]));
+    const iterator = iterateConcurrent(testContext.client, 'Q1', iterable,
+      { concurrencyLevel: 2, maxBufferedResults: 5 })[Symbol.asyncIterator]();
+
+    const first = await iterator.next();
+    assert.strictEqual(first.done, false);
+
+    // Wait for the in-flight executions to complete without consuming the results
+    await helper.delayAsync(50);
+
+    assert.strictEqual(iterable.index, 6);
+    assert.strictEqual(testContext.index, 6);
+
+    await iterator.return();
+    assert.strictEqual(iterable.returnCalled, true);
+    assert.deepStrictEqual(await iterator.next(), { done: true });
+  });
+
+  it('should throw the first error by default', async () => {
+    const testContext = getTestContext([ 2 ]);
+    const iterator = iterateConcurrent(testContext.client, 'Q1', [ [ 1 ], [ 2 ], [ 3 ], [ 4 ] ],
+      { concurrencyLevel: 1 })[Symbol.asyncIterator]();
+
+    assert.strictEqual((await iterator.next()).value.index, 0);
+    assert.strictEqual((await iterator.next()).value.index, 1);
+    await helper.assertThrowsAsync(iterator.next(), Error, 'Test error 2');
+    assert.deepStrictEqual(await iterator.next(), { done: true });
+    assert.strictEqual(testContext.index, 3);
+  });
+
+  it('should yield the failed executions when raiseOnFirstError is false', async () => {
+    const testContext = getTestContext([ 1 ]);
+
+    const items = await toArray(iterateConcurrent(testContext.client, 'Q1', [ [ 1 ], [ 2 ], [ 3 ] ],
+      { raiseOnFirstError: false, preserveOrder: true }));
+
+    assert.deepStrictEqual(items.map(item => item.error && item.error.message), [ null, 'Test error 1', null ]);
+    assert.strictEqual(items[1].resultSet, null);
+  });
+
+  it('should support a readable stream', async () => {
+    const testContext = getTestContext();
+    const stream = new TestStream([[[1, 2], [3, 4]], [[5, 6], [7, 8], [9, 10]]], { endAsync: true });
+
+    const items = await toArray(iterateConcurrent(testContext.client, 'Q1', stream, { preserveOrder: true }));
+
+    assert.deepStrictEqual(items.map(item => item.params), [[1, 2], [3, 4], [5, 6], [7, 8], [9, 10]]);
+  });
+
+  it('should support a readable stream that is not async iterable', async () => {
+    const testContext = getTestContext();
+    const stream = new TestStream([[[1], [2]], [[3]]], { endAsync: false });
+    // Readable streams are not async iterable on Node.js versions below 10
+    stream[Symbol.asyncIterator] = undefined;
+
+    const items = await toArray(iterateConcurrent(testContext.client, 'Q1', stream, { preserveOrder: true }));
+
+    assert.deepStrictEqual(items.map(item => item.params), [[1], [2], [3]]);
+  });
+
+  it('should throw the error emitted by the stream', async () => {
+    const testContext = getTestContext();
+    const stream = new TestStream([[[1], [2]], [new Error('Test stream error')]]);
+
+    await helper.assertThrowsAsync(toArray(iterateConcurrent(testContext.client, 'Q1', stream)), Error,
+      'Test stream error');
+  });
+
+  it('should destroy the stream when the iteration is stopped', async () => {
+    const testContext = getTestContext();
+    const stream = new TestStream([[[1], [2], [3]]]);
+    const iterable = iterateConcurrent(testContext.client, 'Q1', stream, { concurrencyLevel: 1 });
+    const iterator = iterable[Symbol.asyncIterator]();
+
+    assert.strictEqual((await iterator.next()).done, false);
+    await iterator.return();
+    await helper.delayAsync(5);
+
+    assert.strictEqual(stream.destroyed, true);
+  });
+
+  it('should use the different query and parameters', async () => {
+    const testContext = getTestContext();
+    const queryAndParams = [ { query: 'Q1', params: ['a'] }, { query: 'Q2', params: ['b'] } ];
+
+    const items = await toArray(iterateConcurrent(testContext.client, queryAndParams,
+      { executionProfile: 'ep1', preserveOrder: true }));
+
+    assert.deepStrictEqual(items.map(item => item.params), [['a'], ['b']]);
+    assert.deepStrictEqual(testContext.executions.map(x => ({ query: x.query, params: x.params })), queryAndParams);
+    testContext.executions.forEach(item => assert.strictEqual(item.options.executionProfile, 'ep1'));
+  });
+
+  it('should only allow iterating once', () => {
+    const iterable = iterateConcurrent(getTestContext().client, 'Q1', []);
+    iterable[Symbol.asyncIterator]();
+    assert.throws(() => iterable[Symbol.asyncIterator](), /can only be iterated once/);
+  });
+});
+
 describe('executeConcurrent(client, queryAndParameters)', () => {
   it('should use the different query and parameters', () => {
     const queryAndParams = [
@@ -475,7 +673,7 @@ describe('executeConcurrent(client, queryAndParameters)', () => {
   });
 });
 
-function getTestContext(errorIndexes) {
+function getTestContext(errorIndexes, getDelay) {
   errorIndexes = errorIndexes || [];
 
   const testContext = {
@@ -497,7 +695,7 @@ function getTestContext(errorIndexes) {
           } else {
             reject(new Error(`Test error ${index}`));
           }
-        }, 1));
+        }, getDelay ? getDelay(index) : 1));
       }
     }
   };
@@ -548,4 +746,51 @@ class TestStream extends Readable {
     this.pauseCounter++;
     super.pause();
   }
-}
\ No newline at end of file
+}
+/**
+ * An AsyncIterable that yields the provided values asynchronously, throwing the values that are instances of Error.
+ */
+class TestAsyncIterable {
+  constructor(values) {
+    this.values = values;
+    this.index = 0;
+    this.returnCalled = false;
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => new Promise((resolve, reject) => setImmediate(() => {
+        if (this.returnCalled || this.index >= this.values.length) {
+          return resolve({ done: true });
+        }
+
+        const value = this.values[this.index++];
+
+        if (value instanceof Error) {
+          return reject(value);
+        }
+
+        resolve({ done: false, value });
+      })),
+      return: () => {
+        this.returnCalled = true;
+        return Promise.resolve({ done: true });
+      }
+    };
+  }
+}
+
+async function toArray(iterable) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const result = [];
+
+  while (true) {
+    const item = await iterator.next();
+
+    if (item.done) {
+      return result;
+    }
+
+    result.push(item.value);
+  }
+}
@@ -25,6 +25,7 @@ const ControlConnection = require('../../lib/control-connection');
 const Host = require('../../lib/host').Host;
 const utils = require('../../lib/utils');
 const Metadata = require('../../lib/metadata');
+const TableMetadata = require('../../lib/metadata/table-metadata');
 const types = require('../../lib/types');
 const errors = require('../../lib/errors');
 const policies = require('../../lib/policies');
@@ -451,6 +452,49 @@ describe('ControlConnection', function () {
       cc.hosts.values().forEach(h => h.shutdown());
     });
   });
+
+  describe('#_nodeSchemaChangeHandler()', function () {
+    it('should emit schemaChange with the previous metadata once the cache was cleared', async () => {
+      const cc = newInstance({ contactPoints: [ '127.0.0.1' ], refreshSchemaDelay: 5 });
+      const table = new TableMetadata('tbl1');
+      table.loaded = true;
+      cc.metadata.keyspaces = { ks1: { tables: { tbl1: table }, views: {}, udts: {}, functions: {}, aggregates: {} } };
+      const event = { schemaChangeType: 'UPDATED', target: 'TABLE', keyspace: 'ks1', table: 'tbl1', isKeyspace: false };
+      const emitted = [];
+      cc.on('schemaChange', (e, previous) => emitted.push({ e, previous }));
+
+      cc._nodeSchemaChangeHandler(event);
+      assert.strictEqual(emitted.length, 0);
+
+      await helper.delayAsync(30);
+
+      assert.deepEqual(emitted, [ { e: event, previous: table } ]);
+      assert.strictEqual(cc.metadata.keyspaces['ks1'].tables['tbl1'], undefined);
+    });
+
+    it('should clear the cached view names of the keyspace when a table changes', async () => {
+      const cc = newInstance({ contactPoints: [ '127.0.0.1' ], refreshSchemaDelay: 5 });
+      cc.metadata.keyspaces = { ks1: { tables: {}, views: {}, udts: {}, functions: {}, aggregates: {},
+        viewNames: new Map([ [ 'tbl1', [ 'view1' ] ] ]) } };
+
+      cc._nodeSchemaChangeHandler(
+        { schemaChangeType: 'CREATED', target: 'TABLE', keyspace: 'ks1', table: 'view2', isKeyspace: false });
+      await helper.delayAsync(30);
+
+      assert.strictEqual(cc.metadata.keyspaces['ks1'].viewNames, undefined);
+    });
+
+    it('should not emit schemaChange when metadata synchronization is disabled', async () => {
+      const cc = newInstance({ contactPoints: [ '127.0.0.1' ], refreshSchemaDelay: 5, isMetadataSyncEnabled: false });
+      const emitted = [];
+      cc.on('schemaChange', e => emitted.push(e));
+
+      cc._nodeSchemaChangeHandler({ schemaChangeType: 'DROPPED', keyspace: 'ks1', isKeyspace: true });
+      await helper.delayAsync(30);
+
+      assert.strictEqual(emitted.length, 0);
+    });
+  });
 });
 
 /**
@@ -140,6 +140,49 @@ describe('DefaultLoadBalancingPolicy', () => {
 
     it('should yield preferredHost first when defined', () => testPreferredHost(true));
 
+    context('when localRack is defined', () => {
+      const isInLocalRack = h => lastOctetOf(h) % 2 === 0;
+
+      it('should yield the local nodes in the local rack first', () => {
+        const localDcLength = 6;
+        const policy = getNewInstance({ local: localDcLength, remote: 3, localRack: 'rack_even' });
+
+        return getQueryPlan(policy, localDcLength).then(result => {
+          result.forEach(hosts => {
+            hosts.forEach(assertLocalDcHost);
+            assert.strictEqual(hosts.length, localDcLength);
+            assert.strictEqual(hosts.slice(0, localDcLength / 2).filter(isInLocalRack).length, localDcLength / 2);
+          });
+
+          // balanced between the nodes in the local rack
+          assert.strictEqual(new Set(result.map(hosts => hosts[0])).size, localDcLength / 2);
+        });
+      });
+
+      it('should yield the local replicas in the local rack first, followed by the rest of the replicas', () => {
+        const localDcLength = 8;
+        // Replicas: 2, 3, 4, 5 and 7
+        const replicaCondition = h => lastOctetOf(h) > 1 && lastOctetOf(h) !== '6';
+
+        const policy = getNewInstance({
+          local: localDcLength, remote: 3, localRack: 'rack_even',
+          getReplicas: hostMap => hostMap.values().filter(replicaCondition)
+        });
+
+        return getQueryPlan(policy, 100, 'ks1', routingKey).then(result => {
+          result.forEach(hosts => {
+            hosts.forEach(assertLocalDcHost);
+            assert.strictEqual(hosts.length, localDcLength);
+            assert.deepEqual(hosts.slice(0, 2).map(lastOctetOf).sort(), [ '2', '4' ]);
+            assert.deepEqual(hosts.slice(2, 5).map(lastOctetOf).sort(), [ '3', '5', '7' ]);
+            // Followed by the rest of the local nodes, local rack first
+            assert.deepEqual(hosts.slice(5, 7).map(lastOctetOf).sort(), [ '0', '6' ]);
+            assert.strictEqual(lastOctetOf(hosts[7]), '1');
+          });
+        });
+      });
+    });
+
     it('should yield preferredHost first when host is remote', () => testPreferredHost(true, true));
 
     it('should send unhealthy replicas to the back of the list', () => {
@@ -348,6 +391,54 @@ describe('DefaultLoadBalancingPolicy', () => {
     });
   });
 
+  describe('#init()', () => {
+    it('should use the localRack from the Client options', done => {
+      const policy = new DefaultLoadBalancingPolicy();
+      const hosts = new HostMap();
+      hosts.set('1', createHost('1', 'dc1'));
+      hosts.get('1').rack = 'rack1';
+      const client = new Client(utils.extend({}, helper.baseOptions, { localRack: 'rack1' }));
+
+      policy.init(client, hosts, err => {
+        assert.ifError(err);
+        assert.strictEqual(policy.localRack, 'rack1');
+        done();
+      });
+    });
+
+    it('should not use the localRack from the Client options when the policy targets another data center', done => {
+      const policy = new DefaultLoadBalancingPolicy({ localDc: 'dc2' });
+      const hosts = new HostMap();
+      hosts.set('1', createHost('1', 'dc1'));
+      hosts.set('2', createHost('2', 'dc2'));
+      hosts.get('1').rack = 'rack1';
+      hosts.get('2').rack = 'rack2';
+      const client = new Client(utils.extend({}, helper.baseOptions, { localDataCenter: 'dc1', localRack: 'rack1' }));
+
+      policy.init(client, hosts, err => {
+        assert.ifError(err);
+        assert.strictEqual(policy.localDc, 'dc2');
+        assert.notOk(policy.localRack);
+        done();
+      });
+    });
+
+    it('should callback in error when the localRack is not found in the local data center', done => {
+      const policy = new DefaultLoadBalancingPolicy({ localDc: 'dc1', localRack: 'rack2' });
+      const hosts = new HostMap();
+      hosts.set('1', createHost('1', 'dc1'));
+      hosts.set('2', createHost('2', 'dc2'));
+      hosts.get('1').rack = 'rack1';
+      hosts.get('2').rack = 'rack2';
+
+      policy.init(new Client(helper.baseOptions), hosts, err => {
+        helper.assertInstanceOf(err, errors.ArgumentError);
+        assert.strictEqual(err.message, 'Rack rack2 was not found in datacenter dc1. Available racks are: [rack1]');
+        done();
+      });
+    });
+  });
+
   describe('#getDistance()', () => {
     it('should only mark nodes in local dc as local', () => {
       const localDcLength = 8;
@@ -441,7 +532,10 @@ function testPreferredHost(useReplicas, isPreferredRemote) {
 function getNewInstance(options) {
   const hosts = [];
   for (let i = 0; i < options.local; i++) {
-    hosts.push(createHost(ipPrefixLocal + i, localDc));
+    const h = createHost(ipPrefixLocal + i, localDc);
+    // Even and odd hosts are located in different racks
+    h.rack = i % 2 === 0 ? 'rack_even' : 'rack_odd';
+    hosts.push(h);
   }
 
   for (let i = 0; i < options.remote; i++) {
@@ -456,7 +550,7 @@ function getNewInstance(options) {
   }
 
   const policy = new DefaultLoadBalancingPolicy({
-    localDc, filter: options.filter, getReplicas, compare: options.compare, healthCheck: options.healthCheck,
+    localDc, localRack: options.localRack, filter: options.filter, getReplicas, compare: options.compare, healthCheck: options.healthCheck,
     isHostNewlyUp: options.isHostNewlyUp
   });
 
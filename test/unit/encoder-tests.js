@@ -60,6 +60,17 @@ describe('encoder', function () {
       assertGuessed({}, null, 'Objects must not be guessed');
     });
 
+    it('should guess vector values', function () {
+      let type = Encoder.guessDataType(new types.Vector(new Float32Array([ 1, 2, 3 ])));
+      assert.strictEqual(type.code, dataTypes.custom);
+      assert.strictEqual(type.customTypeName, 'vector');
+      assert.deepEqual(type.info, { subtype: { code: dataTypes.float, info: null }, dimension: 3 });
+
+      type = Encoder.guessDataType(new types.Vector([ 'a', 'b' ]));
+      assert.strictEqual(type.info.subtype.code, dataTypes.text);
+      assert.strictEqual(type.info.dimension, 2);
+    });
+
     function assertGuessed(value, expectedType, message) {
       const type = Encoder.guessDataType(value);
       if (type === null) {
@@ -659,6 +670,92 @@ describe('encoder', function () {
     });
   });
 
+  describe('#encode() and #decode() with vectors', function () {
+    const encoder = new Encoder(5, {});
+    const vectorFqName = 'org.apache.cassandra.db.marshal.VectorType';
+
+    it('should encode and decode float vectors', function () {
+      const type = dataTypes.getByName('vector<float, 3>');
+      const encoded = encoder.encode(new types.Vector(new Float32Array([ 1.5, -2, 3.25 ])), type);
+      assert.deepEqual(encoded, Buffer.from('3fc00000c000000040500000', 'hex'));
+      assert.deepEqual(encoder.encode(new types.Vector(new Float32Array([ 1.5, -2, 3.25 ])), 'vector<float, 3>'),
+        encoded);
+      const decoded = encoder.decode(encoded, type);
+      helper.assertInstanceOf(decoded, types.Vector);
+      helper.assertInstanceOf(decoded.elements, Float32Array);
+      assert.strictEqual(decoded.subtype, 'float');
+      assert.deepEqual(decoded.values(), [ 1.5, -2, 3.25 ]);
+    });
+
+    it('should support arrays and Float32Array instances as values', function () {
+      const type = dataTypes.getByName('vector<float, 2>');
+      assert.deepEqual(encoder.encode([ 1, 2 ], type), encoder.encode(new Float32Array([ 1, 2 ]), type));
+    });
+
+    it('should encode and decode vectors using the type information from the server', function () {
+      const type = { code: dataTypes.custom, info: `${vectorFqName}(org.apache.cassandra.db.marshal.FloatType, 2)` };
+      const decoded = encoder.decode(encoder.encode(new types.Vector(new Float32Array([ 1, 2 ])), type), type);
+      assert.deepEqual(decoded.values(), [ 1, 2 ]);
+    });
+
+    it('should encode and decode vectors of fixed-length subtypes', function () {
+      const type = dataTypes.getByName('vector<bigint, 2>');
+      const value = new types.Vector([ types.Long.fromNumber(1), types.Long.fromNumber(-1) ], 'bigint');
+      const encoded = encoder.encode(value, type);
+      assert.strictEqual(encoded.length, 16);
+      const decoded = encoder.decode(encoded, type);
+      assert.strictEqual(decoded.subtype, 'bigint');
+      assert.deepEqual(decoded.values(), value.values());
+    });
+
+    it('should encode and decode vectors of date and time without length prefix', function () {
+      const dateValue = new types.Vector([ new types.LocalDate(2020, 1, 31), new types.LocalDate(1970, 1, 1) ], 'date');
+      let type = dataTypes.getByName('vector<date, 2>');
+      let encoded = encoder.encode(dateValue, type);
+      assert.strictEqual(encoded.length, 8);
+      let decoded = encoder.decode(encoded, type);
+      assert.strictEqual(decoded.subtype, 'date');
+      assert.deepEqual(decoded.values().map(v => v.toString()), [ '2020-01-31', '1970-01-01' ]);
+
+      const timeValue = new types.Vector([ types.LocalTime.fromString('10:20:30.123'),
+        types.LocalTime.fromString('00:00:01') ], 'time');
+      type = dataTypes.getByName('vector<time, 2>');
+      encoded = encoder.encode(timeValue, type);
+      assert.strictEqual(encoded.length, 16);
+      decoded = encoder.decode(encoded, type);
+      assert.strictEqual(decoded.subtype, 'time');
+      assert.deepEqual(decoded.values().map(v => v.toString()), [ '10:20:30.123', '00:00:01' ]);
+    });
+
+    it('should encode and decode vectors of variable-length subtypes', function () {
+      const type = {
+        code: dataTypes.custom,
+        info: `${vectorFqName}(org.apache.cassandra.db.marshal.UTF8Type, 3)`
+      };
+      const longText = 'a'.repeat(200);
+      const encoded = encoder.encode(new types.Vector([ 'abc', '', longText ]), type);
+      // Each element is prefixed by its length as an unsigned vint
+      assert.deepEqual(encoded.slice(0, 4), Buffer.from([ 3, 0x61, 0x62, 0x63 ]));
+      assert.deepEqual(encoded.slice(4, 7), Buffer.from([ 0, 0x80, 200 ]));
+      const decoded = encoder.decode(encoded, type);
+      assert.strictEqual(decoded.subtype, 'varchar');
+      assert.deepEqual(decoded.values(), [ 'abc', '', longText ]);
+    });
+
+    it('should throw a TypeError when the dimension does not match', function () {
+      const type = dataTypes.getByName('vector<float, 3>');
+      assert.throws(() => encoder.encode(new types.Vector(new Float32Array([ 1, 2 ])), type), TypeError,
+        /3 elements/);
+      assert.throws(() => encoder.decode(utils.allocBuffer(8), type), TypeError);
+    });
+
+    it('should throw a TypeError for invalid values', function () {
+      const type = dataTypes.getByName('vector<float, 1>');
+      assert.throws(() => encoder.encode({}, type), TypeError);
+      assert.throws(() => encoder.encode([ 'a' ], type), TypeError);
+    });
+  });
+
   describe('#encode()', function () {
     it('should return null when value is null', function () {
       const encoder = new Encoder(2, {});
@@ -1002,6 +1099,12 @@ describe('encoder', function () {
       assert.ok(Array.isArray(type.info));
       assert.strictEqual(dataTypes.varchar, type.info[0].code);
       assert.strictEqual(dataTypes.int, type.info[1].code);
+
+      type = encoder.parseFqTypeName('org.apache.cassandra.db.marshal.VectorType(org.apache.cassandra.db.marshal.FloatType, 5)');
+      assert.strictEqual(dataTypes.custom, type.code);
+      assert.strictEqual('vector', type.customTypeName);
+      assert.strictEqual(dataTypes.float, type.info.subtype.code);
+      assert.strictEqual(5, type.info.dimension);
     });
 
     it('should parse frozen types', function () {
@@ -1136,6 +1239,23 @@ describe('encoder', function () {
       }
     });
 
+    it('should parse vector type names', async () => {
+      const encoder = new Encoder(4, {});
+      let type = await encoder.parseTypeName('ks1', 'vector<float, 3>', 0, null, helper.failop);
+      assert.strictEqual(type.code, dataTypes.custom);
+      assert.strictEqual(type.customTypeName, 'vector');
+      assert.strictEqual(type.info.subtype.code, dataTypes.float);
+      assert.strictEqual(type.info.dimension, 3);
+
+      type = await encoder.parseTypeName('ks1', 'vector<frozen<list<int>>, 2>', 0, null, helper.failop);
+      assert.strictEqual(type.info.subtype.code, dataTypes.list);
+      assert.strictEqual(type.info.subtype.info.code, dataTypes.int);
+      assert.strictEqual(type.info.dimension, 2);
+
+      await helper.assertThrowsAsync(encoder.parseTypeName('ks1', 'vector<float>', 0, null, helper.failop),
+        TypeError);
+    });
+
     it('should parse nested subtypes', async () => {
       const encoder = new Encoder(4, {});
       const name = 'map<text,frozen<list<frozen<map<text,frozen<list<int>>>>>>>';
@@ -42,6 +42,33 @@ describe('ResponseError', function () {
   });
 });
 
+describe('AbortError', function () {
+  it('should inherit from DriverError and have properties defined', function () {
+    const error = new errors.AbortError(undefined, 'my reason');
+    assertError(error, errors.AbortError);
+    assert.strictEqual(error.message, 'The operation was aborted');
+    assert.strictEqual(error.reason, 'my reason');
+  });
+});
+
+describe('ClientShutdownError', function () {
+  it('should inherit from DriverError and have properties defined', function () {
+    const error = new errors.ClientShutdownError();
+    assertError(error, errors.ClientShutdownError);
+    assert.strictEqual(error.message, 'The Client is shutting down, new requests are not accepted');
+  });
+});
+
+describe('OptimisticLockError', function () {
+  it('should inherit from DriverError and have properties defined', function () {
+    const currentRow = { id: 1, version: 2 };
+    const error = new errors.OptimisticLockError('My message', currentRow);
+    assertError(error, errors.OptimisticLockError);
+    assert.strictEqual(error.message, 'My message');
+    assert.strictEqual(error.currentRow, currentRow);
+  });
+});
+
 [
   errors.ArgumentError,
   errors.AuthenticationError,
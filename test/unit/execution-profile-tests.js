@@ -21,6 +21,8 @@ const clientOptions = require('../../lib/client-options');
 const ExecutionProfile = require('../../lib/execution-profile').ExecutionProfile;
 const ProfileManager = require('../../lib/execution-profile').ProfileManager;
 const types = require('../../lib/types');
+const { Host, HostMap } = require('../../lib/host');
+const { DefaultLoadBalancingPolicy } = require('../../lib/policies/load-balancing');
 
 describe('ProfileManager', function () {
   describe('constructor', function () {
@@ -77,4 +79,25 @@ describe('ProfileManager', function () {
       assert.strictEqual(profile, metricsProfile);
     });
   });
+  describe('#init()', function () {
+    it('should only use the client localRack for the policies of the local data center', async () => {
+      const options = clientOptions.extend({ contactPoints: [ 'h1' ], localDataCenter: 'dc1', localRack: 'rack1' });
+      const remoteDcPolicy = new DefaultLoadBalancingPolicy({ localDc: 'dc2' });
+      options.profiles = [ new ExecutionProfile('remote', { loadBalancing: remoteDcPolicy }) ];
+      const hosts = new HostMap();
+      [ [ '1', 'dc1', 'rack1' ], [ '2', 'dc2', 'rack2' ] ].forEach(item => {
+        const h = new Host(item[0], types.protocolVersion.maxSupported, options);
+        h.datacenter = item[1];
+        h.rack = item[2];
+        hosts.set(item[0], h);
+      });
+      const manager = new ProfileManager(options);
+
+      await manager.init({ options, log: () => {} }, hosts);
+
+      assert.strictEqual(manager.getDefaultLoadBalancing().localRack, 'rack1');
+      assert.strictEqual(remoteDcPolicy.localDc, 'dc2');
+      assert.ok(!remoteDcPolicy.localRack);
+    });
+  });
 });
\ No newline at end of file
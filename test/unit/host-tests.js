@@ -61,6 +61,85 @@ describe('HostConnectionPool', function () {
       assert.strictEqual(result.get(3), 4);
       assert.strictEqual(result.get(previousConnectionIndex), undefined);
     });
+
+    it('should grow the pool when the average in-flight requests crossed the threshold', () => {
+      const hostPool = newHostConnectionPoolInstance({ pooling: { maxRequestsPerConnection: 100 } });
+      hostPool.coreConnectionsLength = 2;
+      hostPool.maxConnectionsLength = 3;
+      hostPool.scheduleNewConnectionAttempt = sinon.spy();
+      const connections = [ newConnectionMock({ getInFlight: () => 30 }), newConnectionMock({ getInFlight: () => 60 }) ];
+      hostPool.connections = connections;
+
+      hostPool.borrowConnection();
+      assert.strictEqual(hostPool.scheduleNewConnectionAttempt.callCount, 0);
+
+      connections[0].getInFlight = () => 40;
+      hostPool.borrowConnection();
+      assert.ok(hostPool.scheduleNewConnectionAttempt.calledOnce);
+      assert.strictEqual(hostPool._getExpectedLength(), 3);
+
+      // It should not grow beyond the maximum size
+      hostPool.connections = connections.concat(newConnectionMock({ getInFlight: () => 60 }));
+      hostPool.borrowConnection();
+      assert.ok(hostPool.scheduleNewConnectionAttempt.calledOnce);
+    });
+
+    it('should not grow the pool when the maximum size is not set', () => {
+      const hostPool = newHostConnectionPoolInstance({ pooling: { maxRequestsPerConnection: 100 } });
+      hostPool.scheduleNewConnectionAttempt = sinon.spy();
+      hostPool.connections = [ newConnectionMock({ getInFlight: () => 90 }) ];
+
+      hostPool.borrowConnection();
+      assert.strictEqual(hostPool.scheduleNewConnectionAttempt.callCount, 0);
+    });
+  });
+
+  describe('#shrinkIfIdle()', function () {
+    it('should remove one idle connection per scale down delay', () => {
+      const hostPool = newHostConnectionPoolInstance({ pooling: { maxRequestsPerConnection: 100, scaleDownDelay: 50 } });
+      hostPool.coreConnectionsLength = 1;
+      hostPool.maxConnectionsLength = 3;
+      const busyConnection = newConnectionMock({ getInFlight: () => 20 });
+      hostPool.connections = [ busyConnection, newConnectionMock(), newConnectionMock() ];
+      hostPool._lastBusyAt = Date.now();
+
+      hostPool.shrinkIfIdle();
+      assert.strictEqual(hostPool.connections.length, 3);
+
+      hostPool._lastBusyAt = Date.now() - 100;
+      hostPool.shrinkIfIdle();
+      assert.strictEqual(hostPool.connections.length, 2);
+      assert.strictEqual(hostPool._getExpectedLength(), 2);
+
+      // The cool-down starts again
+      hostPool.shrinkIfIdle();
+      assert.strictEqual(hostPool.connections.length, 2);
+
+      hostPool._lastBusyAt = Date.now() - 100;
+      hostPool.shrinkIfIdle();
+      assert.deepStrictEqual(hostPool.connections, [ busyConnection ]);
+
+      // It should not shrink below the core size
+      hostPool._lastBusyAt = Date.now() - 100;
+      busyConnection.getInFlight = () => 0;
+      hostPool.shrinkIfIdle();
+      assert.deepStrictEqual(hostPool.connections, [ busyConnection ]);
+    });
+
+    it('should not remove connections when the pool is busy or the maximum size is not set', () => {
+      const hostPool = newHostConnectionPoolInstance({ pooling: { maxRequestsPerConnection: 100, scaleDownDelay: 0 } });
+      hostPool.coreConnectionsLength = 1;
+      hostPool.maxConnectionsLength = 3;
+      hostPool.connections = [ newConnectionMock({ getInFlight: () => 100 }), newConnectionMock() ];
+
+      hostPool.shrinkIfIdle();
+      assert.strictEqual(hostPool.connections.length, 2);
+
+      hostPool.connections = [ newConnectionMock(), newConnectionMock() ];
+      hostPool.maxConnectionsLength = 1;
+      hostPool.shrinkIfIdle();
+      assert.strictEqual(hostPool.connections.length, 2);
+    });
   });
 
   describe('#drainAndShutdown()', function () {
@@ -306,6 +385,32 @@ describe('Host', function () {
       assert.strictEqual(drainAndShutdownCalled, 0);
       assert.strictEqual(ignoreEventCalled, 0);
     });
+    it('should set the minimum and maximum size of the pool when elastic pooling is enabled', function () {
+      const options = utils.extend({}, defaultOptions, { pooling: {
+        minConnectionsPerHost: { [types.distance.local]: 2, [types.distance.remote]: 1 },
+        maxConnectionsPerHost: { [types.distance.local]: 8 }
+      }});
+      const host = newHostInstance(options);
+      host.setDistance(types.distance.local);
+      assert.strictEqual(host.pool.coreConnectionsLength, 2);
+      assert.strictEqual(host.pool.maxConnectionsLength, 8);
+      host.setDistance(types.distance.remote);
+      assert.strictEqual(host.pool.coreConnectionsLength, 1);
+      assert.strictEqual(host.pool.maxConnectionsLength, 1);
+      host.shutdown(false);
+    });
+    it('should emit distanceChange when the distance changed', function () {
+      const host = newHostInstance(defaultOptions);
+      host.pool.drainAndShutdown = utils.noop;
+      const listener = sinon.spy();
+      host.on('distanceChange', listener);
+      host._distance = types.distance.local;
+      host.setDistance(types.distance.local);
+      assert.strictEqual(listener.callCount, 0);
+      host.setDistance(types.distance.ignored);
+      assert.ok(listener.calledOnce);
+      assert.deepStrictEqual(listener.firstCall.args, [ types.distance.local, types.distance.ignored ]);
+    });
   });
 
   describe('#removeFromPool()', function () {
@@ -344,6 +449,26 @@ describe('Host', function () {
       assert.ok(!host.isUp());
       host.shutdown(false);
     });
+    it('should emit poolResize, down and reconnectionScheduled in order when no connections', function () {
+      const host = newHostInstance(defaultOptions);
+      const initialConnections = [ newConnectionMock(), newConnectionMock() ];
+      const emitted = [];
+      host.pool.connections = initialConnections;
+      host._poolSize = 2;
+      host._distance = types.distance.local;
+      host.on('poolResize', (previous, current) => emitted.push([ 'poolResize', previous, current ]));
+      host.on('down', () => emitted.push([ 'down' ]));
+      host.on('reconnectionScheduled', delay => emitted.push([ 'reconnectionScheduled', delay ]));
+      host.pool.coreConnectionsLength = 2;
+      host.removeFromPool(initialConnections[0]);
+      assert.deepStrictEqual(emitted, [ [ 'poolResize', 2, 1 ] ]);
+      host.pool.clearNewConnectionAttempt();
+      host.removeFromPool(initialConnections[1]);
+      assert.deepStrictEqual(emitted, [
+        [ 'poolResize', 2, 1 ], [ 'poolResize', 1, 0 ], [ 'down' ], [ 'reconnectionScheduled', host.reconnectionDelay ]
+      ]);
+      host.shutdown(false);
+    });
     it('should not set the host down when it is ignored', function () {
       const host = newHostInstance(defaultOptions);
       const initialConnections = [ newConnectionMock()];
@@ -24,8 +24,9 @@ const { Host, HostMap } = require('../../lib/host');
 const types = require('../../lib/types');
 const utils = require('../../lib/utils');
 const { ExecutionOptions } = require('../../lib/execution-options');
-const { AllowListPolicy, LoadBalancingPolicy, TokenAwarePolicy, RoundRobinPolicy, DCAwareRoundRobinPolicy } =
-  require('../../lib/policies/load-balancing');
+const sinon = require('sinon');
+const { AllowListPolicy, LoadBalancingPolicy, TokenAwarePolicy, RoundRobinPolicy, DCAwareRoundRobinPolicy,
+  LatencyAwarePolicy, RackAwareRoundRobinPolicy } = require('../../lib/policies/load-balancing');
 
 describe('RoundRobinPolicy', function () {
   it('should yield an error when the hosts are not set', function(done) {
@@ -309,6 +310,125 @@ describe('DCAwareRoundRobinPolicy', function () {
     });
   });
 });
+describe('RackAwareRoundRobinPolicy', function () {
+  const options = clientOptions.extend({}, helper.baseOptions);
+  const hostDefinitions = [
+    [ '1', 'dc1', 'rack1' ], [ '2', 'dc1', 'rack2' ], [ '3', 'dc1', 'rack1' ], [ '4', 'dc1', 'rack2' ],
+    [ '5', 'dc2', 'rack1' ], [ '6', 'dc2', 'rack1' ], [ '7', 'dc3', 'rack1' ]
+  ];
+
+  function getInitializedPolicy(policyOptions) {
+    const hosts = new HostMap();
+    hostDefinitions.forEach(([ address, dc, rack ]) => {
+      const h = createHost(address, options, dc);
+      h.rack = rack;
+      hosts.set(address, h);
+    });
+
+    const policy = new RackAwareRoundRobinPolicy(Object.assign({ localDc: 'dc1', localRack: 'rack1' }, policyOptions));
+    policy.init(null, hosts, err => assert.ifError(err));
+    policy.getTestHostMap = () => hosts;
+    return policy;
+  }
+
+  function getPlan(policy) {
+    let plan;
+    policy.newQueryPlan(null, null, (err, iterator) => {
+      assert.ifError(err);
+      plan = helper.iteratorToArray(iterator).map(toAddress);
+    });
+    return plan;
+  }
+
+  it('should yield an error when the hosts are not set', function (done) {
+    new RackAwareRoundRobinPolicy({ localRack: 'rack1' }).newQueryPlan(null, null, err => {
+      helper.assertInstanceOf(err, Error);
+      done();
+    });
+  });
+
+  it('should yield the hosts in the local rack first, followed by the rest of the local hosts', () => {
+    const policy = getInitializedPolicy();
+    const plans = [ getPlan(policy), getPlan(policy) ];
+
+    plans.forEach(plan => {
+      assert.deepEqual(plan.slice(0, 2).sort(), [ '1', '3' ]);
+      assert.deepEqual(plan.slice(2).sort(), [ '2', '4' ]);
+    });
+
+    // Balanced within each group
+    assert.notStrictEqual(plans[0][0], plans[1][0]);
+    assert.notStrictEqual(plans[0][2], plans[1][2]);
+  });
+
+  it('should yield the configured amount of hosts per remote data center at the end', () => {
+    const policy = getInitializedPolicy({ usedHostsPerRemoteDc: 1 });
+    const plan = getPlan(policy);
+
+    assert.strictEqual(plan.length, 6);
+    assert.deepEqual(plan.slice(4).sort(), [ '5', '7' ]);
+
+    const hosts = policy.getTestHostMap();
+    assert.strictEqual(policy.getDistance(hosts.get('2')), types.distance.local);
+    assert.strictEqual(policy.getDistance(hosts.get('5')), types.distance.remote);
+    assert.strictEqual(policy.getDistance(hosts.get('6')), types.distance.ignored);
+  });
+
+  it('should not yield hosts that are down', () => {
+    const policy = getInitializedPolicy();
+    policy.getTestHostMap().get('1').setDown();
+
+    assert.deepEqual(getPlan(policy).sort(), [ '2', '3', '4' ]);
+  });
+
+  it('should use the localRack from the Client options', done => {
+    const policy = new RackAwareRoundRobinPolicy();
+    const hosts = new HostMap();
+    hosts.set('1', createHost('1', options));
+    hosts.get('1').rack = 'rack1';
+    const client = new Client(utils.extend({}, helper.baseOptions, { localRack: 'rack1' }));
+
+    policy.init(client, hosts, err => {
+      assert.ifError(err);
+      assert.strictEqual(policy.localRack, 'rack1');
+      done();
+    });
+  });
+
+  it('should callback in error when the localRack is not defined', done => {
+    const policy = new RackAwareRoundRobinPolicy({ localDc: 'dc1' });
+    const hosts = new HostMap();
+    hosts.set('1', createHost('1', options));
+
+    policy.init(new Client(helper.baseOptions), hosts, err => {
+      helper.assertInstanceOf(err, errors.ArgumentError);
+      assert.strictEqual(err.message,
+        `'localRack' is not defined in Client options and also was not specified in constructor.`);
+      done();
+    });
+  });
+
+  it('should callback in error when the localRack is not found in the local data center', done => {
+    const policy = new RackAwareRoundRobinPolicy({ localDc: 'dc1', localRack: 'rack2' });
+    const hosts = new HostMap();
+    hosts.set('1', createHost('1', options));
+    hosts.get('1').rack = 'rack1';
+
+    policy.init(new Client(helper.baseOptions), hosts, err => {
+      helper.assertInstanceOf(err, errors.ArgumentError);
+      assert.strictEqual(err.message, 'Rack rack2 was not found in datacenter dc1. Available racks are: [rack1]');
+      done();
+    });
+  });
+
+  describe('#getOptions()', () => {
+    it('should return a Map with the local data center and rack', () => {
+      helper.assertMapEqual(new RackAwareRoundRobinPolicy({ localDc: 'dc1', localRack: 'rack1' }).getOptions(),
+        new Map([['localDataCenter', 'dc1'], ['localRack', 'rack1'], ['usedHostsPerRemoteDc', 0]]));
+    });
+  });
+});
+
 describe('TokenAwarePolicy', function () {
   it('should use the childPolicy when no routingKey provided', function (done) {
     const options = clientOptions.extend({}, helper.baseOptions);
@@ -354,6 +474,30 @@ describe('TokenAwarePolicy', function () {
       }
     ], done);
   });
+  it('should retrieve the local replicas in the local rack of the child policy first', function (done) {
+    const options = clientOptions.extend({}, helper.baseOptions);
+    const childPolicy = createDummyPolicy(options);
+    childPolicy.localRack = 'rack1';
+    const policy = new TokenAwarePolicy(childPolicy);
+    const client = new Client(options);
+    const replicas = [ 'repl1_local', 'repl2_local', 'repl3_remote', 'repl4_local', 'repl5_local' ].map(toHost);
+    replicas.forEach((h, i) => h.rack = i < 2 ? 'rack2' : 'rack1');
+    client.getReplicas = toFunc(replicas);
+    utils.series([
+      helper.toTask(policy.init, policy, client, new HostMap()),
+      function (next) {
+        policy.newQueryPlan(null, getExecOptions({ routingKey: utils.allocBufferUnsafe(16)}), function (err, iterator) {
+          const hosts = helper.iteratorToArray(iterator).map(toAddress);
+          // local replicas in the local rack first (unordered), followed by the rest of the local replicas
+          assert.deepEqual(hosts.slice(0, 2).sort(), [ 'repl4_local', 'repl5_local' ]);
+          assert.deepEqual(hosts.slice(2, 4).sort(), [ 'repl1_local', 'repl2_local' ]);
+          // Child load balancing policy nodes
+          assert.deepEqual(hosts.slice(4), [ 'child1', 'child2' ]);
+          next();
+        });
+      }
+    ], done);
+  });
   it('should retrieve local and remote replicas in a pseudo random order', function (done) {
     const options = clientOptions.extend({}, helper.baseOptions);
     const childPolicy = createDummyPolicy(options);
@@ -485,6 +629,138 @@ describe('AllowListPolicy', function () {
   });
 });
 
+describe('LatencyAwarePolicy', function () {
+  const hosts = [ '1.1.1.1:9042', '1.1.1.2:9042', '1.1.1.3:9042' ].map(address => ({ address }));
+  const fastLatency = [ 0, 1000000 ];
+  const slowLatency = [ 0, 5000000 ];
+
+  let clock;
+
+  beforeEach(() => clock = sinon.useFakeTimers({ now: 1000000 }));
+  afterEach(() => clock.restore());
+
+  function newPolicy(options) {
+    const childPolicy = new RoundRobinPolicy();
+    childPolicy.newQueryPlan = (ks, o, cb) => cb(null, utils.arrayIterator(hosts));
+    return new LatencyAwarePolicy(childPolicy, Object.assign({ minMeasure: 3 }, options));
+  }
+
+  function register(policy, host, latency, times) {
+    for (let i = 0; i < times; i++) {
+      clock.tick(10);
+      policy.registerLatency(host, latency, null);
+    }
+  }
+
+  function getPlan(policy) {
+    let result;
+    policy.newQueryPlan('ks1', null, (err, iterator) => {
+      assert.ifError(err);
+      result = helper.iteratorToArray(iterator).map(h => h.address);
+    });
+    return result;
+  }
+
+  it('should throw when the child policy is not provided', () => {
+    assert.throws(() => new LatencyAwarePolicy(), /child load balancing policy/);
+  });
+
+  it('should throw when the exclusion threshold is lower than 1', () => {
+    assert.throws(() => new LatencyAwarePolicy(new RoundRobinPolicy(), { exclusionThreshold: 0.5 }),
+      errors.ArgumentError);
+  });
+
+  it('should use the child policy to determine the distance', () => {
+    const childPolicy = new RoundRobinPolicy();
+    childPolicy.getDistance = () => types.distance.remote;
+    assert.strictEqual(new LatencyAwarePolicy(childPolicy).getDistance(hosts[0]), types.distance.remote);
+  });
+
+  it('should compute an exponentially-weighted moving average of the latency', () => {
+    const policy = newPolicy({ scale: 100 });
+    policy.registerLatency(hosts[0], [ 0, 10000000 ], null);
+    assert.strictEqual(policy.getAverageLatency(hosts[0]), 10);
+
+    // A measurement after a long time mostly replaces the previous average
+    clock.tick(100000);
+    policy.registerLatency(hosts[0], [ 0, 2000000 ], null);
+    const average = policy.getAverageLatency(hosts[0]);
+    assert.ok(average > 2 && average < 2.1, `Unexpected average ${average}`);
+
+    // A measurement right after the previous one has almost no weight
+    clock.tick(1);
+    policy.registerLatency(hosts[0], [ 1, 0 ], null);
+    assert.ok(policy.getAverageLatency(hosts[0]) < 10 + average);
+  });
+
+  it('should ignore the latency of errors returned by the coordinator before processing the request', () => {
+    const policy = newPolicy();
+    policy.registerLatency(hosts[0], fastLatency, new errors.ResponseError(types.responseErrorCodes.overloaded, 'a'));
+    policy.registerLatency(hosts[0], fastLatency, { isSocketError: true });
+    assert.strictEqual(policy.getAverageLatency(hosts[0]), undefined);
+
+    policy.registerLatency(hosts[0], fastLatency, new errors.ResponseError(types.responseErrorCodes.readTimeout, 'a'));
+    assert.strictEqual(policy.getAverageLatency(hosts[0]), 1);
+  });
+
+  it('should forward the latency to the child policy', () => {
+    const childPolicy = new RoundRobinPolicy();
+    childPolicy.registerLatency = sinon.spy();
+    new TokenAwarePolicy(new LatencyAwarePolicy(childPolicy)).registerLatency(hosts[0], fastLatency, null);
+    assert.ok(childPolicy.registerLatency.calledOnceWith(hosts[0], fastLatency, null));
+  });
+
+  it('should support child policies that do not implement registerLatency', () => {
+    // Policies are not required to inherit from LoadBalancingPolicy
+    const childPolicy = { init: utils.noop, getDistance: utils.noop, newQueryPlan: utils.noop };
+    const policy = new TokenAwarePolicy(new AllowListPolicy(new LatencyAwarePolicy(childPolicy), [ hosts[0].address ]));
+    policy.registerLatency(hosts[0], fastLatency, null);
+  });
+
+  it('should move the hosts slower than the threshold to the back of the query plan', () => {
+    const policy = newPolicy();
+    register(policy, hosts[0], slowLatency, 3);
+    register(policy, hosts[1], fastLatency, 3);
+    register(policy, hosts[2], fastLatency, 3);
+    clock.tick(policy.updateRate);
+
+    assert.deepStrictEqual(getPlan(policy), [ hosts[1].address, hosts[2].address, hosts[0].address ]);
+  });
+
+  it('should not exclude hosts without enough measurements', () => {
+    const policy = newPolicy();
+    register(policy, hosts[0], slowLatency, 2);
+    register(policy, hosts[1], fastLatency, 3);
+    clock.tick(policy.updateRate);
+
+    assert.deepStrictEqual(getPlan(policy), hosts.map(h => h.address));
+  });
+
+  it('should retry excluded hosts after the retry period', () => {
+    const policy = newPolicy({ retryPeriod: 5000 });
+    register(policy, hosts[0], slowLatency, 3);
+    register(policy, hosts[1], fastLatency, 3);
+    clock.tick(policy.updateRate);
+    assert.strictEqual(getPlan(policy)[2], hosts[0].address);
+
+    // The fast host continues to get new measurements
+    clock.tick(4000);
+    register(policy, hosts[1], fastLatency, 3);
+    clock.tick(1000);
+
+    assert.strictEqual(getPlan(policy)[0], hosts[0].address);
+    assert.strictEqual(policy.isExcluded(hosts[0]), false);
+  });
+
+  describe('#getOptions()', () => {
+    it('should return a Map with the child policy name and the options', () => {
+      helper.assertMapEqual(new LatencyAwarePolicy(new RoundRobinPolicy(), { exclusionThreshold: 3 }).getOptions(),
+        new Map([['childPolicy', 'RoundRobinPolicy'], ['exclusionThreshold', 3], ['scale', 100],
+          ['retryPeriod', 10000], ['updateRate', 100], ['minMeasure', 50]]));
+    });
+  });
+});
+
 function testRoundRobinPlan(times, policy, options, allHosts, expectedHosts, permutations, done) {
   const client = options ? new Client(options) : null;
 
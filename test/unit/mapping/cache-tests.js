@@ -82,6 +82,16 @@ describe('Cache', function() {
       assert.notDeepEqual(key1WithFieldsD, key1WithOrderByD);
     });
 
+    it('should consider allowFilter and token restrictions', () => {
+      const docKeys = ['abc'];
+
+      assert.notDeepEqual(getKey(docKeys, {}, { allowFilter: true }), getKey(docKeys, {}, {}));
+      assert.deepEqual(getKey(docKeys, {}, { allowFilter: false }), getKey(docKeys, {}, {}));
+
+      assert.notDeepEqual(getKey(docKeys, { abc: q.token(q.gt(1)) }), getKey(docKeys, { abc: q.gt(1) }));
+      assert.deepEqual(getKey(docKeys, { abc: q.token(q.gt(1)) }), getKey(docKeys, { abc: q.token(q.gt(2)) }));
+    });
+
     testQueryOperators(getKey);
 
     testFields(getKey);
@@ -90,6 +100,14 @@ describe('Cache', function() {
   describe('getUpdateKey()', () => {
     const getKey = (docKeys, doc, docInfo) => Array.from(Cache.getUpdateKey(docKeys, doc, docInfo));
 
+    it('should consider collection element assignments', () => {
+      const docKeys = ['abc'];
+
+      assert.notDeepEqual(getKey(docKeys, { abc: q.setKey('a', 1) }), getKey(docKeys, { abc: q.append(1) }));
+      assert.notDeepEqual(getKey(docKeys, { abc: q.removeKey('a') }), getKey(docKeys, { abc: q.remove('a') }));
+      assert.deepEqual(getKey(docKeys, { abc: q.setKey('a', 1) }), getKey(docKeys, { abc: q.setKey('b', 2) }));
+    });
+
     testQueryOperators(getKey);
 
     testWhenOperators(getKey);
@@ -0,0 +1,235 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { assert } = require('chai');
+const Mapper = require('../../../lib/mapping/mapper');
+const errors = require('../../../lib/errors');
+const types = require('../../../lib/types');
+const dataTypes = types.dataTypes;
+const helper = require('../../test-helper');
+const mapperTestHelper = require('./mapper-unit-test-helper');
+
+const videosSchema = {
+  columns: { videoid: 'uuid', added_date: 'timestamp', name: 'text', tags: 'frozen<set<text>>' },
+  partitionKeys: [ 'videoid' ],
+  clusteringKeys: [ 'added_date' ],
+  clusteringOrder: { added_date: 'desc' },
+  options: { default_time_to_live: 3600, comment: 'Video\'s table', compaction: { class: 'LeveledCompactionStrategy' } }
+};
+
+const usersSchema = {
+  columns: { userid: 'uuid', name: 'varchar' },
+  partitionKeys: [ 'userid' ]
+};
+
+describe('MapperSchema', () => {
+  describe('#generateDdl()', () => {
+    it('should generate the CREATE TABLE statements of the models with schema definition', () => {
+      const mapper = getMapper(null);
+
+      assert.deepEqual(mapper.schema.generateDdl(), [
+        'CREATE TABLE IF NOT EXISTS ks1.videos (videoid uuid, added_date timestamp, name text, ' +
+        'tags frozen<set<text>>, PRIMARY KEY ((videoid), added_date)) WITH CLUSTERING ORDER BY (added_date DESC) AND ' +
+        'default_time_to_live = 3600 AND comment = \'Video\'\'s table\' AND ' +
+        'compaction = {\'class\': \'LeveledCompactionStrategy\'}',
+        'CREATE TABLE IF NOT EXISTS ks1.user_videos (userid uuid, videoid uuid, name text, PRIMARY KEY ((userid), videoid))',
+        'CREATE TABLE IF NOT EXISTS ks2.users (userid uuid, name varchar, PRIMARY KEY (userid))'
+      ]);
+    });
+
+    it('should only include the provided models', () => {
+      const mapper = getMapper(null);
+
+      assert.deepEqual(mapper.schema.generateDdl([ 'User' ]),
+        [ 'CREATE TABLE IF NOT EXISTS ks2.users (userid uuid, name varchar, PRIMARY KEY (userid))' ]);
+    });
+
+    it('should throw when the model is not valid', () => {
+      const mapper = getMapper(null);
+
+      assert.throws(() => mapper.schema.generateDdl([ 'Unknown' ]), errors.ArgumentError,
+        `No mapping information found for model 'Unknown'`);
+      assert.throws(() => mapper.schema.generateDdl([ 'NoSchema' ]), errors.ArgumentError,
+        `Model 'NoSchema' does not define the schema of its tables`);
+      assert.throws(() => mapper.schema.generateDdl('User'), errors.ArgumentError, 'Model names should be an Array');
+    });
+  });
+
+  describe('#sync()', () => {
+    it('should create the tables that do not exist and add the missing columns', async () => {
+      const clientInfo = getClientInfo();
+      const mapper = getMapper(clientInfo);
+
+      const result = await mapper.schema.sync();
+
+      const expected = [
+        'ALTER TABLE ks1.videos ADD tags frozen<set<text>>',
+        'CREATE TABLE IF NOT EXISTS ks1.user_videos (userid uuid, videoid uuid, name text, PRIMARY KEY ((userid), videoid))'
+      ];
+
+      assert.deepEqual(result, { queries: expected, mismatches: [] });
+      assert.deepEqual(clientInfo.executions.map(e => e.query), expected);
+    });
+
+    it('should not execute the statements when dryRun is set', async () => {
+      const clientInfo = getClientInfo();
+      const mapper = getMapper(clientInfo);
+
+      const { queries, mismatches } = await mapper.schema.sync({ dryRun: true, models: [ 'Video' ] });
+
+      assert.strictEqual(queries.length, 2);
+      assert.deepEqual(mismatches, []);
+      assert.strictEqual(clientInfo.executions.length, 0);
+    });
+
+    it('should resolve an empty Array when the tables are synchronized', async () => {
+      const clientInfo = getClientInfo();
+      const mapper = getMapper(clientInfo);
+
+      assert.deepEqual(await mapper.schema.sync({ models: [ 'User' ] }), { queries: [], mismatches: [] });
+      assert.strictEqual(clientInfo.executions.length, 0);
+    });
+
+    it('should reject without executing when the existing tables can not be synchronized', async () => {
+      const clientInfo = getClientInfo();
+      const mapper = getMapperWithIncompatibleVideos(clientInfo);
+
+      await helper.assertThrowsAsync(mapper.schema.sync(), Error,
+        'The schema of the existing tables can not be synchronized: ks1.videos: clustering keys \\[added_date ASC] ' +
+        'do not match \\[added_date DESC]; ks1.videos: column name is of type text instead of int');
+
+      assert.strictEqual(clientInfo.executions.length, 0);
+    });
+  });
+
+  describe('#sync({ dryRun: true })', () => {
+    it('should resolve the differences that can not be synchronized along with the statements', async () => {
+      const clientInfo = getClientInfo();
+      const mapper = getMapperWithIncompatibleVideos(clientInfo);
+
+      const result = await mapper.schema.sync({ dryRun: true });
+
+      assert.deepEqual(result, {
+        queries: [ 'CREATE TABLE IF NOT EXISTS ks3.comments (id uuid, PRIMARY KEY (id))' ],
+        mismatches: [
+          'ks1.videos: clustering keys [added_date ASC] do not match [added_date DESC]',
+          'ks1.videos: column name is of type text instead of int'
+        ]
+      });
+      assert.strictEqual(clientInfo.executions.length, 0);
+    });
+  });
+
+  describe('schema definition', () => {
+    it('should throw when the schema is not valid', () => {
+      [
+        [ 'abc', /Schema of table 't1' for model 'Sample' should be an object/ ],
+        [ { columns: { a: 'int' }, partitionKeys: [ 'a' ], other: 1 }, /contains an unknown property 'other'/ ],
+        [ { partitionKeys: [ 'a' ] }, /should define the CQL type of the columns/ ],
+        [ { columns: { a: 1 }, partitionKeys: [ 'a' ] }, /should define the CQL type of column 'a' as a string/ ],
+        [ { columns: { a: 'int' } }, /should define partitionKeys as an Array/ ],
+        [ { columns: { a: 'int' }, partitionKeys: [] }, /should define at least one partition key/ ],
+        [ { columns: { a: 'int' }, partitionKeys: [ 'b' ] }, /defines key 'b' which is not included in the columns/ ],
+        [ { columns: { a: 'int' }, partitionKeys: [ 'a' ], clusteringKeys: [ 'a' ] }, /as partition and clustering key/ ],
+        [ { columns: { a: 'int', b: 'int static' }, partitionKeys: [ 'a' ], clusteringKeys: [ 'b' ] },
+          /defines key 'b' as a static column/ ],
+        [ { columns: { a: 'int', b: 'int' }, partitionKeys: [ 'a' ], clusteringOrder: { b: 'asc' } },
+          /defines the clustering order of 'b', which is not a clustering key/ ],
+        [ { columns: { a: 'int', b: 'int' }, partitionKeys: [ 'a' ], clusteringKeys: [ 'b' ], clusteringOrder: { b: 1 } },
+          /should define the clustering order of 'b' as 'ASC' or 'DESC'/ ],
+        [ { columns: { a: 'int' }, partitionKeys: [ 'a' ], options: 'abc' }, /should define the table options as an object/ ]
+      ].forEach(item => {
+        assert.throws(() => new Mapper({ keyspace: 'ks1' }, { models: { 'Sample': { tables: [ 't1' ], schema: item[0] } } }),
+          TypeError, item[1]);
+      });
+    });
+
+    it('should apply the schema of the table over the one of the model', () => {
+      const mapper = new Mapper({ keyspace: 'ks1' }, { models: { 'Sample': {
+        tables: [ 't1', { name: 't2', schema: usersSchema }, { name: 'v1', isView: true } ],
+        schema: { columns: { id: 'int' }, partitionKeys: [ 'id' ] }
+      }}});
+
+      assert.deepEqual(mapper.schema.generateDdl(), [
+        'CREATE TABLE IF NOT EXISTS ks1.t1 (id int, PRIMARY KEY (id))',
+        'CREATE TABLE IF NOT EXISTS ks1.t2 (userid uuid, name varchar, PRIMARY KEY (userid))'
+      ]);
+    });
+  });
+});
+
+function getMapper(clientInfo) {
+  const client = clientInfo ? clientInfo.client : { keyspace: 'ks1' };
+
+  return new Mapper(client, { models: {
+    'Video': {
+      tables: [ 'videos', { name: 'user_videos', schema: {
+        columns: { userid: 'uuid', videoid: 'uuid', name: 'text' },
+        partitionKeys: [ 'userid' ],
+        clusteringKeys: [ 'videoid' ]
+      }}],
+      schema: videosSchema
+    },
+    'User': { tables: [ 'users' ], keyspace: 'ks2', schema: usersSchema },
+    'NoSchema': { tables: [ 'table1' ] }
+  }});
+}
+
+/**
+ * Gets a mapper where the schema of "ks1.videos" differs in the clustering order and the type of a column.
+ */
+function getMapperWithIncompatibleVideos(clientInfo) {
+  return new Mapper(clientInfo.client, { models: {
+    'Video': {
+      tables: [ 'videos' ],
+      schema: {
+        columns: { videoid: 'uuid', added_date: 'timestamp', name: 'int' },
+        partitionKeys: [ 'videoid' ],
+        clusteringKeys: [ 'added_date' ]
+      }
+    },
+    'User': { tables: [ 'users' ], keyspace: 'ks2', schema: usersSchema },
+    'Comment': { tables: [ 'comments' ], keyspace: 'ks3', schema: { columns: { id: 'uuid' }, partitionKeys: [ 'id' ] } }
+  }});
+}
+
+/**
+ * Gets a fake client where "ks1.videos" exists without the "tags" column and "ks2.users" exists.
+ */
+function getClientInfo() {
+  return mapperTestHelper.getClient((ks, name) => {
+    if (name === 'videos') {
+      return mapperTestHelper.getClient([
+        { name: 'videoid', type: { code: dataTypes.uuid } },
+        { name: 'added_date', type: { code: dataTypes.timestamp } },
+        { name: 'name', type: { code: dataTypes.varchar } },
+        'other'
+      ], [ 1, 1 ]).client.metadata.getTable(ks, name)
+        .then(table => Object.assign(table, { clusteringOrder: [ 'DESC' ] }));
+    }
+
+    if (name === 'users') {
+      return mapperTestHelper.getClient([
+        { name: 'userid', type: { code: dataTypes.uuid } },
+        { name: 'name', type: { code: dataTypes.varchar } }
+      ], [ 1 ]).client.metadata.getTable(ks, name);
+    }
+
+    return Promise.resolve(null);
+  });
+}
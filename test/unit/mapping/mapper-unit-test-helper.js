@@ -22,6 +22,7 @@ const ModelMapper = require('../../../lib/mapping/model-mapper');
 const ResultSet = types.ResultSet;
 const dataTypes = types.dataTypes;
 const Mapper = require('../../../lib/mapping/mapper');
+const ModelMappingInfo = require('../../../lib/mapping/model-mapping-info');
 
 const mapperHelper = module.exports = {
   /**
@@ -58,6 +59,8 @@ const mapperHelper = module.exports = {
         keyspace: keyspace === undefined ? 'ks1' : keyspace,
         metadata: {
           getTable: getTableMetadata,
+          getMaterializedView: getTableMetadata,
+          getMaterializedViewNames: () => Promise.resolve([])
         },
         execute: function (query, params, options) {
           result.executions.push({ query, params, options });
@@ -103,6 +106,7 @@ const mapperHelper = module.exports = {
     };
 
     const instance = new ModelMapper('abc', {
+      info: ModelMappingInfo.createDefault('abc', 'ks1'),
       getInsertExecutor: (doc, docInfo) => {
         handlerParameters.insert.executor = { doc, docInfo };
         return Promise.resolve((doc, docInfo, executionOptions) => {
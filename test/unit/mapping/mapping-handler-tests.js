@@ -22,6 +22,9 @@ const MappingHandler = require('../../../lib/mapping/mapping-handler');
 const ModelMappingInfo = require('../../../lib/mapping/model-mapping-info');
 const DefaultTableMappings = require('../../../lib/mapping/table-mappings').DefaultTableMappings;
 const q = require('../../../lib/mapping/q').q;
+const errors = require('../../../lib/errors');
+const helper = require('../../test-helper');
+const { dataTypes } = require('../../../lib/types');
 
 describe('MappingHandler', () => {
   describe('#getSelectExecutor()', () => {
@@ -71,6 +74,25 @@ describe('MappingHandler', () => {
 
     testCacheDifferentDocInfo(getExecutor, { id: 1, name: 'a' }, { ifExists: true }, { deleteOnlyColumns: true });
   });
+
+  describe('#_setBatchExecutor()', () => {
+    it('should throw an OptimisticLockError when the versioned mutations were not applied', async () => {
+      const response = {
+        meta: { columns: [ { name: '[applied]', type: { code: dataTypes.boolean } } ] },
+        rows: [ { '[applied]': false } ]
+      };
+      const clientInfo = mapperTestHelper.getClient(['id', 'name'], [ 1 ], 'ks1', response);
+      const handler = getMappingHandler(clientInfo);
+      const queries = [ 'UPDATE t1 SET name = ? WHERE id = ? IF version = ?', 'UPDATE t1 SET name = ? WHERE id = ?' ]
+        .map((query, i) => ({ query, paramsGetter: () => [], isIdempotent: false, isVersioned: i === 0 }));
+
+      const executor = handler._setBatchExecutor({ executor: null }, queries);
+
+      const err = await helper.assertThrowsAsync(executor({}, {}, {}), errors.OptimisticLockError);
+      assert.strictEqual(err.currentRow, null);
+      assert.strictEqual(clientInfo.batchExecutions.length, 1);
+    });
+  });
 });
 
 function getMappingHandler(clientInfo) {
@@ -20,7 +20,10 @@ const assert = require('assert');
 const q = require('../../../lib/mapping/q').q;
 const types = require('../../../lib/types');
 const helper = require('../../test-helper');
+const errors = require('../../../lib/errors');
 const mapperTestHelper = require('./mapper-unit-test-helper');
+const Mapper = require('../../../lib/mapping/mapper');
+const { UnderscoreCqlToCamelCaseMappings } = require('../../../lib/mapping/table-mappings');
 const dataTypes = types.dataTypes;
 
 describe('ModelMapper', () => {
@@ -343,6 +346,521 @@ describe('ModelMapper', () => {
       ]
     }));
   });
+
+  context('with counters, static columns and collection elements', () => {
+    const counterColumns = [ 'id1', 'id2', { name: 'c1', type: { code: dataTypes.counter }} ];
+    const collectionColumns = [
+      'id1',
+      'id2',
+      { name: 'map1', type: { code: dataTypes.map }},
+      { name: 'list1', type: { code: dataTypes.list }},
+      { name: 'set1', type: { code: dataTypes.set }},
+      'name'
+    ];
+
+    /**
+     * Gets the metadata of a regular table "table1" and a counter table "table2" with the same primary key
+     */
+    function getTableMetadata(ks, name) {
+      const columns = name === 'table1' ? [ 'id1', 'id2', 'name' ] : counterColumns;
+      return mapperTestHelper.getClient(columns, [ 1, 1 ]).client.metadata.getTable(ks, name);
+    }
+
+    it('should reject counter columns assignments other than increments and decrements', () => {
+      const clientInfo = mapperTestHelper.getClient(counterColumns, [ 1, 1 ]);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+      const message = /Counter column 'c1' of table 'table1' can only be updated using q.incr\(\) or q.decr\(\)/;
+
+      return Promise.all([ 10, q.prepend(1), q.setKey(1, 2) ].map(value =>
+        helper.assertThrowsAsync(modelMapper.update({ id1: 'a', id2: 'b', c1: value }), errors.ArgumentError, message)));
+    });
+
+    it('should reject inserting into counter tables', () => {
+      const clientInfo = mapperTestHelper.getClient(counterColumns, [ 1, 1 ]);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+
+      return helper.assertThrowsAsync(modelMapper.insert({ id1: 'a', id2: 'b', c1: 1 }), Error,
+        /Counter tables do not support INSERT/);
+    });
+
+    it('should only insert into the tables that are not counter tables', async () => {
+      const clientInfo = mapperTestHelper.getClient(getTableMetadata);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo, { 'Sample': { tables: [ 'table1', 'table2' ] } });
+
+      await modelMapper.insert({ id1: 'a', id2: 'b', name: 'c' });
+
+      assert.strictEqual(clientInfo.executions.length, 1);
+      assert.strictEqual(clientInfo.executions[0].query, 'INSERT INTO ks1.table1 (id1, id2, name) VALUES (?, ?, ?)');
+    });
+
+    it('should set the counter flag when updating multiple counter tables', async () => {
+      const clientInfo = mapperTestHelper.getClient(counterColumns, [ 1, 1 ]);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo, { 'Sample': { tables: [ 'table1', 'table2' ] } });
+
+      await modelMapper.update({ id1: 'a', id2: 'b', c1: q.incr(1) });
+
+      assert.strictEqual(clientInfo.batchExecutions.length, 1);
+      const execution = clientInfo.batchExecutions[0];
+      assert.deepStrictEqual(execution.queries.map(item => item.query), [
+        'UPDATE ks1.table1 SET c1 = c1 + ? WHERE id1 = ? AND id2 = ?',
+        'UPDATE ks1.table2 SET c1 = c1 + ? WHERE id1 = ? AND id2 = ?'
+      ]);
+      helper.assertProperties(execution.options, { counter: true, isIdempotent: false });
+    });
+
+    it('should reject updating counter and regular tables in the same batch', async () => {
+      const clientInfo = mapperTestHelper.getClient(getTableMetadata);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo, { 'Sample': { tables: [ 'table1', 'table2' ] } });
+
+      await helper.assertThrowsAsync(modelMapper.update({ id1: 'a', id2: 'b', name: 'c', c1: q.incr(1) }), Error,
+        'Counter and non-counter mutations cannot be applied in the same batch');
+
+      await modelMapper.update({ id1: 'a', id2: 'b', c1: q.incr(1) });
+      assert.strictEqual(clientInfo.executions[0].query, 'UPDATE ks1.table2 SET c1 = c1 + ? WHERE id1 = ? AND id2 = ?');
+    });
+
+    it('should update and remove collection elements', () => testQueries({
+      methodName: 'update',
+      columns: collectionColumns,
+      models: {
+        'Sample': {
+          tables: [ 'table1' ],
+          columns: { 'map1': { fromModel: JSON.stringify } }
+        }
+      },
+      items: [
+        {
+          doc: { id1: 'a', id2: 'b', map1: q.setKey('k1', 'v1') },
+          query: 'UPDATE ks1.table1 SET map1[?] = ? WHERE id1 = ? AND id2 = ?',
+          params: [ 'k1', 'v1', 'a', 'b' ]
+        }, {
+          doc: { id1: 'a', id2: 'b', list1: q.setKey(2, 'x'), name: 'c' },
+          query: 'UPDATE ks1.table1 SET list1[?] = ?, name = ? WHERE id1 = ? AND id2 = ?',
+          params: [ 2, 'x', 'c', 'a', 'b' ]
+        }, {
+          doc: { id1: 'a', id2: 'b', map1: q.removeKey('k1'), set1: q.removeKey('e1') },
+          query: 'UPDATE ks1.table1 SET map1 = map1 - ?, set1 = set1 - ? WHERE id1 = ? AND id2 = ?',
+          params: [ [ 'k1' ], [ 'e1' ], 'a', 'b' ]
+        }
+      ]
+    }));
+
+    it('should reject element assignments on columns that do not support them', () => {
+      const clientInfo = mapperTestHelper.getClient(collectionColumns, [ 1, 1 ]);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+
+      return Promise.all([
+        [ { set1: q.setKey(1, 'a') }, /q.setKey\(\) can only be applied to map or list columns.+'set1'/ ],
+        [ { name: q.setKey(1, 'a') }, /q.setKey\(\) can only be applied to map or list columns.+'name'/ ],
+        [ { list1: q.removeKey(1) }, /q.removeKey\(\) can only be applied to map or set columns.+'list1'/ ]
+      ].map(item => helper.assertThrowsAsync(modelMapper.update(Object.assign({ id1: 'a', id2: 'b' }, item[0])),
+        errors.ArgumentError, item[1])));
+    });
+
+    it('should throw when the element key is not defined', () => {
+      [ undefined, null ].forEach(key => {
+        assert.throws(() => q.setKey(key, 1), errors.ArgumentError);
+        assert.throws(() => q.removeKey(key), errors.ArgumentError);
+      });
+    });
+
+    it('should update static columns when only the partition keys are provided', () => testQueries({
+      methodName: 'update',
+      columns: [ 'id1', 'id2', { name: 's1', type: { code: dataTypes.text }, isStatic: true }, 'name' ],
+      items: [
+        {
+          doc: { id1: 'a', s1: 'b' },
+          query: 'UPDATE ks1.table1 SET s1 = ? WHERE id1 = ?',
+          params: [ 'b', 'a' ]
+        }, {
+          doc: { id1: 'a', id2: 'b', s1: 'c', name: 'd' },
+          query: 'UPDATE ks1.table1 SET s1 = ?, name = ? WHERE id1 = ? AND id2 = ?',
+          params: [ 'c', 'd', 'a', 'b' ]
+        }
+      ]
+    }));
+
+    it('should not update regular columns when the clustering keys are not provided', () => {
+      const columns = [ 'id1', 'id2', { name: 's1', type: { code: dataTypes.text }, isStatic: true }, 'name' ];
+      const clientInfo = mapperTestHelper.getClient(columns, [ 1, 1 ]);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+      const message = /No table matches \(all PKs and columns to set have to be specified\)/;
+
+      return Promise.all([
+        { id1: 'a', s1: 'b', name: 'c' },
+        { id1: 'a', name: 'c' },
+        { id1: 'a', id2: 'b' }
+      ].map(doc => helper.assertThrowsAsync(modelMapper.update(doc), Error, message)));
+    });
+  });
+
+  context('with versionColumn', () => {
+    const models = { 'Sample': { tables: [ 'table1' ], versionColumn: 'version' } };
+    const versionedColumns = [ 'id1', 'id2', 'name', { name: 'version', type: { code: dataTypes.int }} ];
+
+    it('should insert using IF NOT EXISTS and the initial version', () => testQueries({
+      methodName: 'insert',
+      models,
+      columns: versionedColumns,
+      items: [
+        {
+          doc: { id1: 'value1', id2: 'value2', name: 'a' },
+          query: 'INSERT INTO ks1.table1 (id1, id2, name, version) VALUES (?, ?, ?, ?) IF NOT EXISTS',
+          params: [ 'value1', 'value2', 'a', 1 ],
+          isIdempotent: false
+        },
+        {
+          doc: { id1: 'value1', id2: 'value2', version: 5 },
+          query: 'INSERT INTO ks1.table1 (id1, id2, version) VALUES (?, ?, ?) IF NOT EXISTS',
+          params: [ 'value1', 'value2', 5 ],
+          isIdempotent: false
+        }
+      ]
+    }));
+
+    it('should update conditioned on the version and set the next version', () => testQueries({
+      methodName: 'update',
+      models,
+      columns: versionedColumns,
+      items: [
+        {
+          doc: { id1: 'value1', id2: 'value2', name: 'a', version: 2 },
+          query: 'UPDATE ks1.table1 SET name = ?, version = ? WHERE id1 = ? AND id2 = ? IF version = ?',
+          params: [ 'a', 3, 'value1', 'value2', 2 ],
+          isIdempotent: false
+        },
+        {
+          doc: { id1: 'value1', id2: 'value2', name: 'b', version: types.Long.fromNumber(10) },
+          docInfo: { when: { name: 'a' } },
+          query: 'UPDATE ks1.table1 SET name = ?, version = ? WHERE id1 = ? AND id2 = ? IF name = ? AND version = ?',
+          params: [ 'b', types.Long.fromNumber(11), 'value1', 'value2', 'a', types.Long.fromNumber(10) ],
+          isIdempotent: false
+        }
+      ]
+    }));
+
+    it('should not add conditions when removing', () => testQueries({
+      methodName: 'remove',
+      models,
+      columns: versionedColumns,
+      items: [
+        {
+          doc: { id1: 'value1', id2: 'value2' },
+          query: 'DELETE FROM ks1.table1 WHERE id1 = ? AND id2 = ?',
+          params: [ 'value1', 'value2' ]
+        }
+      ]
+    }));
+
+    it('should reject the update when the version is not provided', async () => {
+      const clientInfo = mapperTestHelper.getClient(versionedColumns, [ 1, 1 ]);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo, models);
+
+      const err = await helper.assertThrowsAsync(modelMapper.update({ id1: 'value1', id2: 'value2', name: 'a' }));
+      assert.strictEqual(err.message, `Expected property 'version' to be defined, as it's used as the version of the model`);
+
+      await helper.assertThrowsAsync(
+        modelMapper.update({ id1: 'value1', id2: 'value2', version: 1 }, { ifExists: true }), Error,
+        'ifExists condition can not be applied to a model with a version column');
+
+      assert.strictEqual(clientInfo.executions.length, 0);
+    });
+
+    [
+      {
+        methodName: 'insert',
+        doc: { id1: 'value1', id2: 'value2', name: 'a' },
+        columns: [ '[applied]', 'id1', 'id2', 'name', 'version' ],
+        row: { '[applied]': false, id1: 'value1', id2: 'value2', name: 'z', version: 4 },
+        description: 'the row exists',
+        currentRow: { id1: 'value1', id2: 'value2', name: 'z', version: 4 }
+      },
+      {
+        methodName: 'update',
+        doc: { id1: 'value1', id2: 'value2', name: 'a', version: 2 },
+        columns: [ '[applied]', 'version' ],
+        row: { '[applied]': false, version: 4 },
+        description: 'the version does not match',
+        currentRow: { version: 4 }
+      },
+      {
+        methodName: 'update',
+        doc: { id1: 'value1', id2: 'value2', name: 'a', version: 2 },
+        columns: [ '[applied]' ],
+        row: { '[applied]': false },
+        description: 'the row does not exist',
+        currentRow: null
+      }
+    ].forEach(item => {
+      it(`should throw an OptimisticLockError on ${item.methodName} when ${item.description}`, async () => {
+        const response = {
+          meta: {
+            columns: item.columns.map(name => ({
+              name, type: { code: name === '[applied]' ? dataTypes.boolean : dataTypes.text } }))
+          },
+          rows: [ item.row ]
+        };
+        const clientInfo = mapperTestHelper.getClient(versionedColumns, [ 1, 1 ], 'ks1', response);
+        const modelMapper = mapperTestHelper.getModelMapper(clientInfo, models);
+
+        const err = await helper.assertThrowsAsync(modelMapper[item.methodName](item.doc),
+          errors.OptimisticLockError);
+
+        assert.deepStrictEqual(err.currentRow, item.currentRow);
+        assert.strictEqual(clientInfo.executions.length, 1);
+      });
+    });
+
+    it('should throw an OptimisticLockError when a batch containing versioned mutations was not applied', async () => {
+      const response = {
+        meta: { columns: [ '[applied]', 'version' ].map(name => ({
+          name, type: { code: name === '[applied]' ? dataTypes.boolean : dataTypes.int } })) },
+        rows: [ { '[applied]': false, version: 4 } ]
+      };
+      const clientInfo = mapperTestHelper.getClient(versionedColumns, [ 1, 1 ], 'ks1', response);
+      const mapper = mapperTestHelper.getMapper(clientInfo, models);
+      const modelMapper = mapper.forModel('Sample');
+
+      const err = await helper.assertThrowsAsync(
+        mapper.batch([ modelMapper.batching.update({ id1: 'value1', id2: 'value2', name: 'a', version: 2 }) ]),
+        errors.OptimisticLockError);
+
+      assert.deepStrictEqual(err.currentRow, { version: 4 });
+      assert.strictEqual(clientInfo.batchExecutions.length, 1);
+    });
+
+    it('should resolve the Result when the mutation was applied', async () => {
+      const response = {
+        meta: { columns: [ { name: '[applied]', type: { code: dataTypes.boolean } } ] },
+        rows: [ { '[applied]': true } ]
+      };
+      const clientInfo = mapperTestHelper.getClient(versionedColumns, [ 1, 1 ], 'ks1', response);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo, models);
+
+      const result = await modelMapper.update({ id1: 'value1', id2: 'value2', name: 'a', version: 2 });
+      assert.strictEqual(result.wasApplied(), true);
+    });
+  });
+
+  context('with hooks and validation', () => {
+    const columns = [ 'id1', 'id2', 'name', 'description' ];
+
+    function getModelMapper(clientInfo, options) {
+      return mapperTestHelper.getModelMapper(clientInfo, { 'Sample': Object.assign({ tables: [ 'table1' ] }, options) });
+    }
+
+    it('should invoke the before hooks with the document and use the returned document', async () => {
+      const clientInfo = mapperTestHelper.getClient(columns, [ 1, 1 ]);
+      const calls = [];
+      const modelMapper = getModelMapper(clientInfo, {
+        hooks: {
+          beforeInsert: (doc, docInfo) => {
+            calls.push({ name: 'beforeInsert', doc, docInfo });
+            return Object.assign({ description: 'created' }, doc);
+          },
+          beforeUpdate: (doc, docInfo) => {
+            calls.push({ name: 'beforeUpdate', doc, docInfo });
+            // Modify the provided document
+            doc.description = 'updated';
+          },
+          beforeRemove: (doc, docInfo) => {
+            calls.push({ name: 'beforeRemove', doc, docInfo });
+            return Promise.resolve(doc);
+          }
+        }
+      });
+
+      const docInfo = { ttl: 10 };
+      await modelMapper.insert({ id1: 'a', id2: 'b' }, docInfo);
+      await modelMapper.update({ id1: 'a', id2: 'b', name: 'c' });
+      await modelMapper.remove({ id1: 'a', id2: 'b' });
+
+      assert.deepStrictEqual(calls.map(c => c.name), [ 'beforeInsert', 'beforeUpdate', 'beforeRemove' ]);
+      assert.strictEqual(calls[0].docInfo, docInfo);
+      assert.deepStrictEqual(clientInfo.executions.map(e => e.query), [
+        'INSERT INTO ks1.table1 (description, id1, id2) VALUES (?, ?, ?) USING TTL ?',
+        'UPDATE ks1.table1 SET name = ?, description = ? WHERE id1 = ? AND id2 = ?',
+        'DELETE FROM ks1.table1 WHERE id1 = ? AND id2 = ?'
+      ]);
+      assert.deepStrictEqual(clientInfo.executions[0].params, [ 'created', 'a', 'b', 10 ]);
+      assert.deepStrictEqual(clientInfo.executions[1].params, [ 'c', 'updated', 'a', 'b' ]);
+    });
+
+    it('should reject the operation when a hook fails', async () => {
+      const clientInfo = mapperTestHelper.getClient(columns, [ 1, 1 ]);
+      const hookError = new Error('Test error');
+      const modelMapper = getModelMapper(clientInfo, {
+        hooks: {
+          beforeInsert: () => {
+            throw hookError;
+          },
+          beforeUpdate: () => Promise.reject(hookError)
+        }
+      });
+
+      const err1 = await helper.assertThrowsAsync(modelMapper.insert({ id1: 'a', id2: 'b' }));
+      const err2 = await helper.assertThrowsAsync(modelMapper.update({ id1: 'a', id2: 'b', name: 'c' }));
+      assert.strictEqual(err1, hookError);
+      assert.strictEqual(err2, hookError);
+      assert.strictEqual(clientInfo.executions.length, 0);
+    });
+
+    it('should validate the documents after invoking the hooks', async () => {
+      const clientInfo = mapperTestHelper.getClient(columns, [ 1, 1 ]);
+      const modelMapper = getModelMapper(clientInfo, {
+        hooks: {
+          beforeInsert: doc => Object.assign({ description: 'd' }, doc)
+        },
+        validation: {
+          description: { required: true },
+          name: { type: 'string', max: 3 }
+        }
+      });
+
+      await modelMapper.insert({ id1: 'a', id2: 'b' });
+      assert.strictEqual(clientInfo.executions.length, 1);
+
+      await helper.assertThrowsAsync(modelMapper.insert({ id1: 'a', id2: 'b', name: 'long name' }),
+        errors.ArgumentError, /Property 'name' of model 'Sample' is out of range/);
+      await helper.assertThrowsAsync(modelMapper.update({ id1: 'a', id2: 'b', description: null }),
+        errors.ArgumentError, /Property 'description' of model 'Sample' is required/);
+
+      // Required properties are not validated on updates when not set
+      await modelMapper.update({ id1: 'a', id2: 'b', name: 'c' });
+      // Documents are not validated on removes
+      await modelMapper.remove({ id1: 'a', id2: 'b', description: null });
+      assert.strictEqual(clientInfo.executions.length, 3);
+    });
+
+    it('should invoke the hooks and validate the documents of the batch items', async () => {
+      const clientInfo = mapperTestHelper.getClient(columns, [ 1, 1 ]);
+      const mapper = mapperTestHelper.getMapper(clientInfo, {
+        'Sample': {
+          tables: [ 'table1' ],
+          hooks: {
+            beforeInsert: doc => Object.assign({ description: 'created' }, doc),
+            beforeUpdate: doc => Object.assign({ description: 'updated' }, doc)
+          },
+          validation: { name: { type: 'string' } }
+        }
+      });
+      const modelMapper = mapper.forModel('Sample');
+
+      await mapper.batch([
+        modelMapper.batching.insert({ id1: 'a', id2: 'b' }),
+        modelMapper.batching.update({ id1: 'a', id2: 'c', name: 'd' })
+      ]);
+
+      assert.strictEqual(clientInfo.batchExecutions.length, 1);
+      assert.deepStrictEqual(clientInfo.batchExecutions[0].queries, [
+        { query: 'INSERT INTO ks1.table1 (description, id1, id2) VALUES (?, ?, ?)', params: [ 'created', 'a', 'b' ] },
+        {
+          query: 'UPDATE ks1.table1 SET description = ?, name = ? WHERE id1 = ? AND id2 = ?',
+          params: [ 'updated', 'd', 'a', 'c' ]
+        }
+      ]);
+
+      await helper.assertThrowsAsync(mapper.batch([ modelMapper.batching.update({ id1: 'a', id2: 'c', name: 1 }) ]),
+        errors.ArgumentError, /should be of type string/);
+      assert.strictEqual(clientInfo.batchExecutions.length, 1);
+    });
+  });
+
+  context('with user-defined types', () => {
+    const addressType = { code: dataTypes.udt, info: { keyspace: 'ks1', name: 'address', fields: [
+      { name: 'street_name', type: { code: dataTypes.text }},
+      { name: 'zip_code', type: { code: dataTypes.int }}
+    ]}};
+
+    const columns = [
+      'id1',
+      'id2',
+      { name: 'address', type: addressType },
+      { name: 'addresses', type: { code: dataTypes.list, info: addressType }},
+      { name: 'address_map', type: { code: dataTypes.map, info: [ { code: dataTypes.text }, addressType ] }},
+      { name: 'location', type: { code: dataTypes.tuple, info: [ { code: dataTypes.text }, addressType ] }},
+      'name'
+    ];
+
+    function getMapper(clientInfo) {
+      return new Mapper(clientInfo.client, {
+        models: { 'Sample': { tables: [ 'table1' ], mappings: new UnderscoreCqlToCamelCaseMappings() } },
+        udts: { 'address': { mappings: new UnderscoreCqlToCamelCaseMappings() } }
+      });
+    }
+
+    it('should adapt the values of the mapped UDTs when inserting', async () => {
+      const clientInfo = mapperTestHelper.getClient(columns, [ 1, 1 ]);
+      const modelMapper = getMapper(clientInfo).forModel('Sample');
+
+      await modelMapper.insert({
+        id1: 'a',
+        id2: 'b',
+        address: { streetName: 'Main St', zipCode: 1 },
+        addresses: [ { streetName: 'First St', zipCode: 2 }, null ],
+        addressMap: { home: { streetName: 'Second St' } },
+        location: new types.Tuple('home', { streetName: 'Third St', zipCode: 3 }),
+        name: 'c'
+      });
+
+      assert.strictEqual(clientInfo.executions.length, 1);
+      const execution = clientInfo.executions[0];
+      assert.strictEqual(execution.query,
+        'INSERT INTO ks1.table1 (id1, id2, address, addresses, address_map, location, name) VALUES (?, ?, ?, ?, ?, ?, ?)');
+      assert.deepStrictEqual(execution.params, [
+        'a',
+        'b',
+        { street_name: 'Main St', zip_code: 1 },
+        [ { street_name: 'First St', zip_code: 2 }, null ],
+        { home: { street_name: 'Second St', zip_code: undefined } },
+        new types.Tuple('home', { street_name: 'Third St', zip_code: 3 }),
+        'c'
+      ]);
+    });
+
+    it('should adapt the values of the mapped UDTs when updating', async () => {
+      const clientInfo = mapperTestHelper.getClient(columns, [ 1, 1 ]);
+      const modelMapper = getMapper(clientInfo).forModel('Sample');
+
+      await modelMapper.update({
+        id1: 'a',
+        id2: 'b',
+        address: { streetName: 'Main St', zipCode: 1 },
+        addresses: q.append([ { streetName: 'First St', zipCode: 2 } ]),
+        addressMap: q.setKey('home', { streetName: 'Second St', zipCode: 3 }),
+        name: 'c'
+      });
+
+      assert.strictEqual(clientInfo.executions.length, 1);
+      const execution = clientInfo.executions[0];
+      assert.strictEqual(execution.query, 'UPDATE ks1.table1 SET address = ?, addresses = addresses + ?, ' +
+        'address_map[?] = ?, name = ? WHERE id1 = ? AND id2 = ?');
+      assert.deepStrictEqual(execution.params, [
+        { street_name: 'Main St', zip_code: 1 },
+        [ { street_name: 'First St', zip_code: 2 } ],
+        'home',
+        { street_name: 'Second St', zip_code: 3 },
+        'c',
+        'a',
+        'b'
+      ]);
+    });
+
+    it('should apply the mapping function of the property before adapting the UDT values', async () => {
+      const clientInfo = mapperTestHelper.getClient(columns, [ 1, 1 ]);
+      const modelMapper = new Mapper(clientInfo.client, {
+        models: { 'Sample': { tables: [ 'table1' ], columns: {
+          'address': { name: 'address', fromModel: v => ({ streetName: v.toUpperCase() }) }
+        }}},
+        udts: { 'ks1.address': { mappings: new UnderscoreCqlToCamelCaseMappings() } }
+      }).forModel('Sample');
+
+      await modelMapper.insert({ id1: 'a', id2: 'b', address: 'Main St' });
+
+      assert.deepStrictEqual(clientInfo.executions[0].params,
+        [ 'a', 'b', { street_name: 'MAIN ST', zip_code: undefined } ]);
+    });
+  });
 });
 
 function testErrors(methodName, items) {
@@ -365,11 +883,12 @@ function testErrors(methodName, items) {
 
 async function testQueries(methodName, items) {
   let models = null;
-  const columns = [ 'id1', 'id2', 'name', { name: 'list1', type: { code: dataTypes.list }}, 'description'];
+  let columns = [ 'id1', 'id2', 'name', { name: 'list1', type: { code: dataTypes.list }}, 'description'];
 
   if (typeof methodName === 'object') {
     // Its an object with properties as parameters
     models = methodName.models;
+    columns = methodName.columns || columns;
     items = methodName.items;
     methodName = methodName.methodName;
   }
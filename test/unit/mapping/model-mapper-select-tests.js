@@ -18,9 +18,12 @@
 
 const assert = require('assert');
 const q = require('../../../lib/mapping/q').q;
-const dataTypes = require('../../../lib/types').dataTypes;
+const errors = require('../../../lib/errors');
+const types = require('../../../lib/types');
+const dataTypes = types.dataTypes;
 const helper = require('../../test-helper');
 const mapperTestHelper = require('./mapper-unit-test-helper');
+const Index = require('../../../lib/metadata/schema-index');
 
 const emptyResponse = { meta: { columns: [] }, rows: [] };
 
@@ -247,6 +250,313 @@ describe('ModelMapper', () => {
     });
   });
 
+  describe('#find() with secondary restrictions', () => {
+    it('should support IN on the partition key', () => testQueries('find', [
+      {
+        doc: { id1: q.in_([ 'a', 'b' ]) },
+        query: 'SELECT * FROM ks1.table1 WHERE id1 IN ?',
+        params: [ [ 'a', 'b' ] ]
+      }, {
+        doc: { id1: q.in_([ 'a', 'b' ]), id2: q.gt('c') },
+        query: 'SELECT * FROM ks1.table1 WHERE id1 IN ? AND id2 > ?',
+        params: [ [ 'a', 'b' ], 'c' ]
+      }]));
+
+    it('should support token restrictions on the partition key', () => testQueries('find', [
+      {
+        doc: { id1: q.token(q.gt(-100)) },
+        query: 'SELECT * FROM ks1.table1 WHERE token(id1) > ?',
+        params: [ -100 ]
+      }, {
+        doc: { id1: q.token(q.and(q.gt(-100), q.lte(200))) },
+        docInfo: { limit: 10 },
+        query: 'SELECT * FROM ks1.table1 WHERE token(id1) > ? AND token(id1) <= ? LIMIT ?',
+        params: [ -100, 200, 10 ]
+      }, {
+        doc: { id1: q.token(50) },
+        query: 'SELECT * FROM ks1.table1 WHERE token(id1) = ?',
+        params: [ 50 ]
+      }, {
+        doc: { id1: q.gt('a') },
+        docInfo: { allowFilter: true },
+        query: 'SELECT * FROM ks1.table1 WHERE id1 > ? ALLOW FILTERING',
+        params: [ 'a' ]
+      }]));
+
+    it('should use all the partition keys in token restrictions without using the mapping functions', () =>
+      testQueries({
+        methodName: 'find',
+        columns: [ 'id1', 'id2', 'id3', 'name' ],
+        primaryKeys: [ 2, 1 ],
+        models: {
+          'Sample': {
+            tables: [ 'table1' ],
+            columns: { 'id1': { fromModel: a => a + '_mapped' } }
+          }
+        },
+        items: [
+          {
+            doc: { id1: q.token(q.gte(10)) },
+            query: 'SELECT * FROM ks1.table1 WHERE token(id1, id2) >= ?',
+            params: [ 10 ]
+          }, {
+            doc: { id1: 'a', id2: 'b', id3: q.gt('c') },
+            query: 'SELECT * FROM ks1.table1 WHERE id1 = ? AND id2 = ? AND id3 > ?',
+            params: [ 'a_mapped', 'b', 'c' ]
+          }
+        ]
+      }));
+
+    it('should support multi-column slice restrictions on clustering keys', () => testQueries({
+      methodName: 'find',
+      columns: [ 'id1', 'id2', 'id3', 'name' ],
+      primaryKeys: [ 1, 2 ],
+      models: {
+        'Sample': {
+          tables: [ 'table1' ],
+          columns: { 'id3': { fromModel: a => a + '_mapped' } }
+        }
+      },
+      items: [
+        {
+          doc: { id1: 'a', 'id2,id3': q.gt([ 'b', 'c' ]) },
+          docInfo: { limit: 100 },
+          query: 'SELECT * FROM ks1.table1 WHERE id1 = ? AND (id2, id3) > (?, ?) LIMIT ?',
+          params: [ 'a', 'b', 'c_mapped', 100 ]
+        }, {
+          doc: { id1: 'a', 'id2, id3': q.and(q.gte([ 'b', 'c' ]), q.lt([ 'y', 'z' ])) },
+          query: 'SELECT * FROM ks1.table1 WHERE id1 = ? AND (id2, id3) >= (?, ?) AND (id2, id3) < (?, ?)',
+          params: [ 'a', 'b', 'c_mapped', 'y', 'z_mapped' ]
+        }
+      ]
+    }));
+
+    it('should throw when the multi-column restriction is not valid', () => {
+      const clientInfo = mapperTestHelper.getClient([ 'id1', 'id2', 'id3' ], [ 1, 2 ], 'ks1', emptyResponse);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+
+      [
+        [ { id1: 'a', 'id2,id3': q.gt([ 'b' ]) }, /should contain an Array of 2 values/ ],
+        [ { id1: 'a', 'id2,id3': q.gt('b') }, /should contain an Array of 2 values/ ],
+        [ { id1: 'a', 'id2,id3': q.in_([ [ 'b', 'c' ] ]) }, /only supports relational operators/ ]
+      ].forEach(item => assert.throws(() => modelMapper.find(item[0]),
+        err => err instanceof errors.ArgumentError && item[1].test(err.message)));
+    });
+
+    it('should only allow token restrictions with values or relational operators', () => {
+      assert.throws(() => q.token(q.in_([ 1, 2 ])), errors.ArgumentError);
+      assert.throws(() => q.token(q.token(1)), errors.ArgumentError);
+    });
+
+    it('should add ALLOW FILTERING and support non primary key columns when allowFilter is set', () =>
+      testQueries('find', [
+        {
+          doc: { name: 'a' },
+          docInfo: { allowFilter: true },
+          query: 'SELECT * FROM ks1.table1 WHERE name = ? ALLOW FILTERING',
+          params: [ 'a' ]
+        }, {
+          doc: { id1: 'a', description: q.gt('b') },
+          docInfo: { allowFilter: true, limit: 10 },
+          query: 'SELECT * FROM ks1.table1 WHERE id1 = ? AND description > ? LIMIT ? ALLOW FILTERING',
+          params: [ 'a', 'b', 10 ]
+        }, {
+          doc: { id1: 'a' },
+          query: 'SELECT * FROM ks1.table1 WHERE id1 = ?',
+          params: [ 'a' ]
+        }]));
+
+    it('should not allow filtering by columns that are not part of the table', () => {
+      const clientInfo = mapperTestHelper.getClient([ 'id1', 'id2', 'name' ], [ 1, 1 ], 'ks1', emptyResponse);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+
+      return helper.assertThrowsAsync(modelMapper.find({ notAValidProp: 'a' }, { allowFilter: true }), Error,
+        /No table matches the filter \(PKs\): \[notAValidProp]/);
+    });
+  });
+
+  describe('#find() with secondary indexes', () => {
+    const columns = [ 'id1', 'id2', 'name', 'description', 'location_type' ];
+
+    /**
+     * Gets a client where "table1" contains a secondary index on "name" and a storage-attached index on
+     * "description" and "location_type", and "view1" is keyed by "name".
+     */
+    function getClientInfo() {
+      return mapperTestHelper.getClient((ks, name) => {
+        if (name === 'view1') {
+          return mapperTestHelper.getClient([ 'name', 'id1', 'id2', 'description' ], [ 1, 2 ]).client.metadata
+            .getTable(ks, name);
+        }
+
+        const sai = { 'class_name': 'org.apache.cassandra.index.sai.StorageAttachedIndex' };
+
+        return mapperTestHelper.getClient(columns, [ 1, 1 ]).client.metadata.getTable(ks, name)
+          .then(table => Object.assign(table, { indexes: [
+            new Index('name_idx', 'name', 'composites', {}),
+            new Index('description_idx', 'description', 'custom', sai),
+            new Index('location_idx', '"location_type"', 'custom', sai)
+          ]}));
+      }, null, 'ks1', emptyResponse);
+    }
+
+    function getModelMapper(clientInfo, tables) {
+      return mapperTestHelper.getModelMapper(clientInfo, { 'Sample': { tables: tables || [ 'table1' ] } });
+    }
+
+    it('should use the indexes of the table when the primary keys do not match', async () => {
+      const clientInfo = getClientInfo();
+      const modelMapper = getModelMapper(clientInfo);
+
+      for (const item of [
+        [ { name: 'a' }, 'SELECT * FROM ks1.table1 WHERE name = ?' ],
+        [ { id1: 'a', name: 'b' }, 'SELECT * FROM ks1.table1 WHERE id1 = ? AND name = ?' ],
+        [ { description: q.gt('a') }, 'SELECT * FROM ks1.table1 WHERE description > ?' ],
+        [ { description: 'a', location_type: q.and(q.gte(1), q.lt(2)) },
+          'SELECT * FROM ks1.table1 WHERE description = ? AND location_type >= ? AND location_type < ?' ]
+      ]) {
+        await modelMapper.find(item[0]);
+        assert.strictEqual(clientInfo.executions.pop().query, item[1]);
+      }
+    });
+
+    it('should not use the indexes when the restrictions are not supported', async () => {
+      const clientInfo = getClientInfo();
+      const modelMapper = getModelMapper(clientInfo);
+
+      for (const doc of [
+        { name: q.gt('a') },
+        { name: 'a', description: 'b' },
+        { name: 'a', id2: 'b' },
+        { name: q.in_([ 'a', 'b' ]) },
+        { id2: 'a' }
+      ]) {
+        await helper.assertThrowsAsync(modelMapper.find(doc), Error, /No table matches the filter/);
+      }
+
+      await helper.assertThrowsAsync(modelMapper.find({ name: 'a' }, { orderBy: { id2: 'asc' } }), Error,
+        /No table matches the filter/);
+      await helper.assertThrowsAsync(modelMapper.get({ name: 'a' }), Error, /No table matches the filter/);
+    });
+
+    it('should prefer the tables and views that match the primary keys', async () => {
+      const clientInfo = getClientInfo();
+      const modelMapper = getModelMapper(clientInfo, [ 'table1', { name: 'view1', isView: true } ]);
+
+      await modelMapper.find({ name: 'a' });
+      assert.strictEqual(clientInfo.executions.pop().query, 'SELECT * FROM ks1.view1 WHERE name = ?');
+    });
+  });
+
+  describe('#explainFind()', () => {
+    function getModelMapper() {
+      const clientInfo = mapperTestHelper.getClient((ks, name) => {
+        if (name === 'view1') {
+          return mapperTestHelper.getClient([ 'name', 'id1', 'id2' ], [ 1, 2 ]).client.metadata.getTable(ks, name);
+        }
+
+        return mapperTestHelper.getClient([ 'id1', 'id2', 'name', 'description' ], [ 1, 1 ]).client.metadata
+          .getTable(ks, name)
+          .then(table => Object.assign(table, { indexes: [ new Index('description_idx', 'description', 0, {}) ] }));
+      }, null, 'ks1', emptyResponse);
+
+      return mapperTestHelper.getModelMapper(clientInfo, { 'Sample': {
+        tables: [ 'table1', { name: 'view1', isView: true } ]
+      }});
+    }
+
+    it('should report the table or view used and the reason of each candidate', async () => {
+      const modelMapper = getModelMapper();
+
+      assert.deepStrictEqual(await modelMapper.explainFind({ name: 'a' }, { fields: [ 'id1' ], limit: 1 }), {
+        query: 'SELECT id1 FROM ks1.view1 WHERE name = ? LIMIT ?',
+        table: 'view1',
+        isView: true,
+        index: null,
+        allowFiltering: false,
+        candidates: [
+          { name: 'table1', isView: false, selected: false, index: null,
+            reason: 'not all the partition keys are restricted' },
+          { name: 'view1', isView: true, selected: true, index: null, reason: 'the partition keys are restricted' }
+        ]
+      });
+    });
+
+    it('should report the index used', async () => {
+      const explanation = await getModelMapper().explainFind({ description: 'a' });
+
+      assert.strictEqual(explanation.query, 'SELECT * FROM ks1.table1 WHERE description = ?');
+      assert.strictEqual(explanation.table, 'table1');
+      assert.strictEqual(explanation.index, 'description_idx');
+      assert.deepStrictEqual(explanation.candidates.map(c => c.reason), [
+        `the restrictions use the index 'description_idx'`,
+        `not all the partition keys are restricted`
+      ]);
+    });
+
+    it('should report why the tables can not be used', async () => {
+      const modelMapper = getModelMapper();
+
+      let explanation = await modelMapper.explainFind({ description: q.gt('a') });
+      assert.strictEqual(explanation.query, null);
+      assert.strictEqual(explanation.table, null);
+      assert.deepStrictEqual(explanation.candidates.map(c => c.reason), [
+        `not all the partition keys are restricted and the restriction on column 'description' is not supported by ` +
+        `the index 'description_idx'`,
+        'not all the partition keys are restricted'
+      ]);
+
+      explanation = await modelMapper.explainFind({ id1: 'a', name: 'b' }, { orderBy: { 'id2': 'desc' } });
+      assert.deepStrictEqual(explanation.candidates.map(c => c.reason), [
+        `column 'name' is not part of the primary key`,
+        'the ORDER BY columns do not match the clustering keys'
+      ]);
+
+      explanation = await modelMapper.explainFind({ id1: 'a' }, { fields: [ 'description' ] });
+      assert.strictEqual(explanation.table, 'table1');
+      assert.deepStrictEqual(explanation.candidates.map(c => c.reason), [
+        'the partition keys are restricted',
+        `field 'description' is not included`
+      ]);
+    });
+
+    it('should report when filtering is allowed', async () => {
+      const explanation = await getModelMapper().explainFind({ description: q.gt('a') }, { allowFilter: true });
+
+      assert.strictEqual(explanation.query, 'SELECT * FROM ks1.table1 WHERE description > ? ALLOW FILTERING');
+      assert.strictEqual(explanation.allowFiltering, true);
+      assert.strictEqual(explanation.index, null);
+      assert.strictEqual(explanation.candidates[0].reason, 'filtering is allowed');
+    });
+
+    it('should consider the materialized views of the tables that are not part of the model', async () => {
+      const clientInfo = mapperTestHelper.getClient((ks, name) => {
+        const columns = name === 'view2' ? [ 'description', 'id1', 'id2', 'name' ] : [ 'id1', 'id2', 'name', 'description' ];
+        return mapperTestHelper.getClient(columns, [ 1, 1 ]).client.metadata.getTable(ks, name);
+      }, null, 'ks1', emptyResponse);
+
+      clientInfo.client.metadata.getMaterializedViewNames = (ks, name) =>
+        Promise.resolve(name === 'table1' ? [ 'view1', 'view2' ] : []);
+
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo, { 'Sample': {
+        tables: [ 'table1', { name: 'view1', isView: true } ]
+      }});
+
+      const explanation = await modelMapper.explainFind({ description: 'a' });
+      assert.strictEqual(explanation.query, 'SELECT * FROM ks1.view2 WHERE description = ?');
+      assert.deepStrictEqual(explanation.candidates, [
+        { name: 'table1', isView: false, selected: false, index: null,
+          reason: 'not all the partition keys are restricted' },
+        { name: 'view1', isView: true, selected: false, index: null,
+          reason: 'not all the partition keys are restricted' },
+        { name: 'view2', isView: true, selected: true, index: null, reason: 'the partition keys are restricted' }
+      ]);
+
+      await modelMapper.find({ description: 'a' });
+      assert.strictEqual(clientInfo.executions.pop().query, 'SELECT * FROM ks1.view2 WHERE description = ?');
+    });
+  });
+
   describe('#get()', () => {
 
     const clientInfo = mapperTestHelper.getClient([ 'id1', 'id2', 'name'], [ 1, 1 ], 'ks1', emptyResponse);
@@ -284,6 +594,125 @@ describe('ModelMapper', () => {
       }]));
   });
 
+  describe('paging', () => {
+    it('should use the fetchSize and pageState from the docInfo', async () => {
+      const clientInfo = mapperTestHelper.getClient([ 'id1', 'id2', 'name' ], [ 1, 1 ], 'ks1', emptyResponse);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+
+      await modelMapper.find({ id1: 'a' }, { fetchSize: 10, pageState: 'abcd' }, { fetchSize: 20 });
+      helper.assertProperties(clientInfo.executions.pop().options, { fetchSize: 10, pageState: 'abcd' });
+
+      await modelMapper.findAll({ fetchSize: 30 }, { pageState: 'ef' });
+      helper.assertProperties(clientInfo.executions.pop().options, { fetchSize: 30, pageState: 'ef' });
+    });
+
+    it('should retrieve the following page with Result#nextPage()', async () => {
+      const clientInfo = getPagedClient(3, 2);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+
+      const result1 = await modelMapper.find({ id1: 'a' }, { fetchSize: 2 });
+      assert.deepStrictEqual(result1.toArray().map(doc => doc.name), [ 'name0', 'name1' ]);
+      assert.strictEqual(result1.pageState, '01');
+
+      const result2 = await result1.nextPage();
+      assert.deepStrictEqual(result2.toArray().map(doc => doc.name), [ 'name2', 'name3' ]);
+      const result3 = await result2.nextPage();
+      assert.deepStrictEqual(result3.toArray().map(doc => doc.name), [ 'name4', 'name5' ]);
+      assert.strictEqual(result3.pageState, null);
+      assert.strictEqual(await result3.nextPage(), null);
+
+      // Same query and parameters
+      assert.strictEqual(clientInfo.executions.length, 3);
+      clientInfo.executions.forEach(e => {
+        assert.strictEqual(e.query, clientInfo.executions[0].query);
+        assert.deepStrictEqual(e.params, [ 'a' ]);
+        assert.strictEqual(e.options.fetchSize, 2);
+      });
+    });
+  });
+
+  describe('afterFind hook', () => {
+    it('should be invoked with each document retrieved', async () => {
+      const clientInfo = getPagedClient(2, 2);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo, {
+        'Sample': {
+          tables: [ 'table1' ],
+          hooks: {
+            afterFind: doc => {
+              if (doc.name === 'name0') {
+                // Modify the provided document
+                doc.found = true;
+                return undefined;
+              }
+
+              return { name: doc.name.toUpperCase() };
+            }
+          }
+        }
+      });
+
+      const result = await modelMapper.find({ id1: 'a' }, { fetchSize: 2 });
+      assert.deepStrictEqual(result.toArray(), [ { id1: 'a', id2: 'id0', name: 'name0', found: true }, { name: 'NAME1' } ]);
+
+      const nextResult = await result.nextPage();
+      assert.deepStrictEqual(nextResult.first(), { name: 'NAME2' });
+
+      const doc = await modelMapper.get({ id1: 'a', id2: 'id0' });
+      assert.strictEqual(doc.found, true);
+
+      const docs = await helper.asyncIteratorToArray(modelMapper.iterate(null, { fetchSize: 2 }));
+      assert.deepStrictEqual(docs.map(d => d.name), [ 'name0', 'NAME1', 'NAME2', 'NAME3' ]);
+    });
+  });
+
+  describe('#iterate()', () => {
+    it('should lazily walk through all the pages mapping the rows', async () => {
+      const clientInfo = getPagedClient(3, 2);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+
+      const iterable = modelMapper.iterate({ id1: 'a' }, { fetchSize: 2 });
+      assert.strictEqual(clientInfo.executions.length, 0);
+
+      const docs = await helper.asyncIteratorToArray(iterable);
+      assert.deepStrictEqual(docs.map(doc => doc.name), [ 'name0', 'name1', 'name2', 'name3', 'name4', 'name5' ]);
+      assert.deepStrictEqual(docs[1], { id1: 'a', id2: 'id1', name: 'name1' });
+      assert.strictEqual(clientInfo.executions.length, 3);
+      assert.strictEqual(iterable.pagesFetched, 3);
+      assert.strictEqual(iterable.pageState, null);
+    });
+
+    it('should stop fetching pages when the iteration is stopped', async () => {
+      const clientInfo = getPagedClient(3, 2);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+
+      const iterable = modelMapper.iterate({ id1: 'a' }, { fetchSize: 2 });
+      const iterator = iterable[Symbol.asyncIterator]();
+      await iterator.next();
+      await iterator.next();
+      await iterator.return();
+
+      assert.strictEqual(clientInfo.executions.length, 1);
+      assert.strictEqual(iterable.pageState, '01');
+    });
+
+    it('should use findAll when the doc is not provided', async () => {
+      const clientInfo = getPagedClient(2, 1);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+
+      const docs = await helper.asyncIteratorToArray(modelMapper.iterate(null, { fetchSize: 1 }));
+      assert.strictEqual(docs.length, 2);
+      assert.deepStrictEqual(clientInfo.executions[0].params, []);
+    });
+
+    it('should resume from the provided pageState', async () => {
+      const clientInfo = getPagedClient(3, 2);
+      const modelMapper = mapperTestHelper.getModelMapper(clientInfo);
+
+      const docs = await helper.asyncIteratorToArray(modelMapper.iterate({ id1: 'a' }, { fetchSize: 2, pageState: '02' }));
+      assert.deepStrictEqual(docs.map(doc => doc.name), [ 'name4', 'name5' ]);
+    });
+  });
+
   describe('#mapWithQuery', () => {
     it('should warn when cache reaches 100 different queries', async () => {
       const clientInfo = mapperTestHelper.getClient(['id1'], [ 1 ], 'ks1', emptyResponse);
@@ -314,18 +743,45 @@ describe('ModelMapper', () => {
   });
 });
 
+/**
+ * Gets a fake client that returns the provided amount of pages, using the page index as page state.
+ */
+function getPagedClient(pages, pageSize) {
+  const columns = [ 'id1', 'id2', 'name' ];
+  const clientInfo = mapperTestHelper.getClient(columns, [ 1, 1 ], 'ks1');
+
+  clientInfo.client.execute = (query, params, options) => {
+    clientInfo.executions.push({ query, params, options });
+    const pageIndex = options.pageState ? parseInt(options.pageState.toString('hex'), 16) : 0;
+    const rows = [];
+
+    for (let i = pageIndex * pageSize; i < (pageIndex + 1) * pageSize; i++) {
+      rows.push({ id1: 'a', id2: `id${i}`, name: `name${i}` });
+    }
+
+    const pageState = pageIndex + 1 < pages ? Buffer.from([ pageIndex + 1 ]) : undefined;
+    const meta = { columns: columns.map(name => ({ name, type: { code: dataTypes.text } })), pageState };
+    return Promise.resolve(new types.ResultSet({ rows, meta }, '10.1.1.1:9042', {}, 1, 1));
+  };
+
+  return clientInfo;
+}
+
 async function testQueries(methodName, items) {
   let models = null;
-  const columns = [ 'id1', 'id2', 'name', 'description', 'location_type'];
+  let columns = [ 'id1', 'id2', 'name', 'description', 'location_type'];
+  let primaryKeys = [ 1, 1 ];
 
   if (typeof methodName === 'object') {
     // Its an object with properties as parameters
     models = methodName.models;
+    columns = methodName.columns || columns;
+    primaryKeys = methodName.primaryKeys || primaryKeys;
     items = methodName.items;
     methodName = methodName.methodName;
   }
 
-  const clientInfo = mapperTestHelper.getClient(columns, [ 1, 1 ], 'ks1', emptyResponse);
+  const clientInfo = mapperTestHelper.getClient(columns, primaryKeys, 'ks1', emptyResponse);
   const modelMapper = mapperTestHelper.getModelMapper(clientInfo, models);
 
   for (const item of items) {
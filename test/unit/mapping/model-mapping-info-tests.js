@@ -19,6 +19,7 @@
 const { assert } = require('chai');
 
 const ModelMappingInfo = require('../../../lib/mapping/model-mapping-info');
+const Long = require('../../../lib/types').Long;
 
 describe('ModelMappingInfo', function () {
   describe('parse()', function () {
@@ -97,5 +98,70 @@ describe('ModelMappingInfo', function () {
         }
       }), /toModel type for property 'media' should be a function/);
     });
+
+    it('should parse the version column', () => {
+      const info = ModelMappingInfo.parse({
+        models: {
+          'Video': { keyspace: 'ks1', versionColumn: 'row_version', columns: { 'row_version': 'rowVersion' } },
+          'User': { keyspace: 'ks1' }
+        }
+      });
+
+      assert.strictEqual(info.get('Video').versionColumn, 'row_version');
+      assert.strictEqual(info.get('Video').versionProperty, 'rowVersion');
+      assert.isNull(info.get('User').versionColumn);
+      assert.isNull(info.get('User').versionProperty);
+    });
+
+    it('should throw when the version column is not valid', () => {
+      [ 1, '', {} ].forEach(versionColumn => {
+        assert.throws(() => ModelMappingInfo.parse({ models: { 'Video': { keyspace: 'ks1', versionColumn } } }),
+          /versionColumn for model 'Video' should be a non-empty string/);
+      });
+    });
+  });
+
+  describe('parse() with hooks', () => {
+    it('should parse the hooks', () => {
+      const beforeInsert = doc => doc;
+      const info = ModelMappingInfo.parse({
+        models: { 'Video': { keyspace: 'ks1', hooks: { beforeInsert } }, 'User': { keyspace: 'ks1' } }
+      });
+
+      assert.deepEqual(info.get('Video').hooks,
+        { beforeInsert, beforeUpdate: null, beforeRemove: null, afterFind: null });
+      assert.deepEqual(info.get('User').hooks,
+        { beforeInsert: null, beforeUpdate: null, beforeRemove: null, afterFind: null });
+    });
+
+    it('should throw when the hooks are not valid', () => {
+      assert.throws(() => ModelMappingInfo.parse({ models: { 'Video': { keyspace: 'ks1', hooks: { afterInsert() {} } } } }),
+        /Unknown hook 'afterInsert' for model 'Video'/);
+      assert.throws(() => ModelMappingInfo.parse({ models: { 'Video': { keyspace: 'ks1', hooks: { afterFind: {} } } } }),
+        /Hook 'afterFind' for model 'Video' should be a function/);
+    });
+  });
+
+  describe('#getNextVersion()', () => {
+    const info = ModelMappingInfo.parse({ models: { 'Video': { keyspace: 'ks1', versionColumn: 'version' } } })
+      .get('Video');
+
+    it('should increment Number and Long values', () => {
+      assert.strictEqual(info.getNextVersion(1), 2);
+      assert.ok(info.getNextVersion(Long.fromNumber(10)).equals(Long.fromNumber(11)));
+    });
+
+    it('should throw when the version is not valid', () => {
+      assert.throws(() => info.getNextVersion(undefined), /Version property 'version' should be a Number or a Long/);
+      assert.throws(() => info.getNextVersion(null), /\(obtained null\)/);
+    });
+  });
+
+  describe('#getInitialVersion()', () => {
+    it('should use the provided value or default to 1', () => {
+      const info = ModelMappingInfo.createDefault('Video', 'ks1');
+      assert.strictEqual(info.getInitialVersion(undefined), 1);
+      assert.strictEqual(info.getInitialVersion(5), 5);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,103 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { assert } = require('chai');
+
+const ModelValidator = require('../../../lib/mapping/model-validator');
+const errors = require('../../../lib/errors');
+const types = require('../../../lib/types');
+const q = require('../../../lib/mapping/q').q;
+
+describe('ModelValidator', () => {
+  describe('parse()', () => {
+    it('should return null when validation is not defined', () => {
+      assert.isNull(ModelValidator.parse('Video', undefined));
+      assert.isNull(ModelValidator.parse('Video', null));
+    });
+
+    it('should throw when the rules are not valid', () => {
+      [
+        [ 'abc', /validation for model 'Video' should be an object/ ],
+        [ { name: true }, /Validation rule for property 'name' should be an object/ ],
+        [ { name: { minLength: 1 } }, /Unknown validation rule 'minLength' for property 'name'/ ],
+        [ { name: { type: 'text' } }, /Validation type for property 'name' should be a constructor or one of/ ],
+        [ { name: { min: '1' } }, /Validation min for property 'name' should be a number/ ],
+        [ { name: { max: null } }, /Validation max for property 'name' should be a number/ ],
+        [ { name: { pattern: 'abc' } }, /Validation pattern for property 'name' should be a RegExp/ ]
+      ].forEach(item => {
+        assert.throws(() => ModelValidator.parse('Video', item[0]), TypeError, item[1]);
+      });
+    });
+  });
+
+  describe('#validate()', () => {
+    const validator = ModelValidator.parse('Video', {
+      name: { required: true, type: 'string', min: 2, max: 5, pattern: /^[a-z]+$/ },
+      rating: { type: 'number', min: 0, max: 10 },
+      views: { min: 0 },
+      tags: { type: 'array', max: 2 },
+      addedDate: { type: Date }
+    });
+
+    it('should not throw when the document is valid', () => {
+      validator.validate({ name: 'abc', rating: 0, views: types.Long.fromNumber(10), tags: [], addedDate: new Date() },
+        true);
+      validator.validate({ name: 'abcde', rating: 10 }, true);
+    });
+
+    it('should validate required properties on insert', () => {
+      assert.throws(() => validator.validate({ rating: 1 }, true), errors.ArgumentError,
+        `Property 'name' of model 'Video' is required (obtained undefined)`);
+      assert.throws(() => validator.validate({ name: null }, true), errors.ArgumentError, /is required/);
+      assert.throws(() => validator.validate({ name: types.unset }, true), errors.ArgumentError, /is required/);
+    });
+
+    it('should only validate required properties on update when they are set', () => {
+      validator.validate({ rating: 1 }, false);
+      assert.throws(() => validator.validate({ name: null }, false), errors.ArgumentError,
+        `Property 'name' of model 'Video' is required (obtained null)`);
+    });
+
+    it('should validate the type', () => {
+      assert.throws(() => validator.validate({ name: 1 }, false), errors.ArgumentError,
+        `Property 'name' of model 'Video' should be of type string`);
+      assert.throws(() => validator.validate({ tags: 'a' }, false), errors.ArgumentError, /should be of type array/);
+      assert.throws(() => validator.validate({ addedDate: 1 }, false), errors.ArgumentError, /should be of type Date/);
+    });
+
+    it('should validate the range of numbers and the length of strings and arrays', () => {
+      assert.throws(() => validator.validate({ rating: 11 }, false), errors.ArgumentError,
+        `Property 'rating' of model 'Video' is out of range [0, 10]`);
+      assert.throws(() => validator.validate({ rating: -1 }, false), errors.ArgumentError, /out of range/);
+      assert.throws(() => validator.validate({ views: types.Long.fromNumber(-1) }, false), errors.ArgumentError,
+        `Property 'views' of model 'Video' is out of range [0, ]`);
+      assert.throws(() => validator.validate({ name: 'abcdef' }, false), errors.ArgumentError, /out of range \[2, 5]/);
+      assert.throws(() => validator.validate({ tags: [ 'a', 'b', 'c' ] }, false), errors.ArgumentError,
+        /out of range/);
+    });
+
+    it('should validate the pattern', () => {
+      assert.throws(() => validator.validate({ name: 'ABC' }, false), errors.ArgumentError,
+        `Property 'name' of model 'Video' does not match the pattern /^[a-z]+$/`);
+    });
+
+    it('should not validate query operators and assignments', () => {
+      validator.validate({ name: q.in_([ 'a', 'b' ]), rating: q.incr(20) }, false);
+    });
+  });
+});
@@ -20,6 +20,11 @@ const { assert } = require('chai');
 const sinon = require('sinon');
 
 const ResultMapper = require('../../../lib/mapping/result-mapper');
+const ModelMappingInfo = require('../../../lib/mapping/model-mapping-info');
+const UdtMapper = require('../../../lib/mapping/udt-mapper');
+const { TableMappings, UnderscoreCqlToCamelCaseMappings } = require('../../../lib/mapping/table-mappings');
+const types = require('../../../lib/types');
+const dataTypes = types.dataTypes;
 
 describe('ResultMapper', function () {
   describe('getSelectAdapter()', function () {
@@ -68,5 +73,110 @@ describe('ResultMapper', function () {
       // No mapping function
       assert.strictEqual(obj['col1' + suffixProperty], row.col1);
     });
+
+    context('with user-defined types', () => {
+      class Address {}
+
+      class AddressMappings extends UnderscoreCqlToCamelCaseMappings {
+        newObjectInstance() {
+          return new Address();
+        }
+      }
+
+      const addressType = { code: dataTypes.udt, info: { keyspace: 'ks1', name: 'address', fields: [
+        { name: 'street_name', type: { code: dataTypes.text }},
+        { name: 'zip_code', type: { code: dataTypes.int }}
+      ]}};
+
+      // A UDT that is not mapped, containing a mapped UDT
+      const contactType = { code: dataTypes.udt, info: { keyspace: 'ks1', name: 'contact', fields: [
+        { name: 'phone', type: { code: dataTypes.text }},
+        { name: 'address', type: addressType }
+      ]}};
+
+      function getInfo(options) {
+        const udtMapper = UdtMapper.parse({ address: { mappings: new AddressMappings() } });
+        return ModelMappingInfo.parse({ models: { 'Sample': options || {} } }, 'ks1', udtMapper).get('Sample');
+      }
+
+      it('should map the UDT values into model instances', () => {
+        const rs = { columns: [
+          { name: 'id', type: { code: dataTypes.int } },
+          { name: 'address', type: addressType },
+          { name: 'addresses', type: { code: dataTypes.list, info: addressType } },
+          { name: 'address_set', type: { code: dataTypes.set, info: addressType } },
+          { name: 'address_map', type: { code: dataTypes.map, info: [ { code: dataTypes.text }, addressType ] } },
+          { name: 'location', type: { code: dataTypes.tuple, info: [ { code: dataTypes.text }, addressType ] } },
+          { name: 'contact', type: contactType }
+        ]};
+
+        const info = getInfo();
+        const fn = ResultMapper.getSelectAdapter(info, rs);
+        const obj = fn({
+          id: 1,
+          address: { street_name: 'Main St', zip_code: 1 },
+          addresses: [ { street_name: 'First St', zip_code: 2 }, null ],
+          address_set: new Set([ { street_name: 'Second St', zip_code: 3 } ]),
+          address_map: new Map([ [ 'home', { street_name: 'Third St', zip_code: 4 } ] ]),
+          location: new types.Tuple('work', { street_name: 'Fourth St', zip_code: null }),
+          contact: { phone: '123', address: { street_name: 'Fifth St', zip_code: 5 } }
+        }, info);
+
+        assert.strictEqual(obj.id, 1);
+        assert.instanceOf(obj.address, Address);
+        assert.deepEqual(obj.address, { streetName: 'Main St', zipCode: 1 });
+        assert.instanceOf(obj.addresses[0], Address);
+        assert.deepEqual(obj.addresses, [ { streetName: 'First St', zipCode: 2 }, null ]);
+        assert.instanceOf(obj.address_set, Set);
+        assert.deepEqual(Array.from(obj.address_set), [ { streetName: 'Second St', zipCode: 3 } ]);
+        assert.instanceOf(obj.address_map, Map);
+        assert.instanceOf(obj.address_map.get('home'), Address);
+        assert.instanceOf(obj.location, types.Tuple);
+        assert.strictEqual(obj.location.get(0), 'work');
+        assert.deepEqual(obj.location.get(1), { streetName: 'Fourth St', zipCode: null });
+        assert.deepEqual(obj.contact, { phone: '123', address: { streetName: 'Fifth St', zipCode: 5 } });
+        assert.instanceOf(obj.contact.address, Address);
+      });
+
+      it('should invoke the mapping function of the column with the model instance', () => {
+        const rs = { columns: [ { name: 'address', type: addressType } ] };
+        const info = getInfo({ columns: { address: { name: 'street', toModel: v => v.streetName } } });
+        const fn = ResultMapper.getSelectAdapter(info, rs);
+
+        assert.deepEqual(fn({ address: { street_name: 'Main St', zip_code: 1 } }, info), { street: 'Main St' });
+      });
+
+      it('should map the UDT keys of maps in both directions', () => {
+        const udtMapper = UdtMapper.parse({ address: { mappings: new AddressMappings() } });
+        const typeKey = udtMapper.getTypeKey({ code: dataTypes.map, info: [ addressType, { code: dataTypes.int } ] });
+
+        const model = udtMapper.toModel(new Map([ [ { street_name: 'Main St', zip_code: 1 }, 10 ] ]), typeKey);
+        assert.instanceOf(model, Map);
+        const [ key, value ] = Array.from(model.entries())[0];
+        assert.instanceOf(key, Address);
+        assert.deepEqual(key, { streetName: 'Main St', zipCode: 1 });
+        assert.strictEqual(value, 10);
+
+        const row = udtMapper.fromModel(model, typeKey);
+        assert.deepEqual(Array.from(row.entries()), [ [ { street_name: 'Main St', zip_code: 1 }, 10 ] ]);
+      });
+
+      it('should match the UDT names qualified with the keyspace', () => {
+        const udtMapper = UdtMapper.parse({ 'ks2.address': { mappings: new AddressMappings() } });
+        assert.strictEqual(udtMapper.isMappedType(addressType), false);
+        assert.strictEqual(udtMapper.isMappedType({ code: dataTypes.udt, info: Object.assign({}, addressType.info, {
+          keyspace: 'ks2'
+        })}), true);
+      });
+
+      it('should validate the UDT mapping options', () => {
+        assert.isNull(UdtMapper.parse(undefined));
+        assert.isNull(UdtMapper.parse({}));
+        assert.throws(() => UdtMapper.parse('abc'), TypeError, /udts should be an object/);
+        assert.throws(() => UdtMapper.parse({ address: {} }), TypeError,
+          /mappings for UDT 'address' should be an instance of TableMappings/);
+        assert.instanceOf(UdtMapper.parse({ address: { mappings: new TableMappings() } }), UdtMapper);
+      });
+    });
   });
 });
\ No newline at end of file
@@ -55,6 +55,39 @@ describe('Result', () => {
     });
   });
 
+  describe('#nextPage()', () => {
+    it('should use the fetcher with the raw page state', async () => {
+      const pageState = Buffer.from([ 1, 2, 3 ]);
+      const nextResult = getResult();
+      let fetcherArg;
+      const result = new Result({ columns: [], rows: [], rowLength: 0, pageState: '010203', rawPageState: pageState },
+        null, () => {}, ps => {
+          fetcherArg = ps;
+          return Promise.resolve(nextResult);
+        });
+
+      assert.strictEqual(result.hasNextPage(), true);
+      assert.strictEqual(await result.nextPage(), nextResult);
+      assert.strictEqual(fetcherArg, pageState);
+    });
+
+    it('should resolve to null when there are no more pages', async () => {
+      const result = new Result({ columns: [], rows: [], rowLength: 0, pageState: null }, null, () => {},
+        () => Promise.reject(new Error('Should not be called')));
+
+      assert.strictEqual(result.hasNextPage(), false);
+      assert.strictEqual(await result.nextPage(), null);
+    });
+
+    it('should resolve to null when the result was not obtained from a paged query', async () => {
+      const result = new Result({ columns: [], rows: [], rowLength: 0, rawPageState: Buffer.from([ 1 ]) }, null,
+        () => {});
+
+      assert.strictEqual(result.hasNextPage(), false);
+      assert.strictEqual(await result.nextPage(), null);
+    });
+  });
+
   describe('[util.inspect.custom]()', () => {
     it('should provide the array representation', () => {
       const result = getResult();
@@ -601,6 +601,54 @@ describe('Metadata', function () {
       assert.lengthOf(loggedMessages
         .filter(({ level, message }) => level === 'warning' && message.indexOf('exceeded maximum') >=0), 1);
     });
+
+    it('should evict the least recently used prepared queries', function () {
+      const metadata = new Metadata(Object.assign(clientOptions.defaultOptions(), { maxPrepared: 2 }), null);
+      metadata.log = utils.noop;
+      setPrepared(metadata, 'ks1', 'query_a');
+      setPrepared(metadata, 'ks1', 'query_b');
+
+      // Use query_a, making query_b the least recently used
+      metadata.getPreparedInfo('ks1', 'query_a');
+      setPrepared(metadata, 'ks1', 'query_c');
+
+      assert.deepStrictEqual(metadata.exportPrepared().map(item => item.query), [ 'query_a', 'query_c' ]);
+      assert.strictEqual(metadata.getPreparedById(Buffer.from('query_b')), undefined);
+      assert.deepStrictEqual(metadata.getPreparedCacheStats(), { size: 2, hits: 1, misses: 3, evictions: 1 });
+    });
+  });
+
+  describe('#exportPrepared()', function () {
+    it('should return the query and keyspace of the prepared queries', function () {
+      const metadata = new Metadata(clientOptions.defaultOptions(), null);
+      setPrepared(metadata, 'ks1', 'query_a');
+      setPrepared(metadata, null, 'query_b');
+      // Not prepared yet
+      metadata.getPreparedInfo('ks1', 'query_c');
+
+      const exported = metadata.exportPrepared();
+      assert.deepStrictEqual(exported, [ { query: 'query_a', keyspace: 'ks1' }, { query: 'query_b', keyspace: null } ]);
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(exported)), exported);
+    });
+
+    it('should return an empty Array when there are no prepared queries', function () {
+      const metadata = new Metadata(clientOptions.defaultOptions(), null);
+      assert.deepStrictEqual(metadata.exportPrepared(), []);
+    });
+  });
+
+  describe('#getPreparedCacheStats()', function () {
+    it('should return the amount of hits and misses', function () {
+      const metadata = new Metadata(clientOptions.defaultOptions(), null);
+      assert.deepStrictEqual(metadata.getPreparedCacheStats(), { size: 0, hits: 0, misses: 0, evictions: 0 });
+
+      setPrepared(metadata, 'ks1', 'query_a');
+      metadata.getPreparedInfo('ks1', 'query_a');
+      metadata.getPreparedInfo('ks1', 'query_a');
+      metadata.getPreparedInfo('ks2', 'query_a');
+
+      assert.deepStrictEqual(metadata.getPreparedCacheStats(), { size: 2, hits: 2, misses: 2, evictions: 0 });
+    });
   });
 
   describe('#getUdt()', function () {
@@ -2377,6 +2425,150 @@ describe('Metadata', function () {
     });
   });
 
+  describe('#getMaterializedViewNames()', function () {
+    const viewRows = [
+      { view_name: 'view1', base_table_name: 'scores' },
+      { view_name: 'view2', base_table_name: 'users' },
+      { view_name: 'view3', base_table_name: 'scores' }
+    ];
+
+    it('should return the names of the views of the base table', async () => {
+      const cc = getControlConnectionForRows(viewRows);
+      const metadata = new Metadata(clientOptions.defaultOptions(), cc);
+      metadata.initialized = true;
+      metadata.setCassandraVersion([3, 0]);
+      metadata.keyspaces['ks_mv'] = { views: {}};
+
+      assert.deepStrictEqual(await metadata.getMaterializedViewNames('ks_mv', 'scores'), [ 'view1', 'view3' ]);
+      assert.strictEqual(cc.query.callCount, 1);
+      assert.strictEqual(cc.query.firstCall.args[0],
+        "SELECT view_name, base_table_name FROM system_schema.views WHERE keyspace_name = 'ks_mv'");
+    });
+
+    it('should cache the names of the views of the keyspace', async () => {
+      const cc = getControlConnectionForRows(viewRows);
+      const metadata = new Metadata(clientOptions.defaultOptions(), cc);
+      metadata.initialized = true;
+      metadata.setCassandraVersion([3, 0]);
+      metadata.keyspaces['ks_mv'] = { views: {}};
+
+      assert.deepStrictEqual(await metadata.getMaterializedViewNames('ks_mv', 'scores'), [ 'view1', 'view3' ]);
+      assert.deepStrictEqual(await metadata.getMaterializedViewNames('ks_mv', 'users'), [ 'view2' ]);
+      assert.deepStrictEqual(await metadata.getMaterializedViewNames('ks_mv', 'other'), []);
+      assert.strictEqual(cc.query.callCount, 1);
+
+      // The cache is removed when a table or view of the keyspace changes
+      delete metadata.keyspaces['ks_mv'].viewNames;
+      await metadata.getMaterializedViewNames('ks_mv', 'scores');
+      assert.strictEqual(cc.query.callCount, 2);
+    });
+
+    it('should not cache the names when metadata synchronization is disabled', async () => {
+      const cc = getControlConnectionForRows(viewRows);
+      const options = utils.extend({}, clientOptions.defaultOptions());
+      options.isMetadataSyncEnabled = false;
+      const metadata = new Metadata(options, cc);
+      metadata.initialized = true;
+      metadata.setCassandraVersion([3, 0]);
+
+      assert.deepStrictEqual(await metadata.getMaterializedViewNames('ks_mv', 'users'), [ 'view2' ]);
+      assert.deepStrictEqual(await metadata.getMaterializedViewNames('ks_mv', 'users'), [ 'view2' ]);
+      assert.strictEqual(cc.query.callCount, 2);
+    });
+
+    it('should return an empty array when the keyspace is not found', async () => {
+      const cc = getControlConnectionForRows(viewRows);
+      const metadata = new Metadata(clientOptions.defaultOptions(), cc);
+      metadata.initialized = true;
+      metadata.setCassandraVersion([3, 0]);
+
+      assert.deepStrictEqual(await metadata.getMaterializedViewNames('ks_mv', 'scores'), []);
+      assert.strictEqual(cc.query.callCount, 0);
+    });
+
+    it('should return an empty array when cassandra version is lower than 3.0', async () => {
+      const cc = getControlConnectionForRows([]);
+      const metadata = new Metadata(clientOptions.defaultOptions(), cc);
+      metadata.initialized = true;
+      metadata.setCassandraVersion([2, 1]);
+      metadata.keyspaces['ks_mv'] = { views: {}};
+
+      assert.deepStrictEqual(await metadata.getMaterializedViewNames('ks_mv', 'scores'), []);
+      assert.strictEqual(cc.query.callCount, 0);
+    });
+
+    it('should reject if have not connected yet', () => {
+      const metadata = new Metadata(clientOptions.defaultOptions(), null);
+      return metadata.getMaterializedViewNames('ks_mv', 'scores')
+        .catch(validateMetadataErr());
+    });
+  });
+
+  describe('#onTableChanged()', function () {
+    it('should validate the parameters', () => {
+      const metadata = newInstance();
+      assert.throws(() => metadata.onTableChanged('ks1'), errors.ArgumentError, /keyspace name and table name/);
+      assert.throws(() => metadata.onTableChanged('ks1', 'tbl1', {}), errors.ArgumentError, /should be a function/);
+    });
+
+    it('should register the listeners by table and return a function to remove it', () => {
+      const metadata = newInstance();
+      const l1 = () => {};
+      const l2 = () => {};
+      const l3 = () => {};
+      const removeL1 = metadata.onTableChanged('ks1', 'tbl1', l1);
+      metadata.onTableChanged('ks1', 'tbl1', l2);
+      metadata.onTableChanged('ks2', 'tbl1', l3);
+
+      const tableEvent = { keyspace: 'ks1', table: 'tbl1', isKeyspace: false, schemaChangeType: 'UPDATED' };
+      assert.deepEqual(metadata.getTableListeners(tableEvent), [ l1, l2 ]);
+      assert.deepEqual(metadata.getTableListeners(Object.assign({}, tableEvent, { table: 'tbl2' })), []);
+      assert.deepEqual(metadata.getTableListeners({ keyspace: 'ks1', udt: 'udt1', schemaChangeType: 'UPDATED' }), []);
+
+      // Dropping the keyspace affects all its tables
+      assert.deepEqual(metadata.getTableListeners({ keyspace: 'ks2', isKeyspace: true, schemaChangeType: 'DROPPED' }),
+        [ l3 ]);
+      assert.deepEqual(metadata.getTableListeners({ keyspace: 'ks2', isKeyspace: true, schemaChangeType: 'UPDATED' }),
+        []);
+
+      removeL1();
+      removeL1();
+      assert.deepEqual(metadata.getTableListeners(tableEvent), [ l2 ]);
+    });
+  });
+
+  describe('#getLoadedSchemaObject()', function () {
+    it('should return the metadata that is already loaded', () => {
+      const metadata = newInstance();
+      const table = new TableMetadata('tbl1');
+      table.loaded = true;
+      const udt = { name: 'udt1', fields: [] };
+      const fn = { name: 'fn1', signature: [ 'int', 'text' ] };
+      const ks1 = {
+        name: 'ks1',
+        tables: { tbl1: table, tbl2: new TableMetadata('tbl2') },
+        views: {},
+        udts: { udt1: udt, udt2: { name: 'udt2', fields: null } },
+        functions: { fn1: { values: new Map([ [ 'int,text', fn ] ]) } },
+        aggregates: {}
+      };
+      metadata.keyspaces = { ks1 };
+
+      assert.strictEqual(metadata.getLoadedSchemaObject({ keyspace: 'ks1', isKeyspace: true }), ks1);
+      assert.strictEqual(metadata.getLoadedSchemaObject({ keyspace: 'ks2', isKeyspace: true }), null);
+      assert.strictEqual(metadata.getLoadedSchemaObject({ keyspace: 'ks1', table: 'tbl1' }), table);
+      assert.strictEqual(metadata.getLoadedSchemaObject({ keyspace: 'ks1', table: 'tbl2' }), null);
+      assert.strictEqual(metadata.getLoadedSchemaObject({ keyspace: 'ks1', udt: 'udt1' }), udt);
+      assert.strictEqual(metadata.getLoadedSchemaObject({ keyspace: 'ks1', udt: 'udt2' }), null);
+      assert.strictEqual(
+        metadata.getLoadedSchemaObject({ keyspace: 'ks1', functionName: 'fn1', signature: [ 'int', 'text' ] }), fn);
+      assert.strictEqual(
+        metadata.getLoadedSchemaObject({ keyspace: 'ks1', functionName: 'fn1', signature: [ 'int' ] }), null);
+      assert.strictEqual(
+        metadata.getLoadedSchemaObject({ keyspace: 'ks1', aggregate: 'agg1', signature: [ 'int' ] }), null);
+    });
+  });
+
   describe('#buildTokens', function() {
     it('should set sorted tokens from a single host', function (done) {
       const metadata = new Metadata(clientOptions.defaultOptions(), null);
@@ -2562,6 +2754,15 @@ describe('SchemaParser', function () {
   });
 });
 
+/**
+ * Simulates a query being prepared, using the query text as query id.
+ */
+function setPrepared(metadata, keyspace, query) {
+  const info = metadata.getPreparedInfo(keyspace, query);
+  info.queryId = Buffer.from(query);
+  metadata.setPreparedById(info);
+}
+
 function getControlConnectionForTable(tableRow, columnRows, indexRows, protocolVersion = 4) {
   return getControlConnectionForResponse(q => {
     if (q.indexOf('system.schema_columnfamilies') >= 0 || q.indexOf('system_schema.tables') >= 0) {
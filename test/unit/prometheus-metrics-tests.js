@@ -0,0 +1,120 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const { assert } = require('chai');
+const { PrometheusMetrics, DefaultMetrics } = require('../../lib/metrics');
+const { ExecutionProfile } = require('../../lib/execution-profile');
+
+describe('PrometheusMetrics', function () {
+  describe('constructor', function () {
+    it('should be an instance of DefaultMetrics', function () {
+      const metrics = new PrometheusMetrics();
+      assert.instanceOf(metrics, DefaultMetrics);
+    });
+  });
+
+  describe('#getOpenMetrics()', function () {
+    it('should render the counters for each error and retry type', function () {
+      const metrics = new PrometheusMetrics();
+      const err = new Error('Test');
+      metrics.onReadTimeoutError(err);
+      metrics.onReadTimeoutError(err);
+      metrics.onClientTimeoutError(err);
+      metrics.onUnavailableRetry(err);
+      metrics.onIgnoreError(err);
+      metrics.onSpeculativeExecution();
+
+      const lines = metrics.getOpenMetrics().split('\n');
+
+      assert.include(lines, '# TYPE cassandra_driver_errors counter');
+      assert.include(lines, 'cassandra_driver_errors_total{type="read_timeout"} 2');
+      assert.include(lines, 'cassandra_driver_errors_total{type="client_timeout"} 1');
+      assert.include(lines, 'cassandra_driver_errors_total{type="write_timeout"} 0');
+      assert.include(lines, 'cassandra_driver_retries_total{type="unavailable"} 1');
+      assert.include(lines, 'cassandra_driver_ignored_errors_total 1');
+      assert.include(lines, 'cassandra_driver_speculative_executions_total 1');
+    });
+
+    it('should render the latency histograms per host and execution profile', function () {
+      const metrics = new PrometheusMetrics({ buckets: [ 0.1, 0.01 ] });
+      const host1 = getHost('10.0.0.1:9042', 2, 1);
+      const host2 = getHost('10.0.0.2:9042', 0, 1);
+      const profile = new ExecutionProfile('olap');
+
+      metrics.onSuccessfulResponse([ 0, 5000000 ], host1, getExecOptions());
+      metrics.onSuccessfulResponse([ 0, 50000000 ], host1, getExecOptions());
+      metrics.onSuccessfulResponse([ 1, 0 ], host2, getExecOptions(profile));
+
+      const lines = metrics.getOpenMetrics().split('\n');
+      const name = 'cassandra_driver_request_latency_seconds';
+
+      assert.include(lines, `# TYPE ${name} histogram`);
+      assert.include(lines, `# UNIT ${name} seconds`);
+      assert.include(lines, `${name}_bucket{host="10.0.0.1:9042",profile="default",le="0.01"} 1`);
+      assert.include(lines, `${name}_bucket{host="10.0.0.1:9042",profile="default",le="0.1"} 2`);
+      assert.include(lines, `${name}_bucket{host="10.0.0.1:9042",profile="default",le="+Inf"} 2`);
+      assert.include(lines, `${name}_count{host="10.0.0.1:9042",profile="default"} 2`);
+      assert.include(lines, `${name}_sum{host="10.0.0.1:9042",profile="default"} 0.055`);
+      assert.include(lines, `${name}_bucket{host="10.0.0.2:9042",profile="olap",le="0.1"} 0`);
+      assert.include(lines, `${name}_bucket{host="10.0.0.2:9042",profile="olap",le="+Inf"} 1`);
+      assert.include(lines, `${name}_sum{host="10.0.0.2:9042",profile="olap"} 1`);
+
+      assert.include(lines, 'cassandra_driver_in_flight_requests{host="10.0.0.1:9042"} 2');
+      assert.include(lines, 'cassandra_driver_in_flight_requests{host="10.0.0.2:9042"} 0');
+      assert.include(lines, 'cassandra_driver_open_connections{host="10.0.0.1:9042"} 1');
+    });
+
+    it('should count the responses', function () {
+      const metrics = new PrometheusMetrics({ prefix: 'app' });
+      metrics.onResponse([ 0, 1000 ]);
+      metrics.onResponse([ 0, 1000 ]);
+
+      assert.include(metrics.getOpenMetrics().split('\n'), 'app_responses_total 2');
+    });
+
+    it('should count the throttled and rejected requests', function () {
+      const metrics = new PrometheusMetrics();
+      metrics.onThrottledRequest([ 0, 1000 ]);
+      metrics.onRejectedRequest(new Error('Test'));
+      metrics.onRejectedRequest(new Error('Test'));
+
+      const lines = metrics.getOpenMetrics().split('\n');
+      assert.include(lines, 'cassandra_driver_throttled_requests_total 1');
+      assert.include(lines, 'cassandra_driver_rejected_requests_total 2');
+    });
+
+    it('should escape the label values', function () {
+      const metrics = new PrometheusMetrics();
+      metrics.onSuccessfulResponse([ 0, 1 ], getHost('a"b\\c', 0, 0), getExecOptions(new ExecutionProfile('x\ny')));
+
+      assert.include(metrics.getOpenMetrics(), 'host="a\\"b\\\\c",profile="x\\ny"');
+    });
+
+    it('should end with the EOF marker', function () {
+      const text = new PrometheusMetrics().getOpenMetrics();
+      assert.match(text, /\n# EOF\n$/);
+    });
+  });
+});
+
+function getHost(address, inFlight, connections) {
+  return { address, getInFlight: () => inFlight, pool: { connections: new Array(connections) } };
+}
+
+function getExecOptions(profile) {
+  return { getProfile: () => profile || new ExecutionProfile('default') };
+}
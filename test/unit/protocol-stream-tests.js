@@ -17,8 +17,12 @@
 const assert = require('assert');
 
 const Protocol = require('../../lib/streams').Protocol;
+const SegmentCodec = require('../../lib/segment-codec');
 const types = require('../../lib/types');
 const utils = require('../../lib/utils');
+const errors = require('../../lib/errors');
+const helper = require('../test-helper');
+const { compressBody } = require('../../lib/compression/frame-compression');
 
 describe('Protocol', function () {
   it('should emit a single frame with 0-length body', function (done) {
@@ -139,19 +143,179 @@ describe('Protocol', function () {
       done();
     });
   });
+
+  context('with protocol v5', function () {
+    const v5 = types.protocolVersion.v5;
+    const codec = new SegmentCodec();
+
+    it('should decode the frames wrapped into segments after the READY response', function (done) {
+      const p = newInstance();
+      const items = [];
+      p.on('readable', function () {
+        let item;
+        while ((item = p.read())) {
+          items.push(item);
+        }
+      });
+      const bodyLengths = [ 0, 10, 0, 20, 30, 0];
+      const ready = new types.FrameHeader(v5, 0, 100, types.opcodes.ready, 0).toBuffer();
+      const segment = codec.encodeFrames(generateFrames(v5, bodyLengths))[0];
+      const buffer = Buffer.concat([ ready, segment ]);
+      // Use small chunks
+      for (let i = 0; i < buffer.length; i += 7) {
+        p.readItems(buffer.slice(i, i + 7));
+      }
+      process.nextTick(() => {
+        assert.strictEqual(items.length, bodyLengths.length + 1);
+        assert.strictEqual(items[0].header.opcode, types.opcodes.ready);
+        bodyLengths.forEach(function (length, index) {
+          assert.strictEqual(items[index + 1].header.streamId, index);
+          assert.strictEqual(items[index + 1].header.bodyLength, length);
+          assert.strictEqual(items[index + 1].frameEnded, true);
+        });
+        done();
+      });
+    });
+
+    it('should decode frames split across multiple segments', function (done) {
+      const p = newInstance();
+      const items = [];
+      p.on('readable', function () {
+        let item;
+        while ((item = p.read())) {
+          items.push(item);
+        }
+      });
+      const bodyLength = SegmentCodec.maxPayloadLength * 2 + 100;
+      const ready = new types.FrameHeader(v5, 0, 100, types.opcodes.ready, 0).toBuffer();
+      const segments = codec.encodeFrames(generateFrames(v5, [ bodyLength, 10 ]));
+      assert.strictEqual(segments.length, 4);
+      p.readItems(ready);
+      segments.forEach(s => p.readItems(s));
+      process.nextTick(() => {
+        const frameItems = items.filter(item => item.header.streamId === 0);
+        assert.strictEqual(frameItems.length, 3);
+        assert.strictEqual(frameItems[2].frameEnded, true);
+        const sumLength = frameItems.reduce((length, item) => length + item.chunk.length - item.offset, 0);
+        assert.strictEqual(sumLength, bodyLength);
+        const lastItem = items[items.length - 1];
+        assert.strictEqual(lastItem.header.streamId, 1);
+        assert.strictEqual(lastItem.header.bodyLength, 10);
+        done();
+      });
+    });
+
+    it('should not use segments before the READY or AUTHENTICATE responses', function (done) {
+      const p = newInstance();
+      const items = [];
+      p.on('readable', function () {
+        let item;
+        while ((item = p.read())) {
+          items.push(item);
+        }
+      });
+      p.readItems(generateBuffer(v5, [ 10, 20 ]));
+      process.nextTick(() => {
+        assert.strictEqual(p.segmentCodec, null);
+        assert.strictEqual(items.length, 2);
+        done();
+      });
+    });
+
+    it('should decompress the segments when compression is enabled', function (done) {
+      const compressor = helper.getDeflateCompressor();
+      const compressedCodec = new SegmentCodec(compressor);
+      const p = newInstance();
+      p.compressor = compressor;
+      const items = [];
+      p.on('readable', function () {
+        let item;
+        while ((item = p.read())) {
+          items.push(item);
+        }
+      });
+      const ready = new types.FrameHeader(v5, 0, 100, types.opcodes.ready, 0).toBuffer();
+      const segment = compressedCodec.encodeFrames(generateFrames(v5, [ 1000, 2000 ]))[0];
+      assert.ok(compressedCodec.decodeHeader(segment, 0).uncompressedLength > 0);
+      p.readItems(Buffer.concat([ ready, segment ]));
+      process.nextTick(() => {
+        assert.deepEqual(items.map(item => item.header.bodyLength), [ 0, 1000, 2000 ]);
+        done();
+      });
+    });
+
+    it('should throw an error when the segment checksum does not match', function () {
+      const p = newInstance();
+      const segment = codec.encodeFrames(generateFrames(v5, [ 10 ]))[0];
+      // Alter the last byte of the payload
+      segment[segment.length - 5]++;
+      p.readItems(new types.FrameHeader(v5, 0, 100, types.opcodes.ready, 0).toBuffer());
+      assert.throws(() => p.readItems(segment), errors.DriverInternalError, /CRC mismatch/);
+    });
+  });
+
+  context('with compression', function () {
+    it('should emit compressed frames with the decompressed body', function (done) {
+      const compressor = helper.getDeflateCompressor();
+      const p = newInstance();
+      p.compressor = compressor;
+      const items = [];
+      p.on('readable', function () {
+        let item;
+        while ((item = p.read())) {
+          items.push(item);
+        }
+      });
+      const bodies = [ Buffer.from('abc'.repeat(100)), Buffer.from('hello') ];
+      const buffer = Buffer.concat(bodies.map((body, index) => {
+        const compressed = compressBody(compressor, body);
+        const header = new types.FrameHeader(4, types.frameFlags.compression, index, 0, compressed.length);
+        return Buffer.concat([ header.toBuffer(), compressed ]);
+      }));
+      // Use small chunks
+      for (let i = 0; i < buffer.length; i += 5) {
+        p.readItems(buffer.slice(i, i + 5));
+      }
+      process.nextTick(() => {
+        assert.strictEqual(items.length, 2);
+        items.forEach((item, index) => {
+          assert.strictEqual(item.frameEnded, true);
+          assert.strictEqual(item.header.flags & types.frameFlags.compression, 0);
+          assert.strictEqual(item.header.bodyLength, bodies[index].length);
+          assert.deepEqual(item.chunk.slice(item.offset), bodies[index]);
+        });
+        done();
+      });
+    });
+
+    it('should throw an error when compression is not enabled', function () {
+      const p = newInstance();
+      const header = new types.FrameHeader(4, types.frameFlags.compression, 0, 0, 1);
+      assert.throws(() => p.readItems(Buffer.concat([ header.toBuffer(), utils.allocBuffer(1) ])),
+        errors.DriverInternalError, /compression is not enabled/);
+    });
+  });
 });
 
 /**
  * @param {Number} version
  * @param {Array.<Number>} frameBodyLengths
- * @returns {Buffer}
+ * @returns {Array.<Buffer>}
  */
-function generateBuffer(version, frameBodyLengths) {
-  const buffers = frameBodyLengths.map(function (bodyLength, index) {
+function generateFrames(version, frameBodyLengths) {
+  return frameBodyLengths.map(function (bodyLength, index) {
     const header = new types.FrameHeader(version, 0, index, 0, bodyLength);
     return Buffer.concat([ header.toBuffer(), utils.allocBuffer(bodyLength) ]);
   });
-  return Buffer.concat(buffers);
+}
+
+/**
+ * @param {Number} version
+ * @param {Array.<Number>} frameBodyLengths
+ * @returns {Buffer}
+ */
+function generateBuffer(version, frameBodyLengths) {
+  return Buffer.concat(generateFrames(version, frameBodyLengths));
 }
 
 /** @returns {Protocol} */
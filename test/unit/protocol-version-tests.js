@@ -50,6 +50,32 @@ describe('protocolVersion', function () {
     it('should not downgrade with dse versions 5.1 & 4.6', testWithHosts([['3.11.0', '5.1.5'], ['2.0.17', '4.6.14']], protocolVersion.dseV1));
     // since connection uses protocol v4, we should stick with v4 even if highest common is a dse protocol version.
     it('should use connection protocol version even if highest common is a dse protocol version', testWithHosts([['3.11.0', '5.1.5']], 4, 4));
+    // Cassandra 4.0+ supports protocol v5
+    it('should use protocol v5 with versions 4.0', testWithHosts(['4.0.0', '4.0.1'], 5));
+    it('should downgrade to protocol v4 with versions 4.0 & 3.11', testWithHosts(['4.0.0', '3.11.10'], 4));
+    it('should use connection protocol version when lower than v5 with versions 4.0', testWithHosts(['4.0.0'], 4, 4));
+  });
+
+  describe('#getLowerSupported()', function () {
+    it('should downgrade from protocol v5 to v4', function () {
+      assert.strictEqual(protocolVersion.getLowerSupported(protocolVersion.v5), protocolVersion.v4);
+    });
+
+    it('should downgrade from beta protocol versions to v5', function () {
+      assert.strictEqual(protocolVersion.getLowerSupported(protocolVersion.v6), protocolVersion.v5);
+    });
+
+    it('should downgrade from DSE protocol versions to v4', function () {
+      assert.strictEqual(protocolVersion.getLowerSupported(protocolVersion.dseV1), protocolVersion.v4);
+      assert.strictEqual(protocolVersion.getLowerSupported(protocolVersion.dseV2), protocolVersion.v4);
+    });
+  });
+
+  describe('#isSupported()', function () {
+    it('should support protocol v5', function () {
+      assert.strictEqual(protocolVersion.isSupported(protocolVersion.v5), true);
+      assert.strictEqual(protocolVersion.isSupported(protocolVersion.v6), false);
+    });
   });
 });
 
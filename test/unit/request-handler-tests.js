@@ -16,6 +16,8 @@
 'use strict';
 const assert = require('assert');
 const util = require('util');
+const sinon = require('sinon');
+/* global AbortController */
 
 const RequestHandler = require('../../lib/request-handler');
 const requests = require('../../lib/requests');
@@ -34,6 +36,8 @@ const execOptionsModule = require('../../lib/execution-options');
 const DefaultExecutionOptions = execOptionsModule.DefaultExecutionOptions;
 const ExecutionOptions = execOptionsModule.ExecutionOptions;
 const ClientMetrics = require('../../lib/metrics/client-metrics');
+const RequestTracker = require('../../lib/tracker/request-tracker');
+const { ConcurrencyLimitingThrottler } = require('../../lib/throttling');
 
 describe('RequestHandler', function () {
   const queryRequest = new requests.QueryRequest('QUERY1');
@@ -466,6 +470,269 @@ describe('RequestHandler', function () {
         assert.strictEqual(hosts[2].sendStreamCalled, 1);
       });
     });
+
+    context('with requestTracker', function () {
+      it('should invoke the request and attempt hooks including the retry decision', async () => {
+        const lbp = helper.getLoadBalancingPolicyFake([ {}, {} ], undefined, function sendStreamCb(r, h, cb) {
+          if (h.address === '0') {
+            return cb(new errors.ResponseError(types.responseErrorCodes.writeTimeout, 'Test error'));
+          }
+          cb(null, {});
+        });
+
+        const client = newClient(null, lbp);
+        const tracker = new TestTracker();
+        client.options.requestTracker = tracker;
+        const handler = newInstance(queryRequest, client, lbp, new TestRetryPolicy(), true);
+        const result = await handler.send();
+
+        assert.deepStrictEqual(tracker.events.map(e => e.name),
+          [ 'requestStart', 'attemptStart', 'attemptEnd', 'attemptStart', 'attemptEnd', 'requestEnd' ]);
+
+        const request = tracker.events[0].info;
+        assert.strictEqual(request.query, queryRequest.query);
+        assert.strictEqual(request.executionOptions, handler.executionOptions);
+
+        const attempt1 = tracker.events[1].info;
+        assert.strictEqual(attempt1.request, request);
+        assert.strictEqual(attempt1.host.address, '0');
+        assert.strictEqual(attempt1.attemptNumber, 1);
+        assert.strictEqual(attempt1.isSpeculative, false);
+        assert.strictEqual(attempt1.retryCount, 0);
+        assert.strictEqual(attempt1.retryDecision, retry.RetryPolicy.retryDecision.retry);
+        assert.strictEqual(tracker.events[2].info, attempt1);
+        helper.assertInstanceOf(tracker.events[2].err, errors.ResponseError);
+
+        const attempt2 = tracker.events[3].info;
+        assert.strictEqual(attempt2.host.address, '1');
+        assert.strictEqual(attempt2.attemptNumber, 2);
+        assert.strictEqual(attempt2.retryCount, 1);
+        assert.strictEqual(attempt2.retryDecision, null);
+        assert.strictEqual(attempt2.cancelled, false);
+        assert.strictEqual(tracker.events[4].err, null);
+
+        assert.strictEqual(tracker.events[5].info, request);
+        assert.strictEqual(tracker.events[5].err, null);
+        assert.strictEqual(tracker.events[5].result, result);
+      });
+
+      it('should mark the attempts of speculative executions and the cancelled attempts', async () => {
+        const lbp = helper.getLoadBalancingPolicyFake([ {}, {} ], undefined, function sendStreamCb(r, h, cb) {
+          const op = new OperationState(r, null, cb);
+          if (h.address === '1') {
+            setImmediate(() => op.setResult(null, {}));
+          }
+          // The first host never responds
+          return op;
+        });
+
+        const client = newClient(null, lbp);
+        const tracker = new TestTracker();
+        client.options.requestTracker = tracker;
+        client.options.policies.speculativeExecution =
+          new speculativeExecution.ConstantSpeculativeExecutionPolicy(20, 1);
+        const handler = newInstance(queryRequest, client, lbp, null, true);
+        await handler.send();
+
+        assert.deepStrictEqual(tracker.events.map(e => e.name),
+          [ 'requestStart', 'attemptStart', 'attemptStart', 'attemptEnd', 'attemptEnd', 'requestEnd' ]);
+
+        const attempt1 = tracker.events[1].info;
+        const attempt2 = tracker.events[2].info;
+        assert.strictEqual(attempt1.isSpeculative, false);
+        assert.strictEqual(attempt2.isSpeculative, true);
+        assert.strictEqual(attempt2.attemptNumber, 2);
+        assert.strictEqual(tracker.events[3].info, attempt2);
+        assert.strictEqual(attempt2.cancelled, false);
+        assert.strictEqual(tracker.events[4].info, attempt1);
+        assert.strictEqual(attempt1.cancelled, true);
+      });
+
+      it('should invoke onRequestEnd with the error when the request fails', async () => {
+        const lbp = helper.getLoadBalancingPolicyFake([ {}, {} ], undefined, function sendStreamCb(r, h, cb) {
+          cb(new errors.ResponseError(types.responseErrorCodes.syntaxError, 'Test error'));
+        });
+
+        const client = newClient(null, lbp);
+        const tracker = new TestTracker();
+        client.options.requestTracker = tracker;
+        const handler = newInstance(queryRequest, client, lbp, null, true);
+        const err = await helper.assertThrowsAsync(handler.send(), errors.ResponseError);
+
+        assert.deepStrictEqual(tracker.events.map(e => e.name),
+          [ 'requestStart', 'attemptStart', 'attemptEnd', 'requestEnd' ]);
+        assert.strictEqual(tracker.events[1].info.retryDecision, retry.RetryPolicy.retryDecision.rethrow);
+        assert.strictEqual(tracker.events[3].err, err);
+      });
+    });
+
+    context('with abortSignal', function () {
+      it('should reject with AbortError when the signal is already aborted', async () => {
+        const lbp = helper.getLoadBalancingPolicyFake([ {}, {} ]);
+        const controller = new AbortController();
+        controller.abort('test reason');
+        const handler = newInstance(queryRequest, null, lbp, null, null, null, controller.signal);
+
+        const err = await helper.assertThrowsAsync(handler.send(), errors.AbortError);
+        assert.strictEqual(err.reason, 'test reason');
+        const hosts = lbp.getFixedQueryPlan();
+        assert.strictEqual(hosts[0].sendStreamCalled, 0);
+      });
+
+      it('should reject with AbortError and cancel the operation when the signal is aborted', async () => {
+        const operations = [];
+        const lbp = helper.getLoadBalancingPolicyFake([ {}, {} ], undefined, function sendStreamCb(r, h, cb) {
+          // Never completes
+          const op = new OperationState(r, null, cb);
+          operations.push(op);
+          return op;
+        });
+        const controller = new AbortController();
+        const handler = newInstance(queryRequest, null, lbp, null, null, null, controller.signal);
+        const promise = handler.send();
+
+        await helper.delayAsync(10);
+        controller.abort();
+
+        await helper.assertThrowsAsync(promise, errors.AbortError);
+        assert.strictEqual(operations.length, 1);
+        assert.strictEqual(operations[0].canBeWritten(), false);
+      });
+
+      it('should not start speculative executions once aborted', async () => {
+        const lbp = helper.getLoadBalancingPolicyFake([ {}, {}, {} ], undefined, function sendStreamCb(r, h, cb) {
+          return new OperationState(r, null, cb);
+        });
+        const client = newClient(null, lbp);
+        client.options.policies.speculativeExecution =
+          new speculativeExecution.ConstantSpeculativeExecutionPolicy(20, 2);
+        const controller = new AbortController();
+        const handler = newInstance(queryRequest, client, lbp, null, true, null, controller.signal);
+        const promise = handler.send();
+
+        await helper.delayAsync(5);
+        controller.abort();
+        await helper.assertThrowsAsync(promise, errors.AbortError);
+        await helper.delayAsync(40);
+
+        const hosts = lbp.getFixedQueryPlan();
+        assert.strictEqual(hosts[0].sendStreamCalled, 1);
+        assert.strictEqual(hosts[1].sendStreamCalled, 0);
+        assert.strictEqual(hosts[2].sendStreamCalled, 0);
+      });
+
+      it('should remove the abort listener once completed', async () => {
+        const lbp = helper.getLoadBalancingPolicyFake([ {}, {} ]);
+        const controller = new AbortController();
+        const signal = controller.signal;
+        sinon.spy(signal, 'addEventListener');
+        sinon.spy(signal, 'removeEventListener');
+        const handler = newInstance(queryRequest, null, lbp, null, null, null, signal);
+
+        const result = await handler.send();
+        helper.assertInstanceOf(result, types.ResultSet);
+        assert.strictEqual(signal.addEventListener.callCount, 1);
+        assert.strictEqual(signal.removeEventListener.callCount, 1);
+        assert.strictEqual(signal.removeEventListener.firstCall.args[1], signal.addEventListener.firstCall.args[1]);
+      });
+    });
+
+    context('with requestThrottler', function () {
+      function newThrottledClient(lbp, throttler) {
+        const client = newClient(null, lbp);
+        client.options.requestThrottler = throttler;
+        client.metrics = new ClientMetrics();
+        sinon.spy(client.metrics, 'onThrottledRequest');
+        sinon.spy(client.metrics, 'onRejectedRequest');
+        return client;
+      }
+
+      function getNeverEndingLbp(operations) {
+        return helper.getLoadBalancingPolicyFake([ {} ], undefined, function sendStreamCb(r, h, cb) {
+          const op = new OperationState(r, null, cb);
+          operations.push(op);
+          return op;
+        });
+      }
+
+      it('should wait for the previous requests to complete before sending', async () => {
+        const operations = [];
+        const lbp = getNeverEndingLbp(operations);
+        const throttler = new ConcurrencyLimitingThrottler({ maxConcurrentRequests: 1 });
+        const client = newThrottledClient(lbp, throttler);
+
+        const promise1 = newInstance(queryRequest, client, lbp).send();
+        const promise2 = newInstance(queryRequest, client, lbp).send();
+
+        await helper.delayAsync(5);
+        assert.strictEqual(operations.length, 1);
+        assert.strictEqual(throttler.getQueueSize(), 1);
+
+        operations[0].setResult(null, {});
+        await promise1;
+        await helper.delayAsync(5);
+        assert.strictEqual(operations.length, 2);
+        assert.strictEqual(client.metrics.onThrottledRequest.callCount, 1);
+
+        operations[1].setResult(null, {});
+        await promise2;
+        assert.strictEqual(throttler.concurrentRequests, 0);
+      });
+
+      it('should reject the request when the throttler rejects it', async () => {
+        const operations = [];
+        const lbp = getNeverEndingLbp(operations);
+        const throttler = new ConcurrencyLimitingThrottler({ maxConcurrentRequests: 1, maxQueueSize: 0 });
+        const client = newThrottledClient(lbp, throttler);
+
+        const promise1 = newInstance(queryRequest, client, lbp).send();
+        const err = await helper.assertThrowsAsync(newInstance(queryRequest, client, lbp).send(),
+          errors.RequestThrottlingError);
+
+        assert.strictEqual(client.metrics.onRejectedRequest.callCount, 1);
+        assert.strictEqual(client.metrics.onRejectedRequest.firstCall.args[0], err);
+
+        await helper.delayAsync(5);
+        operations[0].setResult(null, {});
+        await promise1;
+        assert.strictEqual(operations.length, 1);
+        assert.strictEqual(throttler.concurrentRequests, 0);
+      });
+
+      it('should signal the throttler when the request fails', async () => {
+        const lbp = helper.getLoadBalancingPolicyFake([ {} ], undefined, function sendStreamCb(r, h, cb) {
+          cb(new errors.ResponseError(types.responseErrorCodes.syntaxError, 'Test error'));
+        });
+        const throttler = new ConcurrencyLimitingThrottler({ maxConcurrentRequests: 1 });
+        const client = newThrottledClient(lbp, throttler);
+
+        await helper.assertThrowsAsync(newInstance(queryRequest, client, lbp).send(), errors.ResponseError);
+        assert.strictEqual(throttler.concurrentRequests, 0);
+      });
+
+      it('should remove the request from the queue when it is aborted while waiting', async () => {
+        const operations = [];
+        const lbp = getNeverEndingLbp(operations);
+        const throttler = new ConcurrencyLimitingThrottler({ maxConcurrentRequests: 1 });
+        const client = newThrottledClient(lbp, throttler);
+        const controller = new AbortController();
+
+        const promise1 = newInstance(queryRequest, client, lbp).send();
+        const promise2 = newInstance(queryRequest, client, lbp, null, null, null, controller.signal).send();
+
+        await helper.delayAsync(5);
+        assert.strictEqual(throttler.getQueueSize(), 1);
+        controller.abort();
+        await helper.assertThrowsAsync(promise2, errors.AbortError);
+        assert.strictEqual(throttler.getQueueSize(), 0);
+
+        operations[0].setResult(null, {});
+        await promise1;
+        await helper.delayAsync(5);
+        assert.strictEqual(operations.length, 1);
+        assert.strictEqual(throttler.concurrentRequests, 0);
+      });
+    });
   });
 });
 
@@ -476,12 +743,14 @@ describe('RequestHandler', function () {
  * @param {RetryPolicy} [retry]
  * @param {Boolean} [isIdempotent]
  * @param {Host} [host]
+ * @param {AbortSignal} [abortSignal]
  * @returns {RequestHandler}
  */
-function newInstance(request, client, lbp, retry, isIdempotent, host) {
+function newInstance(request, client, lbp, retry, isIdempotent, host, abortSignal) {
   client = client || newClient(null, lbp);
   const options = {
-    executionProfile: new ExecutionProfile('abc', { loadBalancing: lbp }), retry: retry, isIdempotent: isIdempotent, host: host
+    executionProfile: new ExecutionProfile('abc', { loadBalancing: lbp }), retry: retry, isIdempotent: isIdempotent, host: host,
+    abortSignal
   };
   const execOptions = new DefaultExecutionOptions(options, client);
 
@@ -500,6 +769,29 @@ function newClient(metadata, lbp) {
   };
 }
 
+class TestTracker extends RequestTracker {
+  constructor() {
+    super();
+    this.events = [];
+  }
+
+  onRequestStart(info) {
+    this.events.push({ name: 'requestStart', info });
+  }
+
+  onRequestEnd(info, err, result) {
+    this.events.push({ name: 'requestEnd', info, err, result });
+  }
+
+  onAttemptStart(info) {
+    this.events.push({ name: 'attemptStart', info });
+  }
+
+  onAttemptEnd(info, err) {
+    this.events.push({ name: 'attemptEnd', info, err });
+  }
+}
+
 /** @extends RetryPolicy */
 function TestRetryPolicy(retryOnRequestError, retryOnUnavailable, retryOnReadTimeout, retryOnWriteTimeout) {
   this._retryOnRequestError = ifUndefined(retryOnRequestError, true);
@@ -281,6 +281,25 @@ describe('Startup', function() {
       const request = new StartupRequest({ clientId, applicationName, applicationVersion });
       assert.deepEqual(request.write(encoder, 0), expected);
     });
+
+    it('should include the compression algorithm', () => {
+      const compressionBuffer = Buffer.concat([ getStringBuffer('COMPRESSION'), getStringBuffer('lz4') ]);
+
+      const expected = Buffer.concat([
+        utils.allocBufferFromArray([
+          types.protocolVersion.maxSupported, // protocol version
+          0, 0, 0, 1, // flags + stream id + opcode (1 = startup)
+          0, 0, 0, cqlVersionLength + driverNameAndVersionBuffer.length + compressionBuffer.length, // length
+          0, 4, // map size
+        ]),
+        getStringBuffer(startupOptions.cqlVersionKey),
+        getStringBuffer(startupOptions.cqlVersionValue),
+        driverNameAndVersionBuffer,
+        compressionBuffer
+      ]);
+
+      assert.deepEqual(new StartupRequest({ compression: 'lz4' }).write(encoder, 0), expected);
+    });
   });
 });
 
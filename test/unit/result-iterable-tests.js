@@ -0,0 +1,64 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const utils = require('../../lib/utils');
+const types = require('../../lib/types');
+const errors = require('../../lib/errors');
+const helper = require('../test-helper');
+const { ResultIterable, ResultSet } = types;
+
+describe('ResultIterable', function () {
+  describe('#[@@asyncIterator]()', function () {
+    it('should skip empty pages that contain a page state', async () => {
+      const fetchPage = sinon.spy(pageState => {
+        if (pageState === null) {
+          return Promise.resolve(new ResultSet({ rows: [], meta: { pageState: utils.allocBufferFromArray([ 1 ]) } }));
+        }
+        return Promise.resolve(new ResultSet({ rows: [ 'a' ] }));
+      });
+
+      const iterable = new ResultIterable(fetchPage);
+      const rows = await helper.asyncIteratorToArray(iterable);
+
+      assert.deepEqual(rows, [ 'a' ]);
+      assert.strictEqual(fetchPage.callCount, 2);
+      assert.strictEqual(iterable.pagesFetched, 2);
+    });
+
+    it('should complete when the first page is empty', async () => {
+      const iterator = new ResultIterable(() => Promise.resolve(new ResultSet({})))[Symbol.asyncIterator]();
+      assert.deepEqual(await iterator.next(), { done: true });
+      assert.deepEqual(await iterator.next(), { done: true });
+    });
+
+    it('should not yield the rows of a page retrieved after the iteration was stopped', async () => {
+      const iterable = new ResultIterable(() => Promise.resolve(new ResultSet({ rows: [ 'a' ] })));
+      const iterator = iterable[Symbol.asyncIterator]();
+      const promise = iterator.next();
+      await iterator.return();
+      assert.deepEqual(await promise, { done: true });
+    });
+
+    it('should throw when iterated more than once', () => {
+      const iterable = new ResultIterable(() => Promise.resolve(new ResultSet({})));
+      iterable[Symbol.asyncIterator]();
+      assert.throws(() => iterable[Symbol.asyncIterator](), errors.DriverError, /only be iterated once/);
+    });
+  });
+});
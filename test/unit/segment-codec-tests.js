@@ -0,0 +1,149 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const { assert } = require('chai');
+const SegmentCodec = require('../../lib/segment-codec');
+const errors = require('../../lib/errors');
+const crc = require('../../lib/crc');
+const utils = require('../../lib/utils');
+const helper = require('../test-helper');
+
+describe('crc', function () {
+  describe('crc32()', function () {
+    it('should compute the checksum including the protocol initial bytes', function () {
+      // Standard CRC32 of [0xfa, 0x2d, 0x55, 0xca, 'a', 'b', 'c']
+      assert.strictEqual(crc.crc32(Buffer.from('abc')), 0xc5367a08);
+      assert.strictEqual(crc.crc32(Buffer.from('zabcz'), 1, 3), 0xc5367a08);
+    });
+  });
+
+  describe('crc24()', function () {
+    it('should compute a 24-bit checksum', function () {
+      const value = crc.crc24(Buffer.from([ 1, 2, 3 ]), 0, 3);
+      assert.isAtMost(value, 0xffffff);
+      assert.notStrictEqual(value, crc.crc24(Buffer.from([ 1, 2, 4 ]), 0, 3));
+    });
+  });
+});
+
+describe('SegmentCodec', function () {
+  const codec = new SegmentCodec();
+
+  describe('#encode()', function () {
+    it('should encode the header, payload and checksums', function () {
+      const payload = Buffer.from('Hello world');
+      const segment = codec.encode(payload, true);
+      assert.strictEqual(segment.length, codec.headerLength + payload.length + 4);
+      const header = codec.decodeHeader(segment, 0);
+      assert.strictEqual(header.payloadLength, payload.length);
+      assert.strictEqual(header.isSelfContained, true);
+      assert.deepEqual(codec.decodePayload(segment, codec.headerLength, header), payload);
+    });
+
+    it('should not allow payloads larger than the maximum length', function () {
+      assert.throws(() => codec.encode(utils.allocBuffer(SegmentCodec.maxPayloadLength + 1), false),
+        errors.DriverInternalError);
+    });
+  });
+
+  describe('#encodeFrames()', function () {
+    it('should group the frames into a self-contained segment', function () {
+      const frames = [ utils.allocBuffer(10), utils.allocBuffer(20), utils.allocBuffer(30) ];
+      const segments = codec.encodeFrames(frames);
+      assert.lengthOf(segments, 1);
+      const header = codec.decodeHeader(segments[0], 0);
+      assert.strictEqual(header.payloadLength, 60);
+      assert.strictEqual(header.isSelfContained, true);
+    });
+
+    it('should create multiple segments when the payload length limit is reached', function () {
+      const frameLength = Math.floor(SegmentCodec.maxPayloadLength / 2);
+      const frames = [ utils.allocBuffer(frameLength), utils.allocBuffer(frameLength), utils.allocBuffer(frameLength) ];
+      const segments = codec.encodeFrames(frames);
+      assert.lengthOf(segments, 2);
+      assert.deepEqual(segments.map(s => codec.decodeHeader(s, 0)), [
+        { payloadLength: frameLength * 2, uncompressedLength: 0, isSelfContained: true },
+        { payloadLength: frameLength, uncompressedLength: 0, isSelfContained: true }
+      ]);
+    });
+
+    it('should split large frames into segments that are not self-contained', function () {
+      const largeFrame = utils.allocBuffer(SegmentCodec.maxPayloadLength + 10);
+      const segments = codec.encodeFrames([ utils.allocBuffer(5), largeFrame, utils.allocBuffer(7) ]);
+      assert.deepEqual(segments.map(s => codec.decodeHeader(s, 0)), [
+        { payloadLength: 5, uncompressedLength: 0, isSelfContained: true },
+        { payloadLength: SegmentCodec.maxPayloadLength, uncompressedLength: 0, isSelfContained: false },
+        { payloadLength: 10, uncompressedLength: 0, isSelfContained: false },
+        { payloadLength: 7, uncompressedLength: 0, isSelfContained: true }
+      ]);
+    });
+  });
+
+  describe('#decodeHeader()', function () {
+    it('should throw when the header checksum does not match', function () {
+      const segment = codec.encode(Buffer.from('abc'), true);
+      segment[0]++;
+      assert.throws(() => codec.decodeHeader(segment, 0), errors.DriverInternalError, /CRC mismatch/);
+    });
+  });
+
+  describe('#decodePayload()', function () {
+    it('should throw when the payload checksum does not match', function () {
+      const segment = codec.encode(Buffer.from('abc'), true);
+      const header = codec.decodeHeader(segment, 0);
+      segment[codec.headerLength]++;
+      assert.throws(() => codec.decodePayload(segment, codec.headerLength, header), errors.DriverInternalError,
+        /CRC mismatch/);
+    });
+  });
+
+  context('with compression', function () {
+    const compressedCodec = new SegmentCodec(helper.getDeflateCompressor());
+
+    it('should use an 8-byte header', function () {
+      assert.strictEqual(compressedCodec.headerLength, 8);
+    });
+
+    it('should compress the payload and include the uncompressed length in the header', function () {
+      const payload = Buffer.from('abc'.repeat(1000));
+      const segment = compressedCodec.encode(payload, true);
+      const header = compressedCodec.decodeHeader(segment, 0);
+      assert.isBelow(header.payloadLength, payload.length);
+      assert.strictEqual(header.uncompressedLength, payload.length);
+      assert.strictEqual(header.isSelfContained, true);
+      assert.strictEqual(segment.length, compressedCodec.getSegmentLength(header));
+      assert.deepEqual(compressedCodec.decodePayload(segment, compressedCodec.headerLength, header), payload);
+    });
+
+    it('should encode the uncompressed length using all the header bits', function () {
+      const payload = utils.allocBuffer(SegmentCodec.maxPayloadLength);
+      const segment = compressedCodec.encode(payload, false);
+      assert.deepInclude(compressedCodec.decodeHeader(segment, 0), {
+        uncompressedLength: SegmentCodec.maxPayloadLength,
+        isSelfContained: false
+      });
+    });
+
+    it('should send the payload uncompressed when compression does not reduce its size', function () {
+      const payload = Buffer.from('a');
+      const segment = compressedCodec.encode(payload, true);
+      const header = compressedCodec.decodeHeader(segment, 0);
+      assert.deepEqual(header, { payloadLength: 1, uncompressedLength: 0, isSelfContained: true });
+      assert.deepEqual(compressedCodec.decodePayload(segment, compressedCodec.headerLength, header), payload);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/*
+ * Copyright DataStax, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const helper = require('../test-helper');
+const errors = require('../../lib/errors');
+const { ConcurrencyLimitingThrottler, RateLimitingThrottler } = require('../../lib/throttling');
+
+describe('ConcurrencyLimitingThrottler', () => {
+  describe('constructor', () => {
+    it('should set the default options', () => {
+      const throttler = new ConcurrencyLimitingThrottler();
+      assert.strictEqual(throttler.maxConcurrentRequests, 10000);
+      assert.strictEqual(throttler.maxQueueSize, 10000);
+    });
+
+    it('should validate the maximum concurrent requests', () => {
+      assert.throws(() => new ConcurrencyLimitingThrottler({ maxConcurrentRequests: 0 }), errors.ArgumentError);
+    });
+  });
+
+  describe('#register()', () => {
+    it('should allow requests immediately until the limit is reached and enqueue the rest', () => {
+      const throttler = new ConcurrencyLimitingThrottler({ maxConcurrentRequests: 2 });
+      const calls = [];
+      [ 'a', 'b', 'c', 'd' ].forEach(name => throttler.register({ name }, (err, wasDelayed) =>
+        calls.push({ name, err, wasDelayed })));
+
+      assert.deepStrictEqual(calls, [
+        { name: 'a', err: null, wasDelayed: false }, { name: 'b', err: null, wasDelayed: false }
+      ]);
+      assert.strictEqual(throttler.concurrentRequests, 2);
+      assert.strictEqual(throttler.getQueueSize(), 2);
+    });
+
+    it('should reject requests when the queue is full', () => {
+      const throttler = new ConcurrencyLimitingThrottler({ maxConcurrentRequests: 1, maxQueueSize: 1 });
+      const errs = [];
+      [ {}, {}, {} ].forEach(request => throttler.register(request, err => errs.push(err)));
+
+      assert.lengthOf(errs, 2);
+      assert.strictEqual(errs[0], null);
+      helper.assertInstanceOf(errs[1], errors.RequestThrottlingError);
+      assert.strictEqual(throttler.getQueueSize(), 1);
+    });
+  });
+
+  describe('#signalCompleted()', () => {
+    it('should allow the enqueued requests in order', () => {
+      const throttler = new ConcurrencyLimitingThrottler({ maxConcurrentRequests: 1 });
+      const requests = [ { name: 'a' }, { name: 'b' }, { name: 'c' } ];
+      const allowed = [];
+      requests.forEach(r => throttler.register(r, (err, wasDelayed) => allowed.push({ name: r.name, wasDelayed })));
+
+      throttler.signalCompleted(requests[0]);
+      assert.deepStrictEqual(allowed.map(a => a.name), [ 'a', 'b' ]);
+      assert.strictEqual(allowed[1].wasDelayed, true);
+
+      throttler.signalCompleted(requests[1]);
+      throttler.signalCompleted(requests[2]);
+      assert.deepStrictEqual(allowed.map(a => a.name), [ 'a', 'b', 'c' ]);
+      assert.strictEqual(throttler.concurrentRequests, 0);
+    });
+  });
+
+  describe('#signalCancel()', () => {
+    it('should remove the request from the queue', () => {
+      const throttler = new ConcurrencyLimitingThrottler({ maxConcurrentRequests: 1 });
+      const requests = [ {}, {} ];
+      const callback = sinon.spy();
+      requests.forEach(r => throttler.register(r, callback));
+
+      throttler.signalCancel(requests[1]);
+      throttler.signalCompleted(requests[0]);
+
+      assert.strictEqual(callback.callCount, 1);
+      assert.strictEqual(throttler.getQueueSize(), 0);
+      assert.strictEqual(throttler.concurrentRequests, 0);
+    });
+  });
+
+  describe('#shutdown()', () => {
+    it('should reject the enqueued requests', () => {
+      const throttler = new ConcurrencyLimitingThrottler({ maxConcurrentRequests: 1 });
+      const errs = [];
+      [ {}, {}, {} ].forEach(r => throttler.register(r, err => errs.push(err)));
+
+      throttler.shutdown();
+
+      assert.lengthOf(errs, 3);
+      assert.strictEqual(errs[0], null);
+      errs.slice(1).forEach(err => helper.assertInstanceOf(err, errors.RequestThrottlingError));
+      assert.strictEqual(throttler.getQueueSize(), 0);
+    });
+  });
+});
+
+describe('RateLimitingThrottler', () => {
+  let clock;
+
+  beforeEach(() => clock = sinon.useFakeTimers({ now: 1000000 }));
+  afterEach(() => clock.restore());
+
+  describe('constructor', () => {
+    it('should validate the maximum requests per second', () => {
+      assert.throws(() => new RateLimitingThrottler(), errors.ArgumentError);
+      assert.throws(() => new RateLimitingThrottler({ maxRequestsPerSecond: 0 }), errors.ArgumentError);
+    });
+
+    it('should set the default options', () => {
+      const throttler = new RateLimitingThrottler({ maxRequestsPerSecond: 100 });
+      assert.strictEqual(throttler.maxBurstSize, 100);
+      assert.strictEqual(throttler.maxQueueSize, 10000);
+      assert.strictEqual(throttler.drainInterval, 10);
+    });
+  });
+
+  describe('#register()', () => {
+    it('should allow a burst of requests and enqueue the rest until the bucket is refilled', () => {
+      const throttler = new RateLimitingThrottler({ maxRequestsPerSecond: 100, maxBurstSize: 5 });
+      const allowed = [];
+      for (let i = 0; i < 10; i++) {
+        throttler.register({ i }, (err, wasDelayed) => allowed.push({ i, wasDelayed }));
+      }
+
+      assert.deepStrictEqual(allowed.map(a => a.i), [ 0, 1, 2, 3, 4 ]);
+      assert.strictEqual(throttler.getQueueSize(), 5);
+
+      // 100 per second: a new request every 10ms
+      clock.tick(10);
+      assert.deepStrictEqual(allowed.map(a => a.i), [ 0, 1, 2, 3, 4, 5 ]);
+      assert.strictEqual(allowed[5].wasDelayed, true);
+
+      clock.tick(40);
+      assert.deepStrictEqual(allowed.map(a => a.i), [ 0, 1, 2, 3, 4, 5, 6, 7, 8, 9 ]);
+      assert.strictEqual(throttler.getQueueSize(), 0);
+    });
+
+    it('should reject requests when the queue is full', () => {
+      const throttler = new RateLimitingThrottler({ maxRequestsPerSecond: 1, maxQueueSize: 1 });
+      const errs = [];
+      [ {}, {}, {} ].forEach(r => throttler.register(r, err => errs.push(err)));
+
+      assert.lengthOf(errs, 2);
+      assert.strictEqual(errs[0], null);
+      helper.assertInstanceOf(errs[1], errors.RequestThrottlingError);
+      throttler.shutdown();
+    });
+
+    it('should not exceed the burst size after a period of inactivity', () => {
+      const throttler = new RateLimitingThrottler({ maxRequestsPerSecond: 10, maxBurstSize: 2 });
+      clock.tick(60000);
+      const callback = sinon.spy();
+      [ {}, {}, {} ].forEach(r => throttler.register(r, callback));
+
+      assert.strictEqual(callback.callCount, 2);
+      assert.strictEqual(throttler.getQueueSize(), 1);
+      throttler.shutdown();
+    });
+  });
+
+  describe('#signalCancel()', () => {
+    it('should remove the request from the queue', () => {
+      const throttler = new RateLimitingThrottler({ maxRequestsPerSecond: 100, maxBurstSize: 1 });
+      const requests = [ {}, {} ];
+      const callback = sinon.spy();
+      requests.forEach(r => throttler.register(r, callback));
+
+      throttler.signalCancel(requests[1]);
+      clock.tick(100);
+
+      assert.strictEqual(callback.callCount, 1);
+      assert.strictEqual(throttler.getQueueSize(), 0);
+    });
+  });
+
+  describe('#shutdown()', () => {
+    it('should reject the enqueued requests and stop draining', () => {
+      const throttler = new RateLimitingThrottler({ maxRequestsPerSecond: 100, maxBurstSize: 1 });
+      const errs = [];
+      [ {}, {} ].forEach(r => throttler.register(r, err => errs.push(err)));
+
+      throttler.shutdown();
+      clock.tick(100);
+
+      assert.lengthOf(errs, 2);
+      helper.assertInstanceOf(errs[1], errors.RequestThrottlingError);
+    });
+  });
+});
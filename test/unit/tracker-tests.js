@@ -20,6 +20,9 @@ const assert = require('assert');
 const helper = require('../test-helper');
 const types = require('../../lib/types');
 const RequestLogger = require('../../lib/tracker').RequestLogger;
+const OpenTelemetryTracker = require('../../lib/tracker').OpenTelemetryTracker;
+const errors = require('../../lib/errors');
+const { RetryPolicy } = require('../../lib/policies/retry');
 const ExecutionOptions = require('../../lib/execution-options').ExecutionOptions;
 
 describe('RequestLogger', () => {
@@ -217,8 +220,170 @@ describe('RequestLogger', () => {
   });
 });
 
+describe('OpenTelemetryTracker', () => {
+  describe('constructor', () => {
+    it('should throw when the tracer is not provided', () => {
+      assert.throws(() => new OpenTelemetryTracker(), errors.ArgumentError);
+      assert.throws(() => new OpenTelemetryTracker({}), errors.ArgumentError);
+    });
+  });
+
+  describe('#onRequestStart() and #onRequestEnd()', () => {
+    it('should create a span with the database attributes', () => {
+      const tracer = new TestTracer();
+      const tracker = new OpenTelemetryTracker({ tracer });
+      const request = { query: 'SELECT * FROM t1', parameters: [], executionOptions: getExecutionOptions() };
+
+      tracker.onRequestStart(request);
+      assert.strictEqual(tracer.spans.length, 1);
+      const span = tracer.spans[0];
+      assert.strictEqual(span.name, 'cassandra.query');
+      assert.strictEqual(span.options.kind, 2);
+      assert.deepStrictEqual(span.options.attributes, {
+        'db.system': 'cassandra',
+        'db.name': 'ks1',
+        'db.statement': 'SELECT * FROM t1',
+        'db.cassandra.consistency_level': 'local_quorum',
+        'db.cassandra.page_size': 100,
+        'db.cassandra.idempotence': true
+      });
+      assert.strictEqual(span.ended, false);
+
+      tracker.onRequestEnd(request, null, { info: { speculativeExecutions: 1, queriedHost: '10.0.0.1:9042' } });
+      assert.strictEqual(span.ended, true);
+      assert.strictEqual(span.attributes['db.cassandra.speculative_execution_count'], 1);
+      assert.strictEqual(span.status, null);
+    });
+
+    it('should include the batch queries and truncate the statement', () => {
+      const tracer = new TestTracer();
+      const tracker = new OpenTelemetryTracker({ tracer, maxStatementLength: 10 });
+      const request = { query: [ 'INSERT 1', { query: 'INSERT 2' } ], executionOptions: getExecutionOptions() };
+
+      tracker.onRequestStart(request);
+      const span = tracer.spans[0];
+      assert.strictEqual(span.name, 'cassandra.batch');
+      assert.strictEqual(span.options.attributes['db.operation'], 'BATCH');
+      assert.strictEqual(span.options.attributes['db.statement'], 'INSERT 1; ...');
+    });
+
+    it('should not include the statement when disabled', () => {
+      const tracer = new TestTracer();
+      const tracker = new OpenTelemetryTracker({ tracer, includeStatement: false });
+      tracker.onRequestStart({ query: 'SELECT', executionOptions: getExecutionOptions() });
+      assert.strictEqual(tracer.spans[0].options.attributes['db.statement'], undefined);
+    });
+
+    it('should record the error and set the status', () => {
+      const tracer = new TestTracer();
+      const tracker = new OpenTelemetryTracker({ tracer });
+      const request = { query: 'Q', executionOptions: getExecutionOptions() };
+      const err = new Error('Test error');
+
+      tracker.onRequestStart(request);
+      tracker.onRequestEnd(request, err);
+      const span = tracer.spans[0];
+      assert.deepStrictEqual(span.exceptions, [ err ]);
+      assert.deepStrictEqual(span.status, { code: 2, message: 'Test error' });
+      assert.strictEqual(span.ended, true);
+    });
+  });
+
+  describe('#onAttemptStart() and #onAttemptEnd()', () => {
+    it('should create a span per attempt with the coordinator and attempt attributes', () => {
+      const tracer = new TestTracer();
+      const tracker = new OpenTelemetryTracker({ tracer });
+      const request = { query: 'Q', executionOptions: getExecutionOptions() };
+      const host = { address: '10.0.0.1:9042', datacenter: 'dc1', hostId: types.Uuid.random() };
+      const attempt = {
+        request, host, attemptNumber: 2, isSpeculative: true, retryCount: 1, retryDecision: null, cancelled: false
+      };
+
+      tracker.onRequestStart(request);
+      tracker.onAttemptStart(attempt);
+      const span = tracer.spans[1];
+      assert.strictEqual(span.name, 'cassandra.attempt');
+      assert.deepStrictEqual(span.options.attributes, {
+        'db.system': 'cassandra',
+        'db.cassandra.coordinator.id': host.hostId.toString(),
+        'db.cassandra.coordinator.dc': 'dc1',
+        'server.address': '10.0.0.1',
+        'server.port': 9042,
+        'cassandra.attempt.number': 2,
+        'cassandra.attempt.speculative': true,
+        'cassandra.attempt.retry_count': 1
+      });
+
+      const err = new Error('Test error');
+      attempt.retryDecision = RetryPolicy.retryDecision.retry;
+      tracker.onAttemptEnd(attempt, err);
+      assert.strictEqual(span.attributes['cassandra.attempt.retry_decision'], 'retry');
+      assert.deepStrictEqual(span.exceptions, [ err ]);
+      assert.strictEqual(span.ended, true);
+    });
+
+    it('should use the request span as parent when the api is provided', () => {
+      const tracer = new TestTracer();
+      const activeContext = {};
+      const api = {
+        SpanKind: { CLIENT: 'client' },
+        SpanStatusCode: { ERROR: 'error' },
+        context: { active: () => activeContext },
+        trace: { setSpan: (ctx, span) => ({ ctx, span }) }
+      };
+      const tracker = new OpenTelemetryTracker({ tracer, api });
+      const request = { query: 'Q', executionOptions: getExecutionOptions() };
+      const attempt = { request, host: { address: '10.0.0.1:9042' }, attemptNumber: 1, retryDecision: null };
+
+      tracker.onRequestStart(request);
+      tracker.onAttemptStart(attempt);
+      tracker.onAttemptEnd(attempt, new Error('Test'));
+
+      const requestSpan = tracer.spans[0];
+      const attemptSpan = tracer.spans[1];
+      assert.strictEqual(requestSpan.options.kind, 'client');
+      assert.deepStrictEqual(attemptSpan.context, { ctx: activeContext, span: requestSpan });
+      assert.strictEqual(attemptSpan.status.code, 'error');
+    });
+
+    it('should mark the cancelled attempts', () => {
+      const tracer = new TestTracer();
+      const tracker = new OpenTelemetryTracker({ tracer });
+      const attempt = { request: {}, host: { address: '10.0.0.1:9042' }, retryDecision: null, cancelled: true };
+
+      tracker.onAttemptStart(attempt);
+      tracker.onAttemptEnd(attempt, null);
+      assert.strictEqual(tracer.spans[0].attributes['cassandra.attempt.cancelled'], true);
+      assert.strictEqual(tracer.spans[0].ended, true);
+    });
+  });
+});
+
+class TestTracer {
+  constructor() {
+    this.spans = [];
+  }
+
+  startSpan(name, options, context) {
+    const span = {
+      name, options, context, attributes: {}, exceptions: [], status: null, ended: false,
+      setAttribute: (key, value) => span.attributes[key] = value,
+      recordException: err => span.exceptions.push(err),
+      setStatus: status => span.status = status,
+      end: () => span.ended = true
+    };
+
+    this.spans.push(span);
+    return span;
+  }
+}
+
 function getExecutionOptions(prepare) {
   const result = ExecutionOptions.empty();
   result.isPrepared = () => prepare;
+  result.getKeyspace = () => 'ks1';
+  result.getConsistency = () => types.consistencies.localQuorum;
+  result.getFetchSize = () => 100;
+  result.isIdempotent = () => true;
   return result;
 }
\ No newline at end of file
@@ -14,7 +14,7 @@
  * limitations under the License.
  */
 
-import { auth, Client, ExecutionProfile, policies, types } from "../../../index";
+import { AbortSignalLike, auth, Client, concurrent, ExecutionProfile, policies, ShutdownResult, types } from "../../../index";
 
 /*
  * TypeScript definitions compilation tests for Client class.
@@ -45,6 +45,9 @@ async function myTest(): Promise<any> {
   result = await client.execute(query, params2);
   result = await client.execute(query, params1, { prepare: true });
 
+  const abortSignal: AbortSignalLike = { aborted: false, addEventListener: () => {}, removeEventListener: () => {} };
+  result = await client.execute(query, params1, { prepare: true, abortSignal });
+
   // Callback-based execution
   client.execute(query, useResult);
   client.execute(query, params1, useResult);
@@ -74,9 +77,21 @@ async function myTest(): Promise<any> {
     .on('data', () => {})
     .on('error', err => console.error(err));
 
+  // Lazy paging
+  const iterable: types.ResultIterable = client.iterate(query, params1, { prepare: true, fetchSize: 100 });
+  for await (const row of iterable) {
+    row.get('a');
+  }
+  const pageState: string | null = iterable.pageState;
+
   promise = client.shutdown();
   client.shutdown(err => error = err);
 
+  const shutdownResult: ShutdownResult = await client.shutdown({ drainTimeout: 10000 });
+  const abandonedRequests: number = shutdownResult.abandonedRequests;
+  const emptyShutdownResult: ShutdownResult = await client.shutdown({});
+  client.shutdown({ drainTimeout: 10000 }, (err, r) => error = err);
+
   let otherClient: Client;
 
   otherClient = new Client({
@@ -94,6 +109,23 @@ async function myTest(): Promise<any> {
     graphOptions: { name: 'graph1', readConsistency: types.consistencies.localQuorum }
   });
 
+  otherClient = new Client({
+    contactPoints: ['h1', 'h2'],
+    localDataCenter: 'dc1',
+    pooling: {
+      minConnectionsPerHost: { [types.distance.local]: 1 },
+      maxConnectionsPerHost: { [types.distance.local]: 4 },
+      inFlightThreshold: 512,
+      scaleDownDelay: 30000
+    }
+  });
+
+  otherClient = new Client({
+    contactPoints: ['h1', 'h2'],
+    localDataCenter: 'dc1',
+    preparedStatementsWarmup: client.metadata.exportPrepared()
+  });
+
   otherClient = new Client({
     cloud: { secureConnectBundle: 'path/to/bundle' }
   });
@@ -110,6 +142,27 @@ async function myTest(): Promise<any> {
     serialConsistency: types.consistencies.localSerial,
     loadBalancing: new policies.loadBalancing.AllowListPolicy(new policies.loadBalancing.RoundRobinPolicy(), ['host1'])
   });
+
+  const bulkLoadResult: concurrent.BulkLoadResult = await concurrent.bulkLoad(client, query, [ params1 ], {
+    maxBatchSize: 10,
+    maxRetries: 2,
+    retryDelay: 100
+  });
+
+  bulkLoadResult.failures.forEach(f => useResult(f.error, result));
+  const loaded: number = bulkLoadResult.loadedRows;
+
+  const concurrentIterable: concurrent.ConcurrentIterable = concurrent.iterateConcurrent(client, query, [ params1 ], {
+    concurrencyLevel: 10,
+    preserveOrder: true,
+    maxBufferedResults: 50
+  });
+
+  for await (const item of concurrentIterable) {
+    const index: number = item.index;
+    const itemError: Error | null = item.error;
+    const itemResult: types.ResultSet | null = item.resultSet;
+  }
 }
 
 function useResult(err: Error, rs: types.ResultSet): void {
@@ -19,6 +19,7 @@ import Mapper = mapping.Mapper;
 import ModelMapper = mapping.ModelMapper;
 import Uuid = types.Uuid;
 import Result = mapping.Result;
+import UnderscoreCqlToCamelCaseMappings = mapping.UnderscoreCqlToCamelCaseMappings;
 
 /*
  * TypeScript definitions compilation tests for types module.
@@ -42,10 +43,40 @@ async function myTest(client: Client): Promise<any> {
             fromModel: (value) => JSON.stringify(value)
           }
         }
+      },
+      'User': {
+        tables: ['users'],
+        versionColumn: 'version',
+        hooks: {
+          beforeInsert: (doc) => Object.assign({ createdAt: new Date() }, doc),
+          afterFind: (doc) => doc
+        },
+        validation: {
+          email: { required: true, type: 'string', pattern: /@/ },
+          createdAt: { type: Date },
+          age: { min: 0, max: 200 }
+        }
+      },
+      'Comment': {
+        tables: [ { name: 'comments_by_video', isView: false, schema: {
+          columns: { videoid: 'uuid', commentid: 'timeuuid', comment: 'text' },
+          partitionKeys: [ 'videoid' ],
+          clusteringKeys: [ 'commentid' ],
+          clusteringOrder: { commentid: 'desc' },
+          options: { default_time_to_live: 3600 }
+        }}]
       }
+    },
+    udts: {
+      'address': { mappings: new UnderscoreCqlToCamelCaseMappings() }
     }
   });
 
+  const ddl: string[] = mapper.schema.generateDdl([ 'Comment' ]);
+  const syncResult: mapping.SchemaSyncResult = await mapper.schema.sync({ dryRun: true });
+  const changes: string[] = syncResult.queries;
+  const mismatches: string[] = syncResult.mismatches;
+
   const videoMapper: ModelMapper = mapper.forModel('Video');
   o = await videoMapper.get({ videoId: Uuid.random() });
 
@@ -56,6 +87,17 @@ async function myTest(client: Client): Promise<any> {
   result = await videoMapper.find({ name: 'a' }, { fields: ['videoId'], limit: 10, orderBy: { 'name': 'asc' } });
   result = await videoMapper.find({ name: 'b' }, { }, 'ep1');
 
+  result = await videoMapper.find({ name: 'c' }, { fetchSize: 10, pageState: result.pageState });
+  b = result.hasNextPage();
+  const nextResult: Result | null = await result.nextPage();
+  const explanation: mapping.FindExplanation = await videoMapper.explainFind({ name: 'a' }, { limit: 1 });
+  b = explanation.candidates[0].selected;
+  const iterable: AsyncIterable<any> = videoMapper.iterate({ name: 'a' }, { fetchSize: 100 });
+
+  result = await videoMapper.find({ videoId: mapping.q.token(mapping.q.gt(0)) }, { limit: 100 });
+  result = await videoMapper.find({ userId: 1, 'addedDate,videoId': mapping.q.gt([ new Date(), Uuid.random() ]) });
+  result = await videoMapper.find({ name: 'a' }, { allowFilter: true });
+
   let arr:any[] = result.toArray();
   o = result.first();
 
@@ -65,6 +107,8 @@ async function myTest(client: Client): Promise<any> {
   result = await videoMapper.update({ videoId: Uuid.random(), userId: 1, name: 'a' });
   result = await videoMapper.update({ name: 'a' }, { when: { date: new Date() } }, 'ep1');
   b = result.wasApplied();
+  result = await videoMapper.update({ videoId: Uuid.random(), tags: mapping.q.setKey('a', 'b') });
+  result = await videoMapper.update({ videoId: Uuid.random(), tags: mapping.q.removeKey('a') });
   result = await videoMapper.update({ name: 'a' }, { ttl: 123, ifExists: true }, { isIdempotent: true, executionProfile: 'ep2' });
 
   result = await videoMapper.remove({ videoId: Uuid.random() });
@@ -14,7 +14,7 @@
  * limitations under the License.
  */
 
-import { Client, Host, metadata, types } from "../../../index";
+import { Client, Host, metadata, TopologyEvent, types } from "../../../index";
 import TableMetadata = metadata.TableMetadata;
 import QueryTrace = metadata.QueryTrace;
 
@@ -49,6 +49,27 @@ async function myTest(): Promise<any> {
   let trace: QueryTrace = await client.metadata.getTrace(types.Uuid.random());
   client.metadata.getTrace(types.Uuid.random(), (err, t) => useResult<QueryTrace>(err, t));
 
+  const removeListener: () => void = client.metadata.onTableChanged('ks1', 'table1', change => {
+    const previous: TableMetadata | null = change.previous;
+    s = change.changeType;
+  });
+  removeListener();
+
+  const prepared: metadata.PreparedStatementInfo[] = client.metadata.exportPrepared();
+  s = prepared[0].query;
+  const stats: metadata.PreparedCacheStats = client.metadata.getPreparedCacheStats();
+  n = stats.hits + stats.misses + stats.evictions + stats.size;
+
+  client.on('schemaChange', (change: metadata.SchemaChangeEvent) => {
+    s = change.target;
+    s = change.keyspace;
+  });
+
+  client.on('topology', (change: TopologyEvent) => {
+    s = change.type;
+    s = change.address;
+  });
+
   hosts = client.getState().getConnectedHosts();
   n = client.getState().getInFlightQueries(hosts[0]);
   n = client.getState().getOpenConnections(hosts[0]);
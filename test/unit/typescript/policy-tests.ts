@@ -38,6 +38,8 @@ function myTest(): void {
   lbp = new policies.loadBalancing.WhiteListPolicy(lbp, [ 'a', 'b', 'c' ]);
   lbp = new TokenAwarePolicy(lbp);
   lbp.getOptions();
+  lbp = new TokenAwarePolicy(new policies.loadBalancing.RackAwareRoundRobinPolicy({ localRack: 'rack1' }));
+  lbp = new policies.loadBalancing.DefaultLoadBalancingPolicy({ localDc: 'dc1', localRack: 'rack1' });
 
   // defaultLoadBalancingPolicy method should have an optional string parameter
   lbp = policies.defaultLoadBalancingPolicy('dc1');